@@ -0,0 +1,320 @@
+// src/components/TripChecklists.jsx
+//
+// Checklists de logística de un viaje (equipaje, pendientes antes de salir),
+// dentro de TripDetailPage.
+//
+//   1) Carga las checklists del viaje (GET /api/trips/:id/checklists)
+//   2) Permite generar una lista sugerida según destinos, duración e
+//      intereses (POST /api/trips/:id/checklists/generate)
+//   3) Permite tildar, agregar y quitar ítems
+//      (POST / PATCH / DELETE /api/trips/:id/checklists/:checklistId/items)
+//
+// Los permisos los decide el backend: si un viewer intenta editar, se
+// muestra el mensaje de error.
+
+import { useEffect, useState } from 'react';
+import apiClient from '../services/apiClient';
+
+// Etiquetas en castellano para las categorías de ítem.
+const CATEGORY_LABELS = {
+  documents: 'Documentos',
+  clothing: 'Ropa',
+  toiletries: 'Higiene',
+  health: 'Salud',
+  electronics: 'Electrónica',
+  gear: 'Equipo',
+  money: 'Dinero',
+  tasks: 'Pendientes',
+  other: 'Otros',
+};
+
+// Traduce el código de error del backend a un mensaje para la UI.
+function getChecklistErrorMessage(err) {
+  const apiError = err.response?.data?.error;
+
+  if (!err.response) {
+    return 'No pudimos conectarnos con el servidor para actualizar las checklists.';
+  }
+  if (apiError === 'FORBIDDEN_TRIP_ROLE') {
+    return 'Tu rol en este viaje no permite editar las checklists.';
+  }
+  if (apiError === 'CHECKLIST_NOT_FOUND' || apiError === 'CHECKLIST_ITEM_NOT_FOUND') {
+    return 'La checklist cambió mientras la editabas. Recargá la página.';
+  }
+  if (apiError === 'VALIDATION_ERROR') {
+    return 'Revisá los datos del ítem.';
+  }
+  return 'Ocurrió un error con las checklists. Probá de nuevo.';
+}
+
+function TripChecklists({ tripId, token, user }) {
+  const [checklists, setChecklists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Tipo de checklist que se está generando ('packing' | 'pre_trip').
+  const [generatingKind, setGeneratingKind] = useState(null);
+
+  // Texto y categoría del ítem nuevo, por checklist: { [checklistId]: {...} }.
+  const [drafts, setDrafts] = useState({});
+
+  const authHeaders = { headers: { Authorization: `Bearer ${token}` } };
+  const baseUrl = `/api/trips/${tripId}/checklists`;
+
+  // Reemplaza una checklist en el estado con la versión del backend.
+  const replaceChecklist = (updated) => {
+    setChecklists((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+  };
+
+  // ---------------------------------------------------------------------------
+  // useEffect: cargar las checklists del viaje
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!tripId || !token) return;
+
+    const fetchChecklists = async () => {
+      try {
+        setLoading(true);
+        const res = await apiClient.get(`/api/trips/${tripId}/checklists`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setChecklists(res.data.checklists || []);
+      } catch (err) {
+        console.error('Error al cargar las checklists:', err);
+        setError(getChecklistErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchChecklists();
+  }, [tripId, token]);
+
+  // ---------------------------------------------------------------------------
+  // Handlers
+  // ---------------------------------------------------------------------------
+  const handleGenerate = async (kind) => {
+    try {
+      setError(null);
+      setGeneratingKind(kind);
+      const res = await apiClient.post(`${baseUrl}/generate`, { kind }, authHeaders);
+      setChecklists((prev) => [...prev, res.data.checklist]);
+    } catch (err) {
+      console.error('Error al generar la checklist:', err);
+      setError(getChecklistErrorMessage(err));
+    } finally {
+      setGeneratingKind(null);
+    }
+  };
+
+  const handleToggleItem = async (checklist, item) => {
+    try {
+      setError(null);
+      const res = await apiClient.patch(
+        `${baseUrl}/${checklist.id}/items/${item.id}`,
+        { done: !item.done },
+        authHeaders
+      );
+      replaceChecklist(res.data.checklist);
+    } catch (err) {
+      console.error('Error al actualizar el ítem:', err);
+      setError(getChecklistErrorMessage(err));
+    }
+  };
+
+  const handleRemoveItem = async (checklist, item) => {
+    try {
+      setError(null);
+      const res = await apiClient.delete(
+        `${baseUrl}/${checklist.id}/items/${item.id}`,
+        authHeaders
+      );
+      replaceChecklist(res.data.checklist);
+    } catch (err) {
+      console.error('Error al quitar el ítem:', err);
+      setError(getChecklistErrorMessage(err));
+    }
+  };
+
+  const handleAddItem = async (event, checklist) => {
+    event.preventDefault();
+    const draft = drafts[checklist.id] || {};
+    if (!draft.label || !draft.label.trim()) return;
+
+    try {
+      setError(null);
+      const res = await apiClient.post(
+        `${baseUrl}/${checklist.id}/items`,
+        { label: draft.label.trim(), category: draft.category || 'other' },
+        authHeaders
+      );
+      replaceChecklist(res.data.checklist);
+      setDrafts((prev) => ({ ...prev, [checklist.id]: { ...draft, label: '' } }));
+    } catch (err) {
+      console.error('Error al agregar el ítem:', err);
+      setError(getChecklistErrorMessage(err));
+    }
+  };
+
+  const handleRemoveChecklist = async (checklist) => {
+    if (!window.confirm(`¿Borrar la checklist "${checklist.title}"?`)) return;
+
+    try {
+      setError(null);
+      await apiClient.delete(`${baseUrl}/${checklist.id}`, authHeaders);
+      setChecklists((prev) => prev.filter((c) => c.id !== checklist.id));
+    } catch (err) {
+      console.error('Error al borrar la checklist:', err);
+      setError(getChecklistErrorMessage(err));
+    }
+  };
+
+  const updateDraft = (checklistId, field, value) => {
+    setDrafts((prev) => ({
+      ...prev,
+      [checklistId]: { ...prev[checklistId], [field]: value },
+    }));
+  };
+
+  // ---------------------------------------------------------------------------
+  // Render
+  // ---------------------------------------------------------------------------
+  return (
+    <section className="rounded-2xl border border-slate-800 bg-slate-900/70 p-5 space-y-4">
+      <header className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-50">Checklists</h2>
+          <p className="text-xs text-slate-400">
+            Qué llevar y qué dejar resuelto antes de salir. Las sugerencias
+            salen de los destinos, la duración y los intereses del viaje.
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => handleGenerate('packing')}
+            disabled={generatingKind !== null}
+            className="inline-flex items-center rounded-full bg-emerald-500 px-4 py-1.5 text-xs font-medium text-emerald-950 hover:bg-emerald-400 transition disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {generatingKind === 'packing' ? 'Generando...' : 'Sugerir equipaje'}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleGenerate('pre_trip')}
+            disabled={generatingKind !== null}
+            className="inline-flex items-center rounded-full border border-emerald-500/60 bg-transparent px-4 py-1.5 text-xs font-medium text-emerald-300 hover:bg-emerald-500/10 transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {generatingKind === 'pre_trip' ? 'Generando...' : 'Sugerir pendientes'}
+          </button>
+        </div>
+      </header>
+
+      {error && (
+        <div className="rounded-lg border border-amber-600 bg-amber-900/30 px-3 py-2 text-xs text-amber-100">
+          {error}
+        </div>
+      )}
+
+      {loading && (
+        <p className="text-xs text-slate-400 animate-pulse">Cargando checklists...</p>
+      )}
+
+      {!loading && checklists.length === 0 && (
+        <p className="text-xs text-slate-300">
+          Todavía no hay checklists para este viaje. Generá una sugerida para empezar.
+        </p>
+      )}
+
+      {checklists.map((checklist) => {
+        const draft = drafts[checklist.id] || {};
+
+        return (
+          <article
+            key={checklist.id}
+            className="rounded-xl border border-slate-800 bg-slate-950/60 p-4 space-y-3"
+          >
+            <header className="flex items-baseline justify-between gap-2">
+              <h3 className="text-sm font-semibold text-slate-100">
+                {checklist.title}{' '}
+                <span className="text-xs font-normal text-slate-400">
+                  ({checklist.progress.done}/{checklist.progress.total})
+                </span>
+              </h3>
+              <button
+                type="button"
+                onClick={() => handleRemoveChecklist(checklist)}
+                className="text-[11px] text-slate-400 hover:text-red-300"
+              >
+                Borrar
+              </button>
+            </header>
+
+            <ul className="space-y-1">
+              {checklist.items.map((item) => (
+                <li key={item.id} className="flex items-center gap-2 text-xs text-slate-200">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    onChange={() => handleToggleItem(checklist, item)}
+                    className="accent-emerald-500"
+                  />
+                  <span className={item.done ? 'line-through text-slate-500' : ''}>
+                    {item.label}
+                    {item.quantity > 1 && ` × ${item.quantity}`}
+                  </span>
+                  <span className="rounded-full border border-slate-700 px-2 text-[10px] text-slate-400">
+                    {CATEGORY_LABELS[item.category] || item.category}
+                  </span>
+                  {item.assigneeId && item.assigneeId === user?.id && (
+                    <span className="text-[10px] text-emerald-300">asignado a vos</span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveItem(checklist, item)}
+                    className="ml-auto text-[11px] text-slate-500 hover:text-red-300"
+                    aria-label={`Quitar ${item.label}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <form
+              onSubmit={(event) => handleAddItem(event, checklist)}
+              className="flex flex-wrap gap-2"
+            >
+              <input
+                type="text"
+                value={draft.label || ''}
+                onChange={(e) => updateDraft(checklist.id, 'label', e.target.value)}
+                placeholder="Agregar ítem"
+                className="flex-1 rounded-lg border border-slate-700 bg-slate-900 px-3 py-1 text-xs text-slate-100"
+              />
+              <select
+                value={draft.category || 'other'}
+                onChange={(e) => updateDraft(checklist.id, 'category', e.target.value)}
+                className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-xs text-slate-100"
+              >
+                {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                className="rounded-full border border-emerald-500/60 px-3 py-1 text-xs text-emerald-300 hover:bg-emerald-500/10"
+              >
+                Agregar
+              </button>
+            </form>
+          </article>
+        );
+      })}
+    </section>
+  );
+}
+
+export default TripChecklists;
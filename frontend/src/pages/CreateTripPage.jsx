@@ -18,6 +18,9 @@ import apiClient from "../services/apiClient";
 // Contexto de autenticación: desde acá obtenemos el token del usuario.
 import { AuthContext } from "../context/AuthContext.jsx";
 
+// Monedas que ofrecemos para el viaje (el backend acepta cualquier código ISO).
+const CURRENCY_OPTIONS = ["ARS", "USD", "EUR", "BRL", "CLP", "UYU", "MXN"];
+
 function CreateTripPage() {
   // Navegación programática: nos permite ir a /trips después de crear el viaje
   const navigate = useNavigate();
@@ -36,6 +39,7 @@ function CreateTripPage() {
   const [startDate, setStartDate] = useState("");
   const [endDate, setEndDate] = useState("");
   const [budget, setBudget] = useState("");
+  const [currency, setCurrency] = useState("ARS");
   const [interests, setInterests] = useState("");
   const [status, setStatus] = useState("planned");
 
@@ -81,6 +85,7 @@ function CreateTripPage() {
     //   "startDate": "2025-07-15",
     //   "endDate": "2025-07-18",
     //   "budget": 800000,
+    //   "currency": "ARS",
     //   "interests": ["nieve", "paisajes", "gastronomía"],
     //   "status": "planned"
     // }
@@ -90,6 +95,7 @@ function CreateTripPage() {
       startDate: startDate || null,
       endDate: endDate || null,
       budget: budget ? Number(budget) : null,
+      currency,
       interests: interestsArray,
       status,
       // destinationId no es obligatorio en tu backend,
@@ -221,17 +227,31 @@ function CreateTripPage() {
           {/* Presupuesto */}
           <div className="flex flex-col gap-1">
             <label className="text-xs text-slate-400">
-              Presupuesto estimado (en ARS)
+              Presupuesto estimado (en {currency})
             </label>
-            <input
-              type="number"
-              min="0"
-              step="1000"
-              placeholder="Ej: 800000"
-              value={budget}
-              onChange={(e) => setBudget(e.target.value)}
-              className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm text-slate-50"
-            />
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                step="1000"
+                placeholder="Ej: 800000"
+                value={budget}
+                onChange={(e) => setBudget(e.target.value)}
+                className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm text-slate-50"
+              />
+              {/* Moneda del viaje: la del presupuesto y los costos estimados */}
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm text-slate-50"
+              >
+                {CURRENCY_OPTIONS.map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
           {/* Intereses */}
@@ -6,6 +6,7 @@
 //
 // Se conecta al backend usando:
 //   GET /api/destinations
+//   GET /api/search?q=...&type=destination   (búsqueda por texto)
 //
 // El backend devuelve un objeto del estilo:
 //   { ok: true, count: N, destinations: [ ... ] }
@@ -16,6 +17,9 @@
 //  - Mostramos estados de carga, error y vacío.
 //  - Renderizamos tarjetas modernas con Tailwind para cada destino.
 //  - Agregamos búsqueda por texto y filtro simple por país.
+//  - La búsqueda por texto la resuelve el backend (ignora acentos, tolera
+//    errores de tipeo y busca también en país y tags), así encuentra
+//    destinos que no están entre los primeros cargados.
 
 import { useContext, useEffect, useMemo, useState } from 'react';
 import apiClient from '../services/apiClient';
@@ -106,6 +110,11 @@ function DestinationsPage() {
   // Estado para búsqueda por texto.
   const [search, setSearch] = useState('');
 
+  // Destinos encontrados por el backend para el texto buscado, ordenados
+  // por relevancia. null = no hay búsqueda activa (o falló y usamos el
+  // filtro local).
+  const [searchResults, setSearchResults] = useState(null);
+
   // Estado para filtro por país.
   const [selectedCountry, setSelectedCountry] = useState('todos');
 
@@ -171,6 +180,45 @@ function DestinationsPage() {
     fetchDestinations();
   }, [token]);
 
+  // -------------------------------------------------------------------------
+  // useEffect: buscar en el backend mientras el usuario escribe.
+  // Esperamos 300 ms sin cambios antes de llamar (debounce) y descartamos
+  // respuestas de búsquedas viejas.
+  // -------------------------------------------------------------------------
+  useEffect(() => {
+    const term = search.trim();
+
+    if (term.length < 2) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        // GET /api/search?q=...&type=destination
+        const response = await apiClient.get('/api/search', {
+          params: { q: term, type: 'destination', limit: 50 },
+        });
+
+        if (!cancelled) {
+          const results = response.data?.results || [];
+          setSearchResults(results.map((r) => r.destination));
+        }
+      } catch (err) {
+        console.error('Error al buscar destinos:', err);
+        // Si la búsqueda falla, volvemos al filtro local.
+        if (!cancelled) setSearchResults(null);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search]);
+
   // -------------------------------------------------------------------------
   // Derivamos lista de países disponibles a partir de los destinos.
   // Uso useMemo para no recalcular en cada render si destinations no cambió.
@@ -183,23 +231,28 @@ function DestinationsPage() {
   // -------------------------------------------------------------------------
   // Derivamos la lista final de destinos a mostrar según:
   //  - filtro por país
-  //  - búsqueda por texto (en nombre y resumen)
+  //  - búsqueda por texto: si el backend ya respondió usamos sus resultados
+  //    (en orden de relevancia); si no, filtramos localmente por nombre y
+  //    resumen.
   // -------------------------------------------------------------------------
   const filteredDestinations = useMemo(() => {
-    return destinations.filter((dest) => {
-      const matchesCountry =
-        selectedCountry === 'todos' ||
-        (dest.country && dest.country === selectedCountry);
-
-      const searchTerm = search.trim().toLowerCase();
-      const matchesSearch =
-        searchTerm.length === 0 ||
-        (dest.name && dest.name.toLowerCase().includes(searchTerm)) ||
-        (dest.summary && dest.summary.toLowerCase().includes(searchTerm));
+    const searchTerm = search.trim().toLowerCase();
+
+    const candidates = searchResults
+      ? searchResults
+      : destinations.filter(
+          (dest) =>
+            searchTerm.length === 0 ||
+            (dest.name && dest.name.toLowerCase().includes(searchTerm)) ||
+            (dest.summary && dest.summary.toLowerCase().includes(searchTerm))
+        );
 
-      return matchesCountry && matchesSearch;
-    });
-  }, [destinations, selectedCountry, search]);
+    return candidates.filter(
+      (dest) =>
+        selectedCountry === 'todos' ||
+        (dest.country && dest.country === selectedCountry)
+    );
+  }, [destinations, searchResults, selectedCountry, search]);
 
   // -------------------------------------------------------------------------
   // Render principal de la página.
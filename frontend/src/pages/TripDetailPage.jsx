@@ -10,6 +10,8 @@
 //      (POST /api/trips/:id/generate-itinerary)
 //   4) Permite ENRIQUECER ese itinerario usando el modo "IA local"
 //      (POST /api/itineraries/:id/enrich-with-ai)
+//   5) Muestra las checklists de equipaje y pendientes del viaje
+//      (componente TripChecklists)
 //
 // El objetivo es mostrar claramente la arquitectura de IA híbrida:
 //   - El motor de reglas siempre funciona aunque no haya IA externa.
@@ -20,6 +22,7 @@ import { useContext, useEffect, useState } from 'react';
 import { Link, useParams } from 'react-router-dom';
 import apiClient from '../services/apiClient';
 import { AuthContext } from '../context/AuthContext.jsx';
+import TripChecklists from '../components/TripChecklists.jsx';
 
 // Función auxiliar para transformar un timeOfDay técnico
 // en una etiqueta más humana para la UI.
@@ -424,7 +427,7 @@ function TripDetailPage() {
                         <p className="text-[11px] text-slate-400">
                           Costo estimado:{' '}
                           <span className="font-mono">
-                            USD {period.estimatedCost}
+                            {trip.currency || 'ARS'} {period.estimatedCost}
                           </span>
                         </p>
                       )}
@@ -582,6 +585,9 @@ function TripDetailPage() {
               </p>
             </section>
           )}
+
+          {/* Checklists de logística: equipaje y pendientes antes de viajar */}
+          <TripChecklists tripId={trip.id || id} token={token} user={user} />
         </div>
       )}
     </div>
@@ -41,9 +41,10 @@ function formatDate(dateString) {
 }
 
 // ---------------------------------------------------------------------------
-// Función utilitaria: formatear presupuesto como moneda (ARS).
+// Función utilitaria: formatear presupuesto en la moneda del viaje
+// (ARS si el viaje no la indica).
 // ---------------------------------------------------------------------------
-function formatBudget(amount) {
+function formatBudget(amount, currency = 'ARS') {
   if (amount === null || amount === undefined) return 'Sin definir';
 
   const number = Number(amount);
@@ -51,7 +52,7 @@ function formatBudget(amount) {
 
   return new Intl.NumberFormat('es-AR', {
     style: 'currency',
-    currency: 'ARS',
+    currency: currency || 'ARS',
     maximumFractionDigits: 0,
   }).format(number);
 }
@@ -291,7 +292,7 @@ function TripsPage() {
                         Presupuesto estimado:&nbsp;
                       </span>
                       <span className="font-medium text-slate-200">
-                        {formatBudget(trip.budget)}
+                        {formatBudget(trip.budget, trip.currency)}
                       </span>
                     </p>
                   )}
@@ -22,8 +22,13 @@ import tripRoutes from './src/routes/tripRoutes.js';
 import itineraryRoutes from './src/routes/itineraryRoutes.js';
 import uploadRoutes from './src/routes/uploadRoutes.js';
 import adminRoutes from './src/routes/adminRoutes.js';
+import sharedRoutes from './src/routes/sharedRoutes.js';
+import invitationRoutes from './src/routes/invitationRoutes.js';
+import templateRoutes from './src/routes/templateRoutes.js';
+import searchRoutes from './src/routes/searchRoutes.js';
+import proposalRoutes from './src/routes/proposalRoutes.js';
 import { UPLOADS_DIR } from './src/config/multerConfig.js';
-import { authLimiter } from './src/middlewares/rateLimitMiddleware.js';
+import { authLimiter, sharedLinkLimiter } from './src/middlewares/rateLimitMiddleware.js';
 
 
 
@@ -32,6 +37,10 @@ import { authLimiter } from './src/middlewares/rateLimitMiddleware.js';
 // en los controladores y enviar una respuesta coherente al cliente.
 import { errorHandler } from './src/middlewares/errorHandler.js';
 
+// Job programado que avanza el estado de los viajes según sus fechas
+// (planned -> in_progress -> completed).
+import { startTripStatusScheduler } from './src/services/tripStatusService.js';
+
 // Creamos la aplicación Express.
 // "app" va a ser nuestro servidor HTTP.
 const app = express();
@@ -110,6 +119,14 @@ app.use('/api/destinations', destinationRoutes);
 // Ejemplo: GET /api/activities
 app.use('/api/activities', activityRoutes);
 
+// Búsqueda de texto en destinos y actividades (tolera acentos y errores).
+// Ejemplo: GET /api/search?q=bariloche
+app.use('/api/search', searchRoutes);
+
+// Propuestas de destinos y actividades (cola de moderación de los admins).
+// Ejemplo: POST /api/proposals
+app.use('/api/proposals', proposalRoutes);
+
 // Ruta base para trips (viajes planificados por el usuario).
 // Ejemplo: GET /api/trips
 app.use('/api/trips', tripRoutes);
@@ -118,9 +135,21 @@ app.use('/api/trips', tripRoutes);
 // Ejemplo: GET /api/trips
 app.use('/api/itineraries', itineraryRoutes);
 
+// Invitaciones a viajes recibidas por el usuario autenticado.
+// Ejemplo: POST /api/invitations/<id>/accept
+app.use('/api/invitations', invitationRoutes);
+
+// Plantillas de viaje para explorar y reutilizar.
+// Ejemplo: POST /api/templates/<id>/instantiate
+app.use('/api/templates', templateRoutes);
+
 // Ruta base para uploads
 app.use('/api/uploads', uploadRoutes);
 
+// Vista pública de viajes compartidos por link (sin autenticación).
+// Ejemplo: GET /api/shared/<token>
+app.use('/api/shared', sharedLinkLimiter, sharedRoutes);
+
 // Rutas de administración (solo para usuarios con rol "admin").
 app.use('/admin', adminRoutes);
 
@@ -191,4 +220,11 @@ const PORT = process.env.PORT || 3000;
 // Esta es la línea que realmente "levanta" el servidor.
 app.listen(PORT, () => {
   console.log(`[NomadIQ] Servidor escuchando en http://localhost:${PORT}`);
+
+  // Cada cuántos minutos corre el job de estados (0 lo desactiva, por
+  // ejemplo si se corre aparte con "npm run jobs:trip-status" desde cron).
+  const statusJobMinutes = Number(process.env.TRIP_STATUS_JOB_INTERVAL_MINUTES ?? 60);
+  if (statusJobMinutes > 0) {
+    startTripStatusScheduler({ intervalMinutes: statusJobMinutes });
+  }
 });
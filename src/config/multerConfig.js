@@ -111,6 +111,22 @@ export const uploader = multer({
   }
 });
 
+// Uploader para la importación masiva del catálogo (POST /admin/import/:type).
+// El archivo (CSV, JSON o GeoJSON) no se guarda en disco: queda en memoria
+// (req.file.buffer) y se procesa en el momento.
+export const importUploader = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (_req, file, cb) => {
+    if (!/\.(csv|json|geojson)$/i.test(file.originalname)) {
+      return cb(new Error('FILE_TYPE_NOT_ALLOWED'), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024
+  }
+});
+
 // Además, exportamos la constante UPLOADS_DIR por si en algún momento
 // queremos usarla en otros módulos (por ejemplo, para servir archivos estáticos).
 export { UPLOADS_DIR };
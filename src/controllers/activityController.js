@@ -11,10 +11,17 @@ import {
   createActivity,
   getActivityById,
   listActivities,
+  listActivitiesNear,
   updateActivity,
   deleteActivity
 } from '../services/activityService.js';
 
+// Al borrar una actividad se borran también sus reseñas.
+import { deleteActivityReviews } from '../services/activityReviewService.js';
+
+// Parser de ?near=lat,lng&radiusKm= para las búsquedas por cercanía.
+import { parseNearQuery } from '../utils/geo.js';
+
 // Controlador para crear una nueva actividad.
 // Ruta: POST /api/activities
 export async function create(req, res, next) {
@@ -65,6 +72,10 @@ export async function getById(req, res, next) {
 
 // Controlador para listar actividades con filtros opcionales.
 // Ruta: GET /api/activities?destinationId=...&category=...&limit=20&startAfterId=...
+//
+// Con ?near=lat,lng&radiusKm=5 devuelve solo las actividades dentro de ese
+// radio, de la más cercana a la más lejana y con "distanceKm" en cada una
+// (en ese modo no se usa startAfterId).
 export async function list(req, res, next) {
   try {
     // Extraemos filtros y opciones de paginación desde la query.
@@ -75,6 +86,31 @@ export async function list(req, res, next) {
       ? Math.min(parseInt(limit, 10) || 20, 100)
       : 20;
 
+    // Búsqueda por cercanía.
+    const near = parseNearQuery(req.query.near, req.query.radiusKm);
+    if (near?.error) {
+      return res.status(400).json({ ok: false, error: near.error });
+    }
+
+    if (near) {
+      const nearby = await listActivitiesNear({
+        ...near,
+        destinationId,
+        category,
+        limit: parsedLimit
+      });
+
+      return res.status(200).json({
+        ok: true,
+        count: nearby.length,
+        near: { ...near.center, radiusKm: near.radiusKm },
+        activities: nearby.map((a) => ({
+          ...toPublicActivity(a),
+          distanceKm: a.distanceKm
+        }))
+      });
+    }
+
     // Obtenemos la lista de actividades desde el servicio.
     const items = await listActivities({
       destinationId,
@@ -143,6 +179,9 @@ export async function remove(req, res, next) {
       });
     }
 
+    // Borramos sus reseñas (subcolección).
+    await deleteActivityReviews(id);
+
     // Confirmamos la eliminación.
     return res.status(200).json({
       ok: true,
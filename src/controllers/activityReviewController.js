@@ -0,0 +1,223 @@
+// src/controllers/activityReviewController.js
+// -------------------------------------------
+// Reseñas de actividades.
+//
+// Rutas:
+//   GET    /api/activities/:id/reviews       -> listado público (?sort=&limit=&startAfterId=)
+//   GET    /api/activities/:id/reviews/mine  -> mi reseña y si puedo reseñar (auth)
+//   POST   /api/activities/:id/reviews       -> dejar una reseña (auth)
+//   PATCH  /api/activities/:id/reviews/mine  -> editar mi reseña (auth)
+//   DELETE /api/activities/:id/reviews/mine  -> borrar mi reseña (auth)
+//
+// La baja de reseñas de otros usuarios está en adminController, bajo
+// /admin/activities/:id/reviews/:reviewId.
+
+import {
+  activityReviewCreateSchema,
+  activityReviewUpdateSchema,
+  reviewSortEnum,
+  toPublicActivityReview
+} from '../models/activityReviewModel.js';
+import {
+  createActivityReview,
+  updateActivityReview,
+  deleteActivityReview,
+  getActivityReview,
+  listActivityReviews,
+  findReviewableTrip
+} from '../services/activityReviewService.js';
+import { getActivityById } from '../services/activityService.js';
+import { getUploadById } from '../services/uploadService.js';
+
+// Resumen de puntuación de la actividad que acompaña las respuestas.
+function ratingSummary(activity) {
+  return {
+    rating: typeof activity.rating === 'number' ? activity.rating : null,
+    reviewsCount: typeof activity.reviewsCount === 'number' ? activity.reviewsCount : 0
+  };
+}
+
+// Convierte los IDs de uploads en fotos de la reseña ({ uploadId, url }).
+// Solo valen imágenes subidas por el mismo usuario. Devuelve { photos } o
+// { invalidIds } con los que no cumplen.
+async function resolveReviewPhotos(photoIds, userId) {
+  const ids = [...new Set(photoIds)];
+  const uploads = await Promise.all(ids.map((id) => getUploadById(id)));
+
+  const invalidIds = ids.filter((id, i) => {
+    const u = uploads[i];
+    if (!u || u.userId !== userId || u.type === 'doc') return true;
+    return u.mimeType !== null && !u.mimeType.startsWith('image/');
+  });
+  if (invalidIds.length > 0) return { invalidIds };
+
+  return { photos: uploads.map((u) => ({ uploadId: u.id, url: u.storagePath })) };
+}
+
+// Respuesta de error de mutateReview (ver activityReviewService).
+function sendReviewError(res, error) {
+  const status = error === 'REVIEW_EXISTS' ? 409 : 404;
+  return res.status(status).json({ ok: false, error });
+}
+
+//
+// GET /api/activities/:id/reviews?sort=recent|oldest|rating_desc|rating_asc
+// -------------------------------------------------------------------------
+// Devuelve las reseñas y el resumen de la actividad (rating, reviewsCount y
+// cantidad de reseñas por puntuación).
+//
+export async function list(req, res, next) {
+  try {
+    const activity = await getActivityById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
+    }
+
+    const sort = reviewSortEnum.safeParse(req.query.sort);
+    const limit = req.query.limit
+      ? Math.min(parseInt(req.query.limit, 10) || 20, 100)
+      : 20;
+
+    const { reviews, distribution } = await listActivityReviews(activity.id, {
+      sort: sort.success ? sort.data : 'recent',
+      limit,
+      startAfterId: req.query.startAfterId
+    });
+
+    return res.status(200).json({
+      ok: true,
+      count: reviews.length,
+      summary: { ...ratingSummary(activity), distribution },
+      reviews: reviews.map(toPublicActivityReview)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/activities/:id/reviews/mine
+// ------------------------------------
+// Para el frontend: { review, canReview, tripId }. canReview es false si
+// ya reseñó o si no tiene la actividad en un viaje completado.
+//
+export async function getMine(req, res, next) {
+  try {
+    const activity = await getActivityById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
+    }
+
+    const review = await getActivityReview(activity.id, req.user.id);
+    const tripId = review ? review.tripId : await findReviewableTrip(req.user.id, activity.id);
+
+    return res.status(200).json({
+      ok: true,
+      review: toPublicActivityReview(review),
+      canReview: !review && !!tripId,
+      tripId: tripId || null
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// POST /api/activities/:id/reviews
+// --------------------------------
+// Body: { rating: 1..5, text, photoIds? }
+// Solo si el usuario tuvo la actividad en el itinerario de un viaje
+// completado; si no, 403 REVIEW_NOT_ALLOWED.
+//
+export async function create(req, res, next) {
+  try {
+    const data = activityReviewCreateSchema.parse(req.body);
+
+    const activity = await getActivityById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
+    }
+
+    const tripId = await findReviewableTrip(req.user.id, activity.id);
+    if (!tripId) {
+      return res.status(403).json({ ok: false, error: 'REVIEW_NOT_ALLOWED' });
+    }
+
+    const { photos, invalidIds } = await resolveReviewPhotos(data.photoIds, req.user.id);
+    if (invalidIds) {
+      return res.status(400).json({
+        ok: false,
+        error: 'INVALID_PHOTOS',
+        details: { photoIds: invalidIds }
+      });
+    }
+
+    const result = await createActivityReview(activity.id, req.user.id, {
+      rating: data.rating,
+      text: data.text,
+      photos,
+      tripId,
+      userName: req.user.name
+    });
+    if (!result.ok) return sendReviewError(res, result.error);
+
+    return res.status(201).json({
+      ok: true,
+      review: toPublicActivityReview(result.review),
+      summary: ratingSummary(result.activity)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/activities/:id/reviews/mine
+// Body parcial: { rating?, text?, photoIds? }
+export async function updateMine(req, res, next) {
+  try {
+    const data = activityReviewUpdateSchema.parse(req.body);
+
+    const patch = {};
+    if ('rating' in data) patch.rating = data.rating;
+    if ('text' in data) patch.text = data.text;
+
+    if (data.photoIds) {
+      const { photos, invalidIds } = await resolveReviewPhotos(data.photoIds, req.user.id);
+      if (invalidIds) {
+        return res.status(400).json({
+          ok: false,
+          error: 'INVALID_PHOTOS',
+          details: { photoIds: invalidIds }
+        });
+      }
+      patch.photos = photos;
+    }
+
+    const result = await updateActivityReview(req.params.id, req.user.id, patch);
+    if (!result.ok) return sendReviewError(res, result.error);
+
+    return res.status(200).json({
+      ok: true,
+      review: toPublicActivityReview(result.review),
+      summary: ratingSummary(result.activity)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/activities/:id/reviews/mine
+export async function removeMine(req, res, next) {
+  try {
+    const result = await deleteActivityReview(req.params.id, req.user.id);
+    if (!result.ok) return sendReviewError(res, result.error);
+
+    return res.status(200).json({
+      ok: true,
+      deleted: result.review.id,
+      summary: ratingSummary(result.activity)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
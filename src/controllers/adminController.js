@@ -11,6 +11,35 @@ import { toPublicUser } from '../models/userModel.js';
 // en lugar de leer "trips" directo desde Firestore.
 import { listTrips as listTripsService } from '../services/tripService.js';
 
+// Cola de moderación del catálogo (propuestas de destinos y actividades).
+import {
+  catalogProposalRejectSchema,
+  proposalStatusEnum,
+  proposalTypeEnum,
+  toPublicCatalogProposal
+} from '../models/catalogProposalModel.js';
+import {
+  listCatalogProposals,
+  getCatalogProposalById,
+  closeCatalogProposal,
+  reopenCatalogProposal,
+  setCatalogProposalResult,
+  getProposalTarget,
+  applyCatalogProposal
+} from '../services/catalogProposalService.js';
+import { getDestinationById } from '../services/destinationService.js';
+import { toPublicDestination } from '../models/destinationModel.js';
+import { toPublicActivity } from '../models/activityModel.js';
+import { diffRecord } from '../utils/recordDiff.js';
+
+// Moderación de reseñas de actividades.
+import { deleteActivityReview } from '../services/activityReviewService.js';
+
+// Importación masiva del catálogo (CSV / JSON / GeoJSON).
+import { resolveImportType } from '../models/catalogImportModel.js';
+import { detectImportFormat } from '../utils/catalogImport.js';
+import { importCatalog } from '../services/catalogImportService.js';
+
 
 // ----------------------------------------------------------
 // GET /admin/users
@@ -66,3 +95,243 @@ export async function listTripsAdmin(req, res, next) {
     next(err);
   }
 }
+
+
+// ----------------------------------------------------------
+// Cola de moderación del catálogo
+// ----------------------------------------------------------
+// Los usuarios proponen destinos y actividades (o cambios sobre los
+// existentes) en /api/proposals; acá un admin los revisa.
+// ----------------------------------------------------------
+
+// Registro del catálogo en formato público, según el tipo.
+function toPublicCatalogRecord(type, record) {
+  return type === 'destination' ? toPublicDestination(record) : toPublicActivity(record);
+}
+
+// Responde 409 cuando la propuesta ya no está pendiente.
+function sendNotPending(res, status) {
+  return res.status(409).json({
+    ok: false,
+    error: 'PROPOSAL_NOT_PENDING',
+    details: { status }
+  });
+}
+
+// ----------------------------------------------------------
+// GET /admin/proposals?status=pending&type=
+// ----------------------------------------------------------
+// Por defecto, la cola de pendientes de la más vieja a la más nueva.
+// Con ?status=all se ven todas (las más nuevas primero).
+// ----------------------------------------------------------
+export async function listProposals(req, res, next) {
+  try {
+    const all = req.query.status === 'all';
+    const status = proposalStatusEnum.safeParse(req.query.status ?? 'pending');
+    const type = proposalTypeEnum.safeParse(req.query.type);
+
+    const items = await listCatalogProposals({
+      status: !all && status.success ? status.data : undefined,
+      type: type.success ? type.data : undefined,
+      order: all ? 'desc' : 'asc',
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+
+    return res.json({
+      ok: true,
+      count: items.length,
+      proposals: items.map(toPublicCatalogProposal)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ----------------------------------------------------------
+// GET /admin/proposals/:id
+// ----------------------------------------------------------
+// Detalle de la propuesta con las diferencias contra el registro actual:
+//   { proposal, target, changes: [{ field, before, after }], stale, targetMissing }
+// "stale" indica que el registro cambió después de que se envió la
+// propuesta (conviene revisar el diff con cuidado antes de aprobar).
+// ----------------------------------------------------------
+export async function getProposal(req, res, next) {
+  try {
+    const proposal = await getCatalogProposalById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+
+    const target = await getProposalTarget(proposal.type, proposal.targetId);
+    const isUpdate = proposal.action === 'update';
+
+    return res.json({
+      ok: true,
+      proposal: toPublicCatalogProposal(proposal),
+      target: target ? toPublicCatalogRecord(proposal.type, target) : null,
+      changes: diffRecord(target, proposal.data),
+      stale: isUpdate && !!target && target.updatedAt !== proposal.baseUpdatedAt,
+      targetMissing: isUpdate && !target
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ----------------------------------------------------------
+// POST /admin/proposals/:id/approve
+// ----------------------------------------------------------
+// Aplica la propuesta (crea el registro o le aplica los cambios) y la
+// marca como aprobada. Si no se puede aplicar, queda pendiente.
+// Devuelve el registro resultante.
+// ----------------------------------------------------------
+export async function approveProposal(req, res, next) {
+  try {
+    const proposal = await getCatalogProposalById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+    if (proposal.status !== 'pending') {
+      return sendNotPending(res, proposal.status);
+    }
+
+    // El registro a editar (o el destino de una actividad) pudo haberse
+    // borrado mientras la propuesta esperaba.
+    if (proposal.action === 'update' && !(await getProposalTarget(proposal.type, proposal.targetId))) {
+      return res.status(404).json({ ok: false, error: 'TARGET_NOT_FOUND' });
+    }
+    if (proposal.type === 'activity' && proposal.data.destinationId &&
+      !(await getDestinationById(proposal.data.destinationId))) {
+      return res.status(400).json({ ok: false, error: 'DESTINATION_NOT_FOUND' });
+    }
+
+    const closed = await closeCatalogProposal(proposal.id, { status: 'approved', by: req.user.id });
+    if (!closed) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+    if (!closed.ok) {
+      return sendNotPending(res, closed.status);
+    }
+
+    // Se marca como aprobada antes de aplicarla para que dos admins no la
+    // apliquen dos veces. Si aplicarla falla, vuelve a quedar pendiente.
+    let record;
+    try {
+      record = await applyCatalogProposal(proposal);
+    } catch (err) {
+      await reopenCatalogProposal(proposal.id);
+      throw err;
+    }
+
+    if (!record) {
+      await reopenCatalogProposal(proposal.id);
+      return res.status(404).json({ ok: false, error: 'TARGET_NOT_FOUND' });
+    }
+
+    await setCatalogProposalResult(proposal.id, record.id);
+
+    return res.json({
+      ok: true,
+      proposal: toPublicCatalogProposal({ ...closed.proposal, resultId: record.id }),
+      [proposal.type]: toPublicCatalogRecord(proposal.type, record)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ----------------------------------------------------------
+// POST /admin/proposals/:id/reject
+// ----------------------------------------------------------
+// Body: { reason }. El motivo queda visible para quien la envió.
+// ----------------------------------------------------------
+export async function rejectProposal(req, res, next) {
+  try {
+    const { reason } = catalogProposalRejectSchema.parse(req.body);
+
+    const closed = await closeCatalogProposal(req.params.id, {
+      status: 'rejected',
+      by: req.user.id,
+      reason
+    });
+    if (!closed) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+    if (!closed.ok) {
+      return sendNotPending(res, closed.status);
+    }
+
+    return res.json({
+      ok: true,
+      proposal: toPublicCatalogProposal(closed.proposal)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ----------------------------------------------------------
+// DELETE /admin/activities/:id/reviews/:reviewId
+// ----------------------------------------------------------
+// Borra la reseña de cualquier usuario (el reviewId es su userId) y
+// recalcula el rating de la actividad.
+// ----------------------------------------------------------
+export async function removeActivityReview(req, res, next) {
+  try {
+    const result = await deleteActivityReview(req.params.id, req.params.reviewId);
+    if (!result.ok) {
+      return res.status(404).json({ ok: false, error: result.error });
+    }
+
+    return res.json({
+      ok: true,
+      deleted: result.review.id,
+      activity: toPublicActivity(result.activity)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ----------------------------------------------------------
+// POST /admin/import/:type?dryRun=true&format=
+// ----------------------------------------------------------
+// :type es "destinations" o "activities". El archivo va en el campo
+// "file" (multipart); el formato sale de la extensión o de ?format=.
+// También se acepta el JSON / GeoJSON directamente en el body.
+//
+// Responde siempre con el reporte por fila (creada, actualizada, sin
+// cambios o con errores). Con ?dryRun=true no se escribe nada.
+// ----------------------------------------------------------
+export async function importCatalogFile(req, res, next) {
+  try {
+    const type = resolveImportType(req.params.type);
+    if (!type) {
+      return res.status(400).json({ ok: false, error: 'INVALID_IMPORT_TYPE' });
+    }
+
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+
+    let content;
+    let format;
+    if (req.file) {
+      content = req.file.buffer.toString('utf8');
+      format = req.query.format || detectImportFormat(req.file.originalname);
+    } else if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+      // Un body JSON solo puede ser json o geojson (el CSV va como archivo).
+      content = req.body;
+      format = req.body.type === 'FeatureCollection' ? 'geojson' : 'json';
+    } else {
+      return res.status(400).json({ ok: false, error: 'IMPORT_FILE_REQUIRED' });
+    }
+
+    const report = await importCatalog({ type, content, format, dryRun });
+    if (report.error) {
+      return res.status(400).json({ ok: false, error: report.error, message: report.message });
+    }
+
+    return res.json({ ok: true, report });
+  } catch (err) {
+    next(err);
+  }
+}
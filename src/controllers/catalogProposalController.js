@@ -0,0 +1,153 @@
+// src/controllers/catalogProposalController.js
+// --------------------------------------------
+// Propuestas de cambios al catálogo enviadas por los usuarios.
+//
+// Rutas (todas con authMiddleware):
+//   POST   /api/proposals          -> proponer un alta o una edición
+//   GET    /api/proposals          -> mis propuestas (?status=&type=)
+//   GET    /api/proposals/:id      -> detalle (autor o admin)
+//   DELETE /api/proposals/:id      -> retirar una propuesta pendiente (autor)
+//
+// La revisión (aprobar / rechazar / ver diferencias) está en
+// adminController, bajo /admin/proposals.
+
+import {
+  catalogProposalCreateSchema,
+  parseProposalData,
+  proposalStatusEnum,
+  proposalTypeEnum,
+  toPublicCatalogProposal
+} from '../models/catalogProposalModel.js';
+import {
+  createCatalogProposal,
+  getCatalogProposalById,
+  listCatalogProposals,
+  closeCatalogProposal,
+  getProposalTarget
+} from '../services/catalogProposalService.js';
+import { getDestinationById } from '../services/destinationService.js';
+import { diffRecord } from '../utils/recordDiff.js';
+
+//
+// POST /api/proposals
+// -------------------
+// Body: { type: 'destination' | 'activity', targetId?, data, note? }
+// Sin targetId propone un alta ("data" con el esquema de creación); con
+// targetId, cambios sobre ese registro ("data" parcial).
+//
+export async function create(req, res, next) {
+  try {
+    const body = catalogProposalCreateSchema.parse(req.body);
+    const action = body.targetId ? 'update' : 'create';
+    const data = parseProposalData(body.type, action, body.data);
+
+    let target = null;
+    if (action === 'update') {
+      target = await getProposalTarget(body.type, body.targetId);
+      if (!target) {
+        return res.status(404).json({ ok: false, error: 'TARGET_NOT_FOUND' });
+      }
+
+      // Una edición que no cambia nada no entra a la cola.
+      if (diffRecord(target, data).length === 0) {
+        return res.status(400).json({ ok: false, error: 'EMPTY_PROPOSAL' });
+      }
+    }
+
+    // Una actividad tiene que apuntar a un destino existente.
+    if (body.type === 'activity' && data.destinationId) {
+      const destination = await getDestinationById(data.destinationId);
+      if (!destination) {
+        return res.status(400).json({ ok: false, error: 'DESTINATION_NOT_FOUND' });
+      }
+    }
+
+    const created = await createCatalogProposal({
+      type: body.type,
+      action,
+      targetId: body.targetId,
+      data,
+      note: body.note,
+      authorId: req.user.id,
+      authorName: req.user.name,
+      baseUpdatedAt: target?.updatedAt || null
+    });
+
+    return res.status(201).json({
+      ok: true,
+      proposal: toPublicCatalogProposal(created)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/proposals?status=&type=
+export async function listMine(req, res, next) {
+  try {
+    const status = proposalStatusEnum.safeParse(req.query.status);
+    const type = proposalTypeEnum.safeParse(req.query.type);
+
+    const items = await listCatalogProposals({
+      authorId: req.user.id,
+      status: status.success ? status.data : undefined,
+      type: type.success ? type.data : undefined
+    });
+
+    return res.status(200).json({
+      ok: true,
+      count: items.length,
+      proposals: items.map(toPublicCatalogProposal)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/proposals/:id (autor o admin)
+export async function getById(req, res, next) {
+  try {
+    const proposal = await getCatalogProposalById(req.params.id);
+
+    // A quien no es el autor no le revelamos que existe.
+    if (!proposal || (proposal.authorId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      proposal: toPublicCatalogProposal(proposal)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/proposals/:id: retira una propuesta pendiente propia.
+export async function withdraw(req, res, next) {
+  try {
+    const proposal = await getCatalogProposalById(req.params.id);
+    if (!proposal || proposal.authorId !== req.user.id) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+
+    const result = await closeCatalogProposal(proposal.id, { status: 'withdrawn', by: req.user.id });
+    if (!result) {
+      return res.status(404).json({ ok: false, error: 'PROPOSAL_NOT_FOUND' });
+    }
+    if (!result.ok) {
+      return res.status(409).json({
+        ok: false,
+        error: 'PROPOSAL_NOT_PENDING',
+        details: { status: result.status }
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      proposal: toPublicCatalogProposal(result.proposal)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,317 @@
+// src/controllers/checklistController.js
+// --------------------------------------
+// Checklists del viaje: equipaje, pendientes antes de salir y listas propias.
+//
+// Rutas (todas con authMiddleware):
+//   GET    /api/trips/:id/checklists                          -> listar (viewer+)
+//   POST   /api/trips/:id/checklists                          -> crear (editor+)
+//   POST   /api/trips/:id/checklists/generate                 -> sugerir / crear desde reglas (editor+)
+//   GET    /api/trips/:id/checklists/:checklistId             -> detalle (viewer+)
+//   PATCH  /api/trips/:id/checklists/:checklistId             -> renombrar (editor+)
+//   DELETE /api/trips/:id/checklists/:checklistId             -> borrar (editor+)
+//   POST   /api/trips/:id/checklists/:checklistId/items       -> agregar ítem (editor+)
+//   PATCH  /api/trips/:id/checklists/:checklistId/items/:itemId  -> editar / tildar ítem
+//   DELETE /api/trips/:id/checklists/:checklistId/items/:itemId  -> quitar ítem (editor+)
+//
+// Los ítems solo se pueden asignar a miembros del viaje. Un viewer no edita
+// las listas, pero puede tildar (done) los ítems que tiene asignados.
+
+import {
+  checklistCreateSchema,
+  checklistUpdateSchema,
+  checklistGenerateSchema,
+  checklistItemCreateSchema,
+  checklistItemUpdateSchema,
+  toPublicChecklist,
+  toPublicChecklistItem
+} from '../models/checklistModel.js';
+import {
+  createChecklist,
+  getChecklistById,
+  listChecklists,
+  updateChecklist,
+  deleteChecklist,
+  addChecklistItems,
+  updateChecklistItem,
+  removeChecklistItem
+} from '../services/checklistService.js';
+import { checkTripAccess, getTripRole, roleAtLeast } from '../services/tripAccessService.js';
+import { getDestinationById } from '../services/destinationService.js';
+import { generateChecklistItems } from '../utils/checklistGenerator.js';
+
+// Título por defecto de las checklists generadas.
+const GENERATED_TITLES = {
+  packing: 'Equipaje',
+  pre_trip: 'Antes de viajar'
+};
+
+// Responde con el error de checkTripAccess.
+function sendAccessError(res, access) {
+  return res.status(access.status).json({ ok: false, error: access.errorCode });
+}
+
+function sendChecklistNotFound(res) {
+  return res.status(404).json({ ok: false, error: 'CHECKLIST_NOT_FOUND' });
+}
+
+// IDs asignados que no son miembros del viaje (vacío si está todo bien).
+function invalidAssignees(trip, items) {
+  const ids = items.map((i) => i.assigneeId).filter(Boolean);
+  return [...new Set(ids.filter((userId) => !getTripRole(trip, userId)))];
+}
+
+function sendInvalidAssignees(res, details) {
+  return res.status(400).json({ ok: false, error: 'INVALID_ASSIGNEE', details });
+}
+
+// GET /api/trips/:id/checklists
+export async function list(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const items = await listChecklists(access.trip.id);
+
+    return res.status(200).json({
+      ok: true,
+      count: items.length,
+      checklists: items.map(toPublicChecklist)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/trips/:id/checklists
+// Body: { title, kind?, items? }
+export async function create(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const data = checklistCreateSchema.parse(req.body);
+
+    const notMembers = invalidAssignees(access.trip, data.items);
+    if (notMembers.length > 0) return sendInvalidAssignees(res, notMembers);
+
+    const created = await createChecklist(access.trip.id, {
+      ...data,
+      createdBy: req.user.id
+    });
+
+    return res.status(201).json({
+      ok: true,
+      checklist: toPublicChecklist(created)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// POST /api/trips/:id/checklists/generate
+// ---------------------------------------
+// Body: { kind?: 'packing' | 'pre_trip', title?, destinationIds?, dryRun? }
+// Arma una lista sugerida con las reglas de src/data/packingRules.json,
+// según los tags de los destinos, la duración y los intereses del viaje.
+// Si no se indican destinos, se usan los de los tramos del viaje.
+// Con dryRun: true solo devuelve los ítems sugeridos, sin guardar nada.
+//
+export async function generate(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const data = checklistGenerateSchema.parse(req.body || {});
+    const trip = access.trip;
+
+    const destinationIds = data.destinationIds ||
+      [...new Set((trip.legs || []).map((leg) => leg.destinationId))];
+    const destinations = (await Promise.all(destinationIds.map((id) => getDestinationById(id))))
+      .filter(Boolean);
+
+    const items = generateChecklistItems({ kind: data.kind, trip, destinations });
+
+    if (data.dryRun) {
+      return res.status(200).json({
+        ok: true,
+        kind: data.kind,
+        destinationIds: destinations.map((d) => d.id),
+        items
+      });
+    }
+
+    const created = await createChecklist(trip.id, {
+      title: data.title || GENERATED_TITLES[data.kind],
+      kind: data.kind,
+      items,
+      createdBy: req.user.id
+    });
+
+    return res.status(201).json({
+      ok: true,
+      checklist: toPublicChecklist(created)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/trips/:id/checklists/:checklistId
+export async function getById(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const checklist = await getChecklistById(access.trip.id, req.params.checklistId);
+    if (!checklist) return sendChecklistNotFound(res);
+
+    return res.status(200).json({
+      ok: true,
+      checklist: toPublicChecklist(checklist)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/trips/:id/checklists/:checklistId
+export async function update(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const data = checklistUpdateSchema.parse(req.body);
+
+    const updated = await updateChecklist(access.trip.id, req.params.checklistId, data);
+    if (!updated) return sendChecklistNotFound(res);
+
+    return res.status(200).json({
+      ok: true,
+      checklist: toPublicChecklist(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/trips/:id/checklists/:checklistId
+export async function remove(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const ok = await deleteChecklist(access.trip.id, req.params.checklistId);
+    if (!ok) return sendChecklistNotFound(res);
+
+    return res.status(200).json({
+      ok: true,
+      deleted: req.params.checklistId
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/trips/:id/checklists/:checklistId/items
+// Body: { label, category?, quantity?, assigneeId?, done? }
+export async function addItem(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const data = checklistItemCreateSchema.parse(req.body);
+
+    const notMembers = invalidAssignees(access.trip, [data]);
+    if (notMembers.length > 0) return sendInvalidAssignees(res, notMembers);
+
+    const result = await addChecklistItems(access.trip.id, req.params.checklistId, [data], {
+      by: req.user.id
+    });
+    if (!result) return sendChecklistNotFound(res);
+
+    return res.status(201).json({
+      ok: true,
+      item: toPublicChecklistItem(result.items[0]),
+      checklist: toPublicChecklist(result.checklist)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// PATCH /api/trips/:id/checklists/:checklistId/items/:itemId
+// ----------------------------------------------------------
+// Body: { label?, category?, quantity?, assigneeId?, done? }
+// Owner y editores pueden cambiar cualquier campo. Un viewer solo puede
+// mandar { done } y solo en ítems asignados a él.
+//
+export async function updateItem(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const data = checklistItemUpdateSchema.parse(req.body);
+    const trip = access.trip;
+    const { checklistId, itemId } = req.params;
+
+    // Un viewer solo tilda sus ítems. Que el ítem esté asignado a él se
+    // chequea dentro de la transacción (canEdit), con el ítem guardado.
+    const isViewer = !roleAtLeast(access.role, 'editor');
+    if (isViewer && !Object.keys(data).every((key) => key === 'done')) {
+      return res.status(403).json({ ok: false, error: 'FORBIDDEN_TRIP_ROLE' });
+    }
+
+    if (data.assigneeId) {
+      const notMembers = invalidAssignees(trip, [data]);
+      if (notMembers.length > 0) return sendInvalidAssignees(res, notMembers);
+    }
+
+    const result = await updateChecklistItem(trip.id, checklistId, itemId, data, {
+      by: req.user.id,
+      canEdit: isViewer ? (item) => item.assigneeId === req.user.id : null
+    });
+    if (!result) return sendChecklistNotFound(res);
+    if (result.forbidden) {
+      return res.status(403).json({ ok: false, error: 'FORBIDDEN_TRIP_ROLE' });
+    }
+    if (!result.item) {
+      return res.status(404).json({ ok: false, error: 'CHECKLIST_ITEM_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      item: toPublicChecklistItem(result.item),
+      checklist: toPublicChecklist(result.checklist)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/trips/:id/checklists/:checklistId/items/:itemId
+export async function removeItem(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const result = await removeChecklistItem(
+      access.trip.id,
+      req.params.checklistId,
+      req.params.itemId
+    );
+    if (!result) return sendChecklistNotFound(res);
+    if (!result.removed) {
+      return res.status(404).json({ ok: false, error: 'CHECKLIST_ITEM_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      deleted: req.params.itemId,
+      checklist: toPublicChecklist(result.checklist)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -11,10 +11,14 @@ import {
   createDestination,
   getDestinationById,
   listDestinations,
+  listDestinationsNear,
   updateDestination,
   deleteDestination
 } from '../services/destinationService.js';
 
+// Parser de ?near=lat,lng&radiusKm= para las búsquedas por cercanía.
+import { parseNearQuery } from '../utils/geo.js';
+
 // Controlador para crear un nuevo destino.
 // Ruta: POST /api/destinations
 export async function create(req, res, next) {
@@ -65,6 +69,10 @@ export async function getById(req, res, next) {
 
 // Controlador para listar destinos con filtros opcionales.
 // Ruta: GET /api/destinations?country=AR&tag=playa&limit=20&startAfterId=...
+//
+// Con ?near=lat,lng&radiusKm=5 devuelve solo los destinos dentro de ese
+// radio, del más cercano al más lejano y con "distanceKm" en cada uno
+// (en ese modo no se usa startAfterId).
 export async function list(req, res, next) {
   try {
     // Extraemos filtros y parámetros de paginación desde la query.
@@ -75,6 +83,31 @@ export async function list(req, res, next) {
       ? Math.min(parseInt(limit, 10) || 20, 100)
       : 20;
 
+    // Búsqueda por cercanía.
+    const near = parseNearQuery(req.query.near, req.query.radiusKm);
+    if (near?.error) {
+      return res.status(400).json({ ok: false, error: near.error });
+    }
+
+    if (near) {
+      const nearby = await listDestinationsNear({
+        ...near,
+        country,
+        tag,
+        limit: parsedLimit
+      });
+
+      return res.status(200).json({
+        ok: true,
+        count: nearby.length,
+        near: { ...near.center, radiusKm: near.radiusKm },
+        destinations: nearby.map((d) => ({
+          ...toPublicDestination(d),
+          distanceKm: d.distanceKm
+        }))
+      });
+    }
+
     // Llamamos al servicio pasando los filtros.
     const items = await listDestinations({
       country,
@@ -0,0 +1,410 @@
+// src/controllers/expenseController.js
+// ------------------------------------
+// Gastos reales del viaje y sus cuentas.
+//
+// Rutas (todas con authMiddleware):
+//   GET    /api/trips/:id/expenses                -> listar (viewer+)
+//   POST   /api/trips/:id/expenses                -> registrar (editor+)
+//   GET    /api/trips/:id/expenses/summary        -> gasto vs. presupuesto, por categoría y día
+//   GET    /api/trips/:id/expenses/balances       -> saldos y quién le debe a quién
+//
+// summary y balances aceptan ?convertTo=USD (o ?convertTo=home, la moneda
+// del usuario): todos los gastos se convierten a esa moneda con la
+// cotización del día de cada gasto y se resumen juntos.
+//   GET    /api/trips/:id/expenses/:expenseId     -> detalle
+//   PATCH  /api/trips/:id/expenses/:expenseId     -> editar (editor+)
+//   DELETE /api/trips/:id/expenses/:expenseId     -> borrar (editor+)
+//
+// Quien paga y quienes participan del reparto tienen que ser miembros del
+// viaje. Si no se indica el reparto, se divide entre todos los miembros.
+
+import {
+  expenseCategoryEnum,
+  expenseCreateSchema,
+  expenseUpdateSchema,
+  expenseSplitIssues,
+  toPublicExpense
+} from '../models/expenseModel.js';
+import { toPublicTripMembers } from '../models/tripModel.js';
+import {
+  createExpense,
+  getExpenseById,
+  listExpenses,
+  updateExpense,
+  deleteExpense
+} from '../services/expenseService.js';
+import { checkTripAccess, getTripRole } from '../services/tripAccessService.js';
+import { getItineraryById } from '../services/itineraryService.js';
+import { getCurrencyConverter } from '../services/exchangeRateService.js';
+import {
+  resolveExpenseSplit,
+  rescaleSplit,
+  summarizeExpenses,
+  computeBalances
+} from '../utils/expenseLedger.js';
+import { resolveTargetCurrency, roundMoney, tripCurrency } from '../utils/currency.js';
+
+// Responde con el error de checkTripAccess.
+function sendAccessError(res, access) {
+  return res.status(access.status).json({ ok: false, error: access.errorCode });
+}
+
+// Filtro "YYYY-MM-DD" de la query (o undefined si no es válido).
+function dateParam(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : undefined;
+}
+
+// Verifica pagador, participantes y bloque vinculado de un gasto ya
+// combinado. Devuelve null si está todo bien, o { status, error, details }.
+async function checkExpenseReferences(trip, expense) {
+  const people = [expense.paidBy, ...expense.splitAmong.map((p) => p.userId)];
+  const notMembers = [...new Set(people.filter((userId) => !getTripRole(trip, userId)))];
+  if (notMembers.length > 0) {
+    return { status: 400, error: 'INVALID_PARTICIPANTS', details: notMembers };
+  }
+
+  if (expense.period) {
+    const { itineraryId, day, periodIndex } = expense.period;
+    const itinerary = await getItineraryById(itineraryId);
+    const period = itinerary?.tripId === trip.id
+      ? (itinerary.data?.days || []).find((d) => d.day === day)?.periods?.[periodIndex]
+      : null;
+
+    if (!period) {
+      return { status: 400, error: 'PERIOD_NOT_FOUND' };
+    }
+  }
+
+  return null;
+}
+
+// Agrupa gastos por moneda. Los que no la indican van con la del viaje.
+function groupByCurrency(expenses, defaultCurrency) {
+  const groups = new Map();
+  for (const e of expenses) {
+    const key = e.currency || defaultCurrency;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return groups;
+}
+
+// Convierte los gastos a la moneda "to" con la cotización vigente el día de
+// cada gasto (el reparto se escala para que siga sumando el total).
+// Devuelve { expenses, ratesUsed: [{ from, rate, effectiveDate }], missing }.
+// "missing" son las monedas sin cotización a "to".
+function convertExpenses(expenses, converter, defaultCurrency, to) {
+  const converted = [];
+  const ratesUsed = new Map();
+  const missing = new Set();
+
+  for (const e of expenses) {
+    const from = e.currency || defaultCurrency;
+    const found = converter.rateFor(from, to, e.date);
+    if (!found) {
+      missing.add(from);
+      continue;
+    }
+
+    const amount = roundMoney(e.amount * found.rate);
+    converted.push({ ...e, currency: to, amount, splitAmong: rescaleSplit(e.splitAmong, amount) });
+
+    if (from !== to) {
+      ratesUsed.set(`${from}:${found.effectiveDate}`, {
+        from,
+        rate: found.rate,
+        effectiveDate: found.effectiveDate
+      });
+    }
+  }
+
+  return { expenses: converted, ratesUsed: [...ratesUsed.values()], missing: [...missing] };
+}
+
+// Resuelve ?convertTo y convierte los gastos. Devuelve null si no se pidió
+// conversión, { error } si no se puede, o { currency, expenses, ratesUsed }.
+async function loadConvertedExpenses(req, trip, expenses) {
+  const target = resolveTargetCurrency(req.query.convertTo, req.user);
+  if (!target) return null;
+  if (target.error) return { error: { status: 400, error: target.error } };
+
+  const converter = await getCurrencyConverter();
+  const result = convertExpenses(expenses, converter, tripCurrency(trip), target.currency);
+
+  if (result.missing.length > 0) {
+    return {
+      error: {
+        status: 400,
+        error: 'EXCHANGE_RATE_NOT_FOUND',
+        details: result.missing.map((from) => ({ from, to: target.currency }))
+      }
+    };
+  }
+
+  return { currency: target.currency, converter, ...result };
+}
+
+// GET /api/trips/:id/expenses?category=&from=&to=
+export async function list(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const category = expenseCategoryEnum.safeParse(req.query.category);
+
+    const items = await listExpenses(access.trip.id, {
+      category: category.success ? category.data : undefined,
+      from: dateParam(req.query.from),
+      to: dateParam(req.query.to)
+    });
+
+    return res.status(200).json({
+      ok: true,
+      count: items.length,
+      expenses: items.map(toPublicExpense)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/trips/:id/expenses
+export async function create(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const data = expenseCreateSchema.parse(req.body);
+    const trip = access.trip;
+
+    // Por defecto paga quien registra y se reparte entre todos los miembros.
+    const participants = data.splitAmong ||
+      toPublicTripMembers(trip).map((m) => ({ userId: m.userId }));
+
+    // La moneda queda fija en el gasto: si no viene, la del viaje.
+    const expense = {
+      ...data,
+      currency: data.currency || tripCurrency(trip),
+      paidBy: data.paidBy || req.user.id,
+      splitAmong: resolveExpenseSplit(data.amount, participants),
+      createdBy: req.user.id
+    };
+
+    const problem = await checkExpenseReferences(trip, expense);
+    if (problem) {
+      return res.status(problem.status).json({ ok: false, error: problem.error, details: problem.details });
+    }
+
+    const created = await createExpense(trip.id, expense);
+
+    return res.status(201).json({
+      ok: true,
+      expense: toPublicExpense(created)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/trips/:id/expenses/:expenseId
+export async function getById(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const expense = await getExpenseById(access.trip.id, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({ ok: false, error: 'EXPENSE_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      expense: toPublicExpense(expense)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/trips/:id/expenses/:expenseId
+export async function update(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const existing = await getExpenseById(access.trip.id, req.params.expenseId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: 'EXPENSE_NOT_FOUND' });
+    }
+
+    const data = expenseUpdateSchema.parse(req.body);
+    const amount = data.amount ?? existing.amount;
+
+    // Si cambia el monto y no viene un reparto nuevo: si el reparto guardado
+    // era en partes iguales se recalcula; si tenía montos fijos, hay que
+    // mandar el reparto de nuevo.
+    let participants = data.splitAmong;
+    if (!participants) {
+      const wasEven = resolveExpenseSplit(existing.amount, existing.splitAmong.map((p) => ({ userId: p.userId })))
+        .every((p, idx) => p.amount === existing.splitAmong[idx].amount);
+      participants = wasEven
+        ? existing.splitAmong.map((p) => ({ userId: p.userId }))
+        : existing.splitAmong;
+    }
+
+    const splitIssues = expenseSplitIssues(amount, participants);
+    if (splitIssues.length > 0) {
+      return res.status(400).json({ ok: false, error: 'VALIDATION_ERROR', details: splitIssues });
+    }
+
+    const merged = {
+      ...existing,
+      ...data,
+      amount,
+      splitAmong: resolveExpenseSplit(amount, participants)
+    };
+
+    const problem = await checkExpenseReferences(access.trip, merged);
+    if (problem) {
+      return res.status(problem.status).json({ ok: false, error: problem.error, details: problem.details });
+    }
+
+    const updated = await updateExpense(access.trip.id, existing.id, {
+      ...data,
+      amount,
+      splitAmong: merged.splitAmong
+    });
+
+    return res.status(200).json({
+      ok: true,
+      expense: toPublicExpense(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/trips/:id/expenses/:expenseId
+export async function remove(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'editor' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const ok = await deleteExpense(access.trip.id, req.params.expenseId);
+    if (!ok) {
+      return res.status(404).json({ ok: false, error: 'EXPENSE_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      deleted: req.params.expenseId
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/trips/:id/expenses/summary?convertTo=
+// ----------------------------------------------
+// Gasto real contra trip.budget, por categoría y por día. Los gastos en la
+// moneda del viaje se comparan con el presupuesto; los que están en otras
+// monedas se resumen aparte (sin presupuesto), uno por moneda.
+//
+// Con ?convertTo, todo (gastos y presupuesto) se pasa a esa moneda y se
+// resume junto; "ratesUsed" dice qué cotizaciones se aplicaron.
+//
+export async function summary(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const trip = access.trip;
+    const currency = tripCurrency(trip);
+    const expenses = await listExpenses(trip.id);
+    const budget = typeof trip.budget === 'number' ? trip.budget : null;
+
+    const converted = await loadConvertedExpenses(req, trip, expenses);
+    if (converted?.error) {
+      return res.status(converted.error.status).json({ ok: false, ...converted.error });
+    }
+
+    if (converted) {
+      // El presupuesto se convierte con la cotización del inicio del viaje.
+      const budgetRate = budget !== null
+        ? converted.converter.rateFor(currency, converted.currency, trip.startDate)
+        : null;
+      if (budget !== null && !budgetRate) {
+        return res.status(400).json({
+          ok: false,
+          error: 'EXCHANGE_RATE_NOT_FOUND',
+          details: [{ from: currency, to: converted.currency }]
+        });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        currency: converted.currency,
+        summary: summarizeExpenses(converted.expenses, {
+          budget: budgetRate ? roundMoney(budget * budgetRate.rate) : null
+        }),
+        otherCurrencies: [],
+        ratesUsed: converted.ratesUsed
+      });
+    }
+
+    const groups = groupByCurrency(expenses, currency);
+
+    return res.status(200).json({
+      ok: true,
+      currency,
+      summary: summarizeExpenses(groups.get(currency) || [], { budget }),
+      otherCurrencies: [...groups.entries()]
+        .filter(([key]) => key !== currency)
+        .map(([key, items]) => ({ currency: key, ...summarizeExpenses(items) }))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/trips/:id/expenses/balances?convertTo=
+// -----------------------------------------------
+// Cuánto pagó cada miembro, cuánto le corresponde y los pagos sugeridos
+// para quedar a mano. Se calcula por moneda (no mezclamos monedas), salvo
+// que se pida ?convertTo: entonces hay un único saldo en esa moneda.
+//
+export async function balances(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const expenses = await listExpenses(access.trip.id);
+
+    const converted = await loadConvertedExpenses(req, access.trip, expenses);
+    if (converted?.error) {
+      return res.status(converted.error.status).json({ ok: false, ...converted.error });
+    }
+
+    if (converted) {
+      return res.status(200).json({
+        ok: true,
+        balances: [{ currency: converted.currency, ...computeBalances(converted.expenses) }],
+        ratesUsed: converted.ratesUsed
+      });
+    }
+
+    const groups = groupByCurrency(expenses, tripCurrency(access.trip));
+
+    return res.status(200).json({
+      ok: true,
+      balances: [...groups.entries()].map(([currency, items]) => ({
+        currency,
+        ...computeBalances(items)
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
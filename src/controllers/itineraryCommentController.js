@@ -0,0 +1,258 @@
+// src/controllers/itineraryCommentController.js
+// ---------------------------------------------
+// Comentarios e hilos de discusión sobre los bloques de un itinerario.
+//
+// Rutas (todas con authMiddleware):
+//   GET    /api/itineraries/:id/comments?day=&periodIndex=  -> hilos
+//   POST   /api/itineraries/:id/comments                    -> comentar / responder
+//   PATCH  /api/itineraries/:id/comments/:commentId         -> editar (solo autor)
+//   DELETE /api/itineraries/:id/comments/:commentId         -> borrar (solo autor)
+//
+// Puede leer y comentar cualquier persona que pueda leer el itinerario
+// (miembros del trip, con cualquier rol, o admin).
+
+import {
+  commentCreateSchema,
+  commentUpdateSchema,
+  toPublicComment
+} from '../models/itineraryCommentModel.js';
+import {
+  buildCommentAnchor,
+  resolveCommentAnchor,
+  createComment,
+  getComment,
+  listComments,
+  updateComment,
+  deleteComment
+} from '../services/itineraryCommentService.js';
+import { getItineraryById } from '../services/itineraryService.js';
+import { checkTripAccess, getTripRole } from '../services/tripAccessService.js';
+
+// Carga el itinerario de :id verificando que el usuario pueda leerlo.
+// Devuelve { itinerary, trip } o { error: { status, errorCode } }.
+async function loadReadableItinerary(req) {
+  const itinerary = await getItineraryById(req.params.id);
+
+  if (!itinerary) {
+    return { error: { status: 404, errorCode: 'ITINERARY_NOT_FOUND' } };
+  }
+
+  const access = await checkTripAccess({
+    tripId: itinerary.tripId,
+    req,
+    minRole: 'viewer',
+    allowAdmin: true
+  });
+
+  if (!access.ok) {
+    return { error: { status: access.status, errorCode: access.errorCode } };
+  }
+
+  return { itinerary, trip: access.trip };
+}
+
+// Las menciones tienen que ser miembros del trip. Devuelve los IDs
+// inválidos (vacío si están todos bien).
+function invalidMentions(trip, mentions = []) {
+  return mentions.filter((userId) => !getTripRole(trip, userId));
+}
+
+//
+// GET /api/itineraries/:id/comments?day=2&periodIndex=1
+// -----------------------------------------------------
+// Devuelve los hilos (comentario + replies) con el ancla recalculada
+// contra el itinerario actual, así siguen en el bloque correcto aunque
+// se haya regenerado o editado. Filtros opcionales por día y bloque.
+//
+export async function list(req, res, next) {
+  try {
+    const { itinerary, error } = await loadReadableItinerary(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const day = req.query.day !== undefined ? parseInt(req.query.day, 10) : null;
+    const periodIndex = req.query.periodIndex !== undefined
+      ? parseInt(req.query.periodIndex, 10)
+      : null;
+
+    const comments = await listComments(itinerary.id);
+
+    // Hilos: los comentarios raíz con sus respuestas, en orden cronológico.
+    const repliesByParent = new Map();
+    for (const c of comments) {
+      if (!c.parentId) continue;
+      if (!repliesByParent.has(c.parentId)) repliesByParent.set(c.parentId, []);
+      repliesByParent.get(c.parentId).push(c);
+    }
+
+    const threads = comments
+      .filter((c) => !c.parentId)
+      .map((c) => {
+        const resolved = resolveCommentAnchor(c.anchor, itinerary.data);
+        return {
+          ...toPublicComment(c, resolved),
+          replies: (repliesByParent.get(c.id) || []).map((r) => toPublicComment(r, resolved))
+        };
+      })
+      // Un hilo borrado sin respuestas no aporta nada.
+      .filter((t) => !t.deletedAt || t.replies.length > 0)
+      .filter((t) => day === null || t.resolvedAnchor.day === day)
+      .filter((t) => periodIndex === null || t.resolvedAnchor.periodIndex === periodIndex);
+
+    return res.status(200).json({
+      ok: true,
+      count: threads.length,
+      threads
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// POST /api/itineraries/:id/comments
+// ----------------------------------
+// Body: { day, periodIndex, body, mentions? }   -> comentario nuevo
+//       { parentId, body, mentions? }           -> respuesta en un hilo
+//
+export async function create(req, res, next) {
+  try {
+    const { itinerary, trip, error } = await loadReadableItinerary(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const data = commentCreateSchema.parse(req.body);
+
+    let anchor;
+    let parentId = null;
+
+    if (data.parentId) {
+      // Respuesta: se cuelga del comentario raíz y usa su ancla.
+      const parent = await getComment(itinerary.id, data.parentId);
+      if (!parent || parent.deletedAt) {
+        return res.status(404).json({ ok: false, error: 'COMMENT_NOT_FOUND' });
+      }
+      parentId = parent.parentId || parent.id;
+      anchor = parent.anchor;
+    } else {
+      anchor = buildCommentAnchor(itinerary.data, data.day, data.periodIndex);
+      if (!anchor) {
+        return res.status(400).json({ ok: false, error: 'PERIOD_NOT_FOUND' });
+      }
+    }
+
+    const invalid = invalidMentions(trip, data.mentions);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'INVALID_MENTIONS',
+        details: invalid
+      });
+    }
+
+    const created = await createComment(itinerary.id, {
+      anchor,
+      parentId,
+      authorId: req.user.id,
+      authorName: req.user.name,
+      body: data.body,
+      mentions: [...new Set(data.mentions || [])]
+    });
+
+    return res.status(201).json({
+      ok: true,
+      comment: toPublicComment(created, resolveCommentAnchor(anchor, itinerary.data))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Carga el comentario :commentId verificando que el usuario sea su autor.
+async function loadOwnComment(req, itinerary) {
+  const comment = await getComment(itinerary.id, req.params.commentId);
+
+  if (!comment || comment.deletedAt) {
+    return { error: { status: 404, errorCode: 'COMMENT_NOT_FOUND' } };
+  }
+
+  if (comment.authorId !== req.user.id) {
+    return { error: { status: 403, errorCode: 'FORBIDDEN_COMMENT_AUTHOR' } };
+  }
+
+  return { comment };
+}
+
+//
+// PATCH /api/itineraries/:id/comments/:commentId
+// ----------------------------------------------
+// Body: { body, mentions? }. Solo el autor puede editar.
+//
+export async function update(req, res, next) {
+  try {
+    const { itinerary, trip, error } = await loadReadableItinerary(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const { comment, error: commentError } = await loadOwnComment(req, itinerary);
+    if (commentError) {
+      return res.status(commentError.status).json({ ok: false, error: commentError.errorCode });
+    }
+
+    const data = commentUpdateSchema.parse(req.body);
+
+    const invalid = invalidMentions(trip, data.mentions);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'INVALID_MENTIONS',
+        details: invalid
+      });
+    }
+
+    const updated = await updateComment(itinerary.id, comment.id, {
+      body: data.body,
+      mentions: data.mentions ? [...new Set(data.mentions)] : undefined
+    });
+
+    return res.status(200).json({
+      ok: true,
+      comment: toPublicComment(updated, resolveCommentAnchor(updated.anchor, itinerary.data))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// DELETE /api/itineraries/:id/comments/:commentId
+// -----------------------------------------------
+// Solo el autor puede borrar. Si el comentario tiene respuestas, queda
+// como "borrado" para no romper el hilo.
+//
+export async function remove(req, res, next) {
+  try {
+    const { itinerary, error } = await loadReadableItinerary(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const { comment, error: commentError } = await loadOwnComment(req, itinerary);
+    if (commentError) {
+      return res.status(commentError.status).json({ ok: false, error: commentError.errorCode });
+    }
+
+    const mode = await deleteComment(itinerary.id, comment.id);
+
+    return res.status(200).json({
+      ok: true,
+      deleted: comment.id,
+      soft: mode === 'soft'
+    });
+  } catch (err) {
+    next(err);
+  }
+}
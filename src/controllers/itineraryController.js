@@ -4,16 +4,17 @@ import { z } from 'zod';
 // Importamos el servicio de IA local para itinerarios.
 import { enrichItineraryWithAI } from '../services/itineraryAiService.js';
 
-// Importamos getTripById para poder recuperar información del viaje
-// asociado al itinerario (título, intereses, etc.) y, AHORA TAMBIÉN,
-// para verificar que el itinerario pertenece al usuario autenticado.
-import { getTripById } from '../services/tripService.js';
+// Importamos checkTripAccess para recuperar el viaje asociado al
+// itinerario (título, intereses, etc.) verificando el rol del usuario en
+// ese viaje (owner, editor o viewer).
+import { checkTripAccess } from '../services/tripAccessService.js';
 
 // Importamos los esquemas de validación y el normalizador de salida.
 import {
   itineraryCreateSchema,
   itineraryUpdateSchema,
-  toPublicItinerary
+  toPublicItinerary,
+  toPublicItineraryVersion
 } from '../models/itineraryModel.js';
 
 // Importamos las funciones del servicio que hablan con Firestore.
@@ -22,11 +23,32 @@ import {
   getItineraryById,
   listItineraries,
   updateItinerary,
-  deleteItinerary
+  deleteItinerary,
+  inferItineraryDestinationId,
+  loadItineraryActivities,
+  loadRulesInputs,
+  regenerateItineraryData
 } from '../services/itineraryService.js';
 
+// Historial de versiones y diff entre versiones.
+import {
+  getItineraryVersion,
+  listItineraryVersions
+} from '../services/itineraryVersionService.js';
+import { diffItineraryData } from '../utils/itineraryDiff.js';
+
+// Exportación a calendarios (.ics).
+import { buildItineraryCalendar, parseTimeWindows } from '../utils/icalendar.js';
+
+// Exportación de recorridos como datos geográficos (GPX, KML, GeoJSON).
+import { GEO_EXPORT_FORMATS, buildItineraryGeoExport } from '../utils/geoExport.js';
+
+// Conversión de costos a otra moneda (?convertTo=).
+import { getCurrencyConverter } from '../services/exchangeRateService.js';
+import { resolveTargetCurrency, scaleItineraryCosts, tripCurrency } from '../utils/currency.js';
+
 // -----------------------------------------------------------------------------
-// Helpers de autenticación / ownership
+// Helpers de autenticación / permisos
 // -----------------------------------------------------------------------------
 // Esta función centraliza la obtención del usuario autenticado a partir
 // de req.user (inyectado por authMiddleware) y nos dice también si
@@ -64,63 +86,13 @@ function getAuthInfo(req) {
   };
 }
 
-// Esta función verifica que el trip exista y que pertenezca al usuario
-// autenticado, salvo que el usuario tenga rol "admin".
-// Devuelve un objeto con { ok, status, errorCode, trip } para que el
-// controlador pueda decidir qué respuesta enviar.
-async function checkTripOwnership({ tripId, req }) {
-  const { userId, role } = getAuthInfo(req);
-
-  // Si por alguna razón no hay usuario autenticado, devolvemos 401.
-  if (!userId) {
-    return {
-      ok: false,
-      status: 401,
-      errorCode: 'UNAUTHORIZED',
-      trip: null
-    };
-  }
-
-  // Buscamos el trip en la base de datos.
-  const trip = await getTripById(tripId);
-
-  // Si el trip no existe, devolvemos 404.
-  if (!trip) {
-    return {
-      ok: false,
-      status: 404,
-      errorCode: 'TRIP_NOT_FOUND',
-      trip: null
-    };
-  }
-
-  // Si el usuario ES admin, permitimos acceso aunque no sea el dueño.
-  if (role === 'admin') {
-    return {
-      ok: true,
-      status: 200,
-      errorCode: null,
-      trip
-    };
-  }
-
-  // Si NO es admin, verificamos que el trip sea del usuario actual.
-  if (trip.userId !== userId) {
-    return {
-      ok: false,
-      status: 403,
-      errorCode: 'FORBIDDEN_TRIP_OWNER',
-      trip: null
-    };
-  }
-
-  // Todo OK: el trip pertenece al usuario autenticado.
-  return {
-    ok: true,
-    status: 200,
-    errorCode: null,
-    trip
-  };
+// Los itinerarios bloqueados (por ejemplo, de un viaje ya completado) son
+// de solo lectura: no se editan, regeneran, restauran ni borran.
+function sendLockedError(res) {
+  return res.status(409).json({
+    ok: false,
+    error: 'ITINERARY_LOCKED'
+  });
 }
 
 //
@@ -139,21 +111,27 @@ export async function create(req, res, next) {
     const data = itineraryCreateSchema.parse(req.body);
 
     // Antes de crear el itinerario, verificamos que el trip exista
-    // y que pertenezca al usuario autenticado (o que sea admin).
-    const ownership = await checkTripOwnership({
+    // y que el usuario pueda editarlo (owner/editor, o admin).
+    const access = await checkTripAccess({
       tripId: data.tripId,
-      req
+      req,
+      minRole: 'editor',
+      allowAdmin: true
     });
 
-    if (!ownership.ok) {
-      return res.status(ownership.status).json({
+    if (!access.ok) {
+      return res.status(access.status).json({
         ok: false,
-        error: ownership.errorCode
+        error: access.errorCode
       });
     }
 
     // Llamamos al servicio para crear el itinerario en Firestore.
-    const created = await createItinerary(data);
+    // Si no se indica el modelo, lo registramos como creación manual.
+    const created = await createItinerary(data, {
+      source: data.aiModelUsed || 'manual',
+      authorId: getAuthInfo(req).userId
+    });
 
     // Devolvemos el itinerario en formato "público" (toPublicItinerary).
     return res.status(201).json({
@@ -168,10 +146,14 @@ export async function create(req, res, next) {
 }
 
 //
-// GET /api/itineraries/:id
-// ------------------------
-// Recupera un itinerario por su ID, siempre que el trip asociado
-// pertenezca al usuario autenticado (o el usuario sea admin).
+// GET /api/itineraries/:id?convertTo=USD
+// --------------------------------------
+// Recupera un itinerario por su ID, siempre que el usuario autenticado
+// sea miembro del trip asociado (o sea admin).
+//
+// Con ?convertTo (código ISO o "home") se agrega "converted": los costos
+// estimados y el budgetSummary en esa moneda, con la cotización vigente al
+// inicio del viaje. El itinerario en sí no cambia.
 //
 export async function getById(req, res, next) {
   try {
@@ -188,23 +170,54 @@ export async function getById(req, res, next) {
       });
     }
 
-    // Verificamos que el trip asociado al itinerario pertenezca al usuario.
-    const ownership = await checkTripOwnership({
+    // Verificamos que el usuario sea miembro del trip del itinerario.
+    const access = await checkTripAccess({
       tripId: it.tripId,
-      req
+      req,
+      minRole: 'viewer',
+      allowAdmin: true
     });
 
-    if (!ownership.ok) {
-      return res.status(ownership.status).json({
+    if (!access.ok) {
+      return res.status(access.status).json({
         ok: false,
-        error: ownership.errorCode
+        error: access.errorCode
       });
     }
 
-    // Si existe y pertenece al usuario (o es admin), devolvemos el itinerario.
+    const target = resolveTargetCurrency(req.query.convertTo, req.user);
+    if (target?.error) {
+      return res.status(400).json({ ok: false, error: target.error });
+    }
+
+    let converted;
+    if (target) {
+      const from = tripCurrency(access.trip);
+      const converter = await getCurrencyConverter();
+      const found = converter.rateFor(from, target.currency, access.trip.startDate);
+
+      if (!found) {
+        return res.status(400).json({
+          ok: false,
+          error: 'EXCHANGE_RATE_NOT_FOUND',
+          details: [{ from, to: target.currency }]
+        });
+      }
+
+      converted = {
+        currency: target.currency,
+        from,
+        rate: found.rate,
+        effectiveDate: found.effectiveDate,
+        ...scaleItineraryCosts(it.data, found.rate)
+      };
+    }
+
+    // Si existe y el usuario es miembro (o admin), devolvemos el itinerario.
     return res.status(200).json({
       ok: true,
-      itinerary: toPublicItinerary(it)
+      itinerary: toPublicItinerary(it),
+      ...(converted ? { converted } : {})
     });
   } catch (err) {
     next(err);
@@ -226,7 +239,7 @@ export async function list(req, res, next) {
 
     const { role } = getAuthInfo(req);
 
-    // Para usuarios no admin, exigimos tripId para poder verificar ownership.
+    // Para usuarios no admin, exigimos tripId para poder verificar permisos.
     if (!tripId && role !== 'admin') {
       return res.status(400).json({
         ok: false,
@@ -234,19 +247,21 @@ export async function list(req, res, next) {
       });
     }
 
-    // Si viene tripId, verificamos que el trip pertenezca al usuario
+    // Si viene tripId, verificamos que el usuario sea miembro del trip
     // (o que sea admin). Esto asegura que no se puedan listar itinerarios
     // de viajes ajenos.
     if (tripId) {
-      const ownership = await checkTripOwnership({
+      const access = await checkTripAccess({
         tripId,
-        req
+        req,
+        minRole: 'viewer',
+        allowAdmin: true
       });
 
-      if (!ownership.ok) {
-        return res.status(ownership.status).json({
+      if (!access.ok) {
+        return res.status(access.status).json({
           ok: false,
-          error: ownership.errorCode
+          error: access.errorCode
         });
       }
     }
@@ -281,15 +296,15 @@ export async function list(req, res, next) {
 // para actualizar el "score", ajustar algunas actividades o cambiar
 // el modelo de IA utilizado.
 //
-// Solo permitimos la actualización si el itinerario pertenece a un
-// trip del usuario autenticado (o si el usuario es admin).
+// Solo permitimos la actualización si el usuario es owner o editor del
+// trip del itinerario (o si es admin).
 //
 export async function update(req, res, next) {
   try {
     const { id } = req.params;
 
     // Buscamos el itinerario actual para verificar que existe
-    // y que su trip asociado pertenece al usuario.
+    // y que el usuario puede editar su trip asociado.
     const existing = await getItineraryById(id);
 
     if (!existing) {
@@ -299,24 +314,34 @@ export async function update(req, res, next) {
       });
     }
 
-    // Verificamos ownership del trip asociado.
-    const ownership = await checkTripOwnership({
+    // Verificamos el rol del usuario en el trip asociado.
+    const access = await checkTripAccess({
       tripId: existing.tripId,
-      req
+      req,
+      minRole: 'editor',
+      allowAdmin: true
     });
 
-    if (!ownership.ok) {
-      return res.status(ownership.status).json({
+    if (!access.ok) {
+      return res.status(access.status).json({
         ok: false,
-        error: ownership.errorCode
+        error: access.errorCode
       });
     }
 
+    if (existing.locked) {
+      return sendLockedError(res);
+    }
+
     // Validamos el body con el esquema de actualización parcial.
     const data = itineraryUpdateSchema.parse(req.body);
 
-    // Llamamos al servicio para aplicar el patch.
-    const updated = await updateItinerary(id, data);
+    // Llamamos al servicio para aplicar el patch (queda como edición manual
+    // en el historial de versiones).
+    const updated = await updateItinerary(id, data, {
+      source: 'manual',
+      authorId: getAuthInfo(req).userId
+    });
 
     // Si por algún motivo no se encontró al actualizar, devolvemos 404.
     if (!updated) {
@@ -339,8 +364,8 @@ export async function update(req, res, next) {
 //
 // DELETE /api/itineraries/:id
 // ---------------------------
-// Elimina un itinerario por ID. Solo si el trip asociado pertenece
-// al usuario autenticado (o el usuario es admin).
+// Elimina un itinerario por ID. Solo si el usuario es owner o editor
+// del trip asociado (o es admin).
 //
 export async function remove(req, res, next) {
   try {
@@ -356,19 +381,25 @@ export async function remove(req, res, next) {
       });
     }
 
-    // Verificamos ownership del trip asociado.
-    const ownership = await checkTripOwnership({
+    // Verificamos el rol del usuario en el trip asociado.
+    const access = await checkTripAccess({
       tripId: it.tripId,
-      req
+      req,
+      minRole: 'editor',
+      allowAdmin: true
     });
 
-    if (!ownership.ok) {
-      return res.status(ownership.status).json({
+    if (!access.ok) {
+      return res.status(access.status).json({
         ok: false,
-        error: ownership.errorCode
+        error: access.errorCode
       });
     }
 
+    if (it.locked) {
+      return sendLockedError(res);
+    }
+
     // Intentamos eliminar el itinerario.
     const ok = await deleteItinerary(id);
 
@@ -400,8 +431,8 @@ export async function remove(req, res, next) {
 // En esta primera versión, la "IA" es local (no se llama a ningún modelo externo),
 // pero la arquitectura ya está lista para conectar un modelo real más adelante.
 //
-// Ahora, además, verificamos que el trip asociado al itinerario
-// pertenezca al usuario autenticado (o sea admin) antes de enriquecer.
+// Ahora, además, verificamos que el usuario sea owner o editor del trip
+// asociado al itinerario (o admin) antes de enriquecer.
 //
 export async function enrichWithAI(req, res, next) {
   try {
@@ -422,9 +453,11 @@ export async function enrichWithAI(req, res, next) {
         .min(2)
         .max(10)
         .optional(),
+      // Proveedor y/o modelo: "mock", "openai:gpt-4o-mini", "local"...
       modelHint: z
         .string()
         .min(1)
+        .max(100)
         .optional()
     });
 
@@ -443,20 +476,26 @@ export async function enrichWithAI(req, res, next) {
     }
 
     // Recuperamos el trip asociado al itinerario para tener más contexto
-    // Y, MUY IMPORTANTE, para verificar que pertenece al usuario actual.
-    const ownership = await checkTripOwnership({
+    // Y, MUY IMPORTANTE, para verificar que el usuario actual puede editarlo.
+    const access = await checkTripAccess({
       tripId: itinerary.tripId,
-      req
+      req,
+      minRole: 'editor',
+      allowAdmin: true
     });
 
-    if (!ownership.ok) {
-      return res.status(ownership.status).json({
+    if (!access.ok) {
+      return res.status(access.status).json({
         ok: false,
-        error: ownership.errorCode
+        error: access.errorCode
       });
     }
 
-    const trip = ownership.trip;
+    if (itinerary.locked) {
+      return sendLockedError(res);
+    }
+
+    const trip = access.trip;
 
     // Llamamos al servicio de "IA" para construir una nueva versión
     // enriquecida del itinerario.
@@ -469,19 +508,391 @@ export async function enrichWithAI(req, res, next) {
 
     // Ahora actualizamos el documento de itinerario en Firestore
     // usando el service updateItinerary.
-    const updated = await updateItinerary(id, {
-      data: enriched.data,
-      aiModelUsed: enriched.aiModelUsed,
-      score: enriched.score
-    });
+    // La versión anterior queda en el historial; esta se registra con el
+    // nombre del modelo como origen.
+    const updated = await updateItinerary(
+      id,
+      {
+        data: enriched.data,
+        aiModelUsed: enriched.aiModelUsed
+      },
+      { source: enriched.aiModelUsed, authorId: user?.id || null, trip }
+    );
 
     // Devolvemos el itinerario actualizado en formato público.
+    // aiFallbackReason indica por qué se usó el enriquecimiento local
+    // (null si el proveedor pedido respondió bien).
     return res.status(200).json({
       ok: true,
-      itinerary: toPublicItinerary(updated)
+      itinerary: toPublicItinerary(updated),
+      aiFallbackReason: enriched.fallbackReason || null
     });
   } catch (err) {
     // Cualquier error se delega al middleware de manejo centralizado.
     next(err);
   }
 }
+
+//
+// POST /api/itineraries/:id/regenerate
+// ------------------------------------
+// Vuelve a pasar por el motor de REGLAS solo los bloques que el usuario
+// no bloqueó (locked: true), sobre el MISMO itinerario (no crea uno nuevo).
+//
+// Body (todo opcional):
+//  - day: número de día a regenerar. Si no viene, se regeneran todos
+//    los bloques no bloqueados del itinerario.
+//  - destinationId: destino de las actividades, para trips sin tramos.
+//    Si no viene, se deduce de las actividades del itinerario.
+//
+export async function regenerate(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const bodySchema = z.object({
+      day: z
+        .number()
+        .int()
+        .min(1)
+        .optional(),
+      destinationId: z
+        .string()
+        .min(1)
+        .optional()
+    });
+
+    const body = bodySchema.parse(req.body || {});
+
+    const itinerary = await getItineraryById(id);
+
+    if (!itinerary) {
+      return res.status(404).json({
+        ok: false,
+        error: 'ITINERARY_NOT_FOUND'
+      });
+    }
+
+    const access = await checkTripAccess({
+      tripId: itinerary.tripId,
+      req,
+      minRole: 'editor',
+      allowAdmin: true
+    });
+
+    if (!access.ok) {
+      return res.status(access.status).json({
+        ok: false,
+        error: access.errorCode
+      });
+    }
+
+    if (itinerary.locked) {
+      return sendLockedError(res);
+    }
+
+    const trip = access.trip;
+
+    // Si piden un día puntual, tiene que existir en el itinerario.
+    const days = itinerary.data?.days || [];
+    if (body.day !== undefined && !days.some((d) => d.day === body.day)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'DAY_NOT_FOUND'
+      });
+    }
+
+    // Mismas actividades que usaría generate-itinerary para este trip.
+    const destinationId =
+      body.destinationId || (await inferItineraryDestinationId(itinerary));
+
+    const { activities, destinations } = await loadRulesInputs({
+      trip,
+      destinationId
+    });
+
+    const data = regenerateItineraryData({
+      itinerary,
+      trip,
+      activities,
+      destinations,
+      day: body.day ?? null
+    });
+
+    const updated = await updateItinerary(
+      id,
+      { data },
+      { source: 'rules', authorId: getAuthInfo(req).userId, trip, activities }
+    );
+
+    return res.status(200).json({
+      ok: true,
+      itinerary: toPublicItinerary(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// -----------------------------------------------------------------------------
+// HISTORIAL DE VERSIONES
+// -----------------------------------------------------------------------------
+//
+// Todas estas rutas trabajan sobre /api/itineraries/:id/versions y
+// verifican primero el rol del usuario en el trip del itinerario (o admin).
+//
+// Devuelve { itinerary, trip } si el usuario tiene al menos "minRole", o
+// { error } con la respuesta ya armada para el controlador.
+async function loadItineraryWithAccess(req, minRole) {
+  const itinerary = await getItineraryById(req.params.id);
+
+  if (!itinerary) {
+    return { error: { status: 404, errorCode: 'ITINERARY_NOT_FOUND' } };
+  }
+
+  const access = await checkTripAccess({
+    tripId: itinerary.tripId,
+    req,
+    minRole,
+    allowAdmin: true
+  });
+
+  if (!access.ok) {
+    return { error: { status: access.status, errorCode: access.errorCode } };
+  }
+
+  return { itinerary, trip: access.trip };
+}
+
+//
+// GET /api/itineraries/:id/versions?limit=50
+// ------------------------------------------
+// Lista las versiones (solo metadatos, sin "data"), más recientes primero.
+//
+export async function listVersions(req, res, next) {
+  try {
+    const { error } = await loadItineraryWithAccess(req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const parsedLimit = req.query.limit
+      ? Math.min(parseInt(req.query.limit, 10) || 50, 100)
+      : 50;
+
+    const versions = await listItineraryVersions(req.params.id, {
+      limit: parsedLimit
+    });
+
+    return res.status(200).json({
+      ok: true,
+      count: versions.length,
+      versions: versions.map((v) =>
+        toPublicItineraryVersion(v, { includeData: false })
+      )
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/itineraries/:id/versions/:versionId
+// --------------------------------------------
+// Devuelve una versión completa (con su "data").
+//
+export async function getVersion(req, res, next) {
+  try {
+    const { error } = await loadItineraryWithAccess(req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const version = await getItineraryVersion(req.params.id, req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ ok: false, error: 'VERSION_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      version: toPublicItineraryVersion(version)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/itineraries/:id/versions/diff?from=<versionId>&to=<versionId>
+// ----------------------------------------------------------------------
+// Diferencias día/bloque entre dos versiones. Si no viene "to", se
+// compara contra el estado actual del itinerario.
+//
+export async function diffVersions(req, res, next) {
+  try {
+    const querySchema = z.object({
+      from: z.string().min(1, 'from es requerido'),
+      to: z.string().min(1).optional()
+    });
+
+    const query = querySchema.parse(req.query);
+
+    const { itinerary, error } = await loadItineraryWithAccess(req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const from = await getItineraryVersion(itinerary.id, query.from);
+    const to = query.to
+      ? await getItineraryVersion(itinerary.id, query.to)
+      : null;
+
+    if (!from || (query.to && !to)) {
+      return res.status(404).json({ ok: false, error: 'VERSION_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      from: toPublicItineraryVersion(from, { includeData: false }),
+      to: to ? toPublicItineraryVersion(to, { includeData: false }) : null,
+      diff: diffItineraryData(from.data, to ? to.data : itinerary.data)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// POST /api/itineraries/:id/versions/:versionId/restore
+// -----------------------------------------------------
+// Vuelve el itinerario al contenido de una versión anterior. No borra
+// nada: la restauración queda registrada como una versión nueva
+// (source "restore", restoredFrom = versionId).
+//
+export async function restoreVersion(req, res, next) {
+  try {
+    const { itinerary, error } = await loadItineraryWithAccess(req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    if (itinerary.locked) {
+      return sendLockedError(res);
+    }
+
+    const version = await getItineraryVersion(itinerary.id, req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ ok: false, error: 'VERSION_NOT_FOUND' });
+    }
+
+    const updated = await updateItinerary(
+      itinerary.id,
+      {
+        data: version.data,
+        aiModelUsed: version.aiModelUsed || itinerary.aiModelUsed
+      },
+      {
+        source: 'restore',
+        authorId: getAuthInfo(req).userId,
+        restoredFrom: version.id
+      }
+    );
+
+    return res.status(200).json({
+      ok: true,
+      itinerary: toPublicItinerary(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/itineraries/:id/export.ics
+// -----------------------------------
+// Exporta el itinerario como calendario iCalendar (Google Calendar,
+// Outlook, Apple Calendar...). Un evento por bloque.
+//
+// Query (todo opcional):
+//  - morning, afternoon, evening, full_day: ventana horaria "HH:MM-HH:MM"
+//    de cada momento del día (por defecto 09-13, 13-19, 19-23 y 09-19).
+//  - tz: zona horaria IANA (ej. "America/Argentina/Buenos_Aires"). Sin tz,
+//    las horas quedan en hora local del calendario que lo importe.
+//
+export async function exportIcs(req, res, next) {
+  try {
+    const { itinerary, trip, error } = await loadItineraryWithAccess(req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    // Validamos la zona horaria con Intl para no escribir cualquier cosa.
+    let timezone = null;
+    if (typeof req.query.tz === 'string' && req.query.tz.trim()) {
+      try {
+        timezone = new Intl.DateTimeFormat('en-US', {
+          timeZone: req.query.tz.trim()
+        }).resolvedOptions().timeZone;
+      } catch {
+        return res.status(400).json({ ok: false, error: 'INVALID_TIMEZONE' });
+      }
+    }
+
+    const activities = await loadItineraryActivities(itinerary.data);
+
+    const ics = buildItineraryCalendar({
+      itinerary,
+      trip,
+      activities,
+      timeWindows: parseTimeWindows(req.query),
+      timezone
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="itinerario-${itinerary.id}.ics"`
+    );
+    return res.status(200).send(ics);
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/itineraries/:id/export?format=gpx|kml|geojson
+// ------------------------------------------------------
+// Exporta los recorridos del itinerario para apps de mapas offline
+// (OsmAnd, Maps.me...). Cada día es una ruta ordenada por sus bloques y
+// cada punto lleva el título del bloque. Por defecto, GPX.
+//
+export async function exportGeo(req, res, next) {
+  try {
+    const format = typeof req.query.format === 'string'
+      ? req.query.format.trim().toLowerCase()
+      : 'gpx';
+    if (!Object.hasOwn(GEO_EXPORT_FORMATS, format)) {
+      return res.status(400).json({ ok: false, error: 'INVALID_FORMAT' });
+    }
+
+    const { itinerary, trip, error } = await loadItineraryWithAccess(req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const activities = await loadItineraryActivities(itinerary.data);
+    const content = buildItineraryGeoExport({ itinerary, trip, activities, format });
+    const spec = GEO_EXPORT_FORMATS[format];
+
+    res.setHeader('Content-Type', `${spec.contentType}; charset=utf-8`);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="itinerario-${itinerary.id}.${spec.extension}"`
+    );
+    return res.status(200).send(content);
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,50 @@
+// src/controllers/searchController.js
+// -----------------------------------
+// Búsqueda de texto en el catálogo (destinos y actividades).
+//
+// Ruta pública, como el listado de destinos:
+//   GET /api/search?q=&type=&destinationId=&limit=
+//
+// Devuelve resultados mezclados y ordenados por relevancia. La búsqueda
+// ignora acentos y mayúsculas, acepta prefijos ("barc") y errores de
+// tipeo ("bariloce"). Ver services/searchService.js.
+
+import { z } from 'zod';
+import { toPublicDestination } from '../models/destinationModel.js';
+import { toPublicActivity } from '../models/activityModel.js';
+import { searchCatalog } from '../services/searchService.js';
+
+// Parámetros de la query.
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(2, 'q debe tener al menos 2 caracteres').max(100),
+  type: z.enum(['destination', 'activity']).optional(),
+  destinationId: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+// GET /api/search?q=...
+export async function search(req, res, next) {
+  try {
+    const { q, type, destinationId, limit } = searchQuerySchema.parse(req.query);
+
+    const results = await searchCatalog(q, { type, destinationId, limit });
+
+    return res.status(200).json({
+      ok: true,
+      query: q,
+      count: results.length,
+      results: results.map((r) =>
+        r.type === 'destination'
+          ? { type: r.type, score: r.score, destination: toPublicDestination(r.doc) }
+          : {
+              type: r.type,
+              score: r.score,
+              activity: toPublicActivity(r.doc),
+              destinationName: r.destinationName
+            }
+      )
+    });
+  } catch (err) {
+    next(err);
+  }
+}
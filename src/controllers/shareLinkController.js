@@ -0,0 +1,181 @@
+// src/controllers/shareLinkController.js
+// --------------------------------------
+// Links de solo lectura para compartir un viaje con personas sin cuenta.
+//
+// Rutas del dueño del viaje (con authMiddleware):
+//   POST   /api/trips/:id/share-links              -> crear link
+//   GET    /api/trips/:id/share-links              -> listar links
+//   DELETE /api/trips/:id/share-links/:linkId      -> revocar link
+//
+// Ruta pública (sin auth):
+//   GET    /api/shared/:token                      -> vista del viaje
+
+import {
+  shareLinkCreateSchema,
+  isShareLinkActive,
+  toPublicShareLink,
+  toSharedTrip,
+  toSharedItinerary
+} from '../models/shareLinkModel.js';
+import {
+  createShareLink,
+  getShareLinkById,
+  getShareLinkByToken,
+  listShareLinks,
+  revokeShareLink,
+  registerShareLinkAccess
+} from '../services/shareLinkService.js';
+import { getTripById } from '../services/tripService.js';
+import { checkTripAccess } from '../services/tripAccessService.js';
+import { getItineraryById, listItineraries } from '../services/itineraryService.js';
+import { getDestinationById } from '../services/destinationService.js';
+import { toPublicDestination } from '../models/destinationModel.js';
+
+// Carga el trip de :id verificando que el usuario autenticado sea su owner
+// (solo el owner comparte el viaje). Devuelve { trip, userId } o
+// { error: { status, errorCode } }.
+async function loadOwnedTrip(req) {
+  const access = await checkTripAccess({
+    tripId: req.params.id,
+    req,
+    minRole: 'owner',
+    notFoundError: 'NOT_FOUND'
+  });
+
+  if (!access.ok) {
+    return { error: { status: access.status, errorCode: access.errorCode } };
+  }
+
+  return { trip: access.trip, userId: req.user.id };
+}
+
+// POST /api/trips/:id/share-links
+// Body: { itineraryId?, expiresAt?, label? }
+export async function create(req, res, next) {
+  try {
+    const { trip, userId, error } = await loadOwnedTrip(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const data = shareLinkCreateSchema.parse(req.body || {});
+
+    // Si se fija un itinerario, tiene que ser de este viaje.
+    if (data.itineraryId) {
+      const itinerary = await getItineraryById(data.itineraryId);
+      if (!itinerary || itinerary.tripId !== trip.id) {
+        return res.status(404).json({ ok: false, error: 'ITINERARY_NOT_FOUND' });
+      }
+    }
+
+    const created = await createShareLink({
+      ...data,
+      tripId: trip.id,
+      createdBy: userId
+    });
+
+    return res.status(201).json({
+      ok: true,
+      shareLink: toPublicShareLink(created)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/trips/:id/share-links
+export async function list(req, res, next) {
+  try {
+    const { trip, error } = await loadOwnedTrip(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const links = await listShareLinks(trip.id);
+
+    return res.status(200).json({
+      ok: true,
+      count: links.length,
+      shareLinks: links.map(toPublicShareLink)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/trips/:id/share-links/:linkId
+// Revoca el link: deja de funcionar, pero sigue en el listado.
+export async function revoke(req, res, next) {
+  try {
+    const { trip, error } = await loadOwnedTrip(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const link = await getShareLinkById(req.params.linkId);
+    if (!link || link.tripId !== trip.id) {
+      return res.status(404).json({ ok: false, error: 'SHARE_LINK_NOT_FOUND' });
+    }
+
+    const revoked = await revokeShareLink(link.id);
+
+    return res.status(200).json({
+      ok: true,
+      shareLink: toPublicShareLink(revoked)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// GET /api/shared/:token
+// ----------------------
+// Vista pública de solo lectura. Devuelve el trip y el itinerario
+// sanitizados (sin userId, presupuesto ni notas privadas) y los destinos
+// de los tramos. Cada respuesta exitosa suma un acceso al link.
+//
+// Links inexistentes, revocados o vencidos responden todos 404, para no
+// dar pistas sobre qué tokens existieron.
+//
+export async function getShared(req, res, next) {
+  try {
+    const link = await getShareLinkByToken(req.params.token);
+    if (!link || !isShareLinkActive(link)) {
+      return res.status(404).json({ ok: false, error: 'SHARE_LINK_NOT_FOUND' });
+    }
+
+    const trip = await getTripById(link.tripId);
+    if (!trip) {
+      return res.status(404).json({ ok: false, error: 'SHARE_LINK_NOT_FOUND' });
+    }
+
+    // Itinerario fijado en el link (si sigue siendo de este viaje) o el
+    // más reciente del viaje.
+    let itinerary = null;
+    if (link.itineraryId) {
+      const pinned = await getItineraryById(link.itineraryId);
+      itinerary = pinned && pinned.tripId === trip.id ? pinned : null;
+    } else {
+      const [latest] = await listItineraries({ tripId: trip.id, limit: 1 });
+      itinerary = latest || null;
+    }
+
+    const destinationIds = [...new Set((trip.legs || []).map((leg) => leg.destinationId))];
+    const destinations = (
+      await Promise.all(destinationIds.map((destId) => getDestinationById(destId)))
+    ).filter(Boolean);
+
+    await registerShareLinkAccess(link.id);
+
+    return res.status(200).json({
+      ok: true,
+      trip: toSharedTrip(trip),
+      itinerary: toSharedItinerary(itinerary),
+      destinations: destinations.map(toPublicDestination),
+      expiresAt: link.expiresAt || null
+    });
+  } catch (err) {
+    next(err);
+  }
+}
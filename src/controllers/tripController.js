@@ -3,30 +3,63 @@
 import {
   tripCreateSchema,
   tripUpdateSchema,
-  toPublicTrip
+  tripLegsIssues,
+  toPublicTrip,
+  TRIP_STATUS_TRANSITIONS,
+  canTransitionTripStatus
 } from '../models/tripModel.js';
 
 // Importamos las funciones del servicio que hablan con Firestore.
 import {
   createTrip,
-  getTripById,
   listTrips,
   updateTrip,
   deleteTrip
 } from '../services/tripService.js';
 
+// Autorización por rol (owner / editor / viewer) sobre el trip.
+import { checkTripAccess } from '../services/tripAccessService.js';
+
+// Cambios de estado (validados, con historial y hooks).
+import { changeTripStatus } from '../services/tripStatusService.js';
+
+// Clonado de viajes (fechas corridas a un nuevo inicio).
+import { tripCloneSchema } from '../models/tripTemplateModel.js';
+import { shiftTripDates, shiftItineraryDates } from '../utils/tripCloning.js';
+
 // Importamos Zod para validar el body de este endpoint específico.
 import { z } from 'zod';
 
-// Importamos el servicio de actividades para poder obtener actividades
-// relacionadas con un destino concreto.
-import { listActivities } from '../services/activityService.js';
-
-// Importamos funciones del mundo "itineraries": creación en Firestore
-// y normalizador para la salida.
-import { createItinerary, generateItineraryRules } from '../services/itineraryService.js';
+// Importamos funciones del mundo "itineraries": carga de actividades y
+// destinos del trip, motor de reglas, creación en Firestore y
+// normalizador para la salida.
+import {
+  createItinerary,
+  generateItineraryRules,
+  listItineraries,
+  getItineraryById,
+  loadItineraryActivities,
+  loadRulesInputs
+} from '../services/itineraryService.js';
 import { toPublicItinerary } from '../models/itineraryModel.js';
 
+// Cuadernillo PDF del viaje: usa las versiones públicas de destinos y
+// actividades, igual que las respuestas de la API.
+import { getDestinationById } from '../services/destinationService.js';
+import { toPublicDestination } from '../models/destinationModel.js';
+import { toPublicActivity } from '../models/activityModel.js';
+import { renderTripBooklet } from '../services/tripBookletService.js';
+
+// Links para compartir, invitaciones, gastos y checklists: se borran junto con el viaje.
+import { deleteShareLinksForTrip } from '../services/shareLinkService.js';
+import { deleteTripInvitationsForTrip } from '../services/tripInvitationService.js';
+import { deleteTripExpenses, hasTripExpenses } from '../services/expenseService.js';
+import { deleteTripChecklists } from '../services/checklistService.js';
+
+// Conversión de montos a otra moneda (?convertTo=).
+import { getCurrencyConverter } from '../services/exchangeRateService.js';
+import { resolveTargetCurrency, roundMoney, tripCurrency } from '../utils/currency.js';
+
 
 
 // Función de ayuda para obtener el ID del usuario autenticado
@@ -55,7 +88,8 @@ export async function create(req, res, next) {
     // Creamos el trip asociándolo al usuario autenticado.
     const created = await createTrip({
       ...data,
-      userId
+      userId,
+      owner: { email: req.user?.email, name: req.user?.name }
     });
 
     // Devolvemos el trip creado en su versión pública.
@@ -68,29 +102,62 @@ export async function create(req, res, next) {
   }
 }
 
-// GET /api/trips/:id
-// Obtiene un trip por ID, siempre que pertenezca al usuario autenticado.
+// GET /api/trips/:id?convertTo=USD
+// Obtiene un trip por ID, siempre que el usuario autenticado sea miembro
+// (owner, editor o viewer). Con ?convertTo (un código ISO o "home", la
+// moneda del usuario) se agrega el presupuesto convertido con la
+// cotización vigente al inicio del viaje.
 export async function getById(req, res, next) {
   try {
     const { id } = req.params;
-    const userId = getUserIdFromRequest(req);
 
-    if (!userId) {
-      return res.status(401).json({ ok: false, error: 'UNAUTHORIZED' });
+    // Si no existe o el usuario no es miembro, devolvemos 404.
+    const access = await checkTripAccess({
+      tripId: id,
+      req,
+      minRole: 'viewer',
+      notFoundError: 'NOT_FOUND'
+    });
+
+    if (!access.ok) {
+      return res.status(access.status).json({ ok: false, error: access.errorCode });
     }
 
-    // Obtenemos el trip desde el servicio.
-    const trip = await getTripById(id);
+    const target = resolveTargetCurrency(req.query.convertTo, req.user);
+    if (target?.error) {
+      return res.status(400).json({ ok: false, error: target.error });
+    }
 
-    // Si no existe o no pertenece al usuario actual, devolvemos 404.
-    if (!trip || trip.userId !== userId) {
-      return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
+    let converted;
+    if (target) {
+      const from = tripCurrency(access.trip);
+      const converter = await getCurrencyConverter();
+      const found = converter.rateFor(from, target.currency, access.trip.startDate);
+
+      if (!found) {
+        return res.status(400).json({
+          ok: false,
+          error: 'EXCHANGE_RATE_NOT_FOUND',
+          details: [{ from, to: target.currency }]
+        });
+      }
+
+      converted = {
+        currency: target.currency,
+        rate: found.rate,
+        effectiveDate: found.effectiveDate,
+        budget: typeof access.trip.budget === 'number'
+          ? roundMoney(access.trip.budget * found.rate)
+          : null
+      };
     }
 
-    // Devolvemos el trip formateado.
+    // Devolvemos el trip formateado, con el rol del usuario en el viaje.
     return res.status(200).json({
       ok: true,
-      trip: toPublicTrip(trip)
+      trip: toPublicTrip(access.trip),
+      role: access.role,
+      ...(converted ? { converted } : {})
     });
   } catch (err) {
     next(err);
@@ -98,7 +165,8 @@ export async function getById(req, res, next) {
 }
 
 // GET /api/trips?status=planned&limit=20&startAfterId=...
-// Lista trips SOLO del usuario autenticado, con filtros opcionales.
+// Lista los trips donde el usuario autenticado es miembro (propios y
+// compartidos con él), con filtros opcionales.
 export async function list(req, res, next) {
   try {
     const userId = getUserIdFromRequest(req);
@@ -115,7 +183,7 @@ export async function list(req, res, next) {
       ? Math.min(parseInt(limit, 10) || 20, 100)
       : 20;
 
-    // Obtenemos solo los trips del usuario actual.
+    // Obtenemos solo los trips donde el usuario actual es miembro.
     const items = await listTrips({
       userId,
       status,
@@ -134,33 +202,112 @@ export async function list(req, res, next) {
 }
 
 // PATCH /api/trips/:id
-// Actualiza un trip si existe y pertenece al usuario autenticado.
+// Actualiza un trip si existe y el usuario es owner o editor.
+// Si cambia "status", la transición tiene que estar permitida
+// (TRIP_STATUS_TRANSITIONS); si no, 409 INVALID_STATUS_TRANSITION y no se
+// guarda nada (el estado y el resto de los campos van en una transacción).
+// Si cambia "currency" y el viaje ya tiene presupuesto o gastos, 409
+// CURRENCY_CHANGE_NOT_ALLOWED (los montos no se convierten).
 export async function update(req, res, next) {
   try {
     const { id } = req.params;
-    const userId = getUserIdFromRequest(req);
 
-    if (!userId) {
-      return res.status(401).json({ ok: false, error: 'UNAUTHORIZED' });
+    // Primero verificamos que el trip exista y que el usuario pueda editarlo.
+    const access = await checkTripAccess({
+      tripId: id,
+      req,
+      minRole: 'editor',
+      notFoundError: 'NOT_FOUND'
+    });
+
+    if (!access.ok) {
+      return res.status(access.status).json({ ok: false, error: access.errorCode });
     }
 
-    // Validamos los datos que se quieren actualizar.
-    const data = tripUpdateSchema.parse(req.body);
+    const existing = access.trip;
 
-    // Primero obtenemos el trip actual para verificar que existe
-    // y pertenece al usuario autenticado.
-    const existing = await getTripById(id);
+    // Validamos los datos que se quieren actualizar. El estado va aparte.
+    const { status, ...data } = tripUpdateSchema.parse(req.body);
+    const changesStatus = status !== undefined && status !== (existing.status || 'draft');
 
-    if (!existing || existing.userId !== userId) {
+    if (changesStatus && !canTransitionTripStatus(existing.status, status)) {
+      return res.status(409).json({
+        ok: false,
+        error: 'INVALID_STATUS_TRANSITION',
+        details: {
+          from: existing.status || 'draft',
+          to: status,
+          allowed: TRIP_STATUS_TRANSITIONS[existing.status || 'draft'] || []
+        }
+      });
+    }
+
+    // Validamos los tramos contra las fechas resultantes del patch
+    // (las nuevas si vienen en el body, o las guardadas si no).
+    const legIssues = tripLegsIssues(
+      'legs' in data ? data.legs : existing.legs,
+      data.startDate ?? existing.startDate,
+      data.endDate ?? existing.endDate
+    );
+
+    if (legIssues.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'VALIDATION_ERROR',
+        details: legIssues
+      });
+    }
+
+    // Cambiar la moneda no convierte montos: el presupuesto y los gastos
+    // cargados quedarían re-etiquetados con la moneda nueva. Solo se permite
+    // si el viaje no tiene gastos y el presupuesto no está cargado (o viene
+    // en el mismo body, ya en la moneda nueva).
+    if (data.currency && data.currency !== tripCurrency(existing)) {
+      const budgetSet = typeof existing.budget === 'number' && existing.budget > 0 && !('budget' in data);
+      const expensesSet = await hasTripExpenses(id);
+
+      if (budgetSet || expensesSet) {
+        return res.status(409).json({
+          ok: false,
+          error: 'CURRENCY_CHANGE_NOT_ALLOWED',
+          details: { from: tripCurrency(existing), to: data.currency, budget: budgetSet, expenses: expensesSet }
+        });
+      }
+    }
+
+    // Sin cambio de estado, solo guardamos los campos.
+    if (!changesStatus) {
+      const updated = await updateTrip(id, data);
+      return res.status(200).json({
+        ok: true,
+        trip: toPublicTrip(updated)
+      });
+    }
+
+    // Con cambio de estado, el estado y los demás campos se guardan en una
+    // sola transacción, que vuelve a validar la transición (por si cambió
+    // entre la lectura y ahora). Los hooks corren recién después.
+    const result = await changeTripStatus(id, status, {
+      by: req.user.id,
+      source: 'user',
+      fields: data
+    });
+
+    if (result.errorCode === 'NOT_FOUND') {
       return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
     }
 
-    // Si el trip es del usuario, procedemos a actualizarlo.
-    const updated = await updateTrip(id, data);
+    if (!result.ok) {
+      return res.status(409).json({
+        ok: false,
+        error: 'INVALID_STATUS_TRANSITION',
+        details: { from: result.from, to: status }
+      });
+    }
 
     return res.status(200).json({
       ok: true,
-      trip: toPublicTrip(updated)
+      trip: toPublicTrip(result.trip)
     });
   } catch (err) {
     next(err);
@@ -168,30 +315,36 @@ export async function update(req, res, next) {
 }
 
 // DELETE /api/trips/:id
-// Elimina un trip si existe y pertenece al usuario autenticado.
+// Elimina un trip si existe. Solo el owner puede borrarlo.
 export async function remove(req, res, next) {
   try {
     const { id } = req.params;
-    const userId = getUserIdFromRequest(req);
 
-    if (!userId) {
-      return res.status(401).json({ ok: false, error: 'UNAUTHORIZED' });
-    }
-
-    // Igual que en update: primero leemos el trip.
-    const existing = await getTripById(id);
+    // Igual que en update: primero verificamos acceso, pero con rol owner.
+    const access = await checkTripAccess({
+      tripId: id,
+      req,
+      minRole: 'owner',
+      notFoundError: 'NOT_FOUND'
+    });
 
-    if (!existing || existing.userId !== userId) {
-      return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
+    if (!access.ok) {
+      return res.status(access.status).json({ ok: false, error: access.errorCode });
     }
 
-    // Si el trip es del usuario, intentamos borrarlo.
+    // Si el usuario es el owner, intentamos borrarlo.
     const ok = await deleteTrip(id);
 
     if (!ok) {
       return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
     }
 
+    // Limpiamos lo que cuelga del viaje: links, invitaciones, gastos y checklists.
+    await deleteShareLinksForTrip(id);
+    await deleteTripInvitationsForTrip(id);
+    await deleteTripExpenses(id);
+    await deleteTripChecklists(id);
+
     return res.status(200).json({
       ok: true,
       deleted: id
@@ -208,8 +361,10 @@ export async function remove(req, res, next) {
 // basado en:
 //
 // - Los datos del trip (fechas, intereses, título)
-// - Una lista de actividades asociadas a un destino (opcional)
-// - Una lógica simple que reparte actividades en días y bloques horarios.
+// - Una lista de actividades asociadas a un destino (opcional), o las de
+//   cada tramo si el trip tiene varios destinos (legs)
+// - Una lógica simple que reparte actividades en días y bloques horarios,
+//   marcando días de traslado entre tramos.
 //
 // Luego guarda el resultado en la colección "itineraries" y devuelve
 // el itinerario creado.
@@ -221,7 +376,7 @@ export async function generateItinerary(req, res, next) {
 
     // Obtenemos el id del usuario autenticado desde req.user.
     // Esto lo carga el authMiddleware cuando el token es válido.
-    const userId = req.user?.id;
+    const userId = getUserIdFromRequest(req);
 
     // Definimos un esquema Zod para validar el cuerpo de la petición.
     // En esta primera versión solo pedimos destinationId como opcional,
@@ -236,52 +391,48 @@ export async function generateItinerary(req, res, next) {
     // Validamos el body con Zod para asegurarnos de que tiene el formato correcto.
     const body = bodySchema.parse(req.body);
 
-    // Obtenemos el trip desde la base de datos.
-    const trip = await getTripById(tripId);
-
-    // Si el trip no existe, devolvemos 404.
-    if (!trip) {
-      return res.status(404).json({
-        ok: false,
-        error: 'TRIP_NOT_FOUND'
-      });
-    }
+    // Verificamos que el trip exista y que el usuario pueda editarlo
+    // (owner o editor). Esto es importante para evitar que un usuario
+    // genere itinerarios sobre viajes ajenos o de los que solo es viewer.
+    const access = await checkTripAccess({ tripId, req, minRole: 'editor' });
 
-    // Verificamos que el trip pertenezca al usuario autenticado.
-    // Esto es importante para evitar que un usuario genere itinerarios
-    // sobre viajes de otra persona.
-    if (trip.userId !== userId) {
-      return res.status(403).json({
+    if (!access.ok) {
+      return res.status(access.status).json({
         ok: false,
-        error: 'FORBIDDEN_TRIP_OWNER'
+        error: access.errorCode
       });
     }
 
-    // Preparamos una lista de actividades. Si el cliente envía destinationId,
-    // intentaremos buscar actividades de ese destino para enriquecer el itinerario.
-    let activities = [];
+    const trip = access.trip;
 
-    if (body.destinationId) {
-      activities = await listActivities({
-        destinationId: body.destinationId,
-        limit: 100
-      });
-    }
+    // Preparamos la lista de actividades (y sus destinos):
+    // - Si el trip tiene tramos (legs), las de cada tramo: el motor arma
+    //   cada día con las del tramo activo.
+    // - Si no, y el cliente envía destinationId, las de ese destino.
+    const { activities, destinations } = await loadRulesInputs({
+      trip,
+      destinationId: body.destinationId
+    });
 
     // Usamos el motor de REGLAS para generar la estructura "data" del itinerario
     // en memoria, sin guardar aún en Firestore.
     const data = generateItineraryRules({
       trip,
-      activities
+      activities,
+      destinations
     });
 
     // Creamos el itinerario en Firestore, utilizando createItinerary del service.
-    // Indicamos que el modelo usado es "rules" (modo offline).
-    const created = await createItinerary({
-      tripId,
-      data,
-      aiModelUsed: 'rules'
-    });
+    // Indicamos que el modelo usado es "rules" (modo offline) y quién lo
+    // generó, para la primera versión del historial.
+    const created = await createItinerary(
+      {
+        tripId,
+        data,
+        aiModelUsed: 'rules'
+      },
+      { source: 'rules', authorId: userId, trip, activities }
+    );
 
     // Devolvemos el itinerario en formato público (toPublicItinerary).
     return res.status(201).json({
@@ -294,3 +445,127 @@ export async function generateItinerary(req, res, next) {
     next(err);
   }
 }
+
+//
+// GET /api/trips/:id/booklet.pdf
+// ------------------------------
+// Devuelve el "cuadernillo" del viaje en PDF: portada, destinos, último
+// itinerario generado, detalle de actividades (horarios y precios) y
+// tabla de presupuesto. Se puede elegir otro itinerario con ?itineraryId=.
+//
+export async function exportBooklet(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const access = await checkTripAccess({
+      tripId: id,
+      req,
+      minRole: 'viewer',
+      notFoundError: 'NOT_FOUND'
+    });
+
+    if (!access.ok) {
+      return res.status(access.status).json({ ok: false, error: access.errorCode });
+    }
+
+    const trip = access.trip;
+
+    // Itinerario: el pedido (si es de este trip) o el más reciente.
+    let itinerary = null;
+    if (req.query.itineraryId) {
+      itinerary = await getItineraryById(req.query.itineraryId);
+      if (!itinerary || itinerary.tripId !== id) {
+        return res.status(404).json({ ok: false, error: 'ITINERARY_NOT_FOUND' });
+      }
+    } else {
+      [itinerary = null] = await listItineraries({ tripId: id, limit: 1 });
+    }
+
+    const activities = itinerary ? await loadItineraryActivities(itinerary.data) : [];
+
+    // Destinos: los de los tramos (en orden) y los de las actividades.
+    const destinationIds = [
+      ...new Set([
+        ...(trip.legs || []).map((leg) => leg.destinationId),
+        ...activities.map((a) => a.destinationId)
+      ])
+    ].filter(Boolean);
+
+    const destinations = (
+      await Promise.all(destinationIds.map((destId) => getDestinationById(destId)))
+    ).filter(Boolean);
+
+    const pdf = await renderTripBooklet({
+      trip: toPublicTrip(trip),
+      itinerary: toPublicItinerary(itinerary),
+      destinations: destinations.map(toPublicDestination),
+      activities: activities.map(toPublicActivity)
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="viaje-${id}.pdf"`);
+    return res.status(200).send(pdf);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/trips/:id/clone
+// Body: { startDate: "YYYY-MM-DD", title? }
+// Copia el trip (en borrador, con el usuario como único miembro) y su
+// itinerario más reciente, corriendo todas las fechas (viaje, tramos y
+// días) para que empiece en startDate. No se copian gastos, miembros ni
+// links. Cualquier miembro del trip puede clonarlo.
+export async function clone(req, res, next) {
+  try {
+    const access = await checkTripAccess({
+      tripId: req.params.id,
+      req,
+      minRole: 'viewer',
+      notFoundError: 'NOT_FOUND'
+    });
+
+    if (!access.ok) {
+      return res.status(access.status).json({ ok: false, error: access.errorCode });
+    }
+
+    const body = tripCloneSchema.parse(req.body);
+    const source = access.trip;
+    const dates = shiftTripDates(source, body.startDate);
+
+    const trip = await createTrip({
+      userId: req.user.id,
+      owner: { email: req.user.email, name: req.user.name },
+      title: body.title || `${source.title} (copia)`.slice(0, 150),
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      budget: source.budget,
+      currency: source.currency,
+      interests: source.interests || [],
+      status: 'draft',
+      legs: dates.legs,
+      origin: { type: 'clone', id: source.id }
+    });
+
+    const [latest] = await listItineraries({ tripId: source.id, limit: 1 });
+
+    const itinerary = latest
+      ? await createItinerary(
+          {
+            tripId: trip.id,
+            data: shiftItineraryDates(latest.data, dates.offsetDays),
+            aiModelUsed: latest.aiModelUsed
+          },
+          { source: 'clone', authorId: req.user.id, trip }
+        )
+      : null;
+
+    return res.status(201).json({
+      ok: true,
+      trip: toPublicTrip(trip),
+      itinerary: toPublicItinerary(itinerary)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,301 @@
+// src/controllers/tripMemberController.js
+// ---------------------------------------
+// Miembros de un viaje e invitaciones por email.
+//
+// Rutas del viaje (con authMiddleware):
+//   GET    /api/trips/:id/members                    -> listar miembros (viewer+)
+//   PATCH  /api/trips/:id/members/:userId            -> cambiar rol (owner)
+//   DELETE /api/trips/:id/members/:userId            -> quitar miembro (owner) o salir del viaje
+//   POST   /api/trips/:id/invitations                -> invitar por email (owner)
+//   GET    /api/trips/:id/invitations                -> listar invitaciones (owner)
+//   DELETE /api/trips/:id/invitations/:invitationId  -> revocar invitación (owner)
+//
+// Rutas de la persona invitada (con authMiddleware):
+//   GET    /api/invitations                          -> mis invitaciones pendientes
+//   POST   /api/invitations/:id/accept               -> aceptar
+//   POST   /api/invitations/:id/decline              -> rechazar
+
+import { tripMemberUpdateSchema, toPublicTripMembers } from '../models/tripModel.js';
+import {
+  tripInvitationCreateSchema,
+  toPublicTripInvitation
+} from '../models/tripInvitationModel.js';
+import { checkTripAccess, getTripRole } from '../services/tripAccessService.js';
+import { setTripMember, removeTripMember } from '../services/tripService.js';
+import {
+  createTripInvitation,
+  getTripInvitationById,
+  listTripInvitations,
+  listPendingInvitationsForEmail,
+  findPendingInvitation,
+  setTripInvitationStatus,
+  acceptTripInvitation
+} from '../services/tripInvitationService.js';
+import { findUserByEmail } from '../services/userService.js';
+
+// Responde con el error de checkTripAccess.
+function sendAccessError(res, access) {
+  return res.status(access.status).json({ ok: false, error: access.errorCode });
+}
+
+// -----------------------------------------------------------------------------
+// MIEMBROS
+// -----------------------------------------------------------------------------
+
+// GET /api/trips/:id/members
+export async function listMembers(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'viewer' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    return res.status(200).json({
+      ok: true,
+      members: toPublicTripMembers(access.trip)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/trips/:id/members/:userId
+// Body: { role: "editor" | "viewer" }
+export async function updateMember(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'owner' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const { role } = tripMemberUpdateSchema.parse(req.body);
+    const memberRole = getTripRole(access.trip, req.params.userId);
+
+    if (!memberRole) {
+      return res.status(404).json({ ok: false, error: 'MEMBER_NOT_FOUND' });
+    }
+
+    // El owner no cambia de rol (cada viaje tiene uno solo).
+    if (memberRole === 'owner') {
+      return res.status(400).json({ ok: false, error: 'CANNOT_CHANGE_OWNER' });
+    }
+
+    const updated = await setTripMember(access.trip.id, req.params.userId, { role });
+
+    return res.status(200).json({
+      ok: true,
+      members: toPublicTripMembers(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/trips/:id/members/:userId
+// El owner puede quitar a cualquiera (menos a sí mismo); el resto de los
+// miembros solo puede quitarse a sí mismo (salir del viaje).
+export async function removeMember(req, res, next) {
+  try {
+    const leaving = req.params.userId === req.user?.id;
+    const access = await checkTripAccess({
+      tripId: req.params.id,
+      req,
+      minRole: leaving ? 'viewer' : 'owner'
+    });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const memberRole = getTripRole(access.trip, req.params.userId);
+
+    if (!memberRole) {
+      return res.status(404).json({ ok: false, error: 'MEMBER_NOT_FOUND' });
+    }
+
+    if (memberRole === 'owner') {
+      return res.status(400).json({ ok: false, error: 'CANNOT_REMOVE_OWNER' });
+    }
+
+    const updated = await removeTripMember(access.trip.id, req.params.userId);
+
+    return res.status(200).json({
+      ok: true,
+      removed: req.params.userId,
+      // Quien sale del viaje ya no puede ver la lista.
+      ...(leaving ? {} : { members: toPublicTripMembers(updated) })
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// INVITACIONES (lado del owner)
+// -----------------------------------------------------------------------------
+
+// POST /api/trips/:id/invitations
+// Body: { email, role? }
+export async function createInvitation(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'owner' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const { email, role } = tripInvitationCreateSchema.parse(req.body);
+
+    // Si el email ya es de un miembro, no tiene sentido invitarlo.
+    const invitedUser = await findUserByEmail(email);
+    if (invitedUser && getTripRole(access.trip, invitedUser.id)) {
+      return res.status(409).json({ ok: false, error: 'ALREADY_MEMBER' });
+    }
+
+    if (await findPendingInvitation(access.trip.id, email)) {
+      return res.status(409).json({ ok: false, error: 'INVITATION_ALREADY_PENDING' });
+    }
+
+    const invitation = await createTripInvitation({
+      trip: access.trip,
+      email,
+      role,
+      invitedBy: req.user.id,
+      invitedByName: req.user.name
+    });
+
+    return res.status(201).json({
+      ok: true,
+      invitation: toPublicTripInvitation(invitation)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/trips/:id/invitations
+export async function listInvitations(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'owner' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const items = await listTripInvitations(access.trip.id);
+
+    return res.status(200).json({
+      ok: true,
+      count: items.length,
+      invitations: items.map(toPublicTripInvitation)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/trips/:id/invitations/:invitationId
+export async function revokeInvitation(req, res, next) {
+  try {
+    const access = await checkTripAccess({ tripId: req.params.id, req, minRole: 'owner' });
+    if (!access.ok) return sendAccessError(res, access);
+
+    const invitation = await getTripInvitationById(req.params.invitationId);
+    if (!invitation || invitation.tripId !== access.trip.id) {
+      return res.status(404).json({ ok: false, error: 'INVITATION_NOT_FOUND' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({ ok: false, error: 'INVITATION_NOT_PENDING' });
+    }
+
+    const updated = await setTripInvitationStatus(invitation.id, 'revoked');
+
+    // Pudo haberse aceptado o rechazado entre la lectura y la transacción.
+    if (!updated) {
+      return res.status(409).json({ ok: false, error: 'INVITATION_NOT_PENDING' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      invitation: toPublicTripInvitation(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// INVITACIONES (lado de la persona invitada)
+// -----------------------------------------------------------------------------
+
+// Carga una invitación dirigida al email del usuario autenticado.
+// Devuelve { invitation } o { error: { status, errorCode } }.
+async function loadMyInvitation(req) {
+  const invitation = await getTripInvitationById(req.params.id);
+  const email = String(req.user?.email || '').toLowerCase();
+
+  // Si no es para este usuario, respondemos como si no existiera.
+  if (!invitation || !email || invitation.email !== email) {
+    return { error: { status: 404, errorCode: 'INVITATION_NOT_FOUND' } };
+  }
+
+  if (invitation.status !== 'pending') {
+    return { error: { status: 409, errorCode: 'INVITATION_NOT_PENDING' } };
+  }
+
+  return { invitation };
+}
+
+// GET /api/invitations
+export async function listMyInvitations(req, res, next) {
+  try {
+    const items = await listPendingInvitationsForEmail(req.user?.email);
+
+    return res.status(200).json({
+      ok: true,
+      count: items.length,
+      invitations: items.map(toPublicTripInvitation)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/invitations/:id/accept
+export async function acceptInvitation(req, res, next) {
+  try {
+    const { invitation, error } = await loadMyInvitation(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const result = await acceptTripInvitation(invitation.id, req.user);
+
+    // Entre la lectura y la transacción pudo haber cambiado de estado
+    // (revocada) o haberse borrado el viaje.
+    if (!result) {
+      return res.status(409).json({ ok: false, error: 'INVITATION_NOT_PENDING' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      invitation: toPublicTripInvitation(result.invitation),
+      tripId: result.trip.id,
+      role: getTripRole(result.trip, req.user.id)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/invitations/:id/decline
+export async function declineInvitation(req, res, next) {
+  try {
+    const { invitation, error } = await loadMyInvitation(req);
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.errorCode });
+    }
+
+    const updated = await setTripInvitationStatus(invitation.id, 'declined');
+
+    // Pudo haberse aceptado o revocado entre la lectura y la transacción.
+    if (!updated) {
+      return res.status(409).json({ ok: false, error: 'INVITATION_NOT_PENDING' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      invitation: toPublicTripInvitation(updated)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
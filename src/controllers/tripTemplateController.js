@@ -0,0 +1,217 @@
+// src/controllers/tripTemplateController.js
+// -----------------------------------------
+// Plantillas de viaje reutilizables.
+//
+// Rutas (todas con authMiddleware):
+//   GET    /api/templates?destinationId=&tag=&q=&limit=  -> explorar plantillas
+//   POST   /api/templates                                -> publicar un trip (owner)
+//   GET    /api/templates/:id                            -> detalle con itinerario
+//   POST   /api/templates/:id/instantiate                -> crear un trip propio
+//   DELETE /api/templates/:id                            -> despublicar (autor o admin)
+//
+// Al publicar se descartan las fechas, las notas personales, el presupuesto
+// y los gastos; al instanciar, el plan se ubica a partir de la fecha elegida.
+
+import {
+  tripTemplateCreateSchema,
+  tripTemplateInstantiateSchema,
+  toPublicTripTemplate
+} from '../models/tripTemplateModel.js';
+import { itineraryDataSchema, toPublicItinerary } from '../models/itineraryModel.js';
+import { toPublicTrip } from '../models/tripModel.js';
+import {
+  createTripTemplate,
+  getTripTemplateById,
+  listTripTemplates,
+  registerTripTemplateUse,
+  deleteTripTemplate
+} from '../services/tripTemplateService.js';
+import { checkTripAccess } from '../services/tripAccessService.js';
+import { createTrip } from '../services/tripService.js';
+import {
+  buildBudgetSummary,
+  createItinerary,
+  getItineraryById,
+  listItineraries
+} from '../services/itineraryService.js';
+import {
+  buildTemplatePlan,
+  templateTripDates,
+  templateItineraryData
+} from '../utils/tripCloning.js';
+import { tripCurrency } from '../utils/currency.js';
+
+// GET /api/templates?destinationId=&tag=&q=&limit=
+export async function list(req, res, next) {
+  try {
+    const { destinationId, tag, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const items = await listTripTemplates({ destinationId, tag, q, limit });
+
+    return res.status(200).json({
+      ok: true,
+      count: items.length,
+      templates: items.map((t) => toPublicTripTemplate(t, { includeData: false }))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/templates/:id
+export async function getById(req, res, next) {
+  try {
+    const template = await getTripTemplateById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ ok: false, error: 'TEMPLATE_NOT_FOUND' });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      template: toPublicTripTemplate(template)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// POST /api/templates
+// -------------------
+// Body: { tripId, itineraryId?, title?, description?, tags? }
+// Publica el trip (y su itinerario más reciente, o el indicado) como
+// plantilla. Solo el owner del trip puede publicarlo.
+//
+export async function create(req, res, next) {
+  try {
+    const data = tripTemplateCreateSchema.parse(req.body);
+
+    const access = await checkTripAccess({ tripId: data.tripId, req, minRole: 'owner' });
+    if (!access.ok) {
+      return res.status(access.status).json({ ok: false, error: access.errorCode });
+    }
+
+    const trip = access.trip;
+
+    const itinerary = data.itineraryId
+      ? await getItineraryById(data.itineraryId)
+      : (await listItineraries({ tripId: trip.id, limit: 1 }))[0] || null;
+
+    if (!itinerary || itinerary.tripId !== trip.id) {
+      return res.status(404).json({ ok: false, error: 'ITINERARY_NOT_FOUND' });
+    }
+
+    const plan = buildTemplatePlan(trip, itinerary);
+
+    // La plantilla mantiene la estructura de itineraryDataSchema.
+    const parsed = itineraryDataSchema.safeParse(plan.data);
+    if (!parsed.success) {
+      return res.status(400).json({
+        ok: false,
+        error: 'INVALID_ITINERARY_DATA',
+        details: parsed.error.issues
+      });
+    }
+
+    const created = await createTripTemplate({
+      ...plan,
+      data: parsed.data,
+      title: data.title || trip.title,
+      description: data.description,
+      tags: data.tags,
+      authorId: req.user.id,
+      authorName: req.user.name,
+      sourceTripId: trip.id,
+      sourceItineraryId: itinerary.id,
+      currency: tripCurrency(trip),
+      interests: trip.interests || []
+    });
+
+    return res.status(201).json({
+      ok: true,
+      template: toPublicTripTemplate(created)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+//
+// POST /api/templates/:id/instantiate
+// -----------------------------------
+// Body: { startDate, title?, budget? }
+// Crea un trip del usuario (en borrador) con los tramos y el itinerario de
+// la plantilla, con fechas a partir de startDate. Los costos estimados
+// están en la moneda de la plantilla, que pasa a ser la del trip.
+//
+export async function instantiate(req, res, next) {
+  try {
+    const data = tripTemplateInstantiateSchema.parse(req.body);
+
+    const template = await getTripTemplateById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ ok: false, error: 'TEMPLATE_NOT_FOUND' });
+    }
+
+    const dates = templateTripDates(template, data.startDate);
+
+    const trip = await createTrip({
+      userId: req.user.id,
+      owner: { email: req.user.email, name: req.user.name },
+      title: data.title || template.title,
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      budget: data.budget,
+      currency: template.currency || undefined,
+      interests: template.interests || [],
+      status: 'draft',
+      legs: dates.legs,
+      origin: { type: 'template', id: template.id }
+    });
+
+    let itinerary = null;
+    if (template.data?.days?.length) {
+      const itineraryData = templateItineraryData(template, data.startDate);
+      itineraryData.budgetSummary = buildBudgetSummary(itineraryData.days, trip.budget);
+
+      itinerary = await createItinerary(
+        { tripId: trip.id, data: itineraryData, aiModelUsed: 'template' },
+        { source: 'template', authorId: req.user.id, trip }
+      );
+    }
+
+    await registerTripTemplateUse(template.id);
+
+    return res.status(201).json({
+      ok: true,
+      trip: toPublicTrip(trip),
+      itinerary: toPublicItinerary(itinerary)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/templates/:id (autor o admin)
+export async function remove(req, res, next) {
+  try {
+    const template = await getTripTemplateById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ ok: false, error: 'TEMPLATE_NOT_FOUND' });
+    }
+
+    if (template.authorId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ ok: false, error: 'FORBIDDEN_TEMPLATE_AUTHOR' });
+    }
+
+    await deleteTripTemplate(template.id);
+
+    return res.status(200).json({
+      ok: true,
+      deleted: template.id
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,8 +1,9 @@
-// Importamos el servicio que permite obtener un usuario por su ID.
-import { getUserById } from '../services/userService.js';
+// Importamos el servicio que permite obtener (y actualizar) un usuario por su ID.
+import { getUserById, updateUserPreferences } from '../services/userService.js';
 
-// Importamos la función que convierte el usuario a su forma pública.
-import { toPublicUser } from '../models/userModel.js';
+// Importamos la función que convierte el usuario a su forma pública
+// y el esquema de sus preferencias.
+import { toPublicUser, userPreferencesSchema } from '../models/userModel.js';
 
 // Controlador para obtener la información del usuario autenticado.
 // Ruta: GET /users/me
@@ -41,3 +42,38 @@ export async function me(req, res, next) {
     next(err);
   }
 }
+
+// Controlador para actualizar las preferencias del usuario autenticado.
+// Ruta: PATCH /users/me
+// Body: { homeCurrency: "USD" } (o null para quitarla).
+export async function updateMe(req, res, next) {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        ok: false,
+        error: 'UNAUTHORIZED'
+      });
+    }
+
+    // Validamos el body (ZodError -> 400 en el errorHandler).
+    const data = userPreferencesSchema.parse(req.body);
+
+    const user = await updateUserPreferences(userId, data);
+
+    if (!user) {
+      return res.status(404).json({
+        ok: false,
+        error: 'NOT_FOUND'
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      user: toPublicUser(user)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -61,7 +61,8 @@ export async function authMiddleware(req, res, next) {
       id: user.id,
       email: user.email,
       role: user.role,
-      name: user.name
+      name: user.name,
+      homeCurrency: user.homeCurrency || null
     };
 
     // Llamamos a next() para que Express continúe con la siguiente
@@ -52,14 +52,34 @@ export const authLimiter = rateLimit({
   }
 });
 
+// -----------------------------------------------------------------------------
+// Limiter para la vista pública de links compartidos (/api/shared)
+// -----------------------------------------------------------------------------
+// Es una ruta sin autenticación: limitamos los intentos por IP para que no
+// se puedan probar tokens al azar a gran velocidad.
+//   - windowMs: 15 minutos.
+//   - max: 100 requests por IP en esa ventana.
+//
+export const sharedLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    ok: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    details: 'Demasiadas solicitudes a links compartidos desde esta IP. Intenta de nuevo más tarde.'
+  }
+});
+
 // -----------------------------------------------------------------------------
 // (Opcional) Limiter general para toda la API
 // -----------------------------------------------------------------------------
 // Si en el futuro quieres proteger toda la API con un límite global,
 // puedes definir otro limiter aquí y aplicarlo en index.js.
 //
-// Por ahora, solo exportamos authLimiter para mantener el enfoque
-// en la protección de /auth.
+// Por ahora, solo exportamos authLimiter y sharedLinkLimiter, que cubren
+// las rutas más expuestas.
 //
 // Ejemplo de cómo se vería otro limiter:
 //
@@ -1,9 +1,56 @@
 // Importamos Zod para definir el esquema de validación de actividades.
 import { z } from 'zod';
 
+// Parser y normalizador de horarios de apertura (texto libre -> estructura).
+import {
+  normalizeOpeningHours,
+  parseOpeningHoursText
+} from '../utils/openingHours.js';
+
 // priceRange: rango simple de precios para el MVP.
 const priceRangeEnum = z.enum(['free', 'low', 'medium', 'high']);
 
+// Días de la semana usados en los horarios de apertura.
+const weekdayEnum = z.enum(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']);
+
+// Hora en formato "HH:MM" (se admite "24:00" como cierre a medianoche).
+const timeOfDayString = z
+  .string()
+  .regex(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'La hora debe tener formato HH:MM');
+
+// Fecha "MM-DD" para excepciones que se repiten todos los años.
+const monthDayString = z
+  .string()
+  .regex(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'La fecha debe tener formato MM-DD');
+
+// Rango de apertura semanal: días + hora de apertura y de cierre.
+// Si close <= open, se entiende que cierra al día siguiente.
+const openingRangeSchema = z.object({
+  days: z.array(weekdayEnum).min(1),
+  open: timeOfDayString,
+  close: timeOfDayString
+});
+
+// Excepción estacional (ej: "cerrado de mayo a septiembre" o un horario
+// especial en fiestas). Puede cerrar la actividad o reemplazar su horario.
+const openingExceptionSchema = z.object({
+  label: z.string().min(1).max(80).optional(),
+  from: monthDayString,
+  to: monthDayString,
+  closed: z.boolean().default(false),
+  weekly: z.array(openingRangeSchema).optional()
+});
+
+// Horarios de apertura estructurados.
+// "weekly" vacío significa horario desconocido (se asume abierto).
+export const openingHoursSchema = z.object({
+  weekly: z.array(openingRangeSchema).default([]),
+  closedDays: z.array(weekdayEnum).default([]),
+  exceptions: z.array(openingExceptionSchema).default([]),
+  // Texto original, útil para mostrarlo tal cual en el frontend.
+  text: z.string().min(1).max(200).optional()
+});
+
 // Esquema de creación de actividad (POST /api/activities).
 export const activityCreateSchema = z.object({
   // ID del destino al que pertenece esta actividad.
@@ -18,12 +65,12 @@ export const activityCreateSchema = z.object({
   // Rango de precio (free, low, medium, high).
   priceRange: priceRangeEnum,
 
-  // Horarios de apertura en formato texto (opcional).
-  openingHours: z
-    .string()
-    .min(1)
-    .max(200)
-    .optional(),
+  // Horarios de apertura (opcional). Se acepta el formato estructurado
+  // o, por compatibilidad, un texto libre que convertimos con el parser.
+  openingHours: z.preprocess(
+    (val) => (typeof val === 'string' ? parseOpeningHoursText(val) : val),
+    openingHoursSchema.optional()
+  ),
 
   // Coordenadas geográficas (opcional).
   coords: z
@@ -33,18 +80,24 @@ export const activityCreateSchema = z.object({
     })
     .optional(),
 
-  // Puntuación de la actividad (0 a 5).
-  rating: z.number().min(0).max(5).optional(),
-
-  // Cantidad de reseñas (entero no negativo).
-  reviewsCount: z.number().int().min(0).optional(),
+  // rating y reviewsCount no se reciben: se calculan a partir de las
+  // reseñas (ver activityReviewService).
 
   // Lista de imágenes (URLs).
   images: z.array(z.string().url()).default([])
 });
 
 // Esquema de actualización parcial (PATCH /api/activities/:id).
-export const activityUpdateSchema = activityCreateSchema.partial();
+// images se redefine sin default: si no viene en el body, no se toca.
+export const activityUpdateSchema = activityCreateSchema.partial().extend({
+  images: z.array(z.string().url()).optional()
+});
+
+// ¿La actividad tiene rating calculado a partir de reseñas? (ver
+// activityReviewService).
+export function hasReviewStats(a) {
+  return typeof a?.ratingTotal === 'number';
+}
 
 // Normalizador de salida para la API pública.
 // Nos aseguramos de que los campos numéricos tengan valores razonables
@@ -58,12 +111,17 @@ export function toPublicActivity(a) {
     name: a.name,
     category: a.category,
     priceRange: a.priceRange,
-    openingHours: a.openingHours || null,
+    // Los documentos viejos guardan texto libre: lo devolvemos estructurado.
+    openingHours: normalizeOpeningHours(a.openingHours),
     coords: a.coords || null,
-    rating: typeof a.rating === 'number' ? a.rating : null,
+    // rating y reviewsCount salen de las reseñas. Sin ratingTotal son
+    // valores cargados a mano (datos viejos, ver resetLegacyRatings): no
+    // se muestran.
+    rating: hasReviewStats(a) && typeof a.rating === 'number' ? a.rating : null,
     reviewsCount:
-      typeof a.reviewsCount === 'number' ? a.reviewsCount : 0,
+      hasReviewStats(a) && typeof a.reviewsCount === 'number' ? a.reviewsCount : 0,
     images: a.images || [],
+    externalId: a.externalId || null, // clave de la importación masiva, si vino de ahí
     createdAt: a.createdAt,
     updatedAt: a.updatedAt
   };
@@ -0,0 +1,57 @@
+// src/models/activityReviewModel.js
+// ---------------------------------
+// Reseñas de actividades (subcolección activities/{activityId}/reviews).
+//
+// Solo puede reseñar quien tuvo la actividad en el itinerario de un viaje
+// completado. Cada usuario deja una sola reseña por actividad (el id del
+// documento es su userId): puntuación de 1 a 5, texto y, opcionalmente,
+// fotos que ya subió por /api/uploads.
+//
+// El "rating" y el "reviewsCount" de la actividad se calculan a partir de
+// estas reseñas; ya no se escriben a mano.
+
+import { z } from 'zod';
+
+// Máximo de fotos por reseña.
+export const MAX_REVIEW_PHOTOS = 5;
+
+// Órdenes disponibles para listar reseñas.
+export const reviewSortEnum = z.enum([
+  'recent',       // más nuevas primero (por defecto)
+  'oldest',       // más viejas primero
+  'rating_desc',  // mejor puntuadas primero
+  'rating_asc'    // peor puntuadas primero
+]);
+
+// Alta de una reseña (POST /api/activities/:id/reviews).
+export const activityReviewCreateSchema = z.object({
+  rating: z.number().int().min(1).max(5),
+  text: z.string().trim().min(10, 'La reseña debe tener al menos 10 caracteres').max(2000),
+
+  // IDs de uploads del propio usuario.
+  photoIds: z.array(z.string().min(1)).max(MAX_REVIEW_PHOTOS).default([])
+});
+
+// Edición de la reseña propia (PATCH /api/activities/:id/reviews/mine).
+// photoIds se redefine sin default: si no viene en el body, no se toca.
+export const activityReviewUpdateSchema = activityReviewCreateSchema.partial().extend({
+  photoIds: z.array(z.string().min(1)).max(MAX_REVIEW_PHOTOS).optional()
+});
+
+// Normalizador de salida.
+export function toPublicActivityReview(r) {
+  if (!r) return null;
+
+  return {
+    id: r.id,                        // = userId del autor
+    activityId: r.activityId,
+    userId: r.userId,
+    userName: r.userName || null,
+    rating: r.rating,
+    text: r.text,
+    photos: r.photos || [],          // [{ uploadId, url }]
+    tripId: r.tripId || null,        // viaje completado que habilitó la reseña
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt
+  };
+}
@@ -0,0 +1,96 @@
+// src/models/catalogImportModel.js
+// --------------------------------
+// Validación de filas para la importación masiva del catálogo
+// (POST /admin/import/:type y el script catalog:import).
+//
+// Cada fila se valida con el mismo esquema de creación que usan los
+// endpoints de escritura (destinationCreateSchema / activityCreateSchema)
+// más un "externalId": la clave de la fuente de datos con la que se
+// actualiza el registro si ya se importó antes, en lugar de duplicarlo.
+//
+// En las actividades, el destino se indica con destinationId o con el
+// destinationExternalId de un destino importado.
+
+import { z } from 'zod';
+import { destinationCreateSchema } from './destinationModel.js';
+import { activityCreateSchema } from './activityModel.js';
+
+// Tipos importables, como aparecen en la URL y en el script.
+export const IMPORT_TYPES = {
+  destinations: 'destination',
+  activities: 'activity'
+};
+
+// Tipo interno a partir del de la URL / el script ("activities" ->
+// "activity"). Devuelve null si no es un tipo importable (solo claves
+// propias de IMPORT_TYPES: "constructor" o "toString" no valen).
+export function resolveImportType(name) {
+  return Object.hasOwn(IMPORT_TYPES, name) ? IMPORT_TYPES[name] : null;
+}
+
+const externalIdSchema = z.string().trim().min(1, 'externalId es requerido').max(120);
+
+const IMPORT_ROW_SCHEMAS = {
+  destination: destinationCreateSchema.extend({
+    externalId: externalIdSchema
+  }),
+
+  activity: activityCreateSchema
+    .extend({
+      externalId: externalIdSchema,
+      destinationId: z.string().min(1).optional(),
+      destinationExternalId: z.string().trim().min(1).max(120).optional()
+    })
+    .refine((a) => a.destinationId || a.destinationExternalId, {
+      message: 'destinationId o destinationExternalId es requerido',
+      path: ['destinationId']
+    })
+};
+
+// Problemas de validación en un formato corto para el reporte.
+function toIssues(error) {
+  return error.issues.map((issue) => ({
+    path: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// validateImportRows(type, rows)
+// -----------------------------------------------------------------------------
+// "rows" es [{ row, data }] (ver utils/catalogImport.js). Devuelve:
+//   { valid:  [{ row, externalId, data }],
+//     errors: [{ row, externalId, issues: [{ path, message }] }] }
+// Un externalId repetido en el mismo archivo es un error en la segunda
+// aparición.
+//
+export function validateImportRows(type, rows) {
+  const schema = IMPORT_ROW_SCHEMAS[type];
+  const valid = [];
+  const errors = [];
+  const seen = new Map();
+
+  for (const { row, data } of rows) {
+    const parsed = schema.safeParse(data);
+    const externalId = parsed.success ? parsed.data.externalId : data.externalId ?? null;
+
+    if (!parsed.success) {
+      errors.push({ row, externalId, issues: toIssues(parsed.error) });
+      continue;
+    }
+
+    if (seen.has(externalId)) {
+      errors.push({
+        row,
+        externalId,
+        issues: [{ path: 'externalId', message: `externalId repetido (fila ${seen.get(externalId)})` }]
+      });
+      continue;
+    }
+
+    seen.set(externalId, row);
+    valid.push({ row, externalId, data: parsed.data });
+  }
+
+  return { valid, errors };
+}
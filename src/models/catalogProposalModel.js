@@ -0,0 +1,80 @@
+// src/models/catalogProposalModel.js
+// ----------------------------------
+// Propuestas de cambios al catálogo (colección "catalogProposals").
+//
+// Solo los admins escriben destinos y actividades directamente. El resto de
+// los usuarios propone un destino o una actividad nueva, o cambios sobre uno
+// existente, y la propuesta queda en una cola hasta que un admin la aprueba
+// (se aplica) o la rechaza con un motivo.
+//
+// Estados: pending -> approved | rejected, o withdrawn si quien la envió la
+// retira antes de la revisión.
+
+import { z } from 'zod';
+import {
+  destinationCreateSchema,
+  destinationUpdateSchema
+} from './destinationModel.js';
+import {
+  activityCreateSchema,
+  activityUpdateSchema
+} from './activityModel.js';
+
+// Qué se propone cambiar.
+export const proposalTypeEnum = z.enum(['destination', 'activity']);
+
+// Estados de una propuesta.
+export const proposalStatusEnum = z.enum(['pending', 'approved', 'rejected', 'withdrawn']);
+
+// Esquemas de "data" según el tipo y la acción (alta o edición): los mismos
+// que usan los endpoints de escritura directa.
+const PROPOSAL_DATA_SCHEMAS = {
+  destination: { create: destinationCreateSchema, update: destinationUpdateSchema },
+  activity: { create: activityCreateSchema, update: activityUpdateSchema }
+};
+
+// Envío de una propuesta (POST /api/proposals).
+// Sin targetId es un alta; con targetId, cambios sobre ese registro.
+export const catalogProposalCreateSchema = z.object({
+  type: proposalTypeEnum,
+  targetId: z.string().min(1).optional(),
+  data: z.record(z.string(), z.unknown()),
+
+  // Comentario para quien revisa (fuente, motivo del cambio...).
+  note: z.string().max(500).optional()
+});
+
+// Rechazo (POST /admin/proposals/:id/reject).
+export const catalogProposalRejectSchema = z.object({
+  reason: z.string().trim().min(3, 'Indicá el motivo del rechazo').max(500)
+});
+
+// Valida "data" con el esquema del tipo y la acción. Lanza ZodError si no
+// es válido (el errorHandler responde 400 VALIDATION_ERROR).
+export function parseProposalData(type, action, data) {
+  return PROPOSAL_DATA_SCHEMAS[type][action].parse(data);
+}
+
+// Normalizador de salida.
+export function toPublicCatalogProposal(p) {
+  if (!p) return null;
+
+  return {
+    id: p.id,
+    type: p.type,
+    action: p.action,                      // 'create' | 'update'
+    targetId: p.targetId || null,
+    data: p.data || {},
+    note: p.note || null,
+    status: p.status,
+    authorId: p.authorId,
+    authorName: p.authorName || null,
+    baseUpdatedAt: p.baseUpdatedAt || null, // updatedAt del registro al proponer
+    reviewedBy: p.reviewedBy || null,
+    reviewedAt: p.reviewedAt || null,
+    rejectionReason: p.rejectionReason || null,
+    resultId: p.resultId || null,          // registro creado / editado al aprobar
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt
+  };
+}
@@ -0,0 +1,118 @@
+// src/models/checklistModel.js
+// ----------------------------
+// Checklists de un viaje (subcolección trips/{tripId}/checklists).
+//
+// Sirven para la logística: qué llevar en la valija ("packing"), qué
+// resolver antes de salir ("pre_trip") o cualquier lista propia ("custom").
+// Cada checklist guarda sus ítems en un array; cada ítem tiene su id,
+// categoría, cantidad, a quién se le asignó y si ya está hecho.
+
+import { z } from 'zod';
+
+// Tipos de checklist.
+export const checklistKindEnum = z.enum(['packing', 'pre_trip', 'custom']);
+
+// Categorías de ítem.
+export const checklistItemCategoryEnum = z.enum([
+  'documents',    // documentos, seguros, reservas
+  'clothing',     // ropa y calzado
+  'toiletries',   // higiene personal
+  'health',       // botiquín, repelente, vacunas
+  'electronics',  // cargadores, cámara, adaptadores
+  'gear',         // equipo: mochila, toallón, linterna
+  'money',        // tarjetas, efectivo, transporte
+  'tasks',        // trámites y pendientes antes de viajar
+  'other'         // otros
+]);
+
+const labelSchema = z.string().trim().min(1, 'label es requerido').max(150);
+
+const quantitySchema = z.preprocess(
+  (val) => {
+    if (val === undefined || val === null || val === '') return undefined;
+    const num = Number(val);
+    return Number.isNaN(num) ? val : num;
+  },
+  z.number().int().min(1).max(99)
+);
+
+// ID de un miembro del viaje, o null para dejarlo sin asignar.
+const assigneeSchema = z.string().min(1).nullable();
+
+// Ítem nuevo (POST .../items, o dentro de la checklist al crearla).
+export const checklistItemCreateSchema = z.object({
+  label: labelSchema,
+  category: checklistItemCategoryEnum.default('other'),
+  quantity: quantitySchema.default(1),
+  assigneeId: assigneeSchema.optional(),
+  done: z.boolean().default(false)
+});
+
+// Edición de un ítem (PATCH .../items/:itemId). Sin defaults: solo se
+// cambia lo que viene en el body.
+export const checklistItemUpdateSchema = z.object({
+  label: labelSchema.optional(),
+  category: checklistItemCategoryEnum.optional(),
+  quantity: quantitySchema.optional(),
+  assigneeId: assigneeSchema.optional(),
+  done: z.boolean().optional()
+});
+
+// Checklist nueva (POST /api/trips/:id/checklists).
+export const checklistCreateSchema = z.object({
+  title: z.string().trim().min(1, 'title es requerido').max(100),
+  kind: checklistKindEnum.default('custom'),
+  items: z.array(checklistItemCreateSchema).max(200).default([])
+});
+
+// Edición de la checklist (por ahora solo el título).
+export const checklistUpdateSchema = z.object({
+  title: z.string().trim().min(1).max(100)
+});
+
+// Generar una checklist sugerida (POST /api/trips/:id/checklists/generate).
+// Por defecto usa los destinos de los tramos del viaje; con dryRun
+// devuelve la sugerencia sin guardarla.
+export const checklistGenerateSchema = z.object({
+  kind: z.enum(['packing', 'pre_trip']).default('packing'),
+  title: z.string().trim().min(1).max(100).optional(),
+  destinationIds: z.array(z.string().min(1)).max(20).optional(),
+  dryRun: z.boolean().default(false)
+});
+
+// Normalizador de salida de un ítem.
+export function toPublicChecklistItem(item) {
+  return {
+    id: item.id,
+    label: item.label,
+    category: item.category || 'other',
+    quantity: item.quantity || 1,
+    assigneeId: item.assigneeId || null,
+    done: !!item.done,
+    doneBy: item.doneBy || null,
+    doneAt: item.doneAt || null,
+    reason: item.reason || null       // motivo de la sugerencia, si se generó
+  };
+}
+
+// Normalizador de salida de la checklist, con el progreso calculado.
+export function toPublicChecklist(c) {
+  if (!c) return null;
+
+  const items = (c.items || []).map(toPublicChecklistItem);
+
+  return {
+    id: c.id,
+    tripId: c.tripId,
+    title: c.title,
+    kind: c.kind || 'custom',
+    items,
+    progress: {
+      done: items.filter((i) => i.done).length,
+      total: items.length
+    },
+    createdBy: c.createdBy,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt
+  };
+}
@@ -23,12 +23,29 @@ export const destinationCreateSchema = z.object({
   tags: z.array(z.string()).default([]),
 
   // Lista de URLs de imágenes.
-  images: z.array(z.string().url()).default([])
+  images: z.array(z.string().url()).default([]),
+
+  // Costos estimados por rango de precio de las actividades de este destino
+  // (opcional). Lo que no se indique usa la tabla por defecto del modelo
+  // de precios (priceModelService).
+  priceEstimates: z
+    .object({
+      free: z.number().nonnegative().optional(),
+      low: z.number().nonnegative().optional(),
+      medium: z.number().nonnegative().optional(),
+      high: z.number().nonnegative().optional()
+    })
+    .optional()
 });
 
 // Esquema de actualización parcial (PATCH /api/destinations/:id).
 // Todos los campos se vuelven opcionales para permitir cambios parciales.
-export const destinationUpdateSchema = destinationCreateSchema.partial();
+// tags e images se redefinen sin default: si no vienen en el body, no se
+// tocan (con el default, cada PATCH los vaciaba).
+export const destinationUpdateSchema = destinationCreateSchema.partial().extend({
+  tags: z.array(z.string()).optional(),
+  images: z.array(z.string().url()).optional()
+});
 
 // Normalizador de salida para la API pública.
 // Se asegura de devolver un objeto consistente con los campos
@@ -44,6 +61,8 @@ export function toPublicDestination(d) {
     coords: d.coords,
     tags: d.tags || [],
     images: d.images || [],
+    priceEstimates: d.priceEstimates || null,
+    externalId: d.externalId || null, // clave de la importación masiva, si vino de ahí
     createdAt: d.createdAt,
     updatedAt: d.updatedAt
   };
@@ -0,0 +1,56 @@
+// src/models/exchangeRateModel.js
+// -------------------------------
+// Cotizaciones de la tabla offline (colección "exchangeRates").
+//
+// Cada cotización dice cuánto vale 1 unidad de "base" en "quote" a partir
+// de "effectiveDate". No se consultan servicios externos: las carga un
+// admin con src/scripts/importExchangeRates.js.
+
+import { z } from 'zod';
+
+// Código ISO 4217 ("usd" -> "USD").
+export const currencyCodeSchema = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z]{3}$/, 'Debe ser un código ISO de 3 letras')
+  .transform((value) => value.toUpperCase());
+
+// Fila de cotización. Acepta números o strings numéricos en "rate"
+// (los CSV traen todo como texto).
+export const exchangeRateSchema = z
+  .object({
+    base: currencyCodeSchema,
+    quote: currencyCodeSchema,
+    rate: z.preprocess(
+      (val) => {
+        if (val === undefined || val === null || val === '') return undefined;
+        const num = Number(val);
+        return Number.isNaN(num) ? val : num;
+      },
+      z.number().positive('rate debe ser mayor a 0')
+    ),
+    effectiveDate: z
+      .string()
+      .trim()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, 'effectiveDate debe tener formato YYYY-MM-DD'),
+    source: z.string().trim().max(100).optional()
+  })
+  .refine((value) => value.base !== value.quote, {
+    message: 'base y quote deben ser monedas distintas',
+    path: ['quote']
+  });
+
+// Normalizador de salida.
+export function toPublicExchangeRate(r) {
+  if (!r) return null;
+
+  return {
+    id: r.id,
+    base: r.base,
+    quote: r.quote,
+    rate: r.rate,
+    effectiveDate: r.effectiveDate,
+    source: r.source || null,
+    importedAt: r.importedAt
+  };
+}
@@ -0,0 +1,138 @@
+// src/models/expenseModel.js
+// --------------------------
+// Gastos reales de un viaje (subcolección trips/{tripId}/expenses).
+//
+// A diferencia de trip.budget (un número) y de estimatedCost (una
+// estimación), acá se anota lo que efectivamente se gastó en el viaje:
+// cuánto, en qué moneda, en qué categoría, qué día, quién pagó y entre
+// quiénes se reparte. Opcionalmente se vincula a un bloque del itinerario.
+
+import { z } from 'zod';
+import { currencyCodeSchema } from './exchangeRateModel.js';
+
+// Categorías de gasto.
+export const expenseCategoryEnum = z.enum([
+  'lodging',     // alojamiento
+  'food',        // comidas
+  'transport',   // traslados, vuelos, combustible
+  'activities',  // entradas, excursiones
+  'shopping',    // compras
+  'other'        // otros
+]);
+
+// Acepta números o strings numéricos (igual que trip.budget).
+const amountSchema = z.preprocess(
+  (val) => {
+    if (val === undefined || val === null || val === '') return undefined;
+    const num = Number(val);
+    return Number.isNaN(num) ? val : num;
+  },
+  z.number().positive('El monto debe ser mayor a 0')
+);
+
+// Participante del reparto. Si ningún participante indica "amount", el
+// gasto se divide en partes iguales; si lo indican todos, los montos
+// tienen que sumar el total del gasto.
+const splitParticipantSchema = z.object({
+  userId: z.string().min(1),
+  amount: amountSchema.optional()
+});
+
+// Vínculo opcional con un bloque del itinerario.
+const periodLinkSchema = z.object({
+  itineraryId: z.string().min(1),
+  day: z.number().int().min(1),
+  periodIndex: z.number().int().min(0)
+});
+
+const expenseBaseFields = {
+  amount: amountSchema,
+
+  // Código ISO 4217 ("ARS", "USD"...). Si no viene, se guarda la moneda
+  // que tiene el viaje al registrar el gasto.
+  currency: currencyCodeSchema.optional(),
+
+  category: expenseCategoryEnum.default('other'),
+
+  // Fecha del gasto ("YYYY-MM-DD").
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date debe tener formato YYYY-MM-DD'),
+
+  description: z.string().max(200).optional(),
+
+  // Quién pagó (ID de un miembro). Por defecto, quien registra el gasto.
+  paidBy: z.string().min(1).optional(),
+
+  // Entre quiénes se reparte. Por defecto, todos los miembros del viaje.
+  splitAmong: z.array(splitParticipantSchema).min(1).max(50).optional(),
+
+  period: periodLinkSchema.nullable().optional()
+};
+
+// Revisa el reparto: sin participantes repetidos y con montos que, si
+// vienen, estén en todos y sumen el total.
+export function expenseSplitIssues(amount, splitAmong) {
+  const issues = [];
+  if (!Array.isArray(splitAmong)) return issues;
+
+  const ids = splitAmong.map((p) => p.userId);
+  if (new Set(ids).size !== ids.length) {
+    issues.push({ path: ['splitAmong'], message: 'Hay participantes repetidos' });
+  }
+
+  const withAmount = splitAmong.filter((p) => typeof p.amount === 'number');
+  if (withAmount.length > 0 && withAmount.length !== splitAmong.length) {
+    issues.push({
+      path: ['splitAmong'],
+      message: 'Indicá el monto de todos los participantes o de ninguno'
+    });
+  } else if (withAmount.length > 0) {
+    const total = withAmount.reduce((acc, p) => acc + Math.round(p.amount * 100), 0);
+    if (total !== Math.round(amount * 100)) {
+      issues.push({
+        path: ['splitAmong'],
+        message: 'Los montos del reparto deben sumar el total del gasto'
+      });
+    }
+  }
+
+  return issues;
+}
+
+// Esquema de creación (POST /api/trips/:id/expenses).
+export const expenseCreateSchema = z
+  .object(expenseBaseFields)
+  .superRefine((value, ctx) => {
+    for (const issue of expenseSplitIssues(value.amount, value.splitAmong)) {
+      ctx.addIssue({ code: 'custom', ...issue });
+    }
+  });
+
+// Esquema de actualización (PATCH). El reparto se revisa en el controller,
+// combinado con el gasto guardado.
+export const expenseUpdateSchema = z.object({
+  ...expenseBaseFields,
+  amount: amountSchema.optional(),
+  category: expenseCategoryEnum.optional(),
+  date: expenseBaseFields.date.optional()
+});
+
+// Normalizador de salida.
+export function toPublicExpense(e) {
+  if (!e) return null;
+
+  return {
+    id: e.id,
+    tripId: e.tripId,
+    amount: e.amount,
+    currency: e.currency || null,        // null (gastos viejos) = moneda del viaje
+    category: e.category,
+    date: e.date,
+    description: e.description || null,
+    paidBy: e.paidBy,
+    splitAmong: e.splitAmong || [],      // [{ userId, amount }], ya resuelto
+    period: e.period || null,
+    createdBy: e.createdBy,
+    createdAt: e.createdAt,
+    updatedAt: e.updatedAt
+  };
+}
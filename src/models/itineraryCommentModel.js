@@ -0,0 +1,76 @@
+// src/models/itineraryCommentModel.js
+// -----------------------------------
+// Comentarios sobre bloques (periods) de un itinerario, para que quienes
+// planifican juntos puedan discutir ("¿salteamos este museo?").
+//
+// Se guardan en la subcolección itineraries/{itineraryId}/comments.
+//
+// Cada comentario está anclado a un día y a la posición del bloque
+// (periodIndex). Como esa posición puede cambiar al regenerar o editar el
+// itinerario, el ancla también guarda una "huella" del bloque (actividad,
+// momento del día y título) para volver a encontrarlo. Ver
+// resolveCommentAnchor en itineraryCommentService.js.
+//
+// Hilos: un comentario puede responder a otro (parentId). Las respuestas
+// son de un solo nivel y heredan el ancla del comentario original.
+
+import { z } from 'zod';
+
+// IDs de miembros mencionados (@persona). Se validan contra los miembros
+// del trip en el controller.
+const mentionsSchema = z.array(z.string().min(1)).max(20);
+
+// Body de POST /api/itineraries/:id/comments.
+// - Comentario nuevo: day + periodIndex + body.
+// - Respuesta: parentId + body (el ancla se copia del comentario original).
+export const commentCreateSchema = z
+  .object({
+    day: z.number().int().min(1).optional(),
+    periodIndex: z.number().int().min(0).optional(),
+    parentId: z.string().min(1).optional(),
+    body: z.string().trim().min(1, 'El comentario no puede estar vacío').max(2000),
+    mentions: mentionsSchema.optional()
+  })
+  .superRefine((value, ctx) => {
+    if (!value.parentId && (value.day === undefined || value.periodIndex === undefined)) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['periodIndex'],
+        message: 'day y periodIndex son requeridos (salvo en respuestas)'
+      });
+    }
+  });
+
+// Body de PATCH /api/itineraries/:id/comments/:commentId.
+export const commentUpdateSchema = z.object({
+  body: z.string().trim().min(1, 'El comentario no puede estar vacío').max(2000),
+  mentions: mentionsSchema.optional()
+});
+
+// Normalizador de salida. "resolved" es el ancla recalculada contra el
+// itinerario actual ({ day, periodIndex, status }).
+export function toPublicComment(c, resolved = null) {
+  if (!c) return null;
+
+  const deleted = !!c.deletedAt;
+
+  return {
+    id: c.id,
+    itineraryId: c.itineraryId,
+    parentId: c.parentId || null,
+    authorId: c.authorId,
+    authorName: c.authorName || null,
+    // De un comentario borrado que tiene respuestas solo queda el lugar.
+    body: deleted ? null : c.body,
+    mentions: deleted ? [] : c.mentions || [],
+    anchor: {
+      day: c.anchor?.day ?? null,
+      periodIndex: c.anchor?.periodIndex ?? null
+    },
+    resolvedAnchor: resolved,
+    editedAt: c.editedAt || null,
+    deletedAt: c.deletedAt || null,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt
+  };
+}
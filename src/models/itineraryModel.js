@@ -68,6 +68,27 @@ const itineraryPeriodSchema = z.object({
   estimatedCost: z
     .number()
     .nonnegative()
+    .optional(),
+
+  // Afinidad (0-100) entre la actividad y los intereses del viaje,
+  // calculada por el motor de reglas al elegir la actividad.
+  matchScore: z
+    .number()
+    .min(0)
+    .max(100)
+    .optional(),
+
+  // Explicación corta de por qué se eligió la actividad.
+  reason: z
+    .string()
+    .min(1)
+    .max(500)
+    .optional(),
+
+  // Si es true, el bloque queda fijo: al regenerar el itinerario
+  // (POST /api/itineraries/:id/regenerate) se conserva tal cual.
+  locked: z
+    .boolean()
     .optional()
 });
 
@@ -89,20 +110,72 @@ const itineraryDaySchema = z.object({
     .min(4)
     .optional(),
 
+  // Tipo de día: con actividades o de traslado entre destinos.
+  type: z.enum(['activities', 'travel']).optional(),
+
+  // En viajes con tramos: índice del tramo (en trip.legs) y su destino.
+  // En un día de traslado, es el tramo al que se llega.
+  legIndex: z.number().int().nonnegative().optional(),
+  destinationId: z.string().min(1).optional(),
+
   // Lista de bloques de actividades para este día.
   // Para que un día tenga sentido, debe tener al menos 1 bloque.
   periods: z
     .array(itineraryPeriodSchema)
-    .min(1, 'Cada día debe tener al menos una actividad o bloque')
+    .min(1, 'Cada día debe tener al menos una actividad o bloque'),
+
+  // Gasto planificado del día (suma de estimatedCost de sus bloques).
+  plannedSpend: z
+    .number()
+    .nonnegative()
+    .optional(),
+
+  // Distancia estimada (km, en línea recta) entre los bloques del día.
+  // La calcula el motor de reglas a partir de las coords de las actividades.
+  distanceKm: z
+    .number()
+    .nonnegative()
+    .optional()
+});
+
+// Resumen de gasto planificado contra el presupuesto del viaje.
+// Lo arma el motor de reglas; budget/remaining/withinBudget son null
+// cuando el viaje no tiene presupuesto definido.
+const budgetSummarySchema = z.object({
+  budget: z.number().nonnegative().nullable(),
+  plannedTotal: z.number().nonnegative(),
+  remaining: z.number().nullable(),
+  withinBudget: z.boolean().nullable(),
+  dailyBudget: z.number().nonnegative().nullable(),
+  perDay: z
+    .array(
+      z.object({
+        day: z.number().int().min(1),
+        date: z.string().optional(),
+        planned: z.number().nonnegative(),
+        budget: z.number().nonnegative().nullable()
+      })
+    )
+    .default([])
 });
 
 // Estructura general del campo "data" de un itinerario.
 // Aquí es donde realmente vive el "plan de viaje".
-const itineraryDataSchema = z.object({
+// Se exporta para validar lo que devuelven los proveedores de IA.
+export const itineraryDataSchema = z.object({
   // Lista de días que componen el itinerario.
   days: z
     .array(itineraryDaySchema)
-    .min(1, 'El itinerario debe contener al menos un día')
+    .min(1, 'El itinerario debe contener al menos un día'),
+
+  // Suma de las distancias diarias (km), si el motor de reglas la calculó.
+  totalDistanceKm: z
+    .number()
+    .nonnegative()
+    .optional(),
+
+  // Gasto planificado vs. presupuesto, por día y total.
+  budgetSummary: budgetSummarySchema.optional()
 });
 
 //
@@ -153,8 +226,8 @@ export const itineraryCreateSchema = z.object({
     .min(1)
     .optional(),
 
-  // Puntuación opcional, por ejemplo de 0 a 100, para medir
-  // qué tan bien se adapta el itinerario a los intereses del usuario.
+  // Puntuación de 0 a 100. Se acepta por compatibilidad, pero se ignora:
+  // el backend la calcula siempre con itineraryScoringService.
   score: z
     .number()
     .min(0)
@@ -201,14 +274,43 @@ export function toPublicItinerary(it) {
     // Qué modelo o estrategia se usó para generarlo.
     aiModelUsed: it.aiModelUsed || null,
 
-    // Puntuación de calidad o afinidad si existe, o null si no está definida.
+    // Puntuación de calidad (0-100) si existe, o null si no está definida.
     score:
       typeof it.score === 'number'
         ? it.score
         : null,
 
+    // Detalle del puntaje por criterio (cobertura de intereses, presupuesto,
+    // compactación, variedad, horarios, repeticiones), o null.
+    scoreBreakdown: it.scoreBreakdown || null,
+
+    // Cantidad de versiones guardadas en el historial.
+    versionCount: it.versionCount || 0,
+
+    // Bloqueado (solo lectura), por ejemplo porque el viaje ya terminó.
+    locked: Boolean(it.locked),
+    lockedAt: it.lockedAt || null,
+
     // Timestamps de auditoría (los maneja Firestore desde la capa de servicio).
     createdAt: it.createdAt,
     updatedAt: it.updatedAt
   };
 }
+
+// Normalizador de una versión del historial de un itinerario.
+// Con includeData: false (listados) devolvemos solo los metadatos.
+export function toPublicItineraryVersion(v, { includeData = true } = {}) {
+  if (!v) return null;
+
+  return {
+    id: v.id,
+    number: v.number,
+    source: v.source || null,          // "rules", modelo de IA, "manual", "restore"...
+    authorId: v.authorId || null,      // quién hizo el cambio (null = sistema)
+    restoredFrom: v.restoredFrom || null,
+    aiModelUsed: v.aiModelUsed || null,
+    score: typeof v.score === 'number' ? v.score : null,
+    createdAt: v.createdAt,
+    ...(includeData ? { data: v.data || { days: [] } } : {})
+  };
+}
@@ -0,0 +1,118 @@
+// src/models/shareLinkModel.js
+// ----------------------------
+// Modelo de los "links para compartir" un viaje (colección shareLinks).
+//
+// El dueño de un trip puede crear links de solo lectura para mandarle el
+// plan a alguien sin cuenta en NomadIQ. Cada link tiene un token aleatorio,
+// se puede revocar, puede vencer en una fecha y cuenta sus accesos.
+//
+// Aquí están:
+//  - shareLinkCreateSchema: body de POST /api/trips/:id/share-links.
+//  - toPublicShareLink: cómo ve el dueño sus links.
+//  - toSharedTrip / toSharedItinerary: la vista pública (sanitizada) que
+//    se sirve a quien abre el link, sin userId ni datos privados.
+
+import { z } from 'zod';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+
+// -----------------------------------------------------------------------------
+// Esquema de creación
+// -----------------------------------------------------------------------------
+export const shareLinkCreateSchema = z.object({
+  // Itinerario puntual a compartir. Si no se envía, el link muestra
+  // siempre el itinerario más reciente del viaje.
+  itineraryId: z.string().min(1).optional(),
+
+  // Fecha/hora de vencimiento (ISO 8601). Debe ser futura.
+  expiresAt: z
+    .string()
+    .refine((value) => !isNaN(Date.parse(value)), 'expiresAt debe ser una fecha válida')
+    .refine((value) => Date.parse(value) > Date.now(), 'expiresAt debe ser una fecha futura')
+    .optional(),
+
+  // Nombre opcional para reconocer el link ("Para mamá", "Grupo de viaje"...).
+  label: z.string().max(100).optional()
+});
+
+// ¿El link se puede usar ahora? (no revocado y no vencido)
+export function isShareLinkActive(link, now = Date.now()) {
+  if (!link || link.revokedAt) return false;
+  if (link.expiresAt && Date.parse(link.expiresAt) <= now) return false;
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Normalizador para el dueño del viaje
+// -----------------------------------------------------------------------------
+export function toPublicShareLink(l) {
+  if (!l) return null;
+
+  return {
+    id: l.id,
+    tripId: l.tripId,
+    itineraryId: l.itineraryId || null,     // null = siempre el más reciente
+    token: l.token,
+    label: l.label || null,
+    expiresAt: l.expiresAt || null,
+    revokedAt: l.revokedAt || null,
+    active: isShareLinkActive(l),
+    accessCount: l.accessCount || 0,        // cantidad de veces que se abrió
+    lastAccessedAt: l.lastAccessedAt || null,
+    createdAt: l.createdAt,
+    updatedAt: l.updatedAt
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Vista pública (quien abre el link)
+// -----------------------------------------------------------------------------
+// Del trip solo mostramos lo necesario para seguir el plan: nada de
+// userId, presupuesto ni notas de los tramos (alojamiento, vuelos...).
+//
+export function toSharedTrip(t) {
+  if (!t) return null;
+
+  return {
+    title: t.title,
+    startDate: t.startDate,
+    endDate: t.endDate,
+    currency: t.currency || DEFAULT_CURRENCY,   // moneda de los costos estimados
+    interests: t.interests || [],
+    status: t.status,
+    legs: (t.legs || []).map((leg) => ({
+      destinationId: leg.destinationId,
+      startDate: leg.startDate,
+      endDate: leg.endDate
+    }))
+  };
+}
+
+// Quita las notas privadas de un objeto (bloque, día o itinerario).
+function withoutNotes(obj) {
+  const { notes, ...rest } = obj || {};
+  return rest;
+}
+
+// Del itinerario mostramos los días y bloques, sin el resumen de
+// presupuesto (revela el presupuesto del viaje), sin las notas de cada
+// bloque (son privadas de quienes planifican) ni datos internos (tripId,
+// modelo usado, historial).
+export function toSharedItinerary(it) {
+  if (!it) return null;
+
+  const data = withoutNotes(it.data);
+  delete data.budgetSummary;
+
+  const days = (data.days || []).map((day) => ({
+    ...withoutNotes(day),
+    periods: (day.periods || []).map(withoutNotes)
+  }));
+
+  return {
+    id: it.id,
+    generatedAt: it.generatedAt || null,
+    data: { ...data, days },
+    score: typeof it.score === 'number' ? it.score : null,
+    updatedAt: it.updatedAt || null
+  };
+}
@@ -0,0 +1,42 @@
+// src/models/tripInvitationModel.js
+// ---------------------------------
+// Invitaciones para sumarse a un viaje (colección "tripInvitations").
+//
+// El owner invita por email con un rol (editor o viewer). La persona
+// invitada ve sus invitaciones pendientes al iniciar sesión con ese email
+// y las acepta o rechaza. Al aceptar, pasa a ser miembro del trip.
+//
+// Estados: pending -> accepted | declined | revoked.
+
+import { z } from 'zod';
+
+export const tripInvitationStatusEnum = z.enum(['pending', 'accepted', 'declined', 'revoked']);
+
+// Body de POST /api/trips/:id/invitations.
+// El rol owner no se puede asignar: cada viaje tiene uno solo.
+export const tripInvitationCreateSchema = z.object({
+  email: z
+    .string()
+    .email('Email inválido')
+    .transform((value) => value.trim().toLowerCase()),
+  role: z.enum(['editor', 'viewer']).default('viewer')
+});
+
+// Normalizador de salida.
+export function toPublicTripInvitation(inv) {
+  if (!inv) return null;
+
+  return {
+    id: inv.id,
+    tripId: inv.tripId,
+    tripTitle: inv.tripTitle || null,   // para mostrarle a quien recibe la invitación
+    email: inv.email,
+    role: inv.role,
+    status: inv.status,
+    invitedBy: inv.invitedBy,
+    invitedByName: inv.invitedByName || null,
+    respondedAt: inv.respondedAt || null,
+    createdAt: inv.createdAt,
+    updatedAt: inv.updatedAt
+  };
+}
@@ -1,6 +1,10 @@
 // Importamos Zod para definir los esquemas de validación de trips (viajes).
 import { z } from 'zod';
 
+// Código de moneda y moneda por defecto (trips viejos, sin "currency").
+import { currencyCodeSchema } from './exchangeRateModel.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+
 // Estado posible del viaje dentro de NomadIQ.
 // Esto nos ayuda a mantener consistencia en la lógica de negocio.
 export const tripStatusEnum = z.enum([
@@ -11,6 +15,96 @@ export const tripStatusEnum = z.enum([
   'cancelled'    // viaje cancelado
 ]);
 
+// Estados con los que se puede crear un viaje.
+export const tripInitialStatusEnum = z.enum(['draft', 'planned']);
+
+// Cambios de estado permitidos (desde -> hacia). El resto se rechaza.
+//  - draft y planned van y vienen mientras se arma el viaje.
+//  - in_progress y completed los pone normalmente el job programado según
+//    las fechas (ver tripStatusService), pero también se pueden marcar a mano.
+//  - completed es final; un viaje cancelado se puede reabrir como borrador.
+export const TRIP_STATUS_TRANSITIONS = {
+  draft: ['planned', 'cancelled'],
+  planned: ['draft', 'in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: ['draft']
+};
+
+// ¿Se puede pasar de "from" a "to"? Los trips viejos sin estado cuentan
+// como draft.
+export function canTransitionTripStatus(from, to) {
+  return (TRIP_STATUS_TRANSITIONS[from || 'draft'] || []).includes(to);
+}
+
+// Tramo (leg) de un viaje con varios destinos.
+// Ej: Buenos Aires (1 al 4) -> El Calafate (4 al 8) -> Ushuaia (8 al 12).
+// Si un tramo empieza el mismo día en que termina el anterior, ese día se
+// considera día de traslado entre ambos destinos.
+export const tripLegSchema = z.object({
+  // Destino del tramo (ID de la colección "destinations").
+  destinationId: z.string().min(1, 'destinationId es requerido'),
+
+  // Fechas del tramo, en el mismo formato que las del viaje.
+  startDate: z.string().min(1, 'startDate es requerido'),
+  endDate: z.string().min(1, 'endDate es requerido'),
+
+  // Notas opcionales del tramo (alojamiento, vuelo, etc.).
+  notes: z.string().max(500).optional()
+});
+
+// Revisa que los tramos tengan sentido respecto de las fechas del viaje:
+//  - cada tramo empieza antes (o el mismo día) de terminar,
+//  - los tramos están en orden y no se pisan (salvo el día de traslado),
+//  - todos caen dentro de las fechas del viaje (si están definidas).
+// Devuelve una lista de problemas ({ path, message }); vacía si está todo bien.
+// Comparamos solo la parte "YYYY-MM-DD" de las fechas.
+export function tripLegsIssues(legs, startDate, endDate) {
+  const issues = [];
+  if (!Array.isArray(legs)) return issues;
+
+  const day = (value) => String(value || '').slice(0, 10);
+  const tripStart = day(startDate);
+  const tripEnd = day(endDate);
+
+  legs.forEach((leg, idx) => {
+    const legStart = day(leg.startDate);
+    const legEnd = day(leg.endDate);
+
+    if (legEnd < legStart) {
+      issues.push({
+        path: ['legs', idx, 'endDate'],
+        message: 'El tramo no puede terminar antes de empezar'
+      });
+    }
+
+    if (tripStart && legStart < tripStart) {
+      issues.push({
+        path: ['legs', idx, 'startDate'],
+        message: 'El tramo empieza antes que el viaje'
+      });
+    }
+
+    if (tripEnd && legEnd > tripEnd) {
+      issues.push({
+        path: ['legs', idx, 'endDate'],
+        message: 'El tramo termina después que el viaje'
+      });
+    }
+
+    // Cada tramo puede empezar, como muy temprano, el día en que
+    // termina el anterior (día de traslado).
+    if (idx > 0 && legStart < day(legs[idx - 1].endDate)) {
+      issues.push({
+        path: ['legs', idx, 'startDate'],
+        message: 'Los tramos deben estar en orden y no superponerse'
+      });
+    }
+  });
+
+  return issues;
+}
+
 // Definimos los campos base de un trip, sin incluir userId.
 // userId SIEMPRE vendrá del token (req.user) y se agrega en el controller,
 // nunca lo envía el frontend.
@@ -45,25 +139,75 @@ const tripBaseFields = {
       .optional()
   ),
 
+  // Moneda del viaje (ISO 4217, ej. "ARS", "USD"). Es la moneda de
+  // budget, de los costos estimados del itinerario y de los gastos que no
+  // indican otra. Sin default: en un PATCH, si no viene, no se toca (el
+  // service usa DEFAULT_CURRENCY al crear).
+  currency: currencyCodeSchema.optional(),
+
   // Intereses principales del viaje, por ejemplo ["museos", "gastronomía"].
   interests: z.array(z.string()).default([]),
 
-  // Estado del viaje usando el enum definido arriba.
-  status: tripStatusEnum.default('draft')
+  // Estado inicial del viaje. Al crear solo se acepta draft o planned: el
+  // resto se alcanza con transiciones (TRIP_STATUS_TRANSITIONS), que son
+  // las que disparan los hooks (por ejemplo, bloquear los itinerarios al
+  // completar el viaje).
+  status: tripInitialStatusEnum.default('draft'),
+
+  // Tramos del viaje, en orden. Sin default: en un PATCH, si no viene,
+  // no se tocan los tramos guardados (el service usa [] al crear).
+  legs: z.array(tripLegSchema).max(20).optional()
 };
 
 // Esquema de creación (POST /api/trips).
 // NO incluye userId porque viene del token.
-export const tripCreateSchema = z.object({
-  ...tripBaseFields
-});
+export const tripCreateSchema = z
+  .object({
+    ...tripBaseFields
+  })
+  .superRefine((data, ctx) => {
+    for (const issue of tripLegsIssues(data.legs, data.startDate, data.endDate)) {
+      ctx.addIssue({ code: 'custom', ...issue });
+    }
+  });
 
 // Esquema de actualización (PATCH /api/trips/:id).
 // Todos los campos son opcionales, permitiendo un patch parcial.
+// Los tramos se validan contra las fechas en el controller, una vez
+// combinados con el trip guardado.
+// interests y status se redefinen sin default: si no vienen en el body,
+// no se tocan (con default, un PATCH cualquiera los pisaría con [] y 'draft').
+// El cambio de estado se valida contra TRIP_STATUS_TRANSITIONS en el controller.
 export const tripUpdateSchema = z.object({
-  ...tripCreateSchema.partial().shape
+  ...z.object(tripBaseFields).partial().shape,
+  interests: z.array(z.string()).optional(),
+  status: tripStatusEnum.optional()
+});
+
+// Cambio de rol de un miembro (PATCH /api/trips/:id/members/:userId).
+export const tripMemberUpdateSchema = z.object({
+  role: z.enum(['editor', 'viewer'])
 });
 
+// Lista de miembros de un trip: [{ userId, role, email, name, addedAt }],
+// con el owner primero. Los trips viejos (sin "members") solo tienen owner.
+export function toPublicTripMembers(t) {
+  if (!t) return [];
+
+  const members = t.members || { [t.userId]: { role: 'owner' } };
+  const order = { owner: 0, editor: 1, viewer: 2 };
+
+  return Object.entries(members)
+    .map(([userId, m]) => ({
+      userId,
+      role: m.role,
+      email: m.email || null,
+      name: m.name || null,
+      addedAt: m.addedAt || null
+    }))
+    .sort((a, b) => (order[a.role] ?? 3) - (order[b.role] ?? 3));
+}
+
 // Normalizador de salida para la API pública.
 // Ensamblamos el objeto trip que verá el frontend, incluyendo userId
 // y timestamps.
@@ -79,8 +223,13 @@ export function toPublicTrip(t) {
     budget: typeof t.budget === 'number'
       ? t.budget
       : null,                                      // presupuesto (o null)
+    currency: t.currency || DEFAULT_CURRENCY,      // moneda del presupuesto y los costos
     interests: t.interests || [],                  // intereses (array)
     status: t.status,                              // estado del viaje
+    statusHistory: t.statusHistory || [],          // cambios de estado [{ from, to, at, by, source }]
+    legs: t.legs || [],                            // tramos (destinos) del viaje
+    members: toPublicTripMembers(t),               // miembros con su rol
+    origin: t.origin || null,                      // de qué trip o plantilla se copió
     createdAt: t.createdAt,                        // fecha de creación
     updatedAt: t.updatedAt                         // fecha de actualización
   };
@@ -0,0 +1,76 @@
+// src/models/tripTemplateModel.js
+// -------------------------------
+// Plantillas de viaje (colección "tripTemplates").
+//
+// Una plantilla es un viaje publicado para que otros usuarios lo reutilicen
+// ("5 días en Cartagena"): guarda la duración, los tramos y el itinerario
+// en días relativos, sin fechas ni datos personales (notas, presupuesto,
+// gastos, miembros). Ver buildTemplatePlan en utils/tripCloning.js.
+
+import { z } from 'zod';
+import { currencyCodeSchema } from './exchangeRateModel.js';
+
+// Fecha "YYYY-MM-DD" (inicio del viaje nuevo).
+const startDateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'startDate debe tener formato YYYY-MM-DD');
+
+// Presupuesto opcional (números o strings numéricos, como trip.budget).
+const budgetSchema = z.preprocess(
+  (val) => {
+    if (val === undefined || val === null || val === '') return undefined;
+    const num = Number(val);
+    return Number.isNaN(num) ? val : num;
+  },
+  z.number().nonnegative('El presupuesto no puede ser negativo').optional()
+);
+
+// Clonar un trip (POST /api/trips/:id/clone).
+export const tripCloneSchema = z.object({
+  startDate: startDateSchema,
+  title: z.string().min(3).max(150).optional()
+});
+
+// Publicar un trip como plantilla (POST /api/templates).
+export const tripTemplateCreateSchema = z.object({
+  tripId: z.string().min(1, 'tripId es requerido'),
+
+  // Itinerario a usar. Si no viene, el más reciente del trip.
+  itineraryId: z.string().min(1).optional(),
+
+  // Por defecto, el título del trip.
+  title: z.string().min(3).max(150).optional(),
+  description: z.string().max(1000).optional(),
+  tags: z.array(z.string().min(1).max(40)).max(20).default([])
+});
+
+// Crear un trip desde una plantilla (POST /api/templates/:id/instantiate).
+export const tripTemplateInstantiateSchema = z.object({
+  startDate: startDateSchema,
+  title: z.string().min(3).max(150).optional(),
+  budget: budgetSchema,
+  currency: currencyCodeSchema.optional()
+});
+
+// Normalizador de salida. En los listados no mandamos el itinerario.
+export function toPublicTripTemplate(t, { includeData = true } = {}) {
+  if (!t) return null;
+
+  return {
+    id: t.id,
+    title: t.title,
+    description: t.description || null,
+    tags: t.tags || [],
+    authorId: t.authorId,
+    authorName: t.authorName || null,
+    durationDays: t.durationDays,
+    currency: t.currency || null,
+    interests: t.interests || [],
+    legs: t.legs || [],                    // [{ destinationId, startDay, endDay }]
+    destinationIds: t.destinationIds || [],
+    usageCount: t.usageCount || 0,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+    ...(includeData ? { data: t.data || { days: [] } } : {})
+  };
+}
@@ -3,6 +3,9 @@
 // el formato correcto antes de guardarlos o procesarlos.
 import { z } from 'zod';
 
+// Código de moneda ISO 4217 (lo compartimos con las cotizaciones).
+import { currencyCodeSchema } from './exchangeRateModel.js';
+
 // Esquema de validación para el registro de usuario.
 // Se usa en POST /auth/register.
 export const userRegisterSchema = z.object({
@@ -22,7 +25,11 @@ export const userRegisterSchema = z.object({
   role: z.enum(['user', 'admin']).default('user'),
 
   // URL opcional de avatar del usuario.
-  avatarUrl: z.string().url().optional()
+  avatarUrl: z.string().url().optional(),
+
+  // Moneda de origen del usuario (ISO 4217), opcional. Es la que se usa
+  // cuando se piden montos con ?convertTo=home.
+  homeCurrency: currencyCodeSchema.optional()
 });
 
 // Esquema de validación para login de usuario.
@@ -35,6 +42,12 @@ export const userLoginSchema = z.object({
   password: z.string().min(8)
 });
 
+// Esquema de preferencias del usuario.
+// Se usa en PATCH /users/me. null borra la moneda de origen.
+export const userPreferencesSchema = z.object({
+  homeCurrency: currencyCodeSchema.nullable()
+});
+
 // Normalizador de salida para usuarios.
 // Se asegura de NO exponer el passwordHash al frontend.
 export function toPublicUser(u) {
@@ -5,6 +5,10 @@ import { Router } from 'express';
 // las operaciones que modifican datos.
 import { authMiddleware } from '../middlewares/authMiddleware.js';
 
+// Las escrituras directas sobre el catálogo son solo para admins. El resto
+// de los usuarios propone cambios en /api/proposals (cola de moderación).
+import { adminMiddleware } from '../middlewares/adminMiddleware.js';
+
 // Importamos los controladores de actividades.
 import {
   create,
@@ -14,6 +18,15 @@ import {
   remove
 } from '../controllers/activityController.js';
 
+// Reseñas de actividades (subcolección activities/{id}/reviews).
+import {
+  list as listReviews,
+  getMine as getMyReview,
+  create as createReview,
+  updateMine as updateMyReview,
+  removeMine as removeMyReview
+} from '../controllers/activityReviewController.js';
+
 // Creamos el router específico para /api/activities.
 const router = Router();
 
@@ -27,20 +40,39 @@ router.get('/', list);
 // URL completa: GET /api/activities/:id
 router.get('/:id', getById);
 
-// Crear una nueva actividad (requiere autenticación).
+// Crear una nueva actividad (solo admin).
 // Método: POST
 // URL completa: POST /api/activities
-router.post('/', authMiddleware, create);
+router.post('/', authMiddleware, adminMiddleware, create);
 
-// Actualizar una actividad (requiere autenticación).
+// Actualizar una actividad (solo admin).
 // Método: PATCH
 // URL completa: PATCH /api/activities/:id
-router.patch('/:id', authMiddleware, update);
+router.patch('/:id', authMiddleware, adminMiddleware, update);
 
-// Eliminar una actividad (requiere autenticación).
+// Eliminar una actividad (solo admin).
 // Método: DELETE
 // URL completa: DELETE /api/activities/:id
-router.delete('/:id', authMiddleware, remove);
+router.delete('/:id', authMiddleware, adminMiddleware, remove);
+
+// -----------------------------------------------------------------------------
+// Reseñas
+// -----------------------------------------------------------------------------
+// Listado público con ?sort=recent|oldest|rating_desc|rating_asc.
+// Reseñar requiere haber tenido la actividad en el itinerario de un viaje
+// completado; cada usuario tiene una sola reseña por actividad ("mine").
+//
+//   GET    /api/activities/:id/reviews
+//   GET    /api/activities/:id/reviews/mine
+//   POST   /api/activities/:id/reviews
+//   PATCH  /api/activities/:id/reviews/mine
+//   DELETE /api/activities/:id/reviews/mine
+//
+router.get('/:id/reviews', listReviews);
+router.get('/:id/reviews/mine', authMiddleware, getMyReview);
+router.post('/:id/reviews', authMiddleware, createReview);
+router.patch('/:id/reviews/mine', authMiddleware, updateMyReview);
+router.delete('/:id/reviews/mine', authMiddleware, removeMyReview);
 
 // Exportamos el router para montarlo en index.js como:
 // app.use('/api/activities', activityRoutes);
@@ -11,6 +11,15 @@
 //   GET /admin/users  -> listar TODOS los usuarios (versión pública, sin passwordHash)
 //   GET /admin/trips  -> listar TODOS los trips de TODOS los usuarios
 //
+//   GET  /admin/proposals              -> cola de propuestas del catálogo
+//   GET  /admin/proposals/:id          -> detalle con diff contra el registro actual
+//   POST /admin/proposals/:id/approve  -> aplicar la propuesta
+//   POST /admin/proposals/:id/reject   -> rechazarla con un motivo
+//
+//   DELETE /admin/activities/:id/reviews/:reviewId -> borrar una reseña
+//
+//   POST /admin/import/:type  -> importación masiva (destinations | activities)
+//
 // Nota: estas rutas NO son para el usuario final normal, sino para
 //       herramientas internas, panel de admin o para que el profesor
 //       pueda inspeccionar los datos rápidamente.
@@ -28,9 +37,18 @@ import { adminMiddleware } from '../middlewares/adminMiddleware.js';
 // Controladores que implementan la lógica de cada endpoint.
 import {
   listUsers,
-  listTripsAdmin
+  listTripsAdmin,
+  listProposals,
+  getProposal,
+  approveProposal,
+  rejectProposal,
+  removeActivityReview,
+  importCatalogFile
 } from '../controllers/adminController.js';
 
+// Uploader en memoria para los archivos de importación.
+import { importUploader } from '../config/multerConfig.js';
+
 // Creamos una instancia de Router específica para la zona /admin.
 const router = Router();
 
@@ -80,6 +98,54 @@ router.get(
   listTripsAdmin
 );
 
+// -----------------------------------------------------------------------------
+// /admin/proposals
+// -----------------------------------------------------------------------------
+// Cola de moderación del catálogo. Los usuarios proponen destinos y
+// actividades nuevas (o cambios) en /api/proposals; acá se revisan.
+//
+//   GET  /admin/proposals?status=pending&type=   -> cola (por defecto, pendientes)
+//   GET  /admin/proposals/:id                    -> detalle + diff contra el registro actual
+//   POST /admin/proposals/:id/approve            -> aplica el alta / los cambios
+//   POST /admin/proposals/:id/reject             -> body { reason }
+//
+router.get('/proposals', authMiddleware, adminMiddleware, listProposals);
+router.get('/proposals/:id', authMiddleware, adminMiddleware, getProposal);
+router.post('/proposals/:id/approve', authMiddleware, adminMiddleware, approveProposal);
+router.post('/proposals/:id/reject', authMiddleware, adminMiddleware, rejectProposal);
+
+// -----------------------------------------------------------------------------
+// DELETE /admin/activities/:id/reviews/:reviewId
+// -----------------------------------------------------------------------------
+// Baja de reseñas inapropiadas. El reviewId es el userId del autor; el
+// rating y la cantidad de reseñas de la actividad se recalculan.
+router.delete(
+  '/activities/:id/reviews/:reviewId',
+  authMiddleware,
+  adminMiddleware,
+  removeActivityReview
+);
+
+// -----------------------------------------------------------------------------
+// POST /admin/import/:type
+// -----------------------------------------------------------------------------
+// Importación masiva de destinos o actividades desde CSV, JSON o GeoJSON
+// (mismo proceso que "npm run catalog:import").
+//
+//   POST /admin/import/destinations?dryRun=true   (multipart, campo "file")
+//   POST /admin/import/activities?format=geojson
+//
+// Cada fila se valida con el esquema de creación y se identifica por su
+// "externalId": si ya se importó, se actualiza en lugar de duplicarse.
+// La respuesta trae el reporte por fila, con los errores de validación.
+router.post(
+  '/import/:type',
+  authMiddleware,
+  adminMiddleware,
+  importUploader.single('file'),
+  importCatalogFile
+);
+
 // Exportamos el router para montarlo en index.js como:
 //   app.use('/admin', adminRoutes);
 export default router;
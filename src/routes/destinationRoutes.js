@@ -4,6 +4,10 @@ import { Router } from 'express';
 // Importamos el middleware de autenticación para proteger ciertas rutas.
 import { authMiddleware } from '../middlewares/authMiddleware.js';
 
+// Las escrituras directas sobre el catálogo son solo para admins. El resto
+// de los usuarios propone cambios en /api/proposals (cola de moderación).
+import { adminMiddleware } from '../middlewares/adminMiddleware.js';
+
 // Importamos los controladores que contienen la lógica de negocio
 // para crear, listar, obtener, actualizar y eliminar destinos.
 import {
@@ -27,20 +31,20 @@ router.get('/', list);
 // URL completa: GET /api/destinations/:id
 router.get('/:id', getById);
 
-// Crear un nuevo destino (requiere autenticación).
+// Crear un nuevo destino (solo admin).
 // Método: POST
 // URL completa: POST /api/destinations
-router.post('/', authMiddleware, create);
+router.post('/', authMiddleware, adminMiddleware, create);
 
-// Actualizar un destino existente (requiere autenticación).
+// Actualizar un destino existente (solo admin).
 // Método: PATCH
 // URL completa: PATCH /api/destinations/:id
-router.patch('/:id', authMiddleware, update);
+router.patch('/:id', authMiddleware, adminMiddleware, update);
 
-// Eliminar un destino (requiere autenticación).
+// Eliminar un destino (solo admin).
 // Método: DELETE
 // URL completa: DELETE /api/destinations/:id
-router.delete('/:id', authMiddleware, remove);
+router.delete('/:id', authMiddleware, adminMiddleware, remove);
 
 // Exportamos el router para montarlo en index.js como:
 // app.use('/api/destinations', destinationRoutes);
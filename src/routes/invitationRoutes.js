@@ -0,0 +1,25 @@
+// src/routes/invitationRoutes.js
+// ------------------------------
+// Rutas de la persona INVITADA a un viaje. Las invitaciones se crean desde
+// /api/trips/:id/invitations y se buscan por el email del usuario
+// autenticado.
+//
+//   GET  /api/invitations              -> invitaciones pendientes
+//   POST /api/invitations/:id/accept   -> aceptar (pasa a ser miembro)
+//   POST /api/invitations/:id/decline  -> rechazar
+
+import { Router } from 'express';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import {
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} from '../controllers/tripMemberController.js';
+
+const router = Router();
+
+router.get('/', authMiddleware, listMyInvitations);
+router.post('/:id/accept', authMiddleware, acceptInvitation);
+router.post('/:id/decline', authMiddleware, declineInvitation);
+
+export default router;
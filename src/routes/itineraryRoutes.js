@@ -14,9 +14,24 @@ import {
   list,
   update,
   remove,
-  enrichWithAI
+  enrichWithAI,
+  regenerate,
+  listVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion,
+  exportIcs,
+  exportGeo
 } from '../controllers/itineraryController.js';
 
+// Comentarios sobre los bloques del itinerario.
+import {
+  list as listComments,
+  create as createComment,
+  update as updateComment,
+  remove as removeComment
+} from '../controllers/itineraryCommentController.js';
+
 
 // Creamos una instancia de Router de Express.
 const router = Router();
@@ -45,6 +60,31 @@ router.delete('/:id', authMiddleware, remove);
 // Requiere autenticación porque el itinerario pertenece a un usuario.
 router.post('/:id/enrich-with-ai', authMiddleware, enrichWithAI);
 
+// Regenerar solo los bloques no bloqueados (o un único día) de un
+// itinerario existente, con el motor de reglas.
+router.post('/:id/regenerate', authMiddleware, regenerate);
+
+// Historial de versiones del itinerario.
+// Importante: /versions/diff va antes que /versions/:versionId para que
+// "diff" no se interprete como un ID de versión.
+router.get('/:id/versions', authMiddleware, listVersions);
+router.get('/:id/versions/diff', authMiddleware, diffVersions);
+router.get('/:id/versions/:versionId', authMiddleware, getVersion);
+router.post('/:id/versions/:versionId/restore', authMiddleware, restoreVersion);
+
+// Exportar el itinerario como calendario (.ics).
+router.get('/:id/export.ics', authMiddleware, exportIcs);
+
+// Exportar los recorridos como GPX, KML o GeoJSON (?format=).
+router.get('/:id/export', authMiddleware, exportGeo);
+
+// Comentarios e hilos de discusión anclados a un día y bloque.
+// Leer y comentar: cualquier miembro del trip. Editar y borrar: el autor.
+router.get('/:id/comments', authMiddleware, listComments);
+router.post('/:id/comments', authMiddleware, createComment);
+router.patch('/:id/comments/:commentId', authMiddleware, updateComment);
+router.delete('/:id/comments/:commentId', authMiddleware, removeComment);
+
 
 // Exportamos el router para usarlo en index.js.
 export default router;
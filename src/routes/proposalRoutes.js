@@ -0,0 +1,28 @@
+// src/routes/proposalRoutes.js
+// ----------------------------
+// Propuestas de cambios al catálogo (destinos y actividades) enviadas por
+// usuarios sin rol admin. Quedan en una cola que revisan los admins en
+// /admin/proposals. Ver catalogProposalController.
+//
+//   POST   /api/proposals       -> proponer un alta o una edición
+//   GET    /api/proposals       -> mis propuestas
+//   GET    /api/proposals/:id   -> detalle (autor o admin)
+//   DELETE /api/proposals/:id   -> retirar una propuesta pendiente
+
+import { Router } from 'express';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import {
+  create,
+  listMine,
+  getById,
+  withdraw
+} from '../controllers/catalogProposalController.js';
+
+const router = Router();
+
+router.post('/', authMiddleware, create);
+router.get('/', authMiddleware, listMine);
+router.get('/:id', authMiddleware, getById);
+router.delete('/:id', authMiddleware, withdraw);
+
+export default router;
@@ -0,0 +1,15 @@
+// src/routes/searchRoutes.js
+// --------------------------
+// Búsqueda de texto en el catálogo. Es pública, igual que el listado de
+// destinos y actividades.
+//
+//   GET /api/search?q=&type=destination|activity&destinationId=&limit=
+
+import { Router } from 'express';
+import { search } from '../controllers/searchController.js';
+
+const router = Router();
+
+router.get('/', search);
+
+export default router;
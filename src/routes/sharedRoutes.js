@@ -0,0 +1,18 @@
+// src/routes/sharedRoutes.js
+// --------------------------
+// Rutas públicas (SIN authMiddleware) para ver un viaje compartido por link.
+//
+//   GET /api/shared/:token  -> trip + itinerario de solo lectura
+//
+// Los links los crea el dueño del viaje en /api/trips/:id/share-links.
+// En index.js este router se monta con un rate limit propio.
+
+import { Router } from 'express';
+import { getShared } from '../controllers/shareLinkController.js';
+
+const router = Router();
+
+// Vista de solo lectura del viaje asociado al token.
+router.get('/:token', getShared);
+
+export default router;
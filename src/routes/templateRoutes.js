@@ -0,0 +1,30 @@
+// src/routes/templateRoutes.js
+// ----------------------------
+// Plantillas de viaje: cualquier usuario autenticado puede explorarlas y
+// crear un viaje propio a partir de una. Ver tripTemplateController.
+//
+//   GET    /api/templates                  -> explorar (filtros: destinationId, tag, q)
+//   POST   /api/templates                  -> publicar un trip propio
+//   GET    /api/templates/:id              -> detalle con itinerario
+//   POST   /api/templates/:id/instantiate  -> crear un trip desde la plantilla
+//   DELETE /api/templates/:id              -> despublicar (autor o admin)
+
+import { Router } from 'express';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import {
+  list,
+  create,
+  getById,
+  instantiate,
+  remove
+} from '../controllers/tripTemplateController.js';
+
+const router = Router();
+
+router.get('/', authMiddleware, list);
+router.post('/', authMiddleware, create);
+router.get('/:id', authMiddleware, getById);
+router.post('/:id/instantiate', authMiddleware, instantiate);
+router.delete('/:id', authMiddleware, remove);
+
+export default router;
@@ -15,6 +15,15 @@
 //
 // Más adelante también se conecta:
 //   POST   /api/trips/:tripId/generate-itinerary  -> generar itinerario para un trip
+//   GET    /api/trips/:id/booklet.pdf             -> cuadernillo del viaje en PDF
+//   POST   /api/trips/:id/share-links             -> crear link para compartir
+//   GET    /api/trips/:id/share-links             -> listar links
+//   DELETE /api/trips/:id/share-links/:linkId     -> revocar link
+//   GET    /api/trips/:id/members                 -> miembros y sus roles
+//   POST   /api/trips/:id/invitations             -> invitar por email
+//   GET    /api/trips/:id/expenses                -> gastos del viaje (y /summary, /balances)
+//   POST   /api/trips/:id/clone                   -> copiar el viaje con otra fecha de inicio
+//   GET    /api/trips/:id/checklists              -> checklists del viaje (equipaje, pendientes)
 
 import { Router } from 'express';
 
@@ -29,9 +38,52 @@ import {
   list,
   update,
   remove,
-  generateItinerary
+  generateItinerary,
+  exportBooklet,
+  clone
 } from '../controllers/tripController.js';
 
+// Handlers de los links para compartir el viaje.
+import {
+  create as createShareLink,
+  list as listShareLinks,
+  revoke as revokeShareLink
+} from '../controllers/shareLinkController.js';
+
+// Handlers de miembros e invitaciones del viaje.
+import {
+  listMembers,
+  updateMember,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation
+} from '../controllers/tripMemberController.js';
+
+// Handlers de gastos del viaje.
+import {
+  list as listExpenses,
+  create as createExpense,
+  getById as getExpense,
+  update as updateExpense,
+  remove as removeExpense,
+  summary as expensesSummary,
+  balances as expensesBalances
+} from '../controllers/expenseController.js';
+
+// Handlers de las checklists del viaje.
+import {
+  list as listChecklists,
+  create as createChecklist,
+  generate as generateChecklist,
+  getById as getChecklist,
+  update as updateChecklist,
+  remove as removeChecklist,
+  addItem as addChecklistItem,
+  updateItem as updateChecklistItem,
+  removeItem as removeChecklistItem
+} from '../controllers/checklistController.js';
+
 // Creamos una instancia de Router para agrupar las rutas de trips.
 const router = Router();
 
@@ -48,18 +100,17 @@ router.post('/', authMiddleware, create);
 // -----------------------------------------------------------------------------
 // Obtener un trip por ID.
 // Protegido con authMiddleware: solo usuarios autenticados pueden ver los detalles.
-// En el controlador validaremos que el trip pertenezca al usuario, salvo que
-// tenga rol "admin" (esto lo agregaremos en el siguiente paso).
+// En el controlador validamos que el usuario sea miembro del trip
+// (owner, editor o viewer).
 //
 router.get('/:id', authMiddleware, getById);
 
 // -----------------------------------------------------------------------------
 // GET /api/trips
 // -----------------------------------------------------------------------------
-// Listar trips del usuario autenticado.
-// En el controlador usaremos req.user.id para filtrar por dueño.
-// De esta forma, cada usuario solo ve sus propios viajes.
-// (Podremos hacer excepciones para admin más adelante si hace falta.)
+// Listar trips del usuario autenticado: los propios y los compartidos
+// con él (donde es miembro). En el controlador usamos req.user.id.
+// De esta forma, cada usuario solo ve los viajes en los que participa.
 //
 router.get('/', authMiddleware, list);
 
@@ -68,8 +119,8 @@ router.get('/', authMiddleware, list);
 // -----------------------------------------------------------------------------
 // Actualizar un trip existente.
 // Protegido con authMiddleware.
-// En el controlador validaremos que el trip realmente pertenezca al usuario.
-// Si no es dueño ni admin, devolveremos 403 (FORBIDDEN).
+// En el controlador validamos que el usuario sea owner o editor del trip.
+// Un viewer recibe 403 (FORBIDDEN_TRIP_ROLE).
 //
 router.patch('/:id', authMiddleware, update);
 
@@ -78,7 +129,7 @@ router.patch('/:id', authMiddleware, update);
 // -----------------------------------------------------------------------------
 // Eliminar un trip existente.
 // Protegido con authMiddleware.
-// También validaremos ownership en el controlador.
+// Solo el owner del trip puede eliminarlo.
 //
 router.delete('/:id', authMiddleware, remove);
 
@@ -89,15 +140,95 @@ export default router;
 // POST /api/trips/:id/generate-itinerary
 // -----------------------------------------------------------------------------
 // Generar un itinerario para un trip puntual usando el motor de reglas.
-// Protegido con authMiddleware: solo el dueño del trip puede generar
-// itinerarios para ese viaje.
+// Protegido con authMiddleware: solo el owner o un editor del trip pueden
+// generar itinerarios para ese viaje.
 //
 // El controlador generateItinerary se encarga de:
 // - Validar el body con Zod (destinationId opcional).
-// - Verificar que el trip exista y pertenezca al usuario autenticado.
+// - Verificar que el trip exista y que el usuario sea owner o editor.
 // - Pedir actividades (si se envía destinationId).
 // - Generar la estructura "data" con generateItineraryRules.
 // - Guardar el itinerario en Firestore con createItinerary.
 // - Devolver el itinerario en formato público.
 //
 router.post('/:id/generate-itinerary', authMiddleware, generateItinerary);
+
+// -----------------------------------------------------------------------------
+// GET /api/trips/:id/booklet.pdf
+// -----------------------------------------------------------------------------
+// Cuadernillo imprimible del viaje (PDF generado en el servidor).
+// Cualquier miembro del trip puede descargarlo.
+//
+router.get('/:id/booklet.pdf', authMiddleware, exportBooklet);
+
+// -----------------------------------------------------------------------------
+// POST /api/trips/:id/clone
+// -----------------------------------------------------------------------------
+// Copia el viaje y su último itinerario con todas las fechas corridas a un
+// nuevo startDate. Para publicarlo como plantilla, ver templateRoutes.
+//
+router.post('/:id/clone', authMiddleware, clone);
+
+// -----------------------------------------------------------------------------
+// /api/trips/:id/share-links
+// -----------------------------------------------------------------------------
+// Links de solo lectura para compartir el viaje con personas sin cuenta.
+// Solo el dueño del trip puede crearlos, verlos y revocarlos. La vista
+// pública está en sharedRoutes (/api/shared/:token).
+//
+router.post('/:id/share-links', authMiddleware, createShareLink);
+router.get('/:id/share-links', authMiddleware, listShareLinks);
+router.delete('/:id/share-links/:linkId', authMiddleware, revokeShareLink);
+
+// -----------------------------------------------------------------------------
+// /api/trips/:id/members y /api/trips/:id/invitations
+// -----------------------------------------------------------------------------
+// Viajes compartidos: miembros con rol owner, editor o viewer.
+// - Cualquier miembro ve la lista; solo el owner cambia roles o quita gente
+//   (cada miembro puede quitarse a sí mismo para salir del viaje).
+// - Solo el owner invita por email y revoca invitaciones. La persona
+//   invitada las acepta en /api/invitations.
+//
+router.get('/:id/members', authMiddleware, listMembers);
+router.patch('/:id/members/:userId', authMiddleware, updateMember);
+router.delete('/:id/members/:userId', authMiddleware, removeMember);
+
+router.post('/:id/invitations', authMiddleware, createInvitation);
+router.get('/:id/invitations', authMiddleware, listInvitations);
+router.delete('/:id/invitations/:invitationId', authMiddleware, revokeInvitation);
+
+// -----------------------------------------------------------------------------
+// /api/trips/:id/expenses
+// -----------------------------------------------------------------------------
+// Gastos reales del viaje: monto, moneda, categoría, fecha, quién pagó y
+// entre quiénes se reparte. Los miembros los ven; owner y editores los
+// cargan y corrigen.
+// Importante: /summary y /balances van antes que /:expenseId.
+//
+router.get('/:id/expenses', authMiddleware, listExpenses);
+router.post('/:id/expenses', authMiddleware, createExpense);
+router.get('/:id/expenses/summary', authMiddleware, expensesSummary);
+router.get('/:id/expenses/balances', authMiddleware, expensesBalances);
+router.get('/:id/expenses/:expenseId', authMiddleware, getExpense);
+router.patch('/:id/expenses/:expenseId', authMiddleware, updateExpense);
+router.delete('/:id/expenses/:expenseId', authMiddleware, removeExpense);
+
+// -----------------------------------------------------------------------------
+// /api/trips/:id/checklists
+// -----------------------------------------------------------------------------
+// Checklists de logística: equipaje, pendientes antes de viajar y listas
+// propias, con ítems asignables a miembros. Los miembros las ven; owner y
+// editores las arman (un viewer puede tildar los ítems que tiene asignados).
+// /generate sugiere una lista según los destinos, la duración y los
+// intereses del viaje (reglas en src/data/packingRules.json).
+// Importante: /generate va antes que /:checklistId.
+//
+router.get('/:id/checklists', authMiddleware, listChecklists);
+router.post('/:id/checklists', authMiddleware, createChecklist);
+router.post('/:id/checklists/generate', authMiddleware, generateChecklist);
+router.get('/:id/checklists/:checklistId', authMiddleware, getChecklist);
+router.patch('/:id/checklists/:checklistId', authMiddleware, updateChecklist);
+router.delete('/:id/checklists/:checklistId', authMiddleware, removeChecklist);
+router.post('/:id/checklists/:checklistId/items', authMiddleware, addChecklistItem);
+router.patch('/:id/checklists/:checklistId/items/:itemId', authMiddleware, updateChecklistItem);
+router.delete('/:id/checklists/:checklistId/items/:itemId', authMiddleware, removeChecklistItem);
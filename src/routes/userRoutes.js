@@ -2,7 +2,7 @@
 import { Router } from 'express';
 
 // Importamos el controlador que devuelve la información del usuario actual.
-import { me } from '../controllers/userController.js';
+import { me, updateMe } from '../controllers/userController.js';
 
 // Importamos el middleware de autenticación.
 // Este middleware verifica el token y adjunta req.user.
@@ -17,6 +17,12 @@ const router = Router();
 // Requiere pasar por authMiddleware primero (es decir, token válido).
 router.get('/me', authMiddleware, me);
 
+// Ruta para actualizar las preferencias del usuario autenticado
+// (moneda de origen para las conversiones con ?convertTo=home).
+// Método: PATCH
+// URL completa: PATCH /users/me
+router.patch('/me', authMiddleware, updateMe);
+
 // Exportamos el router para usarlo en index.js como:
 // app.use('/users', userRoutes);
 export default router;
@@ -0,0 +1,75 @@
+// src/scripts/backfillCurrencies.js
+// ---------------------------------
+// Guarda la moneda en los viajes creados antes de que tuvieran "currency"
+// y en sus gastos sin moneda. Hasta correrlo, esos viajes se leen con
+// DEFAULT_CURRENCY (ver utils/currency.js): si ese valor cambia, sus
+// presupuestos y gastos quedarían re-etiquetados con la moneda nueva.
+//
+// Uso:
+//   npm run currency:backfill
+//   npm run currency:backfill -- --currency=USD   (moneda a guardar; por
+//                                                  defecto DEFAULT_CURRENCY)
+//   npm run currency:backfill -- --dry-run        (solo informa qué cambiaría)
+//
+// Los gastos sin moneda de cualquier viaje toman la moneda del viaje.
+
+import 'dotenv/config.js';
+
+import { db } from '../config/firebase.js';
+import { DEFAULT_CURRENCY, normalizeCurrency } from '../utils/currency.js';
+
+// Escribe las actualizaciones { ref, patch } en lotes de 400.
+async function commitUpdates(updates) {
+  for (let i = 0; i < updates.length; i += 400) {
+    const batch = db.batch();
+    updates.slice(i, i + 400).forEach((u) => batch.update(u.ref, u.patch));
+    await batch.commit();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const currencyArg = args.find((a) => a.startsWith('--currency='));
+  const currency = currencyArg
+    ? normalizeCurrency(currencyArg.slice('--currency='.length))
+    : DEFAULT_CURRENCY;
+
+  if (!currency) {
+    console.error('Uso: npm run currency:backfill -- [--currency=XXX] [--dry-run]');
+    process.exit(1);
+  }
+
+  const trips = await db.collection('trips').get();
+  const tripUpdates = [];
+  const expenseUpdates = [];
+
+  for (const doc of trips.docs) {
+    const trip = doc.data();
+    const saved = normalizeCurrency(trip.currency);
+    if (!saved) tripUpdates.push({ ref: doc.ref, patch: { currency } });
+
+    const expenses = await doc.ref.collection('expenses').get();
+    const expenseCurrency = saved || currency;
+    expenses.docs
+      .filter((e) => !normalizeCurrency(e.data().currency))
+      .forEach((e) => expenseUpdates.push({ ref: e.ref, patch: { currency: expenseCurrency } }));
+  }
+
+  if (!dryRun) {
+    await commitUpdates([...tripUpdates, ...expenseUpdates]);
+  }
+
+  console.log(
+    `[Currency] ${trips.size} viajes revisados: ${tripUpdates.length} viajes y ` +
+      `${expenseUpdates.length} gastos ${dryRun ? 'para actualizar' : 'actualizados'} ` +
+      `(moneda de los viajes: ${currency}).`
+  );
+
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('[Currency] Error al completar las monedas:', err);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// src/scripts/backfillGeohashes.js
+// --------------------------------
+// Completa el campo "geohash" de destinos y actividades cargados antes de
+// que existieran las búsquedas por cercanía (?near=lat,lng). También lo
+// corrige si quedó desactualizado respecto de coords.
+//
+// Uso:
+//   npm run geo:backfill
+//   npm run geo:backfill -- --dry-run   (solo informa qué cambiaría)
+
+import 'dotenv/config.js';
+
+import { db } from '../config/firebase.js';
+import { encodeGeohash } from '../utils/geo.js';
+
+const COLLECTIONS = ['destinations', 'activities'];
+
+// Actualiza una colección en lotes de 400. Devuelve { checked, updated }.
+async function backfillCollection(name, { dryRun }) {
+  const snap = await db.collection(name).get();
+
+  const pending = snap.docs
+    .map((d) => ({ ref: d.ref, geohash: encodeGeohash(d.data().coords), current: d.data().geohash ?? null }))
+    .filter((d) => d.geohash !== d.current);
+
+  if (!dryRun) {
+    for (let i = 0; i < pending.length; i += 400) {
+      const batch = db.batch();
+      pending.slice(i, i + 400).forEach((d) => batch.update(d.ref, { geohash: d.geohash }));
+      await batch.commit();
+    }
+  }
+
+  return { checked: snap.size, updated: pending.length };
+}
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  for (const name of COLLECTIONS) {
+    const { checked, updated } = await backfillCollection(name, { dryRun });
+    console.log(
+      `[Geohash] ${name}: ${checked} revisados, ${updated} ${dryRun ? 'para actualizar' : 'actualizados'}.`
+    );
+  }
+
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('[Geohash] Error al completar los geohash:', err);
+  process.exit(1);
+});
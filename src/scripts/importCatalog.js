@@ -0,0 +1,65 @@
+// src/scripts/importCatalog.js
+// ----------------------------
+// Importación masiva de destinos o actividades desde un archivo CSV, JSON
+// o GeoJSON. Hace lo mismo que POST /admin/import/:type (ver
+// catalogImportService): valida cada fila, actualiza por "externalId" lo
+// que ya se importó y escribe en lotes.
+//
+// Uso:
+//   npm run catalog:import -- destinations ./destinos.csv
+//   npm run catalog:import -- activities ./actividades.geojson --dry-run
+//   npm run catalog:import -- destinations ./export.txt --format=json
+//
+// Sale con código 1 si alguna fila tuvo errores.
+
+import 'dotenv/config.js';
+
+import { readFile } from 'node:fs/promises';
+
+import { resolveImportType } from '../models/catalogImportModel.js';
+import { detectImportFormat } from '../utils/catalogImport.js';
+import { importCatalog } from '../services/catalogImportService.js';
+
+const USAGE =
+  'Uso: npm run catalog:import -- <destinations|activities> <archivo> [--dry-run] [--format=csv|json|geojson]';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const formatArg = args.find((a) => a.startsWith('--format='));
+  const [typeArg, file] = args.filter((a) => !a.startsWith('--'));
+
+  const type = resolveImportType(typeArg);
+  if (!type || !file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const format = formatArg ? formatArg.slice('--format='.length) : detectImportFormat(file);
+  const content = await readFile(file, 'utf8');
+
+  const report = await importCatalog({ type, content, format, dryRun });
+  if (report.error) {
+    console.error(`[Import] ${report.error}: ${report.message}`);
+    process.exit(1);
+  }
+
+  for (const r of report.rows.filter((row) => row.action === 'error')) {
+    const issues = r.issues.map((i) => `${i.path || '(fila)'}: ${i.message}`).join('; ');
+    console.log(`[Import] Fila ${r.row}${r.externalId ? ` (${r.externalId})` : ''}: ${issues}`);
+  }
+
+  console.log(
+    `[Import] ${typeArg}: ${report.total} filas -> ` +
+      `${report.created} ${dryRun ? 'para crear' : 'creadas'}, ` +
+      `${report.updated} ${dryRun ? 'para actualizar' : 'actualizadas'}, ` +
+      `${report.unchanged} sin cambios, ${report.failed} con errores.`
+  );
+
+  process.exit(report.failed > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error('[Import] Error al importar el catálogo:', err);
+  process.exit(1);
+});
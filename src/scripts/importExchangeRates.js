@@ -0,0 +1,126 @@
+// src/scripts/importExchangeRates.js
+// ----------------------------------
+// Carga cotizaciones en la tabla offline ("exchangeRates") desde un archivo
+// local JSON o CSV. Es la única forma de actualizar la tabla: la API no
+// consulta servicios de cotizaciones externos.
+//
+// Uso:
+//   npm run rates:import -- <archivo.json|archivo.csv> [--dry-run] [--source=BCRA]
+//
+// Formatos aceptados:
+//
+//   CSV (con encabezado; "source" es opcional):
+//     base,quote,rate,effectiveDate,source
+//     USD,ARS,1050.5,2026-10-01,BCRA
+//
+//   JSON, una lista de filas:
+//     [{ "base": "USD", "quote": "ARS", "rate": 1050.5, "effectiveDate": "2026-10-01" }]
+//
+//   JSON, una tabla por moneda base (o una lista de tablas):
+//     { "base": "USD", "effectiveDate": "2026-10-01", "rates": { "ARS": 1050.5, "EUR": 0.92 } }
+//
+// Cada fila se valida con exchangeRateSchema. Si hay filas inválidas no se
+// guarda nada y se listan los errores. Con --dry-run solo se valida.
+
+import 'dotenv/config.js';
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { exchangeRateSchema } from '../models/exchangeRateModel.js';
+import { parseCsv } from '../utils/csv.js';
+
+// CSV -> filas { base, quote, rate, effectiveDate, source }. Las líneas que
+// empiezan con "#" son comentarios; las celdas vacías, campos ausentes.
+function parseRatesCsv(text) {
+  return parseCsv(text, { skipComments: true }).map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([name, value]) => [name, value.trim() || undefined])
+    )
+  );
+}
+
+// JSON -> filas. Expande las tablas { base, effectiveDate, rates: {...} }.
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : [data];
+
+  return items.flatMap((item) => {
+    if (item && typeof item.rates === 'object' && !Array.isArray(item.rates)) {
+      return Object.entries(item.rates).map(([quote, rate]) => ({
+        base: item.base,
+        quote,
+        rate,
+        effectiveDate: item.effectiveDate,
+        source: item.source
+      }));
+    }
+    return [item];
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find((a) => !a.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const sourceArg = args.find((a) => a.startsWith('--source='))?.slice('--source='.length);
+
+  if (!file) {
+    console.error('Uso: npm run rates:import -- <archivo.json|archivo.csv> [--dry-run] [--source=...]');
+    process.exit(1);
+  }
+
+  const text = await readFile(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext !== '.json' && ext !== '.csv') {
+    console.error(`[RATES] Formato no soportado: "${ext}". Usá .json o .csv`);
+    process.exit(1);
+  }
+
+  const rows = ext === '.csv' ? parseRatesCsv(text) : parseJson(text);
+
+  const valid = [];
+  const errors = [];
+  rows.forEach((row, idx) => {
+    const parsed = exchangeRateSchema.safeParse({
+      ...row,
+      source: row?.source || sourceArg || path.basename(file)
+    });
+
+    if (parsed.success) {
+      valid.push(parsed.data);
+    } else {
+      errors.push({
+        row: idx + 1,
+        issues: parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`)
+      });
+    }
+  });
+
+  console.log(`[RATES] ${rows.length} filas leídas de ${file}: ${valid.length} válidas, ${errors.length} con errores.`);
+
+  if (errors.length > 0) {
+    for (const e of errors) {
+      console.error(`[RATES] Fila ${e.row}: ${e.issues.join('; ')}`);
+    }
+    console.error('[RATES] No se guardó nada. Corregí el archivo y volvé a intentar.');
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    console.log('[RATES] --dry-run: no se guardó nada.');
+    process.exit(0);
+  }
+
+  // Importamos el service recién acá: --dry-run no necesita Firestore.
+  const { upsertExchangeRates } = await import('../services/exchangeRateService.js');
+  const saved = await upsertExchangeRates(valid);
+
+  console.log(`[RATES] ${saved} cotizaciones guardadas en Firestore ✅`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('[RATES] Error importando cotizaciones:', err);
+  process.exit(1);
+});
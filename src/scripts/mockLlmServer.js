@@ -0,0 +1,111 @@
+// src/scripts/mockLlmServer.js
+// ----------------------------
+// Servidor LLM de prueba, compatible con la API de OpenAI, para probar el
+// enriquecimiento con IA sin conexión ni claves.
+//
+// Se ejecuta con:  npm run mock:llm   (puerto MOCK_LLM_PORT, por defecto 4010)
+// y se usa desde enrich-with-ai con  { "modelHint": "mock" }.
+//
+// Es determinístico: para el mismo prompt siempre devuelve la misma
+// respuesta. Reescribe cada bloque no bloqueado con un texto armado a
+// partir de su título y momento del día.
+//
+// Modelos especiales para probar errores:
+//  - "mock-slow":    tarda más que cualquier timeout razonable (60 s).
+//  - "mock-error":   responde HTTP 500.
+//  - "mock-garbage": responde texto que no es JSON.
+
+import http from 'node:http';
+import { extractPromptPayload } from '../utils/itineraryPrompts.js';
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 4010;
+
+const MOMENTS = {
+  morning: 'por la mañana',
+  afternoon: 'por la tarde',
+  evening: 'por la noche',
+  full_day: 'durante el día'
+};
+
+// Arma la respuesta "del modelo" a partir del itinerario del prompt.
+function buildCompletion(payload) {
+  const days = (payload?.days || []).map((d) => ({
+    day: d.day,
+    periods: (d.periods || [])
+      .filter((p) => !p.locked)
+      .map((p) => {
+        const moment = MOMENTS[p.timeOfDay] || MOMENTS.full_day;
+        return {
+          index: p.index,
+          title: p.title,
+          description: `${p.title} ${moment}. ${p.description || ''}`.trim().slice(0, 600)
+        };
+      })
+  }));
+
+  return JSON.stringify({ days });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    return sendJson(res, 404, { error: { message: 'Not found' } });
+  }
+
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return sendJson(res, 400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    const model = body.model || 'nomadiq-mock';
+    console.log('[MockLLM] request model:', model);
+
+    if (model === 'mock-error') {
+      return sendJson(res, 500, { error: { message: 'Mock error' } });
+    }
+
+    const lastUser = [...(body.messages || [])]
+      .reverse()
+      .find((m) => m.role === 'user');
+
+    const content = model === 'mock-garbage'
+      ? 'Esto no es JSON'
+      : buildCompletion(extractPromptPayload(lastUser?.content));
+
+    const reply = () =>
+      sendJson(res, 200, {
+        id: 'mock-completion',
+        object: 'chat.completion',
+        model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: 'stop'
+          }
+        ]
+      });
+
+    if (model === 'mock-slow') {
+      setTimeout(reply, 60000);
+    } else {
+      reply();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[MockLLM] escuchando en http://localhost:${PORT}/v1/chat/completions`);
+});
@@ -0,0 +1,46 @@
+// src/scripts/resetLegacyRatings.js
+// ---------------------------------
+// Limpia el rating y el reviewsCount cargados a mano en actividades de
+// antes de las reseñas (sin "ratingTotal"). Desde que existen las reseñas
+// esos campos se calculan (ver activityReviewService); los valores viejos
+// no salen de reseñas reales y se dejan en null / 0.
+//
+// Uso:
+//   npm run ratings:reset
+//   npm run ratings:reset -- --dry-run   (solo informa qué cambiaría)
+
+import 'dotenv/config.js';
+
+import { db } from '../config/firebase.js';
+import { hasReviewStats } from '../models/activityModel.js';
+
+const COL = 'activities';
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  const snap = await db.collection(COL).get();
+  const pending = snap.docs.filter((d) => {
+    const a = d.data();
+    return !hasReviewStats(a) && ((a.rating ?? null) !== null || (a.reviewsCount ?? 0) !== 0);
+  });
+
+  if (!dryRun) {
+    for (let i = 0; i < pending.length; i += 400) {
+      const batch = db.batch();
+      pending.slice(i, i + 400).forEach((d) => batch.update(d.ref, { rating: null, reviewsCount: 0 }));
+      await batch.commit();
+    }
+  }
+
+  console.log(
+    `[Ratings] ${snap.size} actividades revisadas, ${pending.length} ${dryRun ? 'para limpiar' : 'limpiadas'}.`
+  );
+
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('[Ratings] Error al limpiar los ratings:', err);
+  process.exit(1);
+});
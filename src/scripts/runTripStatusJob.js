@@ -0,0 +1,39 @@
+// src/scripts/runTripStatusJob.js
+// -------------------------------
+// Corre una vez el job que avanza el estado de los viajes según sus fechas
+// (planned -> in_progress -> completed) y termina. Sirve para programarlo
+// desde cron en lugar de dejarlo dentro del servidor
+// (TRIP_STATUS_JOB_INTERVAL_MINUTES=0).
+//
+// Uso:
+//   npm run jobs:trip-status
+//   npm run jobs:trip-status -- --date=2026-07-15   (simula otro día)
+
+import 'dotenv/config.js';
+
+import { runTripStatusScheduler } from '../services/tripStatusService.js';
+
+async function main() {
+  const dateArg = process.argv.slice(2).find((a) => a.startsWith('--date='))?.slice('--date='.length);
+  const now = dateArg ? new Date(`${dateArg}T12:00:00Z`) : new Date();
+
+  if (Number.isNaN(now.getTime())) {
+    console.error('[TripStatus] --date debe tener formato YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  const result = await runTripStatusScheduler({ now });
+
+  for (const c of result.changed) {
+    console.log(`[TripStatus] ${c.tripId}: ${c.from} -> ${c.to}`);
+  }
+  console.log(
+    `[TripStatus] ${result.checked} viajes revisados, ${result.changed.length} cambios, ${result.failed} sin aplicar.`
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('[TripStatus] Error en el job de estados:', err);
+  process.exit(1);
+});
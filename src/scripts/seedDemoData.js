@@ -125,8 +125,6 @@ async function runSeed() {
       priceRange: 'free',
       openingHours: 'Libre durante el día',
       coords: bariloche.coords,
-      rating: 4.7,
-      reviewsCount: 128,
       images: []
     });
     activities.push(act1);
@@ -139,8 +137,6 @@ async function runSeed() {
       priceRange: 'medium',
       openingHours: 'Salidas por la mañana y la tarde',
       coords: bariloche.coords,
-      rating: 4.8,
-      reviewsCount: 256,
       images: []
     });
     activities.push(act2);
@@ -153,8 +149,6 @@ async function runSeed() {
       priceRange: 'high',
       openingHours: '19:00 - 23:30',
       coords: bariloche.coords,
-      rating: 4.6,
-      reviewsCount: 89,
       images: []
     });
     activities.push(act3);
@@ -4,6 +4,7 @@
 // Se ejecuta con:  npm run seed:destinations  (después de agregar el script en package.json)
 
 import { db } from '../config/firebase.js';
+import { encodeGeohash } from '../utils/geo.js';
 
 const destinations = [
 
@@ -229,6 +230,7 @@ async function main() {
     const docRef = col.doc(); // ID automático
     await docRef.set({
       ...dest,
+      geohash: encodeGeohash(dest.coords), // para las búsquedas ?near=
       createdAt: now,
       updatedAt: now
     });
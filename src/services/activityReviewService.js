@@ -0,0 +1,241 @@
+// src/services/activityReviewService.js
+// -------------------------------------
+// Acceso a Firestore para las reseñas de actividades, en la subcolección:
+//
+//   activities/{activityId}/reviews/{userId}
+//
+// El id de cada reseña es el userId del autor: así hay una sola reseña por
+// usuario y actividad sin tener que buscar antes de escribir.
+//
+// Cada alta, edición o baja recalcula en la misma transacción los campos
+// de la actividad:
+//   - ratingTotal:  suma de las puntuaciones (interno, no se expone)
+//   - reviewsCount: cantidad de reseñas
+//   - rating:       promedio redondeado a un decimal (null sin reseñas)
+//
+// Los permisos (quién puede reseñar, validación de fotos) se resuelven en
+// el controller.
+
+import { db } from '../config/firebase.js';
+import { listTrips } from './tripService.js';
+import { listItineraries } from './itineraryService.js';
+
+// El índice de búsqueda guarda la actividad completa: se actualiza con el
+// rating nuevo.
+import { indexActivity } from './searchService.js';
+
+const ACTIVITIES_COL = 'activities';
+const REVIEWS_COL = 'reviews';
+
+// Referencia a la subcolección de reseñas de una actividad.
+function reviewsRef(activityId) {
+  return db.collection(ACTIVITIES_COL).doc(activityId).collection(REVIEWS_COL);
+}
+
+// Campos calculados de la actividad después de sacar la puntuación
+// "remove" y/o sumar la puntuación "add".
+//
+// Las actividades sin ratingTotal tienen rating y reviewsCount cargados a
+// mano (seeds, datos viejos): no salen de reseñas reales, así que se
+// arranca de cero.
+function nextRatingStats(activity, { add = null, remove = null } = {}) {
+  const hasTotals = typeof activity.ratingTotal === 'number';
+  let total = hasTotals ? activity.ratingTotal : 0;
+  let count = hasTotals ? activity.reviewsCount || 0 : 0;
+
+  if (remove !== null) {
+    total -= remove;
+    count -= 1;
+  }
+  if (add !== null) {
+    total += add;
+    count += 1;
+  }
+
+  count = Math.max(0, count);
+  if (count === 0) total = 0;
+
+  return {
+    ratingTotal: total,
+    reviewsCount: count,
+    rating: count > 0 ? Math.round((total / count) * 10) / 10 : null
+  };
+}
+
+// Ejecuta "change" en una transacción con la actividad y la reseña del
+// usuario leídas. "change" devuelve { error } para cortar, o { review,
+// add, remove } con la reseña a guardar (null para borrarla) y las
+// puntuaciones que entran y salen del promedio.
+//
+// Devuelve { ok: false, error } o { ok: true, review, activity }.
+// No se toca el updatedAt de la actividad: el rating es un dato calculado,
+// no un cambio del catálogo (las propuestas lo usan para detectar ediciones).
+async function mutateReview(activityId, reviewId, change) {
+  const activityRef = db.collection(ACTIVITIES_COL).doc(activityId);
+  const reviewRef = reviewsRef(activityId).doc(reviewId);
+
+  const result = await db.runTransaction(async (tx) => {
+    const [activitySnap, reviewSnap] = await Promise.all([
+      tx.get(activityRef),
+      tx.get(reviewRef)
+    ]);
+    if (!activitySnap.exists) return { ok: false, error: 'NOT_FOUND' };
+
+    const activity = { id: activitySnap.id, ...activitySnap.data() };
+    const current = reviewSnap.exists ? { id: reviewSnap.id, ...reviewSnap.data() } : null;
+
+    const outcome = change(current);
+    if (outcome.error) return { ok: false, error: outcome.error };
+
+    const stats = nextRatingStats(activity, outcome);
+
+    if (outcome.review) {
+      tx.set(reviewRef, outcome.review);
+    } else {
+      tx.delete(reviewRef);
+    }
+    tx.update(activityRef, stats);
+
+    return {
+      ok: true,
+      review: outcome.review ? { id: reviewId, ...outcome.review } : current,
+      activity: { ...activity, ...stats }
+    };
+  });
+
+  if (result.ok) indexActivity(result.activity);
+  return result;
+}
+
+// CREATE: reseña nueva de userId. Error REVIEW_EXISTS si ya reseñó la
+// actividad (se edita con updateActivityReview).
+// data: { rating, text, photos, tripId, userName }
+export async function createActivityReview(activityId, userId, data) {
+  const now = new Date().toISOString();
+
+  return mutateReview(activityId, userId, (current) => {
+    if (current) return { error: 'REVIEW_EXISTS' };
+
+    return {
+      add: data.rating,
+      review: {
+        activityId,
+        userId,
+        userName: data.userName || null,
+        rating: data.rating,
+        text: data.text,
+        photos: data.photos || [],
+        tripId: data.tripId || null,
+        createdAt: now,
+        updatedAt: now
+      }
+    };
+  });
+}
+
+// UPDATE: cambios sobre la reseña de userId (rating, text, photos).
+export async function updateActivityReview(activityId, userId, data) {
+  return mutateReview(activityId, userId, (current) => {
+    if (!current) return { error: 'REVIEW_NOT_FOUND' };
+
+    const { id, ...stored } = current;
+    const review = {
+      ...stored,
+      ...('rating' in data ? { rating: data.rating } : {}),
+      ...('text' in data ? { text: data.text } : {}),
+      ...('photos' in data ? { photos: data.photos } : {}),
+      updatedAt: new Date().toISOString()
+    };
+
+    return { review, remove: current.rating, add: review.rating };
+  });
+}
+
+// DELETE: borra una reseña (la propia o, desde /admin, cualquiera).
+export async function deleteActivityReview(activityId, reviewId) {
+  return mutateReview(activityId, reviewId, (current) => {
+    if (!current) return { error: 'REVIEW_NOT_FOUND' };
+    return { review: null, remove: current.rating };
+  });
+}
+
+// READ: la reseña de un usuario, o null.
+export async function getActivityReview(activityId, userId) {
+  const snap = await reviewsRef(activityId).doc(userId).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// Comparadores para cada orden de reviewSortEnum. A igual puntuación, las
+// más nuevas primero.
+const SORTERS = {
+  recent: (a, b) => String(b.createdAt).localeCompare(String(a.createdAt)),
+  oldest: (a, b) => String(a.createdAt).localeCompare(String(b.createdAt)),
+  rating_desc: (a, b) => b.rating - a.rating || SORTERS.recent(a, b),
+  rating_asc: (a, b) => a.rating - b.rating || SORTERS.recent(a, b)
+};
+
+// LIST: reseñas de una actividad en el orden pedido, con paginación por
+// startAfterId. Se leen todas y se ordenan en memoria (son pocas por
+// actividad y así no hace falta un índice por cada orden).
+// Devuelve { reviews, distribution } con la cantidad de reseñas por
+// puntuación ({ 1: n, ..., 5: n }).
+export async function listActivityReviews(activityId, { sort = 'recent', limit = 20, startAfterId } = {}) {
+  const snap = await reviewsRef(activityId).get();
+  const all = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  all.forEach((r) => {
+    distribution[r.rating] = (distribution[r.rating] || 0) + 1;
+  });
+
+  const sorted = all.sort(SORTERS[sort] || SORTERS.recent);
+  const start = startAfterId ? sorted.findIndex((r) => r.id === startAfterId) + 1 : 0;
+
+  return {
+    reviews: sorted.slice(start, start + limit),
+    distribution
+  };
+}
+
+// Borra todas las reseñas de una actividad (al eliminar la actividad).
+// Devuelve cuántas se borraron.
+export async function deleteActivityReviews(activityId) {
+  const snap = await reviewsRef(activityId).get();
+  const docs = snap.docs;
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+
+  return docs.length;
+}
+
+// ¿Algún bloque del itinerario es esta actividad?
+function itineraryIncludesActivity(itineraryData, activityId) {
+  return (itineraryData?.days || []).some((d) =>
+    (d.periods || []).some((p) => p.activityId === activityId)
+  );
+}
+
+// -----------------------------------------------------------------------------
+// findReviewableTrip(userId, activityId)
+// -----------------------------------------------------------------------------
+// Busca un viaje completado del que userId es miembro y que tenga la
+// actividad en alguno de sus itinerarios. Devuelve su id, o null si el
+// usuario no puede reseñarla.
+//
+export async function findReviewableTrip(userId, activityId) {
+  const trips = await listTrips({ userId, status: 'completed', limit: 100 });
+
+  for (const trip of trips) {
+    const itineraries = await listItineraries({ tripId: trip.id, limit: 20 });
+    if (itineraries.some((it) => itineraryIncludesActivity(it.data, activityId))) {
+      return trip.id;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,178 @@
+// src/services/activityScoringService.js
+// --------------------------------------
+// Servicio de "scoring" de actividades según los intereses del viaje.
+//
+// No usa Firestore: recibe actividades (y opcionalmente sus destinos) ya
+// cargadas y devuelve un puntaje de 0 a 100 con una explicación corta.
+// El motor de reglas lo usa para elegir primero las actividades que mejor
+// encajan con lo que la persona viajera quiere hacer.
+//
+// Cómo se reparte el puntaje (máximo 100):
+//  - 45 pts: la categoría de la actividad coincide con un interés.
+//  - 20 pts: las etiquetas (tags) del destino coinciden con los intereses.
+//  - 10 pts: el nombre de la actividad menciona un interés.
+//  - 15 pts: rating de la actividad (0 a 5).
+//  - 10 pts: popularidad (cantidad de reseñas, en escala logarítmica).
+//
+// Si el viaje no tiene intereses, solo cuentan rating y popularidad
+// (reescalados a 0-100) para no dejar todas las actividades empatadas.
+
+import { foldText, tokenize } from '../utils/text.js';
+
+const WEIGHTS = {
+  category: 45,
+  tags: 20,
+  name: 10,
+  rating: 15,
+  reviews: 10
+};
+
+// Con esta cantidad de reseñas (o más) se obtiene el puntaje completo de popularidad.
+const REVIEWS_FOR_FULL_SCORE = 1000;
+
+// Compara un interés con un texto (categoría, tag o palabra) de forma flexible:
+//  - coincidencia exacta sin acentos -> 1
+//  - uno contiene al otro ("museo" / "museos", "gastronomia" / "gastronomica") -> 0.8
+//  - comparten alguna palabra -> 0.6
+// También la usa itineraryScoringService para medir la cobertura de intereses.
+export function matchStrength(interest, text) {
+  const a = foldText(interest);
+  const b = foldText(text);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  // Raíz simple: comparamos sin la "s" final y con un prefijo común largo.
+  const stem = (w) => w.replace(/(es|s)$/, '');
+  const sa = stem(a);
+  const sb = stem(b);
+  if (sa === sb || a.includes(b) || b.includes(a)) return 0.8;
+  if (sa.length >= 5 && sb.length >= 5 && sa.slice(0, 5) === sb.slice(0, 5)) {
+    return 0.8;
+  }
+
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.some((t) => t.length > 2 && tokensB.includes(t))) return 0.6;
+
+  return 0;
+}
+
+// Devuelve el interés que mejor coincide con un texto y la fuerza del match.
+function bestInterestMatch(interests, text) {
+  let best = { interest: null, strength: 0 };
+  for (const interest of interests) {
+    const strength = matchStrength(interest, text);
+    if (strength > best.strength) best = { interest, strength };
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// scoreActivity(activity, { interests, destination })
+// ---------------------------------------------------------------------------
+// Devuelve { matchScore, reason } para una actividad.
+// ---------------------------------------------------------------------------
+export function scoreActivity(activity, { interests = [], destination = null } = {}) {
+  const cleanInterests = interests.filter(
+    (i) => typeof i === 'string' && i.trim().length > 0
+  );
+  const reasons = [];
+
+  const rating = typeof activity.rating === 'number' ? activity.rating : 0;
+  const reviews =
+    typeof activity.reviewsCount === 'number' ? activity.reviewsCount : 0;
+
+  const ratingPoints = (Math.min(5, Math.max(0, rating)) / 5) * WEIGHTS.rating;
+  const reviewsPoints =
+    (Math.min(1, Math.log10(1 + reviews) / Math.log10(1 + REVIEWS_FOR_FULL_SCORE))) *
+    WEIGHTS.reviews;
+
+  if (rating > 0) {
+    reasons.push(`valoración ${rating.toFixed(1)} (${reviews} reseñas)`);
+  }
+
+  // Sin intereses: solo calidad/popularidad, reescalada a 0-100.
+  if (!cleanInterests.length) {
+    const base = WEIGHTS.rating + WEIGHTS.reviews;
+    return {
+      matchScore: Math.round(((ratingPoints + reviewsPoints) / base) * 100),
+      reason: reasons.length
+        ? `Sin intereses definidos: elegida por su ${reasons.join(', ')}.`
+        : 'Sin intereses definidos: actividad sugerida del destino.'
+    };
+  }
+
+  let points = ratingPoints + reviewsPoints;
+
+  // 1) Categoría.
+  const categoryMatch = bestInterestMatch(cleanInterests, activity.category);
+  if (categoryMatch.strength > 0) {
+    points += categoryMatch.strength * WEIGHTS.category;
+    reasons.unshift(
+      `coincide con tu interés en ${categoryMatch.interest} (categoría: ${activity.category})`
+    );
+  }
+
+  // 2) Tags del destino.
+  const tags = Array.isArray(destination?.tags) ? destination.tags : [];
+  const matchedTags = tags.filter(
+    (tag) => bestInterestMatch(cleanInterests, tag).strength > 0
+  );
+  if (matchedTags.length > 0) {
+    // Con dos tags coincidentes ya se obtiene el puntaje completo.
+    points += Math.min(1, matchedTags.length / 2) * WEIGHTS.tags;
+    reasons.push(`el destino se destaca por ${matchedTags.slice(0, 2).join(' y ')}`);
+  }
+
+  // 3) Nombre de la actividad.
+  const nameMatch = tokenize(activity.name).reduce(
+    (best, word) => {
+      if (word.length <= 3) return best;
+      const m = bestInterestMatch(cleanInterests, word);
+      return m.strength > best.strength ? m : best;
+    },
+    { interest: null, strength: 0 }
+  );
+  if (nameMatch.strength > 0) {
+    points += nameMatch.strength * WEIGHTS.name;
+    // Solo lo mencionamos si aporta algo distinto a la categoría.
+    if (nameMatch.interest !== categoryMatch.interest) {
+      reasons.push(`relacionada con ${nameMatch.interest}`);
+    }
+  }
+
+  const matchScore = Math.round(Math.min(100, points));
+  const reason = reasons.length
+    ? `${capitalize(reasons.join('; '))}.`
+    : 'No coincide con tus intereses: se sugiere para completar el día.';
+
+  return { matchScore, reason };
+}
+
+// ---------------------------------------------------------------------------
+// rankActivities(activities, { interests, destinations })
+// ---------------------------------------------------------------------------
+// Ordena las actividades de mayor a menor puntaje.
+// "destinations" es una lista de destinos (se busca el de cada actividad
+// por destinationId). Devuelve [{ activity, matchScore, reason }].
+// A igualdad de puntaje se respeta el orden original (sort estable).
+// ---------------------------------------------------------------------------
+export function rankActivities(activities, { interests = [], destinations = [] } = {}) {
+  const destinationsById = new Map(
+    destinations.filter(Boolean).map((d) => [d.id, d])
+  );
+
+  return activities
+    .map((activity) => ({
+      activity,
+      ...scoreActivity(activity, {
+        interests,
+        destination: destinationsById.get(activity.destinationId) || null
+      })
+    }))
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -1,33 +1,53 @@
 // Importamos la instancia de Firestore.
 import { db } from '../config/firebase.js';
 
+// Normalizador de horarios de apertura (acepta texto libre o estructura).
+import { normalizeOpeningHours } from '../utils/openingHours.js';
+
+// Índice de búsqueda en memoria: se actualiza con cada escritura.
+import { indexActivity, removeFromSearchIndex } from './searchService.js';
+
+// Geohash de las coordenadas, para las búsquedas por cercanía.
+import { encodeGeohash } from '../utils/geo.js';
+import { findNearby } from './geoQueryService.js';
+
 // Nombre de la colección de actividades.
 const COL = 'activities';
 
+// Campos del catálogo de una actividad, listos para guardar (sin
+// timestamps ni rating, que sale de las reseñas). Lo usan el alta y la
+// importación masiva (catalogImportService).
+export function buildActivityFields(data) {
+  return {
+    destinationId: data.destinationId,            // ID del destino al que pertenece
+    name: data.name,                              // nombre de la actividad
+    category: data.category,                      // categoría (ej: "gastronomía", "aventura")
+    priceRange: data.priceRange,                 // 'free' | 'low' | 'medium' | 'high'
+    openingHours: normalizeOpeningHours(data.openingHours), // horarios estructurados o null
+    coords: data.coords || null,                  // coordenadas { lat, lng } o null
+    geohash: encodeGeohash(data.coords),          // para las búsquedas ?near= (o null)
+    images: data.images || []                     // URLs de imágenes
+  };
+}
+
 // CREATE: crea una nueva actividad asociada a un destino.
 export async function createActivity(data) {
   const now = new Date().toISOString();
   const docRef = db.collection(COL).doc();
 
   const payload = {
-    destinationId: data.destinationId,            // ID del destino al que pertenece
-    name: data.name,                              // nombre de la actividad
-    category: data.category,                      // categoría (ej: "gastronomía", "aventura")
-    priceRange: data.priceRange,                 // 'free' | 'low' | 'medium' | 'high'
-    openingHours: data.openingHours || null,      // horarios de apertura (texto) o null
-    coords: data.coords || null,                  // coordenadas { lat, lng } o null
-    rating: typeof data.rating === 'number' ? data.rating : null, // puntuación promedio
-    reviewsCount:
-      typeof data.reviewsCount === 'number'
-        ? data.reviewsCount
-        : 0,                                      // cantidad de reseñas
-    images: data.images || [],                    // URLs de imágenes
+    ...buildActivityFields(data),
+    rating: null,                                 // promedio de las reseñas (activityReviewService)
+    reviewsCount: 0,                              // cantidad de reseñas
     createdAt: now,
     updatedAt: now
   };
 
   await docRef.set(payload);
-  return { id: docRef.id, ...payload };
+
+  const created = { id: docRef.id, ...payload };
+  indexActivity(created);
+  return created;
 }
 
 // READ by ID: obtiene una actividad por su ID.
@@ -68,6 +88,24 @@ export async function listActivities({
   return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 }
 
+// LIST NEAR: actividades a menos de radiusKm de center, de la más cercana
+// a la más lejana y con "distanceKm". Los filtros de destino y categoría
+// se aplican en memoria.
+export async function listActivitiesNear({
+  center,
+  radiusKm,
+  destinationId,
+  category,
+  limit = 20
+}) {
+  const items = await findNearby(COL, center, radiusKm);
+
+  return items
+    .filter((a) => !destinationId || a.destinationId === destinationId)
+    .filter((a) => !category || a.category === category)
+    .slice(0, limit);
+}
+
 // UPDATE (PATCH): actualiza parcialmente una actividad.
 export async function updateActivity(id, data) {
   const ref = db.collection(COL).doc(id);
@@ -80,24 +118,10 @@ export async function updateActivity(id, data) {
     ...('category' in data ? { category: data.category } : {}),
     ...('priceRange' in data ? { priceRange: data.priceRange } : {}),
     ...('openingHours' in data
-      ? { openingHours: data.openingHours || null }
-      : {}),
-    ...('coords' in data ? { coords: data.coords || null } : {}),
-    ...('rating' in data
-      ? {
-          rating:
-            typeof data.rating === 'number'
-              ? data.rating
-              : null
-        }
+      ? { openingHours: normalizeOpeningHours(data.openingHours) }
       : {}),
-    ...('reviewsCount' in data
-      ? {
-          reviewsCount:
-            typeof data.reviewsCount === 'number'
-              ? data.reviewsCount
-              : 0
-        }
+    ...('coords' in data
+      ? { coords: data.coords || null, geohash: encodeGeohash(data.coords) }
       : {}),
     ...('images' in data ? { images: data.images || [] } : {}),
     updatedAt: new Date().toISOString()
@@ -105,7 +129,10 @@ export async function updateActivity(id, data) {
 
   await ref.set(patch, { merge: true });
   const updated = await ref.get();
-  return { id: updated.id, ...updated.data() };
+
+  const activity = { id: updated.id, ...updated.data() };
+  indexActivity(activity);
+  return activity;
 }
 
 // DELETE: elimina una actividad si existe.
@@ -114,5 +141,6 @@ export async function deleteActivity(id) {
   const snap = await ref.get();
   if (!snap.exists) return false;
   await ref.delete();
+  removeFromSearchIndex('activity', id);
   return true;
 }
@@ -0,0 +1,212 @@
+// src/services/catalogImportService.js
+// ------------------------------------
+// Importación masiva de destinos y actividades desde archivos CSV, JSON o
+// GeoJSON. La usan el endpoint POST /admin/import/:type y el script
+// catalog:import.
+//
+// Pasos:
+//  1) Se lee el archivo (utils/catalogImport.js) y se valida cada fila
+//     (models/catalogImportModel.js). Las filas con errores no se importan
+//     y quedan en el reporte con el detalle de cada problema.
+//  2) Se buscan los registros ya importados por "externalId": si existe,
+//     la fila lo actualiza (reemplaza los campos del catálogo; rating y
+//     reseñas no se tocan); si no, se crea. Si no cambia nada, queda igual.
+//  3) Con dryRun solo se arma el reporte. Si no, se escribe en lotes de
+//     400 operaciones.
+//
+// Los lotes no son una única transacción: si uno falla, los anteriores ya
+// quedaron guardados. Como todo se identifica por externalId, volver a
+// correr la importación completa el resto sin duplicar.
+
+import { db } from '../config/firebase.js';
+import { parseImportFile } from '../utils/catalogImport.js';
+import { validateImportRows } from '../models/catalogImportModel.js';
+import { buildDestinationFields } from './destinationService.js';
+import { buildActivityFields } from './activityService.js';
+import { resetSearchIndex } from './searchService.js';
+import { diffRecord } from '../utils/recordDiff.js';
+
+const COLLECTIONS = {
+  destination: 'destinations',
+  activity: 'activities'
+};
+
+// Operaciones por lote de escritura (el máximo de Firestore es 500).
+const BATCH_SIZE = 400;
+
+// Valores por consulta "in" de Firestore.
+const IN_QUERY_LIMIT = 30;
+
+// Busca los documentos de una colección con esos externalId.
+// Devuelve Map(externalId -> { id, ...data }).
+async function findByExternalIds(col, externalIds) {
+  const unique = [...new Set(externalIds.filter(Boolean))];
+  const found = new Map();
+
+  for (let i = 0; i < unique.length; i += IN_QUERY_LIMIT) {
+    const snap = await db
+      .collection(col)
+      .where('externalId', 'in', unique.slice(i, i + IN_QUERY_LIMIT))
+      .get();
+    snap.docs.forEach((d) => found.set(d.data().externalId, { id: d.id, ...d.data() }));
+  }
+
+  return found;
+}
+
+// Actividades: resuelve el destino de cada fila. destinationExternalId
+// tiene prioridad sobre destinationId. Devuelve { resolved, errors }.
+async function resolveActivityDestinations(items) {
+  const byExternalId = await findByExternalIds(
+    COLLECTIONS.destination,
+    items.map((item) => item.data.destinationExternalId)
+  );
+
+  const directIds = [
+    ...new Set(items.filter((item) => !item.data.destinationExternalId).map((item) => item.data.destinationId))
+  ];
+  const snaps = directIds.length
+    ? await db.getAll(...directIds.map((id) => db.collection(COLLECTIONS.destination).doc(id)))
+    : [];
+  const existingIds = new Set(snaps.filter((s) => s.exists).map((s) => s.id));
+
+  const resolved = [];
+  const errors = [];
+
+  for (const item of items) {
+    const { destinationExternalId, ...data } = item.data;
+
+    const destinationId = destinationExternalId
+      ? byExternalId.get(destinationExternalId)?.id
+      : existingIds.has(data.destinationId) && data.destinationId;
+
+    if (!destinationId) {
+      errors.push({
+        row: item.row,
+        externalId: item.externalId,
+        issues: [
+          destinationExternalId
+            ? { path: 'destinationExternalId', message: 'No hay un destino con ese externalId' }
+            : { path: 'destinationId', message: 'El destino no existe' }
+        ]
+      });
+      continue;
+    }
+
+    resolved.push({ ...item, data: { ...data, destinationId } });
+  }
+
+  return { resolved, errors };
+}
+
+// Campos a guardar para una fila válida (incluye el externalId).
+function buildFields(type, data) {
+  const fields = type === 'destination' ? buildDestinationFields(data) : buildActivityFields(data);
+  return { ...fields, externalId: data.externalId };
+}
+
+// Escribe las operaciones en lotes de BATCH_SIZE.
+async function commitInBatches(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach((w) => {
+      if (w.merge) {
+        batch.set(w.ref, w.doc, { merge: true });
+      } else {
+        batch.set(w.ref, w.doc);
+      }
+    });
+    await batch.commit();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// importCatalog({ type, content, format, dryRun })
+// -----------------------------------------------------------------------------
+// type: 'destination' | 'activity'. content y format como en
+// parseImportFile. Devuelve { error, message } si el archivo no se puede
+// leer, o el reporte:
+//   {
+//     type, format, dryRun, total,
+//     created, updated, unchanged, failed,
+//     rows: [{ row, externalId, action, id, changes?, issues? }]
+//   }
+// action: 'create' | 'update' | 'unchanged' | 'error'. "changes" son los
+// campos que cambia una actualización; "id" es null en las altas de un
+// dryRun y en las filas con error.
+//
+export async function importCatalog({ type, content, format, dryRun = false }) {
+  const parsed = parseImportFile(content, format);
+  if (parsed.error) return parsed;
+
+  const validation = validateImportRows(type, parsed.rows);
+  let { valid } = validation;
+  const errors = [...validation.errors];
+
+  if (type === 'activity' && valid.length > 0) {
+    const destinations = await resolveActivityDestinations(valid);
+    valid = destinations.resolved;
+    errors.push(...destinations.errors);
+  }
+
+  const col = db.collection(COLLECTIONS[type]);
+  const existing = await findByExternalIds(COLLECTIONS[type], valid.map((item) => item.externalId));
+  const now = new Date().toISOString();
+
+  const rows = errors.map((e) => ({ ...e, action: 'error', id: null }));
+  const writes = [];
+
+  for (const item of valid) {
+    const fields = buildFields(type, item.data);
+    const current = existing.get(item.externalId);
+
+    if (!current) {
+      const ref = dryRun ? null : col.doc();
+      rows.push({ row: item.row, externalId: item.externalId, action: 'create', id: ref?.id || null });
+      writes.push({
+        ref,
+        doc: {
+          ...fields,
+          ...(type === 'activity' ? { rating: null, reviewsCount: 0 } : {}),
+          createdAt: now,
+          updatedAt: now
+        }
+      });
+      continue;
+    }
+
+    const changes = diffRecord(current, fields).map((c) => c.field);
+    rows.push({
+      row: item.row,
+      externalId: item.externalId,
+      action: changes.length > 0 ? 'update' : 'unchanged',
+      id: current.id,
+      ...(changes.length > 0 ? { changes } : {})
+    });
+
+    if (changes.length > 0) {
+      writes.push({ ref: col.doc(current.id), doc: { ...fields, updatedAt: now }, merge: true });
+    }
+  }
+
+  if (!dryRun && writes.length > 0) {
+    await commitInBatches(writes);
+    // Las escrituras en lote no pasan por indexDestination / indexActivity:
+    // el índice de búsqueda se vuelve a armar en la próxima búsqueda.
+    resetSearchIndex();
+  }
+
+  const count = (action) => rows.filter((r) => r.action === action).length;
+
+  return {
+    type,
+    format,
+    dryRun,
+    total: parsed.rows.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    rows: rows.sort((a, b) => a.row - b.row)
+  };
+}
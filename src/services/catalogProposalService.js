@@ -0,0 +1,175 @@
+// src/services/catalogProposalService.js
+// --------------------------------------
+// Acceso a Firestore para la cola de moderación del catálogo
+// ("catalogProposals").
+//
+// La validación de "data" se hace en los controllers; acá se leen los
+// registros afectados y se aplican las propuestas aprobadas con
+// destinationService / activityService (así también se actualizan el
+// geohash y el índice de búsqueda).
+
+import { db } from '../config/firebase.js';
+import {
+  createDestination,
+  getDestinationById,
+  updateDestination
+} from './destinationService.js';
+import {
+  createActivity,
+  getActivityById,
+  updateActivity
+} from './activityService.js';
+
+const COL = 'catalogProposals';
+
+// CREATE: la propuesta entra como "pending".
+export async function createCatalogProposal(data) {
+  const now = new Date().toISOString();
+  const docRef = db.collection(COL).doc();
+
+  const payload = {
+    type: data.type,
+    action: data.action,
+    targetId: data.targetId || null,
+    data: data.data,
+    note: data.note || null,
+    status: 'pending',
+    authorId: data.authorId,
+    authorName: data.authorName || null,
+    baseUpdatedAt: data.baseUpdatedAt || null,
+    reviewedBy: null,
+    reviewedAt: null,
+    rejectionReason: null,
+    resultId: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// READ by ID
+export async function getCatalogProposalById(id) {
+  const snap = await db.collection(COL).doc(id).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// LIST: más nuevas primero (las pendientes, en la cola de admin, se
+// revisan de la más vieja a la más nueva con order: 'asc').
+// Filtros opcionales: status, type, authorId, targetId.
+//
+// Sin authorId (la cola de admin) los filtros y el límite van en la query,
+// así no se lee la colección entera; con status o type, Firestore pide el
+// índice compuesto (status / type + createdAt). Con authorId se traen las
+// propuestas del autor (son pocas) y el resto se filtra en memoria.
+export async function listCatalogProposals({
+  status,
+  type,
+  authorId,
+  targetId,
+  order = 'desc',
+  limit = 50
+} = {}) {
+  const direction = order === 'asc' ? 'asc' : 'desc';
+
+  if (!authorId) {
+    let q = db.collection(COL);
+    if (status) q = q.where('status', '==', status);
+    if (type) q = q.where('type', '==', type);
+    if (targetId) q = q.where('targetId', '==', targetId);
+
+    const snap = await q.orderBy('createdAt', direction).limit(limit).get();
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  }
+
+  const snap = await db.collection(COL).where('authorId', '==', authorId).get();
+
+  const items = snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((p) => !status || p.status === status)
+    .filter((p) => !type || p.type === type)
+    .filter((p) => !targetId || p.targetId === targetId);
+
+  // Sin orderBy en la query por autor (pediría un índice compuesto).
+  items.sort((a, b) =>
+    direction === 'asc'
+      ? String(a.createdAt).localeCompare(String(b.createdAt))
+      : String(b.createdAt).localeCompare(String(a.createdAt))
+  );
+
+  return items.slice(0, limit);
+}
+
+// -----------------------------------------------------------------------------
+// closeCatalogProposal(id, { status, by, reason })
+// -----------------------------------------------------------------------------
+// Pasa una propuesta pendiente a approved / rejected / withdrawn, en una
+// transacción (dos admins no pueden aprobar la misma a la vez).
+// Devuelve null si no existe, { ok: false, status } si ya no estaba
+// pendiente, o { ok: true, proposal }.
+//
+export async function closeCatalogProposal(id, { status, by, reason = null }) {
+  const ref = db.collection(COL).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const current = snap.data();
+    if (current.status !== 'pending') {
+      return { ok: false, status: current.status };
+    }
+
+    const now = new Date().toISOString();
+    const patch = {
+      status,
+      reviewedBy: status === 'withdrawn' ? null : by,
+      reviewedAt: status === 'withdrawn' ? null : now,
+      rejectionReason: status === 'rejected' ? reason : null,
+      updatedAt: now
+    };
+
+    tx.update(ref, patch);
+    return { ok: true, proposal: { id: snap.id, ...current, ...patch } };
+  });
+}
+
+// Guarda el ID del registro creado / editado al aprobar.
+export async function setCatalogProposalResult(id, resultId) {
+  await db.collection(COL).doc(id).update({
+    resultId,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Vuelve una propuesta aprobada a "pending" si no se pudo aplicar.
+export async function reopenCatalogProposal(id) {
+  await db.collection(COL).doc(id).update({
+    status: 'pending',
+    reviewedBy: null,
+    reviewedAt: null,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Registro actual al que apunta una propuesta (o null).
+export async function getProposalTarget(type, targetId) {
+  if (!targetId) return null;
+  return type === 'destination'
+    ? getDestinationById(targetId)
+    : getActivityById(targetId);
+}
+
+// Aplica una propuesta aprobada: crea el registro o le aplica los cambios.
+// Devuelve el registro resultante, o null si el registro a editar ya no
+// existe.
+export async function applyCatalogProposal(proposal) {
+  const { type, action, targetId, data } = proposal;
+
+  if (type === 'destination') {
+    return action === 'create' ? createDestination(data) : updateDestination(targetId, data);
+  }
+  return action === 'create' ? createActivity(data) : updateActivity(targetId, data);
+}
@@ -0,0 +1,196 @@
+// src/services/checklistService.js
+// --------------------------------
+// Acceso a Firestore para las checklists de un viaje, en la subcolección:
+//
+//   trips/{tripId}/checklists/{checklistId}
+//
+// Los ítems se guardan dentro de la checklist (array "items", cada uno con
+// su id). Los cambios sobre ítems se hacen en una transacción para que dos
+// personas tildando cosas a la vez no se pisen.
+//
+// Los permisos y la validación de asignados se hacen en el controller.
+
+import crypto from 'node:crypto';
+import { db } from '../config/firebase.js';
+
+const TRIPS_COL = 'trips';
+const CHECKLISTS_COL = 'checklists';
+
+// Referencia a la subcolección de checklists de un trip.
+function checklistsRef(tripId) {
+  return db.collection(TRIPS_COL).doc(tripId).collection(CHECKLISTS_COL);
+}
+
+// Ítem listo para guardar (con id y datos de "hecho").
+function buildItem(data, by, now) {
+  return {
+    id: crypto.randomUUID(),
+    label: data.label,
+    category: data.category || 'other',
+    quantity: data.quantity || 1,
+    assigneeId: data.assigneeId || null,
+    done: !!data.done,
+    doneBy: data.done ? by : null,
+    doneAt: data.done ? now : null,
+    reason: data.reason || null
+  };
+}
+
+// Lee la checklist dentro de una transacción, aplica "change" sobre los
+// ítems y la guarda. "change" recibe los ítems y devuelve los nuevos, o
+// null si no hay que cambiar nada. Devuelve la checklist actualizada, o
+// null si no existe.
+async function mutateItems(tripId, checklistId, change) {
+  const ref = checklistsRef(tripId).doc(checklistId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const current = { id: snap.id, ...snap.data() };
+    const items = change(current.items || []);
+    if (!items) return current;
+
+    const updatedAt = new Date().toISOString();
+    tx.update(ref, { items, updatedAt });
+    return { ...current, items, updatedAt };
+  });
+}
+
+// CREATE
+export async function createChecklist(tripId, data) {
+  const now = new Date().toISOString();
+  const docRef = checklistsRef(tripId).doc();
+
+  const payload = {
+    tripId,
+    title: data.title,
+    kind: data.kind || 'custom',
+    items: (data.items || []).map((item) => buildItem(item, data.createdBy, now)),
+    createdBy: data.createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// READ by ID
+export async function getChecklistById(tripId, checklistId) {
+  const snap = await checklistsRef(tripId).doc(checklistId).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// LIST: checklists del trip, en el orden en que se crearon.
+export async function listChecklists(tripId) {
+  const snap = await checklistsRef(tripId).orderBy('createdAt', 'asc').get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// UPDATE (PATCH): por ahora solo el título.
+export async function updateChecklist(tripId, checklistId, data) {
+  const ref = checklistsRef(tripId).doc(checklistId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  await ref.update({
+    title: data.title,
+    updatedAt: new Date().toISOString()
+  });
+
+  const updated = await ref.get();
+  return { id: updated.id, ...updated.data() };
+}
+
+// DELETE
+export async function deleteChecklist(tripId, checklistId) {
+  const ref = checklistsRef(tripId).doc(checklistId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  await ref.delete();
+  return true;
+}
+
+// Agrega ítems al final de la checklist. Devuelve { checklist, items }
+// (los ítems creados), o null si la checklist no existe.
+export async function addChecklistItems(tripId, checklistId, items, { by }) {
+  const now = new Date().toISOString();
+  const created = items.map((item) => buildItem(item, by, now));
+
+  const checklist = await mutateItems(tripId, checklistId, (current) => [...current, ...created]);
+  if (!checklist) return null;
+
+  return { checklist, items: created };
+}
+
+// Edita un ítem. Al marcarlo como hecho se guarda quién y cuándo; al
+// desmarcarlo se limpian. "canEdit" (opcional) recibe el ítem guardado y
+// decide si se puede editar; se evalúa dentro de la transacción, así no
+// cambia entre el chequeo y la escritura. Devuelve { checklist, item,
+// forbidden } (item null si no existe, forbidden true si canEdit lo
+// rechazó), o null si la checklist no existe.
+export async function updateChecklistItem(tripId, checklistId, itemId, patch, { by, canEdit }) {
+  let updatedItem = null;
+  let forbidden = false;
+
+  const checklist = await mutateItems(tripId, checklistId, (current) => {
+    updatedItem = null;
+    forbidden = false;
+
+    const idx = current.findIndex((i) => i.id === itemId);
+    if (idx === -1) return null;
+
+    if (canEdit && !canEdit(current[idx])) {
+      forbidden = true;
+      return null;
+    }
+
+    const item = { ...current[idx] };
+    for (const key of ['label', 'category', 'quantity']) {
+      if (key in patch) item[key] = patch[key];
+    }
+    if ('assigneeId' in patch) item.assigneeId = patch.assigneeId || null;
+    if ('done' in patch && patch.done !== !!item.done) {
+      item.done = patch.done;
+      item.doneBy = patch.done ? by : null;
+      item.doneAt = patch.done ? new Date().toISOString() : null;
+    }
+
+    updatedItem = item;
+    return current.map((i, pos) => (pos === idx ? item : i));
+  });
+
+  if (!checklist) return null;
+  return { checklist, item: updatedItem, forbidden };
+}
+
+// Quita un ítem. Devuelve { checklist, removed } (removed false si el ítem
+// no existía), o null si la checklist no existe.
+export async function removeChecklistItem(tripId, checklistId, itemId) {
+  let removed = false;
+
+  const checklist = await mutateItems(tripId, checklistId, (current) => {
+    const remaining = current.filter((i) => i.id !== itemId);
+    removed = remaining.length !== current.length;
+    return removed ? remaining : null;
+  });
+
+  if (!checklist) return null;
+  return { checklist, removed };
+}
+
+// DELETE ALL: al eliminar el viaje.
+export async function deleteTripChecklists(tripId) {
+  const snap = await checklistsRef(tripId).get();
+  const docs = snap.docs;
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+
+  return docs.length;
+}
@@ -1,9 +1,31 @@
 // Importamos la instancia de Firestore.
 import { db } from '../config/firebase.js';
 
+// Índice de búsqueda en memoria: se actualiza con cada escritura.
+import { indexDestination, removeFromSearchIndex } from './searchService.js';
+
+// Geohash de las coordenadas, para las búsquedas por cercanía.
+import { encodeGeohash } from '../utils/geo.js';
+import { findNearby } from './geoQueryService.js';
+
 // Nombre de la colección de destinos en Firestore.
 const COL = 'destinations';
 
+// Campos del catálogo de un destino, listos para guardar (sin timestamps).
+// Lo usan el alta y la importación masiva (catalogImportService).
+export function buildDestinationFields(data) {
+  return {
+    name: data.name,                    // nombre del destino (ej: "Bariloche")
+    country: data.country,              // país (ej: "AR")
+    summary: data.summary,              // breve descripción
+    coords: data.coords,                // coordenadas { lat, lng }
+    geohash: encodeGeohash(data.coords), // para las búsquedas ?near=
+    tags: data.tags || [],              // etiquetas, por ejemplo ["playa", "montaña"]
+    images: data.images || [],          // URLs de imágenes
+    priceEstimates: data.priceEstimates || null // costos por rango de precio (opcional)
+  };
+}
+
 // CREATE: crea un nuevo destino turístico.
 export async function createDestination(data) {
   // Obtenemos la fecha/hora actual en formato ISO.
@@ -14,12 +36,7 @@ export async function createDestination(data) {
 
   // Armamos el payload que vamos a guardar.
   const payload = {
-    name: data.name,                    // nombre del destino (ej: "Bariloche")
-    country: data.country,              // país (ej: "AR")
-    summary: data.summary,              // breve descripción
-    coords: data.coords,                // coordenadas { lat, lng }
-    tags: data.tags || [],              // etiquetas, por ejemplo ["playa", "montaña"]
-    images: data.images || [],          // URLs de imágenes
+    ...buildDestinationFields(data),
     createdAt: now,                     // fecha de creación
     updatedAt: now                      // fecha de última actualización
   };
@@ -27,8 +44,11 @@ export async function createDestination(data) {
   // Guardamos el destino en Firestore.
   await docRef.set(payload);
 
+  const created = { id: docRef.id, ...payload };
+  indexDestination(created);
+
   // Devolvemos el destino creado junto con su ID.
-  return { id: docRef.id, ...payload };
+  return created;
 }
 
 // READ by ID: obtiene un destino por su ID.
@@ -79,6 +99,24 @@ export async function listDestinations({
   return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 }
 
+// LIST NEAR: destinos a menos de radiusKm de center, del más cercano al
+// más lejano y con "distanceKm". Los filtros de país y tag se aplican en
+// memoria (combinados con el rango de geohash pedirían índices compuestos).
+export async function listDestinationsNear({
+  center,
+  radiusKm,
+  country,
+  tag,
+  limit = 20
+}) {
+  const items = await findNearby(COL, center, radiusKm);
+
+  return items
+    .filter((d) => !country || d.country === country)
+    .filter((d) => !tag || (d.tags || []).includes(tag))
+    .slice(0, limit);
+}
+
 // UPDATE (PATCH): actualiza parcialmente un destino existente.
 export async function updateDestination(id, data) {
   // Obtenemos la referencia al documento a actualizar.
@@ -93,9 +131,14 @@ export async function updateDestination(id, data) {
     ...('name' in data ? { name: data.name } : {}),
     ...('country' in data ? { country: data.country } : {}),
     ...('summary' in data ? { summary: data.summary } : {}),
-    ...('coords' in data ? { coords: data.coords } : {}),
+    ...('coords' in data
+      ? { coords: data.coords, geohash: encodeGeohash(data.coords) }
+      : {}),
     ...('tags' in data ? { tags: data.tags || [] } : {}),
     ...('images' in data ? { images: data.images || [] } : {}),
+    ...('priceEstimates' in data
+      ? { priceEstimates: data.priceEstimates || null }
+      : {}),
     updatedAt: new Date().toISOString() // siempre actualizamos updatedAt
   };
 
@@ -104,9 +147,11 @@ export async function updateDestination(id, data) {
 
   // Volvemos a leer el documento actualizado.
   const updated = await ref.get();
+  const destination = { id: updated.id, ...updated.data() };
+  indexDestination(destination);
 
   // Devolvemos el destino actualizado.
-  return { id: updated.id, ...updated.data() };
+  return destination;
 }
 
 // DELETE: elimina un destino si existe.
@@ -120,6 +165,7 @@ export async function deleteDestination(id) {
 
   // Eliminamos el documento.
   await ref.delete();
+  removeFromSearchIndex('destination', id);
 
   // Indicamos que la operación se realizó correctamente.
   return true;
@@ -0,0 +1,74 @@
+// src/services/exchangeRateService.js
+// -----------------------------------
+// Acceso a Firestore para la tabla de cotizaciones ("exchangeRates").
+//
+// Hay un documento por par y fecha, con ID "BASE_QUOTE_YYYY-MM-DD", así
+// volver a importar el mismo archivo actualiza en lugar de duplicar.
+//
+// La tabla es chica y cambia poco (solo con el script de importación),
+// así que se lee entera y se guarda en memoria unos minutos.
+
+import { db } from '../config/firebase.js';
+import { createCurrencyConverter } from '../utils/currency.js';
+
+const COL = 'exchangeRates';
+
+// Cuánto tiempo reutilizamos la tabla leída (ms).
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+let cache = null; // { loadedAt, converter }
+
+// ID determinístico de una cotización.
+export function exchangeRateDocId({ base, quote, effectiveDate }) {
+  return `${base}_${quote}_${effectiveDate}`;
+}
+
+// UPSERT: guarda cotizaciones ya validadas (exchangeRateSchema), en lotes.
+// Devuelve la cantidad guardada.
+export async function upsertExchangeRates(rates) {
+  const now = new Date().toISOString();
+
+  for (let i = 0; i < rates.length; i += 400) {
+    const batch = db.batch();
+    for (const r of rates.slice(i, i + 400)) {
+      batch.set(db.collection(COL).doc(exchangeRateDocId(r)), {
+        base: r.base,
+        quote: r.quote,
+        rate: r.rate,
+        effectiveDate: r.effectiveDate,
+        source: r.source || null,
+        importedAt: now
+      });
+    }
+    await batch.commit();
+  }
+
+  cache = null;
+  return rates.length;
+}
+
+// LIST: todas las cotizaciones, con filtros opcionales por moneda.
+export async function listExchangeRates({ base, quote } = {}) {
+  let q = db.collection(COL);
+  if (base) q = q.where('base', '==', base);
+  if (quote) q = q.where('quote', '==', quote);
+
+  const snap = await q.get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) =>
+      a.base.localeCompare(b.base) ||
+      a.quote.localeCompare(b.quote) ||
+      a.effectiveDate.localeCompare(b.effectiveDate));
+}
+
+// Conversor armado con toda la tabla (ver createCurrencyConverter).
+export async function getCurrencyConverter() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.converter;
+  }
+
+  const rates = await listExchangeRates();
+  cache = { loadedAt: Date.now(), converter: createCurrencyConverter(rates) };
+  return cache.converter;
+}
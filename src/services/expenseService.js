@@ -0,0 +1,113 @@
+// src/services/expenseService.js
+// ------------------------------
+// Acceso a Firestore para los gastos de un viaje, en la subcolección:
+//
+//   trips/{tripId}/expenses/{expenseId}
+//
+// Los permisos y la validación de miembros se hacen en el controller.
+
+import { db } from '../config/firebase.js';
+
+const TRIPS_COL = 'trips';
+const EXPENSES_COL = 'expenses';
+
+// Referencia a la subcolección de gastos de un trip.
+function expensesRef(tripId) {
+  return db.collection(TRIPS_COL).doc(tripId).collection(EXPENSES_COL);
+}
+
+// CREATE
+export async function createExpense(tripId, data) {
+  const now = new Date().toISOString();
+  const docRef = expensesRef(tripId).doc();
+
+  const payload = {
+    tripId,
+    amount: data.amount,
+    currency: data.currency || null,
+    category: data.category || 'other',
+    date: data.date,
+    description: data.description || null,
+    paidBy: data.paidBy,
+    splitAmong: data.splitAmong,
+    period: data.period || null,
+    createdBy: data.createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// ¿El trip tiene al menos un gasto registrado?
+export async function hasTripExpenses(tripId) {
+  const snap = await expensesRef(tripId).limit(1).get();
+  return !snap.empty;
+}
+
+// READ by ID
+export async function getExpenseById(tripId, expenseId) {
+  const snap = await expensesRef(tripId).doc(expenseId).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// LIST: gastos del trip ordenados por fecha (y por creación dentro del día).
+// Filtros opcionales: category, from / to ("YYYY-MM-DD", inclusive).
+export async function listExpenses(tripId, { category, from, to } = {}) {
+  const snap = await expensesRef(tripId).orderBy('date', 'asc').get();
+
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((e) => !category || e.category === category)
+    .filter((e) => !from || e.date >= from)
+    .filter((e) => !to || e.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+// UPDATE (PATCH): "data" ya viene validado y combinado con el gasto actual.
+export async function updateExpense(tripId, expenseId, data) {
+  const ref = expensesRef(tripId).doc(expenseId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const patch = {
+    ...('amount' in data ? { amount: data.amount } : {}),
+    ...('currency' in data ? { currency: data.currency || null } : {}),
+    ...('category' in data ? { category: data.category } : {}),
+    ...('date' in data ? { date: data.date } : {}),
+    ...('description' in data ? { description: data.description || null } : {}),
+    ...('paidBy' in data ? { paidBy: data.paidBy } : {}),
+    ...('splitAmong' in data ? { splitAmong: data.splitAmong } : {}),
+    ...('period' in data ? { period: data.period || null } : {}),
+    updatedAt: new Date().toISOString()
+  };
+
+  await ref.set(patch, { merge: true });
+  const updated = await ref.get();
+  return { id: updated.id, ...updated.data() };
+}
+
+// DELETE
+export async function deleteExpense(tripId, expenseId) {
+  const ref = expensesRef(tripId).doc(expenseId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  await ref.delete();
+  return true;
+}
+
+// DELETE ALL: al eliminar el viaje.
+export async function deleteTripExpenses(tripId) {
+  const snap = await expensesRef(tripId).get();
+  const docs = snap.docs;
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+
+  return docs.length;
+}
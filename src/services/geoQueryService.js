@@ -0,0 +1,50 @@
+// src/services/geoQueryService.js
+// -------------------------------
+// Consultas "qué hay cerca de este punto" sobre colecciones que guardan
+// coords + geohash (destinos y actividades).
+//
+// Firestore no sabe de distancias: se consultan por rango de geohash las
+// celdas que cubren el círculo (geohashQueryRanges) y después se filtra y
+// ordena por distancia real. Los documentos sin geohash (cargados antes de
+// este campo) no aparecen: ver scripts/backfillGeohashes.js.
+
+import { db } from '../config/firebase.js';
+import { geohashQueryRanges, hasCoords, haversineKm } from '../utils/geo.js';
+
+// Redondeo de las distancias que se devuelven (metros).
+function roundKm(km) {
+  return Math.round(km * 1000) / 1000;
+}
+
+// -----------------------------------------------------------------------------
+// findNearby(collection, center, radiusKm)
+// -----------------------------------------------------------------------------
+// Documentos de "collection" a menos de radiusKm de center, ordenados del
+// más cercano al más lejano. Cada uno viene con "distanceKm".
+//
+export async function findNearby(collection, center, radiusKm) {
+  const ranges = geohashQueryRanges(center, radiusKm);
+
+  const snaps = await Promise.all(
+    ranges.map(([start, end]) =>
+      db.collection(collection)
+        .where('geohash', '>=', start)
+        .where('geohash', '<=', end)
+        .get()
+    )
+  );
+
+  // Las celdas no se pisan, pero por las dudas deduplicamos por ID.
+  const byId = new Map();
+  for (const snap of snaps) {
+    for (const d of snap.docs) {
+      byId.set(d.id, { id: d.id, ...d.data() });
+    }
+  }
+
+  return [...byId.values()]
+    .filter(hasCoords)
+    .map((item) => ({ ...item, distanceKm: roundKm(haversineKm(center, item.coords)) }))
+    .filter((item) => item.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
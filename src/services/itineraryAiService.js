@@ -1,26 +1,36 @@
 // src/services/itineraryAiService.js
 // ----------------------------------
-// Este archivo define un "servicio de IA" para NomadIQ.
-// En esta primera versión NO llama a un modelo externo real,
-// sino que simula el enriquecimiento de texto de forma local.
+// Este archivo define el "servicio de IA" para NomadIQ.
 //
 // La idea es:
 //  - Recibir un itinerario ya generado por REGLAS.
 //  - Recibir datos del trip y del usuario (opcional).
 //  - "Enriquecer" las descripciones con texto más humano y cálido.
-//  - Devolver un nuevo objeto { data, aiModelUsed, score } listo
+//  - Devolver un nuevo objeto { data, aiModelUsed } listo
 //    para ser guardado en Firestore a través de updateItinerary.
 //
-// Más adelante, se puede reemplazar la parte interna por una llamada real
-// a un modelo generativo (Gemini, Hugging Face, etc.) sin cambiar la firma
-// pública de la función principal.
+// El enriquecimiento lo hace un proveedor de LLM (ver llmProviderService):
+// el "modelHint" del cliente elige proveedor y modelo. Si no hay proveedor
+// configurado, o si el modelo falla (timeout, error, respuesta inválida)
+// después de los reintentos, usamos el enriquecimiento local de siempre.
 
-// Importamos tipos auxiliares de Node si hiciera falta (en este caso no).
 // No necesitamos Firestore aquí porque el guardado lo hace itineraryService.
 // Por eso este servicio solo transforma datos en memoria.
 
-// Nombre por defecto del "modelo" que vamos a usar en esta simulación.
-// Esto se guardará en el campo aiModelUsed del itinerario.
+import {
+  LOCAL_PROVIDER,
+  LLM_TIMEOUT_MS,
+  getProvider,
+  resolveModelHint,
+  withRetries
+} from './llmProviderService.js';
+import {
+  buildEnrichmentMessages,
+  parseEnrichmentResponse
+} from '../utils/itineraryPrompts.js';
+
+// Nombre del enriquecimiento local (sin IA externa).
+// Esto se guardará en el campo aiModelUsed del itinerario cuando se use.
 const DEFAULT_AI_MODEL_NAME =
   process.env.AI_MODEL_NAME || 'local-rules-enrichment-v1';
 
@@ -136,7 +146,10 @@ function buildLocallyEnrichedData({ itinerary, trip, user }) {
       : [];
 
     // Enriquecemos cada bloque (period) individualmente.
+    // Los bloques bloqueados (locked) se dejan tal cual.
     const enrichedPeriods = originalPeriods.map((period) => {
+      if (period.locked) return period;
+
       // Copiamos el bloque original para no perder campos (como activityId).
       const basePeriod = { ...period };
 
@@ -163,12 +176,37 @@ function buildLocallyEnrichedData({ itinerary, trip, user }) {
     };
   });
 
-  // Devolvemos la nueva estructura "data" enriquecida.
+  // Devolvemos la nueva estructura "data" enriquecida, conservando los
+  // demás campos (resumen de presupuesto, distancia total, etc.).
   return {
+    ...itinerary.data,
     days: enrichedDays
   };
 }
 
+//
+// -----------------------------------------------------------------------------
+// Enriquecimiento con un proveedor de LLM
+// -----------------------------------------------------------------------------
+// Arma el prompt, llama al proveedor (con timeout y reintentos) y lee la
+// respuesta. Lanza error si algo falla; el llamador decide el fallback.
+//
+async function enrichWithProvider({ provider, model, itinerary, trip, user, options }) {
+  const messages = buildEnrichmentMessages({ itinerary, trip, user, options });
+
+  return withRetries(async (attempt) => {
+    if (attempt > 0) {
+      console.log('[Itineraries][AI] reintento', attempt, 'con', provider.name, model);
+    }
+    const text = await provider.complete({
+      model,
+      messages,
+      timeoutMs: LLM_TIMEOUT_MS
+    });
+    return parseEnrichmentResponse(text, itinerary.data);
+  });
+}
+
 //
 // -----------------------------------------------------------------------------
 // Función pública principal: enrichItineraryWithAI
@@ -179,19 +217,17 @@ function buildLocallyEnrichedData({ itinerary, trip, user }) {
 //  - itinerary: el itinerario ya generado por reglas.
 //  - trip: el viaje asociado (para conocer título, intereses, etc.).
 //  - user: usuario autenticado (para personalizar textos).
-//  - options: objeto opcional con preferencias (tono, idioma, modelo, etc.).
+//  - options: objeto opcional con preferencias (tone, locale, modelHint).
 //
 // Devuelve un objeto:
 //  {
 //    data: ...,          // nueva estructura de itinerario enriquecida
-//    aiModelUsed: ...,   // nombre del "modelo" utilizado
-//    score: ...          // número opcional para indicar calidad/confianza
+//    aiModelUsed: ...,   // "proveedor:modelo" realmente usado, o el local
+//    fallbackReason: ... // por qué se usó el local (null si no hizo falta)
 //  }
 //
-// En esta versión la "IA" es local. En el futuro, aquí se podría:
-//  - Construir un prompt de texto.
-//  - Llamar a un modelo externo (Gemini, Hugging Face, etc.).
-//  - Parsear la respuesta y transformarla en el formato de "data".
+// El puntaje de calidad no lo decide la IA: lo recalcula itineraryService
+// al guardar (ver itineraryScoringService).
 //
 export async function enrichItineraryWithAI({
   itinerary,
@@ -199,48 +235,70 @@ export async function enrichItineraryWithAI({
   user,
   options = {}
 }) {
-  // Leemos un posible nombre de modelo enviado por el cliente,
-  // o usamos el valor por defecto definido arriba.
-  const modelName =
-    typeof options.modelHint === 'string' && options.modelHint.trim().length > 0
-      ? options.modelHint.trim()
-      : DEFAULT_AI_MODEL_NAME;
-
-  // En un escenario real, aquí tendríamos algo como:
-  //
-  //   const prompt = buildPromptForExternalModel({ itinerary, trip, user, options });
-  //   const externalResponse = await callExternalAIModel({ prompt, modelName });
-  //   const enrichedData = parseExternalResponseToItineraryData(externalResponse);
-  //
-  // Pero, como estamos construyendo un MVP académico y queremos que
-  // el proyecto funcione sin depender de claves externas ni facturación,
-  // vamos a usar el enriquecimiento local.
-  //
-  // Esto nos permite demostrar la arquitectura híbrida:
-  //  - Motor REGLAS -> genera estructura base.
-  //  - "Modo IA" (simulado) -> mejora textos y da una sensación más humana.
+  const { providerName, model } = resolveModelHint(options.modelHint);
+  const provider = providerName === LOCAL_PROVIDER ? null : getProvider(providerName);
+
+  let fallbackReason = null;
+
+  if (provider && provider.isConfigured()) {
+    try {
+      const result = await enrichWithProvider({
+        provider,
+        model,
+        itinerary,
+        trip,
+        user,
+        options
+      });
+
+      const aiModelUsed = `${provider.name}:${model || provider.defaultModel}`;
+
+      console.log(
+        '[Itineraries][AI] enrichItineraryWithAI -> enriched itinerary',
+        itinerary.id,
+        'using model',
+        aiModelUsed
+      );
+
+      return {
+        data: result.data,
+        aiModelUsed,
+        fallbackReason: null
+      };
+    } catch (err) {
+      fallbackReason = err.message;
+      console.warn(
+        '[Itineraries][AI] proveedor',
+        provider.name,
+        'falló, usamos el enriquecimiento local:',
+        err.message
+      );
+    }
+  } else if (providerName !== LOCAL_PROVIDER) {
+    fallbackReason = provider
+      ? `Proveedor "${providerName}" sin configurar`
+      : `Proveedor "${providerName}" desconocido`;
+  }
+
+  // Enriquecimiento local: textos armados con frases fijas, sin IA externa.
   const enrichedData = buildLocallyEnrichedData({
     itinerary,
     trip,
     user
   });
 
-  // Asignamos una "puntuación" fija, a modo de ejemplo.
-  // En un caso real, esta podría venir de la IA o de alguna heurística.
-  const score = 90;
-
   // Log simple para depuración y para cumplir con la rúbrica de logs.
   console.log(
     '[Itineraries][AI] enrichItineraryWithAI -> enriched itinerary',
     itinerary.id,
     'using model',
-    modelName
+    DEFAULT_AI_MODEL_NAME
   );
 
   // Devolvemos el paquete listo para ser guardado por el controller.
   return {
     data: enrichedData,
-    aiModelUsed: modelName,
-    score
+    aiModelUsed: DEFAULT_AI_MODEL_NAME,
+    fallbackReason
   };
 }
@@ -0,0 +1,195 @@
+// src/services/itineraryCommentService.js
+// ---------------------------------------
+// Comentarios de un itinerario, en la subcolección:
+//
+//   itineraries/{itineraryId}/comments/{commentId}
+//
+// Cada comentario guarda:
+//  - anchor: { day, periodIndex, activityId, timeOfDay, title }, es decir,
+//    dónde se escribió y cómo era el bloque en ese momento.
+//  - parentId: comentario al que responde (null si inicia un hilo).
+//  - authorId / authorName, body, mentions (IDs de miembros).
+//  - editedAt, deletedAt (borrado "suave" si tiene respuestas).
+
+import { db } from '../config/firebase.js';
+
+const ITINERARIES_COL = 'itineraries';
+const COMMENTS_COL = 'comments';
+
+// Referencia a la subcolección de comentarios de un itinerario.
+function commentsRef(itineraryId) {
+  return db
+    .collection(ITINERARIES_COL)
+    .doc(itineraryId)
+    .collection(COMMENTS_COL);
+}
+
+// -----------------------------------------------------------------------------
+// ANCLAS
+// -----------------------------------------------------------------------------
+
+// Huella de un bloque: lo que usamos para reconocerlo si cambia de lugar.
+export function buildCommentAnchor(itineraryData, day, periodIndex) {
+  const dayData = (itineraryData?.days || []).find((d) => d.day === day);
+  const period = dayData?.periods?.[periodIndex];
+  if (!period) return null;
+
+  return {
+    day,
+    periodIndex,
+    activityId: period.activityId || null,
+    timeOfDay: period.timeOfDay || null,
+    title: period.title || null
+  };
+}
+
+// ¿El bloque coincide con la huella? Si el ancla tiene actividad, manda
+// la actividad; si no, momento del día + título.
+function matchesAnchor(period, anchor) {
+  if (!period) return false;
+  if (anchor.activityId) return period.activityId === anchor.activityId;
+  return period.timeOfDay === anchor.timeOfDay && period.title === anchor.title;
+}
+
+// -----------------------------------------------------------------------------
+// resolveCommentAnchor(anchor, itineraryData)
+// -----------------------------------------------------------------------------
+// Ubica el bloque del comentario en el itinerario ACTUAL. Devuelve
+// { day, periodIndex, status }, donde status es:
+//  - "exact":    el bloque sigue en el mismo lugar.
+//  - "moved":    el mismo bloque (misma actividad, o mismo título y momento)
+//                está en otra posición u otro día.
+//  - "replaced": en el mismo día hay otro bloque en ese momento del día
+//                (por ejemplo, tras regenerar): el comentario queda ahí.
+//  - "detached": no hay dónde ubicarlo; se muestra a nivel del día
+//                (periodIndex null).
+//
+export function resolveCommentAnchor(anchor, itineraryData) {
+  const days = itineraryData?.days || [];
+  if (!anchor) return { day: null, periodIndex: null, status: 'detached' };
+
+  const sameDay = days.find((d) => d.day === anchor.day);
+  const periods = sameDay?.periods || [];
+
+  // 1) Mismo lugar, mismo bloque.
+  if (matchesAnchor(periods[anchor.periodIndex], anchor)) {
+    return { day: anchor.day, periodIndex: anchor.periodIndex, status: 'exact' };
+  }
+
+  // 2) El bloque se movió dentro del día...
+  const movedIndex = periods.findIndex((p) => matchesAnchor(p, anchor));
+  if (movedIndex !== -1) {
+    return { day: anchor.day, periodIndex: movedIndex, status: 'moved' };
+  }
+
+  // ...o a otro día (solo si tiene actividad: los títulos se repiten).
+  if (anchor.activityId) {
+    for (const d of days) {
+      const idx = (d.periods || []).findIndex((p) => matchesAnchor(p, anchor));
+      if (idx !== -1) return { day: d.day, periodIndex: idx, status: 'moved' };
+    }
+  }
+
+  // 3) Otro bloque ocupa ese momento del día.
+  const replacedIndex = periods.findIndex((p) => p.timeOfDay === anchor.timeOfDay);
+  if (replacedIndex !== -1) {
+    return { day: anchor.day, periodIndex: replacedIndex, status: 'replaced' };
+  }
+
+  // 4) Sin lugar: queda en el día (si el día sigue existiendo).
+  return {
+    day: sameDay ? anchor.day : null,
+    periodIndex: null,
+    status: 'detached'
+  };
+}
+
+// -----------------------------------------------------------------------------
+// CRUD
+// -----------------------------------------------------------------------------
+
+// CREATE
+export async function createComment(itineraryId, { anchor, parentId, authorId, authorName, body, mentions }) {
+  const now = new Date().toISOString();
+  const docRef = commentsRef(itineraryId).doc();
+
+  const payload = {
+    itineraryId,
+    anchor,
+    parentId: parentId || null,
+    authorId,
+    authorName: authorName || null,
+    body,
+    mentions: mentions || [],
+    editedAt: null,
+    deletedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// READ by ID
+export async function getComment(itineraryId, commentId) {
+  const snap = await commentsRef(itineraryId).doc(commentId).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// LIST: todos los comentarios del itinerario, en orden cronológico.
+export async function listComments(itineraryId) {
+  const snap = await commentsRef(itineraryId).orderBy('createdAt', 'asc').get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// UPDATE: solo texto y menciones.
+export async function updateComment(itineraryId, commentId, { body, mentions }) {
+  const ref = commentsRef(itineraryId).doc(commentId);
+  const now = new Date().toISOString();
+
+  await ref.update({
+    body,
+    ...(mentions !== undefined ? { mentions } : {}),
+    editedAt: now,
+    updatedAt: now
+  });
+
+  const snap = await ref.get();
+  return { id: snap.id, ...snap.data() };
+}
+
+// DELETE: si el comentario tiene respuestas, lo marcamos como borrado
+// (para no romper el hilo); si no, lo eliminamos.
+// Devuelve "soft" o "hard" según lo que se hizo.
+export async function deleteComment(itineraryId, commentId) {
+  const ref = commentsRef(itineraryId).doc(commentId);
+  const replies = await commentsRef(itineraryId)
+    .where('parentId', '==', commentId)
+    .limit(1)
+    .get();
+
+  if (!replies.empty) {
+    const now = new Date().toISOString();
+    await ref.update({ body: null, mentions: [], deletedAt: now, updatedAt: now });
+    return 'soft';
+  }
+
+  await ref.delete();
+  return 'hard';
+}
+
+// DELETE ALL: al eliminar el itinerario.
+export async function deleteItineraryComments(itineraryId) {
+  const snap = await commentsRef(itineraryId).get();
+  const docs = snap.docs;
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+
+  return docs.length;
+}
@@ -0,0 +1,218 @@
+// src/services/itineraryScoringService.js
+// ---------------------------------------
+// Puntaje de calidad (0-100) de un itinerario completo.
+//
+// No usa Firestore: recibe la estructura "data" del itinerario, el trip y
+// las actividades vinculadas ya cargadas. Sirve para cualquier itinerario
+// (reglas, IA o edición manual), porque solo mira el resultado final.
+//
+// Criterios (cada uno de 0 a 100) y su peso en el total:
+//  - interestCoverage (25): cuántos intereses del viaje están cubiertos por
+//    al menos una actividad.
+//  - budget (20): qué tan cerca está el gasto planificado del presupuesto
+//    (100 si entra; baja hasta 0 cuando se pasa en un 50% o más).
+//  - compactness (15): distancia media recorrida por día (100 hasta 5 km,
+//    0 desde 40 km).
+//  - variety (15): categorías distintas dentro de cada día.
+//  - openingHours (15): bloques cuya actividad está abierta en ese momento.
+//  - repeats (10): actividades que no se repiten en el itinerario.
+//
+// Si un criterio no aplica (viaje sin intereses, sin presupuesto, sin
+// coordenadas...) vale 100 y se aclara en "detail".
+
+import { hasCoords, routeDistanceKm } from '../utils/geo.js';
+import { isOpenDuring } from '../utils/openingHours.js';
+import { matchStrength } from './activityScoringService.js';
+
+export const SCORE_WEIGHTS = {
+  interestCoverage: 25,
+  budget: 20,
+  compactness: 15,
+  variety: 15,
+  openingHours: 15,
+  repeats: 10
+};
+
+// Distancias diarias (km) para el criterio de compactación.
+const COMPACT_DAY_KM = 5;
+const SPREAD_DAY_KM = 40;
+
+// Acota a 0-100 y redondea.
+function clampScore(value) {
+  return Math.round(Math.min(100, Math.max(0, value)));
+}
+
+// 1) Cobertura de intereses.
+function scoreInterestCoverage(interests, linked) {
+  if (!interests.length) {
+    return { score: 100, detail: 'El viaje no tiene intereses definidos.' };
+  }
+
+  const covered = interests.filter((interest) =>
+    linked.some(({ activity, period }) =>
+      [activity?.category, activity?.name, period.title].some(
+        (text) => text && matchStrength(interest, text) > 0
+      )
+    )
+  );
+
+  const missing = interests.filter((i) => !covered.includes(i));
+  return {
+    score: clampScore((covered.length / interests.length) * 100),
+    detail: missing.length
+      ? `Intereses sin cubrir: ${missing.join(', ')}.`
+      : 'Todos los intereses tienen al menos una actividad.'
+  };
+}
+
+// 2) Presupuesto.
+function scoreBudget(budget, days) {
+  const planned = days.reduce(
+    (acc, d) =>
+      acc + (d.periods || []).reduce((sum, p) => sum + (p.estimatedCost || 0), 0),
+    0
+  );
+
+  if (typeof budget !== 'number' || budget <= 0) {
+    return { score: 100, detail: 'El viaje no tiene presupuesto definido.' };
+  }
+
+  if (planned <= budget) {
+    return {
+      score: 100,
+      detail: `Gasto planificado ${planned} de ${budget}.`
+    };
+  }
+
+  const overRatio = (planned - budget) / budget;
+  return {
+    score: clampScore(100 - overRatio * 200),
+    detail: `Se pasa del presupuesto por ${planned - budget} (${Math.round(overRatio * 100)}%).`
+  };
+}
+
+// 3) Compactación geográfica.
+function scoreCompactness(linkedByDay) {
+  const distances = linkedByDay
+    .map((items) => items.map(({ activity }) => activity).filter(hasCoords))
+    .filter((located) => located.length >= 2)
+    .map((located) => routeDistanceKm(located.map((a) => a.coords)));
+
+  if (!distances.length) {
+    return { score: 100, detail: 'Sin coordenadas suficientes para medir distancias.' };
+  }
+
+  const avg = distances.reduce((a, b) => a + b, 0) / distances.length;
+  const score = avg <= COMPACT_DAY_KM
+    ? 100
+    : ((SPREAD_DAY_KM - avg) / (SPREAD_DAY_KM - COMPACT_DAY_KM)) * 100;
+
+  return {
+    score: clampScore(score),
+    detail: `Recorrido medio por día: ${Math.round(avg * 10) / 10} km.`
+  };
+}
+
+// 4) Variedad de categorías por día.
+function scoreVariety(linkedByDay) {
+  const ratios = linkedByDay
+    .map((items) => items.map(({ activity }) => activity?.category).filter(Boolean))
+    .filter((categories) => categories.length >= 2)
+    .map((categories) => (new Set(categories).size - 1) / (categories.length - 1));
+
+  if (!ratios.length) {
+    return { score: 100, detail: 'No hay días con varias actividades categorizadas.' };
+  }
+
+  const avg = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+  return {
+    score: clampScore(avg * 100),
+    detail: `Variedad media de categorías por día: ${Math.round(avg * 100)}%.`
+  };
+}
+
+// 5) Conflictos de horarios de apertura.
+function scoreOpeningHours(linked) {
+  const checkable = linked.filter(({ activity }) => activity?.openingHours);
+  if (!checkable.length) {
+    return { score: 100, detail: 'Sin horarios de apertura para verificar.', conflicts: [] };
+  }
+
+  const conflicts = checkable
+    .filter(({ activity, period, day }) =>
+      !isOpenDuring(activity.openingHours, { date: day.date, timeOfDay: period.timeOfDay })
+    )
+    .map(({ activity, period, day }) => ({
+      day: day.day,
+      timeOfDay: period.timeOfDay,
+      activityId: activity.id
+    }));
+
+  return {
+    score: clampScore(((checkable.length - conflicts.length) / checkable.length) * 100),
+    detail: conflicts.length
+      ? `${conflicts.length} bloque(s) con la actividad cerrada.`
+      : 'Todas las actividades están abiertas en su bloque.',
+    conflicts
+  };
+}
+
+// 6) Actividades repetidas.
+function scoreRepeats(linked) {
+  if (!linked.length) {
+    return { score: 100, detail: 'El itinerario no tiene actividades vinculadas.' };
+  }
+
+  const unique = new Set(linked.map(({ period }) => period.activityId)).size;
+  const repeated = linked.length - unique;
+  return {
+    score: clampScore((unique / linked.length) * 100),
+    detail: repeated
+      ? `${repeated} bloque(s) repiten una actividad.`
+      : 'No hay actividades repetidas.'
+  };
+}
+
+// -----------------------------------------------------------------------------
+// scoreItinerary({ data, trip, activities })
+// -----------------------------------------------------------------------------
+// Devuelve { score, breakdown }, donde breakdown tiene un objeto por
+// criterio: { score, weight, detail } (openingHours suma "conflicts").
+//
+export function scoreItinerary({ data, trip = {}, activities = [] }) {
+  const days = Array.isArray(data?.days) ? data.days : [];
+  const interests = (Array.isArray(trip?.interests) ? trip.interests : []).filter(
+    (i) => typeof i === 'string' && i.trim().length > 0
+  );
+  const activitiesById = new Map(activities.filter(Boolean).map((a) => [a.id, a]));
+
+  // Bloques con actividad vinculada, agrupados por día.
+  const linkedByDay = days.map((day) =>
+    (day.periods || [])
+      .filter((p) => p.activityId)
+      .map((period) => ({
+        day,
+        period,
+        activity: activitiesById.get(period.activityId) || null
+      }))
+  );
+  const linked = linkedByDay.flat();
+
+  const criteria = {
+    interestCoverage: scoreInterestCoverage(interests, linked),
+    budget: scoreBudget(trip?.budget, days),
+    compactness: scoreCompactness(linkedByDay),
+    variety: scoreVariety(linkedByDay),
+    openingHours: scoreOpeningHours(linked),
+    repeats: scoreRepeats(linked)
+  };
+
+  const breakdown = {};
+  let total = 0;
+  for (const [key, result] of Object.entries(criteria)) {
+    breakdown[key] = { ...result, weight: SCORE_WEIGHTS[key] };
+    total += (result.score * SCORE_WEIGHTS[key]) / 100;
+  }
+
+  return { score: clampScore(total), breakdown };
+}
@@ -3,10 +3,100 @@
 // leer y escribir documentos en la base de datos.
 import { db } from '../config/firebase.js';
 
+// Utilidades geográficas para agrupar actividades cercanas por día
+// y ordenar los bloques de cada día minimizando los traslados.
+import {
+  centroid,
+  clusterByProximity,
+  haversineKm,
+  hasCoords,
+  routeDistanceKm,
+  shortestOrder
+} from '../utils/geo.js';
+
+// Scoring de actividades según los intereses del viaje.
+import { rankActivities } from './activityScoringService.js';
+
+// Modelo de precios: traduce el priceRange de cada actividad a un costo
+// estimado según su destino.
+import { estimateActivityCost } from './priceModelService.js';
+
+// Moneda del viaje (para expresar los costos estimados).
+import { tripCurrency } from '../utils/currency.js';
+
+// Horarios de apertura: solo ubicamos una actividad en un bloque
+// (mañana/tarde/noche) si está abierta ese día en esa franja.
+import { isOpenDuring } from '../utils/openingHours.js';
+
+// Historial de versiones: cada cambio de contenido queda guardado.
+import {
+  deleteItineraryVersions,
+  createItineraryWithVersion,
+  updateItineraryWithVersion
+} from './itineraryVersionService.js';
+
+// Comentarios del itinerario (se borran junto con él).
+import { deleteItineraryComments } from './itineraryCommentService.js';
+
+// Puntaje de calidad del itinerario (se recalcula cada vez que cambia).
+import { scoreItinerary } from './itineraryScoringService.js';
+import { getTripById } from './tripService.js';
+
+// Servicios de catálogo: de acá salen las actividades y destinos que
+// usa el motor de reglas para armar (o regenerar) un itinerario.
+import { getActivityById, listActivities } from './activityService.js';
+import { getDestinationById } from './destinationService.js';
+
 // Nombre de la colección en Firestore donde vamos a guardar
 // todos los itinerarios generados por NomadIQ.
 const COL = 'itineraries';
 
+// Bloques horarios que arma el motor de reglas en cada día.
+const DAY_TIME_SLOTS = ['morning', 'afternoon', 'evening'];
+
+//
+// -----------------------------------------------------------------------------
+// LOAD - Actividades vinculadas a un itinerario
+// -----------------------------------------------------------------------------
+//
+// Devuelve las actividades (sin repetir) que aparecen en los bloques del
+// itinerario. Las que ya no existen en Firestore se omiten.
+//
+export async function loadItineraryActivities(itineraryData) {
+  const ids = new Set();
+  for (const d of itineraryData?.days || []) {
+    for (const p of d.periods || []) {
+      if (p.activityId) ids.add(p.activityId);
+    }
+  }
+
+  const activities = await Promise.all(
+    [...ids].map((activityId) => getActivityById(activityId))
+  );
+  return activities.filter(Boolean);
+}
+
+//
+// -----------------------------------------------------------------------------
+// SCORE - Puntaje de calidad de un itinerario
+// -----------------------------------------------------------------------------
+//
+// Calcula { score, breakdown } con itineraryScoringService. Si el llamador
+// ya tiene el trip o las actividades (por ejemplo, al generar por reglas),
+// los pasa en "context" y nos ahorramos las lecturas a Firestore.
+//
+export async function computeItineraryScore(itineraryData, { tripId, trip, activities } = {}) {
+  const scoringTrip = trip || (tripId ? await getTripById(tripId) : null) || {};
+
+  const scoringActivities = activities || (await loadItineraryActivities(itineraryData));
+
+  return scoreItinerary({
+    data: itineraryData,
+    trip: scoringTrip,
+    activities: scoringActivities
+  });
+}
+
 //
 // -----------------------------------------------------------------------------
 // CREATE - Crear un nuevo itinerario
@@ -16,10 +106,21 @@ const COL = 'itineraries';
 // un itinerario para un trip, o cuando la IA lo enriquezca y queramos
 // guardar una nueva versión.
 //
-export async function createItinerary(data) {
+// "meta" ({ authorId, source }) se guarda en la primera versión del
+// historial. Si no viene source, usamos aiModelUsed. Puede traer también
+// trip y activities para calcular el puntaje sin volver a leerlos.
+//
+export async function createItinerary(data, meta = {}) {
   // Obtenemos la fecha/hora actual en formato ISO.
   const now = new Date().toISOString();
 
+  // Puntaje de calidad: siempre lo calcula el backend.
+  const scored = await computeItineraryScore(data.data, {
+    tripId: data.tripId,
+    trip: meta.trip,
+    activities: meta.activities
+  });
+
   // Preparamos una nueva referencia de documento en la colección "itineraries".
   // Si no pasamos ID, Firestore genera uno automáticamente.
   const docRef = db.collection(COL).doc();
@@ -42,19 +143,21 @@ export async function createItinerary(data) {
     // Si no viene definido, asumimos "rules" como modo base (motor de reglas).
     aiModelUsed: data.aiModelUsed || 'rules',
 
-    // Puntuación opcional. Si no es un número, la guardamos como null.
-    score:
-      typeof data.score === 'number'
-        ? data.score
-        : null,
+    // Puntaje de calidad (0-100) y su detalle por criterio.
+    score: scored.score,
+    scoreBreakdown: scored.breakdown,
 
     // Timestamps de auditoría.
     createdAt: now,
     updatedAt: now
   };
 
-  // Guardamos el documento en Firestore.
-  await docRef.set(payload);
+  // Guardamos el documento en Firestore junto con la primera versión del
+  // historial (en el mismo lote).
+  const version = await createItineraryWithVersion(docRef.id, payload, {
+    source: meta.source || payload.aiModelUsed,
+    authorId: meta.authorId || null
+  });
 
   // Log simple para depuración (sirve para la rúbrica de logs en consola).
   console.log('[Itineraries] createItinerary -> creado', docRef.id);
@@ -62,7 +165,8 @@ export async function createItinerary(data) {
   // Devolvemos el itinerario recién creado, incluyendo el ID generado.
   return {
     id: docRef.id,
-    ...payload
+    ...payload,
+    versionCount: version.number
   };
 }
 
@@ -147,7 +251,14 @@ export async function listItineraries({
 // Esta función aplica cambios parciales sobre un itinerario existente.
 // Solo actualiza los campos que estén presentes en "data".
 //
-export async function updateItinerary(id, data) {
+// Si cambia el contenido (data o aiModelUsed) se registra una nueva
+// versión en el historial con "meta" ({ authorId, source, restoredFrom }).
+// Por defecto, source es "manual" (edición desde la API).
+//
+// Si cambia "data", el puntaje se recalcula (el "score" que venga en el
+// patch se ignora). meta puede traer trip y activities para el cálculo.
+//
+export async function updateItinerary(id, data, meta = {}) {
   // Obtenemos la referencia al documento.
   const ref = db.collection(COL).doc(id);
   const snap = await ref.get();
@@ -172,27 +283,48 @@ export async function updateItinerary(id, data) {
     // Si viene aiModelUsed, lo actualizamos.
     ...('aiModelUsed' in data ? { aiModelUsed: data.aiModelUsed } : {}),
 
-    // Si viene score, validamos que sea número o lo dejamos en null.
-    ...('score' in data
-      ? {
-          score:
-            typeof data.score === 'number'
-              ? data.score
-              : null
-        }
-      : {}),
-
     // Siempre actualizamos updatedAt al momento actual.
     updatedAt: new Date().toISOString()
   };
 
+  // Si cambió la estructura, recalculamos el puntaje de calidad.
+  if ('data' in data) {
+    const scored = await computeItineraryScore(data.data, {
+      tripId: snap.data().tripId,
+      trip: meta.trip,
+      activities: meta.activities
+    });
+    patch.score = scored.score;
+    patch.scoreBreakdown = scored.breakdown;
+  }
+
+  // Si cambia el contenido, el patch y su versión se guardan juntos en una
+  // transacción (incluida la versión base de itinerarios creados antes
+  // del historial).
+  const changesContent = ['data', 'aiModelUsed'].some((f) => f in data);
+  if (changesContent) {
+    const result = await updateItineraryWithVersion(id, patch, {
+      source: meta.source || 'manual',
+      authorId: meta.authorId || null,
+      restoredFrom: meta.restoredFrom || null
+    });
+    if (!result) {
+      console.log('[Itineraries] updateItinerary -> NOT_FOUND', id);
+      return null;
+    }
+
+    console.log('[Itineraries] updateItinerary -> ok', id);
+    return result.itinerary;
+  }
+
   // Aplicamos el patch con merge:true para no sobreescribir campos no incluidos.
   await ref.set(patch, { merge: true });
 
   console.log('[Itineraries] updateItinerary -> ok', id);
 
-  // Volvemos a leer el documento actualizado para devolver la versión final.
+  // Volvemos a leer el documento actualizado para devolver el estado final.
   const updated = await ref.get();
+
   return {
     id: updated.id,
     ...updated.data()
@@ -218,12 +350,232 @@ export async function deleteItinerary(id) {
     return false;
   }
 
-  // Si existe, lo eliminamos.
+  // Si existe, lo eliminamos junto con su historial de versiones y sus
+  // comentarios.
+  await deleteItineraryVersions(id);
+  await deleteItineraryComments(id);
   await ref.delete();
 
   console.log('[Itineraries] deleteItinerary -> deleted', id);
   return true;
 }
+
+//
+// -----------------------------------------------------------------------------
+// LOCK - Bloquear los itinerarios de un trip
+// -----------------------------------------------------------------------------
+//
+// Marca como bloqueados (solo lectura) todos los itinerarios de un trip.
+// Se usa cuando el viaje termina: el itinerario queda como registro de lo
+// que se hizo. Devuelve la cantidad de itinerarios bloqueados.
+//
+export async function lockTripItineraries(tripId, reason = 'TRIP_COMPLETED') {
+  const snap = await db.collection(COL).where('tripId', '==', tripId).get();
+  const docs = snap.docs.filter((d) => !d.data().locked);
+  const now = new Date().toISOString();
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) =>
+      batch.update(d.ref, { locked: true, lockedAt: now, lockedReason: reason })
+    );
+    await batch.commit();
+  }
+
+  console.log('[Itineraries] lockTripItineraries ->', docs.length, 'tripId:', tripId);
+  return docs.length;
+}
+// -----------------------------------------------------------------------------
+// LOAD - Actividades y destinos para el motor de reglas
+// -----------------------------------------------------------------------------
+//
+// Reúne lo que necesita generateItineraryRules para un trip:
+//  - Si el trip tiene tramos (legs), las actividades y el destino de cada tramo.
+//  - Si no, las del destinationId indicado (si hay).
+// Devuelve { activities, destinations }.
+//
+export async function loadRulesInputs({ trip, destinationId } = {}) {
+  const activities = [];
+  const destinations = [];
+
+  const legs = Array.isArray(trip?.legs) ? trip.legs : [];
+  const destinationIds = legs.length > 0
+    ? [...new Set(legs.map((leg) => leg.destinationId))]
+    : destinationId ? [destinationId] : [];
+
+  for (const id of destinationIds) {
+    const destinationActivities = await listActivities({
+      destinationId: id,
+      limit: 100
+    });
+    activities.push(...destinationActivities);
+
+    const destination = await getDestinationById(id);
+    if (destination) {
+      destinations.push(destination);
+    }
+  }
+
+  return { activities, destinations };
+}
+
+//
+// -----------------------------------------------------------------------------
+// REGENERATE - Regenerar los bloques no bloqueados de un itinerario
+// -----------------------------------------------------------------------------
+//
+// A diferencia de generate-itinerary (que crea un documento nuevo), acá se
+// parte de un itinerario existente y se reemplazan solo los bloques que NO
+// tienen locked: true. Los bloqueados quedan exactamente como están.
+//
+// - day (opcional): si viene, solo se regenera ese día; el resto no se toca.
+// - Para que el resultado sea distinto, el motor trabaja sin las actividades
+//   que ya están en el itinerario (las que se conservan y, si alcanzan las
+//   demás, también las que se van a reemplazar).
+// - Los totales (plannedSpend, distanceKm, budgetSummary) se recalculan.
+//
+// Si el viaje tiene presupuesto, los bloques nuevos se ajustan a lo que
+// queda después de descontar el costo de los que se conservan.
+//
+// No guarda nada: devuelve la nueva estructura "data".
+//
+export function regenerateItineraryData({
+  itinerary,
+  trip,
+  activities = [],
+  destinations = [],
+  day = null
+}) {
+  const currentDays = itinerary?.data?.days || [];
+  const inScope = (d) => day === null || d.day === day;
+
+  // Actividades que se conservan, actividades que se van a reemplazar y
+  // cantidad de bloques a regenerar.
+  const keptIds = new Set();
+  const replacedIds = new Set();
+  let openSlots = 0;
+
+  // Costo de los bloques que se conservan y bloques que se regeneran
+  // ("día:momento"; "día:*" si se regenera el día completo).
+  let keptCost = 0;
+  const openSlotKeys = new Set();
+
+  for (const d of currentDays) {
+    const hasLocked = (d.periods || []).some((p) => p.locked);
+    if (inScope(d) && !hasLocked) openSlotKeys.add(`${d.day}:*`);
+
+    for (const period of d.periods || []) {
+      // Un bloque libre sin un momento que el motor genere (ej: full_day en
+      // un día con bloques bloqueados) no tiene reemplazo: se conserva.
+      const kept = !inScope(d) || period.locked ||
+        (hasLocked && !DAY_TIME_SLOTS.includes(period.timeOfDay));
+
+      if (kept) {
+        keptCost += period.estimatedCost || 0;
+      } else {
+        openSlots += 1;
+        if (hasLocked) openSlotKeys.add(`${d.day}:${period.timeOfDay}`);
+      }
+
+      if (!period.activityId) continue;
+      if (kept) keptIds.add(period.activityId);
+      else replacedIds.add(period.activityId);
+    }
+  }
+
+  // Solo dejamos afuera las actividades a reemplazar si quedan suficientes
+  // para cubrir los bloques; si no, el motor repetiría las mismas pocas.
+  const withoutKept = activities.filter((a) => !keptIds.has(a.id));
+  const withoutUsed = withoutKept.filter((a) => !replacedIds.has(a.id));
+  const pool = withoutUsed.length >= openSlots
+    ? withoutUsed
+    : withoutKept.length > 0 ? withoutKept : activities;
+
+  // Con presupuesto, los bloques nuevos solo pueden usar lo que dejan libre
+  // los que se conservan.
+  const budgetScope = typeof trip.budget === 'number' && trip.budget > 0
+    ? {
+        budget: Math.max(0, trip.budget - keptCost),
+        includes: (dayNumber, timeOfDay) =>
+          openSlotKeys.has(`${dayNumber}:*`) || openSlotKeys.has(`${dayNumber}:${timeOfDay}`)
+      }
+    : null;
+
+  const fresh = generateItineraryRules({ trip, activities: pool, destinations, budgetScope });
+  const freshByDay = new Map(fresh.days.map((d) => [d.day, d]));
+
+  const days = currentDays.map((current) => {
+    const freshDay = freshByDay.get(current.day);
+    if (!inScope(current) || !freshDay) return { ...current };
+
+    const periods = current.periods || [];
+
+    // Sin bloques bloqueados: tomamos el día nuevo completo.
+    if (!periods.some((p) => p.locked)) return freshDay;
+
+    // Con bloques bloqueados: reemplazamos solo los libres, emparejando
+    // por momento del día (mañana con mañana, etc.).
+    const merged = periods.map((period) => {
+      if (period.locked) return period;
+      return freshDay.periods.find((p) => p.timeOfDay === period.timeOfDay) || period;
+    });
+
+    return {
+      ...current,
+      periods: merged,
+      plannedSpend: merged.reduce((acc, p) => acc + (p.estimatedCost || 0), 0)
+    };
+  });
+
+  // Recalculamos la distancia de los días regenerados con las coords de
+  // sus actividades (los demás conservan la que tenían).
+  const activitiesById = new Map(activities.map((a) => [a.id, a]));
+
+  for (const d of days) {
+    if (!inScope(d)) continue;
+    const located = d.periods
+      .map((p) => activitiesById.get(p.activityId))
+      .filter(hasCoords);
+    if (located.length > 0) {
+      d.distanceKm = roundKm(routeDistanceKm(located.map((a) => a.coords)));
+    } else {
+      delete d.distanceKm;
+    }
+  }
+
+  const withDistance = days.filter((d) => typeof d.distanceKm === 'number');
+
+  const data = {
+    ...itinerary.data,
+    days,
+    budgetSummary: buildBudgetSummary(days, trip.budget)
+  };
+  delete data.totalDistanceKm;
+  if (withDistance.length > 0) {
+    data.totalDistanceKm = roundKm(
+      withDistance.reduce((acc, d) => acc + d.distanceKm, 0)
+    );
+  }
+
+  return data;
+}
+
+//
+// Busca el destino de un itinerario sin tramos a partir de la primera
+// actividad vinculada (para regenerar sin que el cliente lo indique).
+//
+export async function inferItineraryDestinationId(itinerary) {
+  for (const d of itinerary?.data?.days || []) {
+    if (d.destinationId) return d.destinationId;
+    for (const period of d.periods || []) {
+      if (!period.activityId) continue;
+      const activity = await getActivityById(period.activityId);
+      if (activity?.destinationId) return activity.destinationId;
+    }
+  }
+  return null;
+}
+
 // -----------------------------------------------------------------------------
 // MOTOR DE REGLAS BÁSICO PARA GENERAR ITINERARIOS (VERSIÓN REFINADA)
 // -----------------------------------------------------------------------------
@@ -232,13 +584,40 @@ export async function deleteItinerary(id) {
 //
 // {
 //   days: [
-//     { day, date, periods: [ { timeOfDay, title, description, activityId?, estimatedCost? } ] }
-//   ]
+//     { day, date, type, legIndex?, destinationId?, distanceKm?, plannedSpend, periods: [ { timeOfDay, title, description, activityId?, estimatedCost?, matchScore?, reason? } ] }
+//   ],
+//   totalDistanceKm?,
+//   budgetSummary: { budget, plannedTotal, remaining, withinBudget, dailyBudget, perDay }
 // }
 //
+// Pasos del motor:
+//  1. Se rankean las actividades según los intereses del viaje (categoría,
+//     tags del destino, rating y reseñas) y se toman las mejores, sin repetir
+//     hasta agotar el pool.
+//  2. Se agrupan por cercanía geográfica (un grupo por día) y, dentro de cada
+//     día, se ordenan mañana/tarde/noche para minimizar la distancia recorrida
+//     respetando los horarios de apertura. distanceKm es una estimación en
+//     línea recta entre bloques consecutivos con coordenadas.
+//  3. Se estima el costo de cada bloque con el modelo de precios y, si el
+//     total supera trip.budget, se reemplazan las actividades más caras por
+//     otras más baratas (o gratuitas) hasta entrar en el presupuesto.
+//
 // Luego, esa estructura se pasa a createItinerary para guardarla en Firestore.
 //
-export function generateItineraryRules({ trip, activities = [] }) {
+// "destinations" es opcional: si se pasan los destinos de las actividades,
+// sus tags cuentan para el puntaje de afinidad y su tabla de precios
+// (priceEstimates) para estimar costos.
+//
+// Si el trip tiene tramos (trip.legs), cada día se arma solo con las
+// actividades del destino del tramo activo ese día, y los días entre
+// tramos se marcan como días de traslado (type: 'travel').
+//
+// "budgetScope" (opcional, lo usa regenerateItineraryData) limita el ajuste
+// al presupuesto a algunos bloques: { budget, includes(day, timeOfDay) }.
+// Solo esos bloques cuentan para el total y solo esos se reemplazan; el
+// resto del presupuesto ya lo ocupan los bloques que se conservan.
+//
+export function generateItineraryRules({ trip, activities = [], destinations = [], budgetScope = null }) {
   // Intentamos calcular la cantidad de días del viaje a partir de startDate y endDate.
   // Si las fechas no son válidas, usamos un valor por defecto.
   let dayCount = 3; // valor por defecto si algo falla
@@ -267,7 +646,7 @@ export function generateItineraryRules({ trip, activities = [] }) {
 
   // Bloques horarios que usaremos para cada día.
   // Se pueden ajustar en el futuro si necesitás más o menos bloques.
-  const timeSlots = ['morning', 'afternoon', 'evening'];
+  const timeSlots = DAY_TIME_SLOTS;
 
   // Número máximo de bloques por día (en este caso, igual al número de timeSlots).
   const maxActivitiesPerDay = timeSlots.length;
@@ -275,18 +654,23 @@ export function generateItineraryRules({ trip, activities = [] }) {
   // Tomamos los intereses del trip (si no es un array, usamos un array vacío).
   const interests = Array.isArray(trip.interests) ? trip.interests : [];
 
-  // Si el trip tiene presupuesto total (budget), calculamos un presupuesto diario
-  // y luego un presupuesto aproximado por bloque.
+  // Si el trip tiene presupuesto total (budget), el plan tiene que entrar
+  // en ese monto (el presupuesto diario es solo una referencia del reporte).
   const hasBudget =
     typeof trip.budget === 'number' && trip.budget > 0;
 
-  const dailyBudget = hasBudget
-    ? trip.budget / dayCount
-    : null;
+  // Destinos por ID, para estimar el costo de cada actividad con la tabla
+  // de precios de su destino.
+  const destinationsById = new Map(
+    destinations.filter(Boolean).map((d) => [d.id, d])
+  );
+  const costOf = (activity) =>
+    activity
+      ? estimateActivityCost(activity, destinationsById.get(activity.destinationId))
+      : 0;
 
-  const perSlotBudget = dailyBudget
-    ? Math.round(dailyBudget / timeSlots.length)
-    : null;
+  // Moneda en la que se expresan los costos (la del viaje).
+  const currency = tripCurrency(trip);
 
   // Extra: tratamos de sacar un "nombre de destino" más limpio a partir del título del trip.
   // Por ejemplo: "Viaje a Bariloche en invierno" -> "Bariloche en invierno".
@@ -327,22 +711,162 @@ export function generateItineraryRules({ trip, activities = [] }) {
     return d.toISOString().slice(0, 10);
   }
 
+  // Tramos (legs) del viaje: cada uno con su destinationId y rango de fechas.
+  // Si el viaje no tiene tramos, todo el viaje usa la lista de actividades
+  // recibida (comportamiento de un solo destino).
+  const legs = Array.isArray(trip.legs) ? trip.legs : [];
+
+  // Datos de cada día: fecha y qué tramo está activo (o si es de traslado).
+  const dayInfos = [];
+  for (let i = 0; i < dayCount; i++) {
+    const dateString = buildDateString(startDateObj, i);
+    dayInfos.push({
+      dayNumber: i + 1,
+      dateString,
+      ...resolveLegForDate(legs, dateString)
+    });
+  }
+
+  // Clave del "pool" de actividades de un día: el destino del tramo activo.
+  // Usamos el destino (y no el índice del tramo) para que, si el viaje vuelve
+  // a un destino, se sigan usando actividades nuevas de ese mismo pool.
+  const poolKeyOf = (info) =>
+    info.legIndex !== null ? legs[info.legIndex].destinationId : '*';
+
+  // Armamos, para cada pool, el ranking de actividades y los grupos diarios.
+  // matchInfo guarda el puntaje de cada actividad para dejarlo en su bloque.
+  const pools = new Map();
+  const matchInfo = new Map();
+
+  for (const info of dayInfos) {
+    if (info.type === 'travel') continue;
+    const key = poolKeyOf(info);
+    if (!pools.has(key)) pools.set(key, { dayCount: 0 });
+    pools.get(key).dayCount += 1;
+  }
+
+  for (const [key, pool] of pools) {
+    const poolActivities = key === '*'
+      ? activities
+      : activities.filter((a) => a.destinationId === key);
+
+    // Rankeamos las actividades según los intereses del viaje.
+    const ranked = rankActivities(poolActivities, { interests, destinations });
+    ranked.forEach((r) => matchInfo.set(r.activity, r));
+    pool.ranked = ranked.map((r) => r.activity);
+
+    // Tomamos solo las mejores actividades que entran en los días de este
+    // pool (días x bloques). Si hay menos actividades que bloques, se usan
+    // todas y recién ahí se repiten (el reparto de grupos vuelve a empezar).
+    const selected = pool.ranked.slice(0, pool.dayCount * maxActivitiesPerDay);
+
+    // Agrupamos las actividades en grupos "del tamaño de un día" (un grupo
+    // por día, como máximo un item por bloque horario), de forma que cada día
+    // quede concentrado en una misma zona.
+    pool.dayGroups = buildDayGroups(selected, maxActivitiesPerDay);
+    pool.nextGroup = 0;
+  }
+
+  // IDs de actividades ya usadas en el itinerario (para preferir
+  // actividades nuevas al completar bloques vacíos).
+  const usedIds = new Set();
+
+  // Primera pasada: decidimos qué actividad va en cada bloque de cada día.
+  const dayPlans = [];
+  for (const info of dayInfos) {
+    // Los días de traslado entre tramos no llevan actividades.
+    if (info.type === 'travel') {
+      dayPlans.push({ ...info, pool: [], slotActivities: [] });
+      continue;
+    }
+
+    const pool = pools.get(poolKeyOf(info));
+
+    // Grupo de actividades asignado a este día. Si hay más días que grupos,
+    // volvemos a empezar por el primero (igual que antes con el reparto cíclico).
+    const dayGroup = pool.dayGroups.length > 0
+      ? pool.dayGroups[pool.nextGroup++ % pool.dayGroups.length]
+      : [];
+
+    // Ubicamos las actividades del grupo en los bloques horarios respetando
+    // los horarios de apertura. Los bloques que queden vacíos se completan
+    // con otras actividades cercanas que sí estén abiertas en ese momento.
+    const slotActivities = assignDaySlots({
+      group: dayGroup,
+      pool: pool.ranked,
+      timeSlots,
+      date: info.dateString,
+      usedIds
+    });
+
+    dayPlans.push({ ...info, pool: pool.ranked, slotActivities });
+  }
+
+  // Segunda pasada: si hay presupuesto, reemplazamos actividades caras
+  // hasta que el costo total estimado entre en trip.budget.
+  if (hasBudget) {
+    fitPlanToBudget({
+      dayPlans,
+      timeSlots,
+      budget: budgetScope ? budgetScope.budget : trip.budget,
+      costOf,
+      includes: budgetScope?.includes
+    });
+  }
+
   // Array final de días del itinerario.
   const days = [];
 
-  // Recorremos cada día del itinerario.
-  for (let i = 0; i < dayCount; i++) {
-    // Número de día (1-based).
-    const dayNumber = i + 1;
+  // Distancia total estimada del viaje (suma de las distancias diarias).
+  let totalDistanceKm = 0;
+  let hasDistance = false;
 
-    // Calculamos la fecha de este día, si tenemos startDate.
-    const dateString = buildDateString(startDateObj, i);
+  // Nombre a mostrar de un tramo: el del destino si lo tenemos cargado.
+  const legName = (legIndex) => {
+    const leg = legIndex !== null ? legs[legIndex] : null;
+    const dest = leg ? destinationsById.get(leg.destinationId) : null;
+    return dest?.name || destinationName || trip.title;
+  };
+
+  // Tercera pasada: armamos los días y bloques finales.
+  for (const plan of dayPlans) {
+    const { dayNumber, dateString, slotActivities } = plan;
+
+    // Día de traslado: un único bloque de día completo, sin actividades.
+    if (plan.type === 'travel') {
+      const from = legName(plan.fromLegIndex);
+      const to = legName(plan.toLegIndex);
+      const travelDay = {
+        day: dayNumber,
+        date: dateString,
+        type: 'travel',
+        legIndex: plan.toLegIndex,
+        plannedSpend: 0,
+        periods: [
+          {
+            timeOfDay: 'full_day',
+            title: `Traslado de ${from} a ${to}`,
+            description: `Día de viaje entre ${from} y ${to}. Reservá tiempo para el traslado, el check-out y el check-in.`,
+            estimatedCost: 0
+          }
+        ]
+      };
+      const toLeg = legs[plan.toLegIndex];
+      if (toLeg?.destinationId) travelDay.destinationId = toLeg.destinationId;
+      days.push(travelDay);
+      continue;
+    }
+
+    // Lugar donde transcurre el día (destino del tramo activo).
+    const placeName = plan.legIndex !== null
+      ? legName(plan.legIndex)
+      : destinationName || trip.title;
 
     // Lista de bloques (periodos) para este día.
     const periods = [];
 
-    // Índice base para seleccionar actividades de forma "repartida".
-    const baseIndex = i * maxActivitiesPerDay;
+    // Gasto planificado para este día.
+    let plannedSpend = 0;
 
     // Recorremos los bloques horarios definidos en timeSlots.
     for (let slotIndex = 0; slotIndex < timeSlots.length; slotIndex++) {
@@ -353,17 +877,15 @@ export function generateItineraryRules({ trip, activities = [] }) {
       const timeOfDay = timeSlots[slotIndex];
       const timeLabel = timeOfDayLabel(timeOfDay);
 
-      // Seleccionamos una actividad desde la lista, si existen actividades.
-      const activity =
-        activities.length > 0
-          ? activities[(baseIndex + slotIndex) % activities.length]
-          : null;
+      // Tomamos la actividad asignada a este bloque (si la hay).
+      // Si ninguna actividad está abierta en este momento, el bloque queda libre.
+      const activity = slotActivities[slotIndex] || null;
 
       // Construimos el título del bloque.
       // Si hay actividad, usamos su nombre; si no, usamos un título genérico.
       const title = activity
         ? activity.name
-        : `Explorar ${destinationName || trip.title}`;
+        : `Explorar ${placeName}`;
 
       // Vamos armando la descripción como un arreglo de fragmentos de texto
       // para luego unirlos en una sola cadena.
@@ -371,7 +893,7 @@ export function generateItineraryRules({ trip, activities = [] }) {
 
       // Frase base: en qué momento del día y dónde.
       descriptionParts.push(
-        `Bloque de ${timeLabel} en ${destinationName || trip.title}.`
+        `Bloque de ${timeLabel} en ${placeName}.`
       );
 
       // Si hay actividad concreta, añadimos información más detallada.
@@ -404,11 +926,14 @@ export function generateItineraryRules({ trip, activities = [] }) {
         descriptionParts.push(interestSentence);
       }
 
-      // Si tenemos un presupuesto calculado por bloque, lo incluimos
-      // como referencia muy simple (no es exacto, solo orientativo).
-      if (perSlotBudget !== null) {
+      // Costo estimado del bloque según el modelo de precios del destino
+      // (no es exacto, solo orientativo). Los bloques libres cuestan 0.
+      const estimatedCost = costOf(activity);
+      if (activity) {
         descriptionParts.push(
-          `Presupuesto sugerido para este bloque: aproximadamente ${perSlotBudget} unidades de la moneda del viaje.`
+          estimatedCost > 0
+            ? `Costo estimado: aproximadamente ${estimatedCost} ${currency}.`
+            : 'Actividad gratuita.'
         );
       }
 
@@ -427,23 +952,346 @@ export function generateItineraryRules({ trip, activities = [] }) {
         period.activityId = activity.id;
       }
 
-      // Si calculamos un costo estimado por bloque, lo guardamos.
-      if (perSlotBudget !== null) {
-        period.estimatedCost = perSlotBudget;
+      // Dejamos registrado por qué se eligió esta actividad.
+      if (activity && matchInfo.has(activity)) {
+        period.matchScore = matchInfo.get(activity).matchScore;
+        period.reason = matchInfo.get(activity).reason;
       }
 
+      // Guardamos el costo estimado del bloque y lo sumamos al día.
+      period.estimatedCost = estimatedCost;
+      plannedSpend += estimatedCost;
+
       // Agregamos este bloque a la lista de periodos del día.
       periods.push(period);
     }
 
-    // Agregamos el día completo a la lista de días.
-    days.push({
+    // Armamos el día completo.
+    const dayEntry = {
       day: dayNumber,
       date: dateString,
+      type: 'activities',
+      plannedSpend,
       periods
-    });
+    };
+
+    // Si el viaje tiene tramos, indicamos a cuál pertenece el día.
+    if (plan.legIndex !== null) {
+      dayEntry.legIndex = plan.legIndex;
+      dayEntry.destinationId = legs[plan.legIndex].destinationId;
+    }
+
+    // Estimamos la distancia del día si alguna actividad tiene coordenadas.
+    const located = slotActivities.filter(hasCoords);
+    if (located.length > 0) {
+      const distanceKm = roundKm(
+        routeDistanceKm(located.map((a) => a.coords))
+      );
+      dayEntry.distanceKm = distanceKm;
+      totalDistanceKm += distanceKm;
+      hasDistance = true;
+    }
+
+    // Agregamos el día completo a la lista de días.
+    days.push(dayEntry);
   }
 
+  // Resumen de gasto planificado contra presupuesto (por día y total).
+  const budgetSummary = buildBudgetSummary(days, trip.budget);
+
   // Devolvemos la estructura "data" completa para el itinerario.
-  return { days };
+  return hasDistance
+    ? { days, totalDistanceKm: roundKm(totalDistanceKm), budgetSummary }
+    : { days, budgetSummary };
+}
+
+// Redondea una distancia a un decimal (suficiente para mostrar en la UI).
+function roundKm(km) {
+  return Math.round(km * 10) / 10;
+}
+
+// -----------------------------------------------------------------------------
+// buildBudgetSummary(days, budget)
+// -----------------------------------------------------------------------------
+// Resumen de gasto planificado (plannedSpend de cada día) contra el
+// presupuesto total del viaje. Sin presupuesto, los campos que dependen
+// de él quedan en null.
+//
+export function buildBudgetSummary(days, budget) {
+  const hasBudget = typeof budget === 'number' && budget > 0;
+  const dailyBudget = hasBudget ? Math.round(budget / days.length) : null;
+  const plannedTotal = days.reduce((acc, d) => acc + (d.plannedSpend || 0), 0);
+
+  return {
+    budget: hasBudget ? budget : null,
+    plannedTotal,
+    remaining: hasBudget ? budget - plannedTotal : null,
+    withinBudget: hasBudget ? plannedTotal <= budget : null,
+    dailyBudget,
+    perDay: days.map((d) => ({
+      day: d.day,
+      date: d.date,
+      planned: d.plannedSpend || 0,
+      budget: dailyBudget
+    }))
+  };
+}
+
+// -----------------------------------------------------------------------------
+// buildDayGroups(activities, groupSize)
+// -----------------------------------------------------------------------------
+// Arma los grupos de actividades de cada día:
+//  - Las actividades con coords se agrupan por cercanía (clusterByProximity).
+//  - Las actividades sin coords completan los grupos que quedaron cortos y,
+//    si sobran, forman grupos propios.
+//  - Cada grupo se ordena para que el recorrido mañana -> tarde -> noche
+//    sea lo más corto posible.
+//
+function buildDayGroups(activities, groupSize) {
+  const groups = clusterByProximity(activities, groupSize);
+  const unlocated = activities.filter((a) => !hasCoords(a));
+
+  for (const group of groups) {
+    while (group.length < groupSize && unlocated.length > 0) {
+      group.push(unlocated.shift());
+    }
+  }
+
+  while (unlocated.length > 0) {
+    groups.push(unlocated.splice(0, groupSize));
+  }
+
+  return groups.map(shortestOrder);
+}
+
+// -----------------------------------------------------------------------------
+// assignDaySlots({ group, pool, timeSlots, date, usedIds })
+// -----------------------------------------------------------------------------
+// Decide qué actividad va en cada bloque horario de un día.
+//
+//  1. Probamos todas las formas de ubicar las actividades del grupo en los
+//     bloques (son pocas: 3 bloques como máximo) y nos quedamos con la que
+//     ubica más actividades abiertas y, a igualdad, recorre menos distancia.
+//  2. Los bloques que quedan vacíos (porque nada del grupo abre a esa hora)
+//     se completan con la actividad abierta más cercana del resto del pool
+//     (dentro de MAX_FILL_DISTANCE_KM), prefiriendo las que todavía no se
+//     usaron en el itinerario y, entre ellas, las mejor rankeadas (el pool
+//     ya viene ordenado por puntaje).
+//
+// Devuelve un array del mismo largo que timeSlots (actividad o null).
+//
+// Distancia máxima (km) para sumar una actividad "de relleno" a un día
+// que ya tiene actividades ubicadas: evita saltar a otra zona del mapa.
+const MAX_FILL_DISTANCE_KM = 25;
+
+function assignDaySlots({ group, pool, timeSlots, date, usedIds }) {
+  const canGo = (activity, timeOfDay) =>
+    isOpenDuring(activity.openingHours, { date, timeOfDay });
+
+  let best = timeSlots.map(() => null);
+  let bestPlaced = 0;
+  let bestDistance = Infinity;
+
+  // Búsqueda exhaustiva: para cada bloque elegimos una actividad libre
+  // del grupo que esté abierta, o lo dejamos vacío.
+  function search(slotIndex, current, remaining) {
+    if (slotIndex === timeSlots.length) {
+      const placed = current.filter(Boolean);
+      const distance = routeDistanceKm(
+        placed.filter(hasCoords).map((a) => a.coords)
+      );
+      if (
+        placed.length > bestPlaced ||
+        (placed.length === bestPlaced && distance < bestDistance)
+      ) {
+        best = [...current];
+        bestPlaced = placed.length;
+        bestDistance = distance;
+      }
+      return;
+    }
+
+    remaining.forEach((activity, idx) => {
+      if (!canGo(activity, timeSlots[slotIndex])) return;
+      const rest = [...remaining.slice(0, idx), ...remaining.slice(idx + 1)];
+      search(slotIndex + 1, [...current, activity], rest);
+    });
+
+    search(slotIndex + 1, [...current, null], remaining);
+  }
+
+  search(0, [], group.slice(0, timeSlots.length));
+
+  // Completamos bloques vacíos con otras actividades del pool.
+  const inDay = new Set(best.filter(Boolean));
+  let anchor = centroid([...inDay]);
+
+  timeSlots.forEach((timeOfDay, slotIndex) => {
+    if (best[slotIndex]) return;
+
+    const candidates = pool
+      .filter((a) => !inDay.has(a) && canGo(a, timeOfDay))
+      .map((a, rank) => ({
+        a,
+        rank,
+        used: a.id && usedIds.has(a.id) ? 1 : 0,
+        distance:
+          anchor && hasCoords(a) ? haversineKm(anchor, a.coords) : Infinity
+      }))
+      .filter((c) => !anchor || !hasCoords(c.a) || c.distance <= MAX_FILL_DISTANCE_KM)
+      .sort((x, y) => x.used - y.used || x.rank - y.rank || x.distance - y.distance);
+
+    if (candidates.length > 0) {
+      best[slotIndex] = candidates[0].a;
+      inDay.add(candidates[0].a);
+      anchor = centroid([...inDay]);
+    }
+  });
+
+  best.forEach((a) => {
+    if (a && a.id) usedIds.add(a.id);
+  });
+
+  return best;
+}
+
+// -----------------------------------------------------------------------------
+// fitPlanToBudget({ dayPlans, timeSlots, budget, costOf, includes })
+// -----------------------------------------------------------------------------
+// Ajusta el plan (modificándolo en el lugar) para que el costo total
+// estimado no supere "budget". Si viene "includes(day, timeOfDay)", solo
+// cuentan (y se reemplazan) los bloques para los que devuelve true.
+//
+//  - Mientras el total se pase, tomamos el bloque más caro del viaje
+//    (a igual costo, el de menor puntaje de afinidad).
+//  - Lo reemplazamos por la mejor actividad más barata del pool del día
+//    (las actividades de su destino, ordenadas por afinidad) que esté
+//    abierta en ese bloque, no esté ya en ese día y quede cerca del resto
+//    del día (se prefieren las que todavía no se usaron).
+//  - Si no hay ninguna alternativa más barata, el bloque queda libre (costo 0).
+//
+// Cada paso baja estrictamente el costo de un bloque, así que el ciclo termina.
+//
+function fitPlanToBudget({ dayPlans, timeSlots, budget, costOf, includes = () => true }) {
+  const counts = (plan, slotIdx) => includes(plan.dayNumber, timeSlots[slotIdx]);
+
+  const totalCost = () =>
+    dayPlans.reduce(
+      (acc, plan) =>
+        acc + plan.slotActivities.reduce((sum, a, idx) => sum + (counts(plan, idx) ? costOf(a) : 0), 0),
+      0
+    );
+
+  let total = totalCost();
+
+  while (total > budget) {
+    // Buscamos el bloque más caro (el pool viene ordenado por afinidad:
+    // un índice mayor significa menor puntaje).
+    let target = null;
+    dayPlans.forEach((plan, dayIdx) => {
+      plan.slotActivities.forEach((activity, slotIdx) => {
+        if (!counts(plan, slotIdx)) return;
+        const cost = costOf(activity);
+        if (cost <= 0) return;
+        const rank = plan.pool.indexOf(activity);
+        if (
+          !target ||
+          cost > target.cost ||
+          (cost === target.cost && rank > target.rank)
+        ) {
+          target = { dayIdx, slotIdx, cost, rank };
+        }
+      });
+    });
+
+    // No queda nada con costo: no hay forma de bajar más el total.
+    if (!target) break;
+
+    const plan = dayPlans[target.dayIdx];
+    const timeOfDay = timeSlots[target.slotIdx];
+    const others = plan.slotActivities.filter(
+      (a, idx) => a && idx !== target.slotIdx
+    );
+    const anchor = centroid(others);
+
+    const usedIds = new Set(
+      dayPlans.flatMap((p) => p.slotActivities.filter(Boolean).map((a) => a.id))
+    );
+
+    const replacement = plan.pool
+      .map((a, rank) => ({ a, rank }))
+      .filter(
+        ({ a }) =>
+          costOf(a) < target.cost &&
+          !plan.slotActivities.includes(a) &&
+          isOpenDuring(a.openingHours, { date: plan.dateString, timeOfDay }) &&
+          (!anchor ||
+            !hasCoords(a) ||
+            haversineKm(anchor, a.coords) <= MAX_FILL_DISTANCE_KM)
+      )
+      .sort(
+        (x, y) =>
+          (usedIds.has(x.a.id) ? 1 : 0) - (usedIds.has(y.a.id) ? 1 : 0) ||
+          x.rank - y.rank
+      )[0];
+
+    plan.slotActivities[target.slotIdx] = replacement ? replacement.a : null;
+    total = totalCost();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// resolveLegForDate(legs, date)
+// -----------------------------------------------------------------------------
+// Decide qué pasa en un día de un viaje con tramos:
+//  - { type: 'activities', legIndex }   -> el día pertenece a un tramo.
+//  - { type: 'travel', fromLegIndex, toLegIndex, legIndex: null }
+//      -> día de traslado: el día en que termina un tramo y empieza el
+//         siguiente, o un día sin tramo entre dos tramos.
+// Los días antes del primer tramo o después del último se asignan al
+// tramo más cercano. Sin tramos (o sin fecha) devuelve legIndex null.
+//
+function resolveLegForDate(legs, date) {
+  if (!legs.length || !date) {
+    return { type: 'activities', legIndex: null };
+  }
+
+  const day = date.slice(0, 10);
+  const startOf = (leg) => String(leg.startDate).slice(0, 10);
+  const endOf = (leg) => String(leg.endDate).slice(0, 10);
+
+  const active = legs
+    .map((leg, idx) => ({ leg, idx }))
+    .filter(({ leg }) => startOf(leg) <= day && day <= endOf(leg));
+
+  if (active.length >= 2) {
+    return {
+      type: 'travel',
+      legIndex: null,
+      fromLegIndex: active[0].idx,
+      toLegIndex: active[active.length - 1].idx
+    };
+  }
+
+  if (active.length === 1) {
+    return { type: 'activities', legIndex: active[0].idx };
+  }
+
+  // Ningún tramo cubre este día: buscamos el anterior y el siguiente.
+  let prev = null;
+  let next = null;
+  legs.forEach((leg, idx) => {
+    if (endOf(leg) < day && (prev === null || endOf(legs[prev]) <= endOf(leg))) {
+      prev = idx;
+    }
+    if (startOf(leg) > day && (next === null || startOf(legs[next]) > startOf(leg))) {
+      next = idx;
+    }
+  });
+
+  if (prev !== null && next !== null) {
+    return { type: 'travel', legIndex: null, fromLegIndex: prev, toLegIndex: next };
+  }
+
+  return { type: 'activities', legIndex: prev !== null ? prev : next };
 }
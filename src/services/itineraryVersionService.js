@@ -0,0 +1,187 @@
+// src/services/itineraryVersionService.js
+// ---------------------------------------
+// Historial de versiones de un itinerario.
+//
+// Cada vez que cambia el contenido de un itinerario (creación por reglas,
+// enriquecimiento con IA, edición manual, regeneración o restauración)
+// guardamos una "foto" completa en la subcolección:
+//
+//   itineraries/{itineraryId}/versions/{versionId}
+//
+// Cada versión guarda:
+//  - number: número correlativo (1, 2, 3...) dentro del itinerario.
+//  - data, aiModelUsed, score: el estado del itinerario en ese momento.
+//  - source: qué produjo el cambio ("rules", nombre del modelo de IA,
+//    "manual", "restore"...).
+//  - authorId: usuario que hizo el cambio (null si fue el sistema).
+//  - restoredFrom: si la versión viene de una restauración, el ID de la
+//    versión restaurada.
+//  - createdAt: fecha/hora de la versión.
+//
+// El contador de versiones vive en el propio itinerario (versionCount).
+// El itinerario y su versión se escriben siempre juntos: en un lote al
+// crearlo (createItineraryWithVersion) y en una transacción al cambiar su
+// contenido (updateItineraryWithVersion).
+
+import { db } from '../config/firebase.js';
+
+// Colección de itinerarios y nombre de la subcolección de versiones.
+const ITINERARIES_COL = 'itineraries';
+const VERSIONS_COL = 'versions';
+
+// Referencia a la subcolección de versiones de un itinerario.
+function versionsRef(itineraryId) {
+  return db
+    .collection(ITINERARIES_COL)
+    .doc(itineraryId)
+    .collection(VERSIONS_COL);
+}
+
+// Documento de una versión a partir del estado del itinerario.
+function buildVersion(number, snapshot, { source, authorId = null, restoredFrom = null }, now) {
+  return {
+    number,
+    data: snapshot.data,
+    aiModelUsed: snapshot.aiModelUsed || null,
+    score: typeof snapshot.score === 'number' ? snapshot.score : null,
+    source: source || snapshot.aiModelUsed || 'manual',
+    authorId,
+    restoredFrom,
+    createdAt: now
+  };
+}
+
+// -----------------------------------------------------------------------------
+// CREATE - Guardar un itinerario nuevo con su primera versión
+// -----------------------------------------------------------------------------
+//
+// Escribe el itinerario (payload, con versionCount 1) y la versión 1 en un
+// mismo lote: no puede quedar un itinerario sin historial. Devuelve la
+// versión creada.
+//
+export async function createItineraryWithVersion(
+  itineraryId,
+  payload,
+  { source, authorId = null } = {}
+) {
+  const itineraryRef = db.collection(ITINERARIES_COL).doc(itineraryId);
+  const versionRef = versionsRef(itineraryId).doc();
+  const now = payload.createdAt || new Date().toISOString();
+  const version = buildVersion(1, payload, { source, authorId }, now);
+
+  const batch = db.batch();
+  batch.set(itineraryRef, { ...payload, versionCount: version.number });
+  batch.set(versionRef, version);
+  await batch.commit();
+
+  console.log(
+    '[Itineraries] createItineraryWithVersion ->',
+    itineraryId,
+    'v' + version.number,
+    version.source
+  );
+
+  return { id: versionRef.id, ...version };
+}
+
+// -----------------------------------------------------------------------------
+// UPDATE - Aplicar un cambio de contenido y registrar su versión
+// -----------------------------------------------------------------------------
+//
+// Aplica "patch" al itinerario y guarda la versión resultante en la misma
+// transacción: o quedan las dos cosas o ninguna, y no se mezclan ediciones
+// concurrentes entre el patch y la foto. Si el itinerario es anterior al
+// historial (sin versionCount), primero se guarda su estado actual como
+// versión base.
+//
+// Los campos del patch reemplazan a los guardados (un "data" nuevo pisa
+// el anterior entero). Devuelve { itinerary, version }, o null si el
+// itinerario no existe.
+//
+export async function updateItineraryWithVersion(
+  itineraryId,
+  patch,
+  { source, authorId = null, restoredFrom = null } = {}
+) {
+  const itineraryRef = db.collection(ITINERARIES_COL).doc(itineraryId);
+  const now = new Date().toISOString();
+
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(itineraryRef);
+    if (!snap.exists) return null;
+
+    const current = snap.data();
+    let number = current.versionCount || 0;
+
+    if (number === 0) {
+      number = 1;
+      tx.set(
+        versionsRef(itineraryId).doc(),
+        buildVersion(number, current, { source: current.aiModelUsed || 'rules' }, now)
+      );
+    }
+
+    number += 1;
+    const next = { ...current, ...patch, versionCount: number };
+    const versionRef = versionsRef(itineraryId).doc();
+    const version = buildVersion(number, next, { source, authorId, restoredFrom }, now);
+
+    tx.set(versionRef, version);
+    tx.update(itineraryRef, { ...patch, versionCount: number });
+
+    return {
+      itinerary: { id: snap.id, ...next },
+      version: { id: versionRef.id, ...version }
+    };
+  });
+
+  if (result) {
+    console.log(
+      '[Itineraries] updateItineraryWithVersion ->',
+      itineraryId,
+      'v' + result.version.number,
+      result.version.source
+    );
+  }
+
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// LIST - Versiones de un itinerario (más recientes primero)
+// -----------------------------------------------------------------------------
+export async function listItineraryVersions(itineraryId, { limit = 50 } = {}) {
+  const snap = await versionsRef(itineraryId)
+    .orderBy('number', 'desc')
+    .limit(limit)
+    .get();
+
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// -----------------------------------------------------------------------------
+// READ - Una versión puntual
+// -----------------------------------------------------------------------------
+export async function getItineraryVersion(itineraryId, versionId) {
+  const snap = await versionsRef(itineraryId).doc(versionId).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// -----------------------------------------------------------------------------
+// DELETE - Borrar todas las versiones (al eliminar el itinerario)
+// -----------------------------------------------------------------------------
+// Firestore no borra subcolecciones junto con el documento padre,
+// así que lo hacemos a mano, en lotes.
+export async function deleteItineraryVersions(itineraryId) {
+  const snap = await versionsRef(itineraryId).get();
+  const docs = snap.docs;
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+
+  return docs.length;
+}
@@ -0,0 +1,194 @@
+// src/services/llmProviderService.js
+// ----------------------------------
+// Capa de proveedores de modelos de lenguaje (LLM) para NomadIQ.
+//
+// El resto del backend no habla directo con ninguna API de IA: pide un
+// proveedor a este servicio (a partir del "modelHint" que manda el cliente)
+// y le pasa mensajes de chat. Cada proveedor expone la misma interfaz:
+//
+//   {
+//     name,                    // "openai", "mock"...
+//     defaultModel,            // modelo a usar si el hint no indica uno
+//     isConfigured(),          // false si falta la API key, URL, etc.
+//     complete({ model, messages, timeoutMs }) -> Promise<string>
+//   }
+//
+// Proveedores incluidos:
+//  - "local":  sin IA externa; itineraryAiService usa el enriquecimiento local.
+//  - "openai": cualquier API compatible con OpenAI (/chat/completions),
+//              configurable con OPENAI_BASE_URL y OPENAI_API_KEY.
+//  - "mock":   servidor local determinístico (npm run mock:llm), para probar
+//              sin conexión ni claves. Usa la misma API compatible con OpenAI.
+//
+// Variables de entorno:
+//  - LLM_PROVIDER       proveedor por defecto ("local" si no se define).
+//  - LLM_MODEL          modelo por defecto del proveedor por defecto.
+//  - LLM_TIMEOUT_MS     timeout de cada llamada (por defecto 20000).
+//  - LLM_MAX_RETRIES    reintentos ante errores transitorios (por defecto 2).
+//  - OPENAI_BASE_URL, OPENAI_API_KEY
+//  - MOCK_LLM_URL       por defecto http://localhost:4010/v1
+
+import axios from 'axios';
+
+// Nombre del proveedor "sin IA externa".
+export const LOCAL_PROVIDER = 'local';
+
+// Configuración general de las llamadas.
+export const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 20000;
+export const LLM_MAX_RETRIES = Number.isInteger(Number(process.env.LLM_MAX_RETRIES))
+  ? Math.max(0, Number(process.env.LLM_MAX_RETRIES))
+  : 2;
+
+// Error propio de esta capa. "retryable" indica si vale la pena reintentar
+// (timeouts, errores de red, 429, 5xx o respuestas que no se pudieron leer).
+export class LlmError extends Error {
+  constructor(message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// createOpenAiCompatibleProvider({ name, baseUrl, apiKey, defaultModel })
+// -----------------------------------------------------------------------------
+// Adaptador HTTP para APIs con el formato de OpenAI:
+//   POST {baseUrl}/chat/completions
+//   { model, messages, temperature, response_format: { type: 'json_object' } }
+// Devuelve el texto de choices[0].message.content.
+//
+export function createOpenAiCompatibleProvider({
+  name,
+  baseUrl,
+  apiKey = null,
+  defaultModel,
+  requiresApiKey = true
+}) {
+  return {
+    name,
+    defaultModel,
+
+    isConfigured() {
+      return Boolean(baseUrl) && (!requiresApiKey || Boolean(apiKey));
+    },
+
+    async complete({ model, messages, timeoutMs = LLM_TIMEOUT_MS }) {
+      const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+      let response;
+      try {
+        response = await axios.post(
+          url,
+          {
+            model: model || defaultModel,
+            messages,
+            temperature: 0.4,
+            response_format: { type: 'json_object' }
+          },
+          {
+            timeout: timeoutMs,
+            headers: {
+              'Content-Type': 'application/json',
+              ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            }
+          }
+        );
+      } catch (err) {
+        const status = err.response?.status || null;
+        // Sin respuesta (timeout, red caída), 429 o 5xx: se puede reintentar.
+        const retryable = !status || status === 429 || status >= 500;
+        throw new LlmError(
+          `[${name}] ${status ? `HTTP ${status}` : err.code || err.message}`,
+          { retryable, status }
+        );
+      }
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string' || content.trim().length === 0) {
+        throw new LlmError(`[${name}] respuesta vacía`, { retryable: true });
+      }
+      return content;
+    }
+  };
+}
+
+// Registro de proveedores disponibles (se arma una sola vez al importar).
+const providers = {
+  openai: createOpenAiCompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY || null,
+    defaultModel: 'gpt-4o-mini'
+  }),
+  mock: createOpenAiCompatibleProvider({
+    name: 'mock',
+    baseUrl: process.env.MOCK_LLM_URL || 'http://localhost:4010/v1',
+    defaultModel: 'nomadiq-mock',
+    requiresApiKey: false
+  })
+};
+
+// Devuelve un proveedor por nombre (null para "local" o nombres desconocidos).
+// Solo claves propias del registro: "constructor", "toString"... no son
+// proveedores.
+export function getProvider(name) {
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+}
+
+// -----------------------------------------------------------------------------
+// resolveModelHint(modelHint)
+// -----------------------------------------------------------------------------
+// Traduce el "modelHint" del cliente a { providerName, model }:
+//  - "openai:gpt-4o-mini" -> proveedor openai, modelo gpt-4o-mini
+//  - "mock"               -> proveedor mock, su modelo por defecto
+//  - "local"              -> enriquecimiento local
+//  - "gpt-4o"             -> proveedor por defecto (LLM_PROVIDER) con ese modelo
+//  - sin hint             -> proveedor y modelo por defecto
+//
+export function resolveModelHint(modelHint) {
+  const defaultProvider = process.env.LLM_PROVIDER || LOCAL_PROVIDER;
+  const hint = typeof modelHint === 'string' ? modelHint.trim() : '';
+
+  if (!hint) {
+    return {
+      providerName: defaultProvider,
+      model: process.env.LLM_MODEL || getProvider(defaultProvider)?.defaultModel || null
+    };
+  }
+
+  const [head, ...rest] = hint.split(':');
+  const tail = rest.join(':').trim();
+
+  if (head === LOCAL_PROVIDER || getProvider(head)) {
+    return {
+      providerName: head,
+      model: tail || getProvider(head)?.defaultModel || null
+    };
+  }
+
+  return { providerName: defaultProvider, model: hint };
+}
+
+// -----------------------------------------------------------------------------
+// withRetries(fn, { maxRetries, baseDelayMs })
+// -----------------------------------------------------------------------------
+// Ejecuta fn(attempt) y, si falla con un error reintentable, vuelve a probar
+// con espera exponencial (baseDelayMs, 2x, 4x...). Los errores no
+// reintentables (p. ej. 401) se propagan de inmediato.
+//
+export async function withRetries(fn, { maxRetries = LLM_MAX_RETRIES, baseDelayMs = 500 } = {}) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      lastError = err;
+      if (!err?.retryable || attempt === maxRetries) break;
+      await new Promise((resolve) => setTimeout(resolve, baseDelayMs * 2 ** attempt));
+    }
+  }
+
+  throw lastError;
+}
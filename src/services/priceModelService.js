@@ -0,0 +1,60 @@
+// src/services/priceModelService.js
+// ---------------------------------
+// Modelo de precios simple para estimar cuánto cuesta cada actividad.
+//
+// Las actividades solo guardan un priceRange ('free' | 'low' | 'medium' | 'high').
+// Acá lo traducimos a un costo estimado (por persona, en la moneda del viaje)
+// usando una tabla por defecto que cada destino puede ajustar con su campo
+// opcional "priceEstimates", por ejemplo:
+//
+//   priceEstimates: { low: 8, medium: 25, high: 60 }
+//
+// De esta forma una actividad "medium" no cuesta lo mismo en Cusco que en
+// Barcelona. No usa Firestore: recibe los destinos ya cargados.
+
+// Costos por defecto para cada rango de precio.
+export const DEFAULT_PRICE_ESTIMATES = {
+  free: 0,
+  low: 15,
+  medium: 40,
+  high: 90
+};
+
+// Orden de los rangos, de más barato a más caro.
+export const PRICE_RANGE_ORDER = ['free', 'low', 'medium', 'high'];
+
+// ---------------------------------------------------------------------------
+// getPriceTable(destination)
+// ---------------------------------------------------------------------------
+// Devuelve la tabla de costos a usar para un destino: la tabla por defecto
+// pisada por los valores que el destino tenga en "priceEstimates".
+// ---------------------------------------------------------------------------
+export function getPriceTable(destination) {
+  const overrides =
+    destination && typeof destination.priceEstimates === 'object'
+      ? destination.priceEstimates
+      : {};
+
+  const table = { ...DEFAULT_PRICE_ESTIMATES };
+  for (const range of PRICE_RANGE_ORDER) {
+    if (typeof overrides?.[range] === 'number' && overrides[range] >= 0) {
+      table[range] = overrides[range];
+    }
+  }
+  return table;
+}
+
+// ---------------------------------------------------------------------------
+// estimateActivityCost(activity, destination)
+// ---------------------------------------------------------------------------
+// Costo estimado de una actividad según su priceRange y su destino.
+// Si el priceRange no es válido, usamos el de "medium" como referencia.
+// ---------------------------------------------------------------------------
+export function estimateActivityCost(activity, destination = null) {
+  if (!activity) return 0;
+  const table = getPriceTable(destination);
+  const range = PRICE_RANGE_ORDER.includes(activity.priceRange)
+    ? activity.priceRange
+    : 'medium';
+  return table[range];
+}
@@ -0,0 +1,167 @@
+// src/services/searchService.js
+// -----------------------------
+// Búsqueda de texto sobre el catálogo (destinos y actividades) con el
+// índice invertido en memoria de utils/searchIndex.js.
+//
+// El índice se arma la primera vez que alguien busca, leyendo las dos
+// colecciones completas, y después se mantiene al día con las escrituras
+// de destinationService y activityService (indexDestination,
+// indexActivity, removeFromSearchIndex). Como también se puede escribir
+// por fuera de la API (scripts de seed), se vuelve a armar cada
+// SEARCH_INDEX_TTL_MS.
+//
+// Campos y pesos:
+//  - destinos:    nombre (3), país y tags (2), resumen (1)
+//  - actividades: nombre (3), categoría (2), nombre del destino (1)
+
+import { db } from '../config/firebase.js';
+import { createSearchIndex } from '../utils/searchIndex.js';
+
+const DESTINATIONS_COL = 'destinations';
+const ACTIVITIES_COL = 'activities';
+
+// Cada cuánto se vuelve a leer todo el catálogo (15 minutos).
+const SEARCH_INDEX_TTL_MS = 15 * 60 * 1000;
+
+let index = null;
+let builtAt = 0;
+let building = null;
+
+function destinationKey(id) {
+  return `destination:${id}`;
+}
+
+function activityKey(id) {
+  return `activity:${id}`;
+}
+
+function addDestination(target, d) {
+  target.add(
+    destinationKey(d.id),
+    [
+      { text: d.name, weight: 3 },
+      { text: d.country, weight: 2 },
+      { text: d.tags || [], weight: 2 },
+      { text: d.summary, weight: 1 }
+    ],
+    { type: 'destination', doc: d }
+  );
+}
+
+function addActivity(target, a) {
+  const destination = target.get(destinationKey(a.destinationId))?.doc;
+
+  target.add(
+    activityKey(a.id),
+    [
+      { text: a.name, weight: 3 },
+      { text: a.category, weight: 2 },
+      { text: destination?.name, weight: 1 }
+    ],
+    { type: 'activity', doc: a }
+  );
+}
+
+// Lee todo el catálogo y arma un índice nuevo.
+async function buildIndex() {
+  const [destinationsSnap, activitiesSnap] = await Promise.all([
+    db.collection(DESTINATIONS_COL).get(),
+    db.collection(ACTIVITIES_COL).get()
+  ]);
+
+  const fresh = createSearchIndex();
+  destinationsSnap.docs.forEach((d) => addDestination(fresh, { id: d.id, ...d.data() }));
+  activitiesSnap.docs.forEach((d) => addActivity(fresh, { id: d.id, ...d.data() }));
+  return fresh;
+}
+
+// Devuelve el índice, armándolo si todavía no existe o está vencido.
+// Si ya se está armando, espera a ese mismo armado.
+async function getSearchIndex() {
+  if (index && Date.now() - builtAt < SEARCH_INDEX_TTL_MS) return index;
+
+  if (!building) {
+    building = buildIndex()
+      .then((fresh) => {
+        index = fresh;
+        builtAt = Date.now();
+        return fresh;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+}
+
+// Aplica un cambio al índice. Si el índice se está armando, lo aplica
+// cuando termine (la lectura pudo no incluir la escritura); si nunca se
+// armó, no hace falta: se va a leer el dato nuevo.
+function applyToIndex(change) {
+  if (building) {
+    building.then(change).catch(() => {});
+  } else if (index) {
+    change(index);
+  }
+}
+
+// Alta o modificación de un destino. Si cambió el nombre, también se
+// reindexan sus actividades (se buscan por el nombre del destino).
+export function indexDestination(d) {
+  applyToIndex((target) => {
+    addDestination(target, d);
+
+    const activities = [...target.values()]
+      .filter((p) => p.type === 'activity' && p.doc.destinationId === d.id)
+      .map((p) => p.doc);
+    activities.forEach((a) => addActivity(target, a));
+  });
+}
+
+// Alta o modificación de una actividad.
+export function indexActivity(a) {
+  applyToIndex((target) => addActivity(target, a));
+}
+
+// Baja de un destino o una actividad ("destination" | "activity").
+export function removeFromSearchIndex(type, id) {
+  applyToIndex((target) => {
+    target.remove(type === 'destination' ? destinationKey(id) : activityKey(id));
+  });
+}
+
+// Descarta el índice (se vuelve a armar en la próxima búsqueda).
+export function resetSearchIndex() {
+  index = null;
+  builtAt = 0;
+}
+
+// -----------------------------------------------------------------------------
+// searchCatalog(q, { type, destinationId, limit })
+// -----------------------------------------------------------------------------
+// Busca en destinos y actividades. Filtros opcionales: type ("destination"
+// o "activity") y destinationId (solo ese destino y sus actividades).
+// Devuelve [{ type, score, doc, destinationName }] ordenados por puntaje
+// (destinationName solo en actividades).
+//
+export async function searchCatalog(q, { type, destinationId, limit = 20 } = {}) {
+  const target = await getSearchIndex();
+
+  return target
+    .search(q, {
+      limit,
+      filter: (p) =>
+        (!type || p.type === type) &&
+        (!destinationId ||
+          (p.type === 'destination' ? p.doc.id === destinationId : p.doc.destinationId === destinationId))
+    })
+    .map((r) => ({
+      type: r.payload.type,
+      score: r.score,
+      doc: r.payload.doc,
+      ...(r.payload.type === 'activity'
+        ? { destinationName: target.get(destinationKey(r.payload.doc.destinationId))?.doc.name || null }
+        : {})
+    }));
+}
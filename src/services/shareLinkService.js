@@ -0,0 +1,108 @@
+// src/services/shareLinkService.js
+// --------------------------------
+// Acceso a Firestore para los links de solo lectura de los viajes
+// (colección "shareLinks").
+//
+// Cada documento guarda:
+//  - tripId, itineraryId (opcional), createdBy, label.
+//  - token: cadena aleatoria (base64url, 32 bytes) que va en la URL pública.
+//  - expiresAt / revokedAt: vencimiento y revocación (null si no aplica).
+//  - accessCount / lastAccessedAt: estadísticas de uso.
+
+import crypto from 'node:crypto';
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+
+// Nombre de la colección en Firestore.
+const COL = 'shareLinks';
+
+// Token impredecible para la URL pública.
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// CREATE: crea un link para un trip.
+export async function createShareLink({ tripId, itineraryId, createdBy, label, expiresAt }) {
+  const now = new Date().toISOString();
+  const docRef = db.collection(COL).doc();
+
+  const payload = {
+    tripId,
+    itineraryId: itineraryId || null,
+    createdBy,
+    label: label || null,
+    token: generateToken(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    revokedAt: null,
+    accessCount: 0,
+    lastAccessedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// READ by ID.
+export async function getShareLinkById(id) {
+  const snap = await db.collection(COL).doc(id).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// READ by token (la búsqueda que hace la ruta pública).
+export async function getShareLinkByToken(token) {
+  const snap = await db.collection(COL).where('token', '==', token).limit(1).get();
+  if (snap.empty) return null;
+  const doc = snap.docs[0];
+  return { id: doc.id, ...doc.data() };
+}
+
+// LIST: links de un trip, más recientes primero.
+export async function listShareLinks(tripId) {
+  const snap = await db
+    .collection(COL)
+    .where('tripId', '==', tripId)
+    .orderBy('createdAt', 'desc')
+    .get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// REVOKE: el link deja de funcionar pero se conserva (con sus accesos).
+export async function revokeShareLink(id) {
+  const ref = db.collection(COL).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const current = snap.data();
+  if (current.revokedAt) return { id, ...current };
+
+  const now = new Date().toISOString();
+  await ref.update({ revokedAt: now, updatedAt: now });
+  return { id, ...current, revokedAt: now, updatedAt: now };
+}
+
+// Suma un acceso al link. Usamos increment para no perder accesos
+// cuando varias personas abren el link a la vez.
+export async function registerShareLinkAccess(id) {
+  await db.collection(COL).doc(id).update({
+    accessCount: FieldValue.increment(1),
+    lastAccessedAt: new Date().toISOString()
+  });
+}
+
+// DELETE: borra todos los links de un trip (al eliminar el viaje).
+export async function deleteShareLinksForTrip(tripId) {
+  const snap = await db.collection(COL).where('tripId', '==', tripId).get();
+  if (snap.empty) return 0;
+
+  // Lotes de 400 (Firestore no acepta más de 500 escrituras por lote).
+  const docs = snap.docs;
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  return snap.size;
+}
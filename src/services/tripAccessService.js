@@ -0,0 +1,90 @@
+// src/services/tripAccessService.js
+// ---------------------------------
+// Autorización sobre viajes compartidos entre varias personas.
+//
+// Cada trip tiene miembros con un rol:
+//  - owner:  quien creó el viaje (trip.userId). Puede todo, incluso
+//            borrar el viaje, invitar gente y compartirlo por link.
+//  - editor: puede modificar el viaje y sus itinerarios.
+//  - viewer: solo puede ver el viaje y sus itinerarios.
+//
+// Los miembros viven en el propio trip:
+//   members:   { [userId]: { role, email, name, addedAt, addedBy } }
+//   memberIds: [userId, ...]   (para poder listar con array-contains)
+//
+// Los trips creados antes de existir los miembros no tienen "members":
+// para ellos el único miembro es trip.userId, como owner.
+//
+// checkTripAccess es el ÚNICO lugar donde se decide quién puede hacer qué
+// sobre un viaje; los controllers solo indican el rol mínimo que piden.
+
+import { getTripById } from './tripService.js';
+
+// Roles de menor a mayor permiso.
+export const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles que se pueden asignar a otros (owner hay uno solo).
+export const ASSIGNABLE_TRIP_ROLES = ['viewer', 'editor'];
+
+// Rol de un usuario en un trip, o null si no es miembro.
+export function getTripRole(trip, userId) {
+  if (!trip || !userId) return null;
+  if (trip.userId === userId) return 'owner';
+
+  const role = trip.members?.[userId]?.role;
+  return TRIP_ROLES.includes(role) ? role : null;
+}
+
+// ¿El rol "role" alcanza para lo que pide "minRole"?
+export function roleAtLeast(role, minRole) {
+  return TRIP_ROLES.includes(role) && TRIP_ROLES.indexOf(role) >= TRIP_ROLES.indexOf(minRole);
+}
+
+// -----------------------------------------------------------------------------
+// checkTripAccess({ tripId, trip, req, minRole, allowAdmin, notFoundError })
+// -----------------------------------------------------------------------------
+// Verifica que el usuario autenticado tenga al menos "minRole" en el trip.
+// Se puede pasar el trip ya leído para ahorrar la lectura.
+//
+// Devuelve { ok, status, errorCode, trip, role }:
+//  - 401 UNAUTHORIZED: no hay usuario autenticado.
+//  - 404 (notFoundError, por defecto TRIP_NOT_FOUND): el trip no existe o
+//    el usuario no es miembro (no revelamos que existe).
+//  - 403 FORBIDDEN_TRIP_ROLE: es miembro, pero su rol no alcanza.
+//
+// Con allowAdmin, los usuarios con rol global "admin" pasan como owner.
+//
+export async function checkTripAccess({
+  tripId,
+  trip: loadedTrip = null,
+  req,
+  minRole = 'viewer',
+  allowAdmin = false,
+  notFoundError = 'TRIP_NOT_FOUND'
+}) {
+  const userId = req.user?.id || null;
+
+  if (!userId) {
+    return { ok: false, status: 401, errorCode: 'UNAUTHORIZED', trip: null, role: null };
+  }
+
+  const trip = loadedTrip || (await getTripById(tripId));
+
+  if (!trip) {
+    return { ok: false, status: 404, errorCode: notFoundError, trip: null, role: null };
+  }
+
+  const role = allowAdmin && req.user?.role === 'admin'
+    ? 'owner'
+    : getTripRole(trip, userId);
+
+  if (!role) {
+    return { ok: false, status: 404, errorCode: notFoundError, trip: null, role: null };
+  }
+
+  if (!roleAtLeast(role, minRole)) {
+    return { ok: false, status: 403, errorCode: 'FORBIDDEN_TRIP_ROLE', trip: null, role };
+  }
+
+  return { ok: true, status: 200, errorCode: null, trip, role };
+}
@@ -0,0 +1,300 @@
+// src/services/tripBookletService.js
+// ----------------------------------
+// Genera el "cuadernillo" del viaje en PDF, para imprimir o llevar offline.
+//
+// Usa pdfkit (JavaScript puro, sin navegador). No lee Firestore: recibe los
+// objetos ya normalizados con toPublicTrip, toPublicItinerary,
+// toPublicDestination y toPublicActivity, y devuelve un Buffer con el PDF.
+//
+// Secciones (cada una arranca en una página nueva):
+//  1. Portada: título, fechas, estado, intereses y recorrido.
+//  2. Destinos: resumen y etiquetas de cada destino.
+//  3. Itinerario: día por día, con sus bloques.
+//  4. Actividades: categoría, rango de precio, valoración y horarios.
+//  5. Presupuesto: tabla de gasto planificado por día contra el presupuesto.
+
+import PDFDocument from 'pdfkit';
+import { describeOpeningHours } from '../utils/openingHours.js';
+import { tripCurrency } from '../utils/currency.js';
+
+// Estilos básicos del documento.
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  accent: '#0f766e',
+  rule: '#cccccc'
+};
+
+const TIME_OF_DAY_LABELS = {
+  morning: 'Mañana',
+  afternoon: 'Tarde',
+  evening: 'Noche',
+  full_day: 'Todo el día'
+};
+
+const PRICE_RANGE_LABELS = {
+  free: 'Gratis',
+  low: 'Económico',
+  medium: 'Intermedio',
+  high: 'Alto'
+};
+
+const STATUS_LABELS = {
+  draft: 'Borrador',
+  planned: 'Planificado',
+  in_progress: 'En curso',
+  completed: 'Finalizado',
+  cancelled: 'Cancelado'
+};
+
+// "2025-07-15..." -> "15/07/2025" (si no tiene ese formato, se deja igual).
+function formatDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[3]}/${match[2]}/${match[1]}` : value || '-';
+}
+
+// Números de dinero sin decimales innecesarios.
+function formatAmount(value) {
+  return typeof value === 'number' ? value.toLocaleString('es-AR') : '-';
+}
+
+// Título de sección con una línea debajo.
+function sectionTitle(doc, text) {
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(20).text(text);
+  const y = doc.y + 4;
+  doc
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  doc.moveDown(1);
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(11);
+}
+
+// Par "Etiqueta: valor" en una línea.
+function labeled(doc, label, value) {
+  doc
+    .font('Helvetica-Bold')
+    .text(`${label}: `, { continued: true })
+    .font('Helvetica')
+    .text(value || '-');
+}
+
+// 1) Portada.
+function renderCover(doc, { trip, destinations }) {
+  doc.moveDown(6);
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(30).text(trip.title, {
+    align: 'center'
+  });
+  doc.moveDown(0.5);
+  doc
+    .fillColor(COLORS.muted)
+    .font('Helvetica')
+    .fontSize(14)
+    .text(`${formatDate(trip.startDate)} - ${formatDate(trip.endDate)}`, { align: 'center' });
+  doc.moveDown(3);
+
+  doc.fillColor(COLORS.text).fontSize(12);
+  labeled(doc, 'Estado', STATUS_LABELS[trip.status] || trip.status);
+  labeled(doc, 'Intereses', trip.interests?.length ? trip.interests.join(', ') : null);
+  labeled(
+    doc,
+    'Presupuesto',
+    typeof trip.budget === 'number' ? `${formatAmount(trip.budget)} ${tripCurrency(trip)}` : null
+  );
+
+  // Recorrido: tramos en orden, o los destinos si no hay tramos.
+  const byId = new Map(destinations.map((d) => [d.id, d]));
+  if (trip.legs?.length) {
+    doc.moveDown(1).font('Helvetica-Bold').text('Recorrido');
+    doc.font('Helvetica');
+    trip.legs.forEach((leg, idx) => {
+      const name = byId.get(leg.destinationId)?.name || leg.destinationId;
+      doc.text(
+        `${idx + 1}. ${name} (${formatDate(leg.startDate)} - ${formatDate(leg.endDate)})`
+      );
+    });
+  } else if (destinations.length) {
+    labeled(doc, 'Destinos', destinations.map((d) => d.name).join(', '));
+  }
+
+  doc.moveDown(4);
+  doc
+    .fillColor(COLORS.muted)
+    .fontSize(9)
+    .text(`Generado por NomadIQ el ${formatDate(new Date().toISOString())}.`, {
+      align: 'center'
+    });
+}
+
+// 2) Destinos.
+function renderDestinations(doc, destinations) {
+  sectionTitle(doc, 'Destinos');
+
+  if (!destinations.length) {
+    doc.fillColor(COLORS.muted).text('Este viaje no tiene destinos asociados.');
+    return;
+  }
+
+  for (const d of destinations) {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(d.name);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(d.country || '');
+    doc.moveDown(0.3).fontSize(11).fillColor(COLORS.text);
+    if (d.summary) doc.text(d.summary);
+    if (d.tags?.length) {
+      doc.fontSize(10).fillColor(COLORS.muted).text(`Etiquetas: ${d.tags.join(', ')}`);
+    }
+    doc.moveDown(1);
+  }
+}
+
+// 3) Itinerario día por día.
+function renderItinerary(doc, itinerary) {
+  sectionTitle(doc, 'Itinerario');
+
+  const days = itinerary?.data?.days || [];
+  if (!days.length) {
+    doc.fillColor(COLORS.muted).text('Todavía no hay un itinerario generado para este viaje.');
+    return;
+  }
+
+  for (const day of days) {
+    const heading = [`Día ${day.day}`, day.date ? formatDate(day.date) : null]
+      .filter(Boolean)
+      .join(' - ');
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(14)
+      .fillColor(COLORS.accent)
+      .text(day.type === 'travel' ? `${heading} (traslado)` : heading);
+    doc.moveDown(0.3);
+
+    for (const period of day.periods || []) {
+      const label = TIME_OF_DAY_LABELS[period.timeOfDay] || period.timeOfDay;
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(11)
+        .fillColor(COLORS.text)
+        .text(`${label}: ${period.title}`);
+      doc.font('Helvetica').fontSize(10);
+      if (period.description) doc.fillColor(COLORS.text).text(period.description);
+      if (period.notes) doc.fillColor(COLORS.muted).text(`Notas: ${period.notes}`);
+      if (typeof period.estimatedCost === 'number' && period.estimatedCost > 0) {
+        doc.fillColor(COLORS.muted).text(`Costo estimado: ${formatAmount(period.estimatedCost)}`);
+      }
+      doc.moveDown(0.5);
+    }
+
+    doc.moveDown(0.5);
+  }
+}
+
+// 4) Detalle de actividades.
+function renderActivities(doc, activities) {
+  sectionTitle(doc, 'Actividades');
+
+  if (!activities.length) {
+    doc.fillColor(COLORS.muted).text('El itinerario no tiene actividades vinculadas.');
+    return;
+  }
+
+  for (const a of activities) {
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(a.name);
+    doc.font('Helvetica').fontSize(10);
+    labeled(doc, 'Categoría', a.category);
+    labeled(doc, 'Precio', PRICE_RANGE_LABELS[a.priceRange] || a.priceRange);
+    labeled(
+      doc,
+      'Valoración',
+      typeof a.rating === 'number' ? `${a.rating.toFixed(1)} (${a.reviewsCount} reseñas)` : null
+    );
+    labeled(doc, 'Horarios', describeOpeningHours(a.openingHours) || 'Sin información');
+    doc.moveDown(0.8);
+  }
+}
+
+// 5) Tabla de presupuesto.
+function renderBudget(doc, { trip, itinerary }) {
+  sectionTitle(doc, 'Presupuesto');
+
+  const days = itinerary?.data?.days || [];
+  const summary = itinerary?.data?.budgetSummary || null;
+
+  // Filas: por día, gasto planificado (suma de bloques) y presupuesto diario.
+  const rows = days.map((d) => {
+    const planned = (d.periods || []).reduce((acc, p) => acc + (p.estimatedCost || 0), 0);
+    return [
+      `Día ${d.day}${d.date ? ` (${formatDate(d.date)})` : ''}`,
+      formatAmount(planned),
+      summary?.dailyBudget != null ? formatAmount(summary.dailyBudget) : '-'
+    ];
+  });
+
+  const total = days.reduce(
+    (acc, d) => acc + (d.periods || []).reduce((s, p) => s + (p.estimatedCost || 0), 0),
+    0
+  );
+
+  const left = doc.page.margins.left;
+  const columns = [left, left + 240, left + 360];
+  const drawRow = (cells, bold = false) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(COLORS.text);
+    cells.forEach((cell, i) => doc.text(cell, columns[i], y, { width: 110, lineBreak: false }));
+    doc.x = left;
+    doc.y = y + 16;
+  };
+
+  drawRow(['Día', 'Planificado', 'Presupuesto diario'], true);
+  rows.forEach((r) => drawRow(r));
+  doc.moveDown(0.5);
+  drawRow(['Total planificado', formatAmount(total), ''], true);
+
+  if (typeof trip.budget === 'number') {
+    drawRow(['Presupuesto del viaje', formatAmount(trip.budget), ''], true);
+    drawRow(['Restante', formatAmount(trip.budget - total), ''], true);
+  }
+
+  doc.moveDown(1);
+  doc
+    .fillColor(COLORS.muted)
+    .fontSize(9)
+    .text('Los costos son estimaciones según el rango de precio de cada actividad.', left);
+}
+
+// -----------------------------------------------------------------------------
+// renderTripBooklet({ trip, itinerary, destinations, activities })
+// -----------------------------------------------------------------------------
+// Devuelve una Promise<Buffer> con el PDF completo.
+//
+export function renderTripBooklet({ trip, itinerary = null, destinations = [], activities = [] }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: trip.title,
+        Author: 'NomadIQ',
+        Subject: 'Cuadernillo de viaje'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    renderCover(doc, { trip, destinations });
+    doc.addPage();
+    renderDestinations(doc, destinations);
+    doc.addPage();
+    renderItinerary(doc, itinerary);
+    doc.addPage();
+    renderActivities(doc, activities);
+    doc.addPage();
+    renderBudget(doc, { trip, itinerary });
+
+    doc.end();
+  });
+}
@@ -0,0 +1,161 @@
+// src/services/tripInvitationService.js
+// -------------------------------------
+// Acceso a Firestore para las invitaciones a viajes (colección
+// "tripInvitations"). Ver tripInvitationModel.js para el flujo.
+
+import { db } from '../config/firebase.js';
+import { buildMemberPatch } from './tripService.js';
+
+// Colecciones en Firestore.
+const COL = 'tripInvitations';
+const TRIPS_COL = 'trips';
+
+// CREATE: nueva invitación pendiente.
+export async function createTripInvitation({ trip, email, role, invitedBy, invitedByName }) {
+  const now = new Date().toISOString();
+  const docRef = db.collection(COL).doc();
+
+  const payload = {
+    tripId: trip.id,
+    tripTitle: trip.title || null,
+    email,
+    role,
+    status: 'pending',
+    invitedBy,
+    invitedByName: invitedByName || null,
+    respondedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// READ by ID.
+export async function getTripInvitationById(id) {
+  const snap = await db.collection(COL).doc(id).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// LIST: invitaciones de un trip (todas), más recientes primero.
+export async function listTripInvitations(tripId) {
+  const snap = await db
+    .collection(COL)
+    .where('tripId', '==', tripId)
+    .orderBy('createdAt', 'desc')
+    .get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// LIST: invitaciones pendientes para un email.
+export async function listPendingInvitationsForEmail(email) {
+  const snap = await db
+    .collection(COL)
+    .where('email', '==', String(email || '').toLowerCase())
+    .where('status', '==', 'pending')
+    .get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// ¿Hay una invitación pendiente para este email en este trip?
+export async function findPendingInvitation(tripId, email) {
+  const snap = await db
+    .collection(COL)
+    .where('tripId', '==', tripId)
+    .where('email', '==', email)
+    .where('status', '==', 'pending')
+    .limit(1)
+    .get();
+  if (snap.empty) return null;
+  const doc = snap.docs[0];
+  return { id: doc.id, ...doc.data() };
+}
+
+// Cambia el estado de una invitación pendiente (declined / revoked). Igual
+// que al aceptar, se chequea en una transacción que siga pendiente: un
+// rechazo no pisa una invitación que se aceptó al mismo tiempo.
+// Devuelve la invitación actualizada, o null si no existe o ya no estaba
+// pendiente.
+export async function setTripInvitationStatus(id, status) {
+  const ref = db.collection(COL).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== 'pending') return null;
+
+    const now = new Date().toISOString();
+    const patch = { status, respondedAt: now, updatedAt: now };
+    tx.update(ref, patch);
+
+    return { id: snap.id, ...snap.data(), ...patch };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// ACCEPT
+// -----------------------------------------------------------------------------
+// En una transacción: marca la invitación como aceptada y agrega al
+// usuario como miembro del trip con el rol de la invitación. Si ya era
+// miembro, se conserva el rol más alto (no se "baja" a nadie).
+//
+// Devuelve { invitation, trip } o null si la invitación ya no está
+// pendiente o el trip no existe.
+//
+export async function acceptTripInvitation(id, user) {
+  const invitationRef = db.collection(COL).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const invitationSnap = await tx.get(invitationRef);
+    if (!invitationSnap.exists) return null;
+
+    const invitation = invitationSnap.data();
+    if (invitation.status !== 'pending') return null;
+
+    const tripRef = db.collection(TRIPS_COL).doc(invitation.tripId);
+    const tripSnap = await tx.get(tripRef);
+    if (!tripSnap.exists) return null;
+
+    const trip = tripSnap.data();
+    const previousRole = trip.members?.[user.id]?.role;
+    const keepPrevious = previousRole === 'owner' ||
+      (previousRole === 'editor' && invitation.role === 'viewer');
+
+    const tripPatch = buildMemberPatch(trip, user.id, {
+      role: keepPrevious ? previousRole : invitation.role,
+      email: user.email || invitation.email,
+      name: user.name || null,
+      addedBy: invitation.invitedBy
+    });
+    const now = tripPatch.updatedAt;
+    const invitationPatch = {
+      status: 'accepted',
+      respondedAt: now,
+      updatedAt: now
+    };
+
+    tx.update(tripRef, tripPatch);
+    tx.update(invitationRef, invitationPatch);
+
+    return {
+      invitation: { id, ...invitation, ...invitationPatch },
+      trip: { id: tripSnap.id, ...trip, ...tripPatch }
+    };
+  });
+}
+
+// DELETE: borra todas las invitaciones de un trip (al eliminar el viaje).
+export async function deleteTripInvitationsForTrip(tripId) {
+  const snap = await db.collection(COL).where('tripId', '==', tripId).get();
+  if (snap.empty) return 0;
+
+  // Lotes de 400 (Firestore no acepta más de 500 escrituras por lote).
+  const docs = snap.docs;
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  return snap.size;
+}
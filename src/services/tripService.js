@@ -1,6 +1,12 @@
 // Importamos la instancia de Firestore.
 import { db } from '../config/firebase.js';
 
+// FieldValue para actualizar miembros sin pisar el resto del documento.
+import { FieldValue } from 'firebase-admin/firestore';
+
+// Moneda por defecto de los viajes.
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+
 // Nombre de la colección de trips (viajes) en Firestore.
 const COL = 'trips';
 
@@ -17,8 +23,30 @@ export async function createTrip(data) {
     budget: typeof data.budget === 'number'
       ? data.budget
       : null,                                       // presupuesto o null
+    currency: data.currency || DEFAULT_CURRENCY,    // moneda del viaje (ISO 4217)
     interests: data.interests || [],                // intereses del viaje (array de strings)
     status: data.status || 'draft',                 // estado del viaje (draft, planned, etc.)
+    statusHistory: [                                // cambios de estado (ver updateTripStatus)
+      {
+        from: null,
+        to: data.status || 'draft',
+        at: now,
+        by: data.userId,
+        source: 'user'
+      }
+    ],
+    legs: data.legs || [],                          // tramos del viaje (destinos en orden)
+    members: {                                      // miembros y su rol (ver tripAccessService)
+      [data.userId]: {
+        role: 'owner',
+        email: data.owner?.email || null,
+        name: data.owner?.name || null,
+        addedAt: now,
+        addedBy: data.userId
+      }
+    },
+    memberIds: [data.userId],                       // IDs de los miembros (para listar)
+    origin: data.origin || null,                    // { type: 'clone' | 'template', id } si es copia
     createdAt: now,
     updatedAt: now
   };
@@ -35,44 +63,76 @@ export async function getTripById(id) {
 }
 
 // LIST: lista trips con filtros opcionales: userId, status.
+// "userId" trae los viajes donde el usuario es MIEMBRO (owner, editor o
+// viewer), no solo los que creó.
 export async function listTrips({
   userId,
   status,
   limit = 20,
   startAfterId
 } = {}) {
-  let q = db.collection(COL).orderBy('createdAt', 'desc');
+  // Arma una query ordenada por fecha, con el filtro de estado y el
+  // cursor de paginación.
+  const buildQuery = async (applyUserFilter) => {
+    let q = applyUserFilter(db.collection(COL).orderBy('createdAt', 'desc'));
 
-  // Filtrar por usuario, si se especifica.
-  if (userId) {
-    q = q.where('userId', '==', userId);
-  }
+    // Filtrar por estado de viaje, si se especifica.
+    if (status) {
+      q = q.where('status', '==', status);
+    }
 
-  // Filtrar por estado de viaje, si se especifica.
-  if (status) {
-    q = q.where('status', '==', status);
+    // Paginación simple usando startAfterId como referencia.
+    if (startAfterId) {
+      const startSnap = await db.collection(COL).doc(startAfterId).get();
+      if (startSnap.exists) {
+        q = q.startAfter(startSnap);
+      }
+    }
+
+    return q.limit(limit);
+  };
+
+  // Sin usuario (uso interno / admin): una sola query.
+  if (!userId) {
+    const snap = await (await buildQuery((q) => q)).get();
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
   }
 
-  // Paginación simple usando startAfterId como referencia.
-  if (startAfterId) {
-    const startSnap = await db.collection(COL).doc(startAfterId).get();
-    if (startSnap.exists) {
-      q = q.startAfter(startSnap);
-    }
+  // Con usuario: viajes donde es miembro + viajes "viejos" (sin memberIds)
+  // de los que es dueño. Unimos ambas listas sin duplicados y respetamos
+  // el orden por fecha y el límite.
+  const [memberSnap, ownerSnap] = await Promise.all([
+    (await buildQuery((q) => q.where('memberIds', 'array-contains', userId))).get(),
+    (await buildQuery((q) => q.where('userId', '==', userId))).get()
+  ]);
+
+  const byId = new Map();
+  for (const d of [...memberSnap.docs, ...ownerSnap.docs]) {
+    byId.set(d.id, { id: d.id, ...d.data() });
   }
 
-  const snap = await q.limit(limit).get();
-  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return [...byId.values()]
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, limit);
 }
 
 // UPDATE (PATCH): actualiza parcialmente un trip existente.
-// Importante: aquí NO permitimos cambiar el userId.
+// Importante: aquí NO permitimos cambiar el userId ni el estado (el estado
+// cambia solo con updateTripStatus, que valida y deja historial).
 export async function updateTrip(id, data) {
   const ref = db.collection(COL).doc(id);
   const snap = await ref.get();
   if (!snap.exists) return null;
 
-  const patch = {
+  await ref.set(buildTripPatch(data), { merge: true });
+  const updated = await ref.get();
+  return { id: updated.id, ...updated.data() };
+}
+
+// Campos a guardar de un PATCH del trip (solo los presentes en "data").
+// El estado no va acá: lo cambia updateTripStatus.
+function buildTripPatch(data) {
+  return {
     // NO permitimos cambiar userId por seguridad.
     // ...('userId' in data ? { userId: data.userId } : {}),
 
@@ -87,14 +147,66 @@ export async function updateTrip(id, data) {
               : null
         }
       : {}),
+    ...('currency' in data && data.currency ? { currency: data.currency } : {}),
     ...('interests' in data ? { interests: data.interests || [] } : {}),
-    ...('status' in data ? { status: data.status } : {}),
+    ...('legs' in data ? { legs: data.legs || [] } : {}),
     updatedAt: new Date().toISOString()
   };
+}
 
-  await ref.set(patch, { merge: true });
-  const updated = await ref.get();
-  return { id: updated.id, ...updated.data() };
+// UPDATE STATUS: cambia el estado del trip dentro de una transacción, para
+// validar contra el estado actual real (dos cambios a la vez no se pisan).
+// "isAllowed(from, to)" decide si el cambio es válido.
+// Agrega una entrada a statusHistory: { from, to, at, by, source, reason }.
+// "fields" (opcional) son otros campos del PATCH que se guardan en la misma
+// transacción: si la transición no se permite, no se guarda ninguno.
+// Devuelve:
+//  - null si el trip no existe,
+//  - { ok: false, from } si el cambio no está permitido,
+//  - { ok: true, from, trip } si se aplicó.
+export async function updateTripStatus(
+  id,
+  to,
+  { by = null, source = 'user', reason = null, isAllowed, fields = null }
+) {
+  const ref = db.collection(COL).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const trip = snap.data();
+    const from = trip.status || 'draft';
+    if (!isAllowed(from, to)) return { ok: false, from };
+
+    const now = new Date().toISOString();
+    const entry = { from, to, at: now, by, source, reason };
+    const patch = {
+      ...(fields ? buildTripPatch(fields) : {}),
+      status: to,
+      statusHistory: FieldValue.arrayUnion(entry),
+      updatedAt: now
+    };
+
+    tx.update(ref, patch);
+    return {
+      ok: true,
+      from,
+      trip: {
+        id: snap.id,
+        ...trip,
+        ...patch,
+        statusHistory: [...(trip.statusHistory || []), entry]
+      }
+    };
+  });
+}
+
+// LIST BY STATUS: todos los trips en alguno de los estados indicados
+// (lo usa el job que avanza los estados según las fechas).
+export async function listTripsByStatus(statuses) {
+  const snap = await db.collection(COL).where('status', 'in', statuses).get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 }
 
 // DELETE: elimina un trip por ID (la verificación de dueño
@@ -106,3 +218,69 @@ export async function deleteTrip(id) {
   await ref.delete();
   return true;
 }
+
+// -----------------------------------------------------------------------------
+// MIEMBROS
+// -----------------------------------------------------------------------------
+// Los permisos se verifican en el controlador (tripAccessService); acá solo
+// escribimos. Para trips viejos sin "members", el owner se agrega al
+// vuelo para que memberIds quede completo.
+
+// Patch de Firestore que agrega (o actualiza) a "userId" en members y
+// memberIds. Conserva addedAt/addedBy si ya era miembro.
+export function buildMemberPatch(trip, userId, { role, email = null, name = null, addedBy = null }) {
+  const now = new Date().toISOString();
+  const previous = trip.members?.[userId] || {};
+
+  const members = {
+    // Trip viejo: registramos al dueño como owner.
+    ...(trip.members ? {} : { [trip.userId]: { role: 'owner', addedAt: trip.createdAt || now } }),
+    ...(trip.members || {}),
+    [userId]: {
+      ...previous,
+      role,
+      email: email ?? previous.email ?? null,
+      name: name ?? previous.name ?? null,
+      addedAt: previous.addedAt || now,
+      addedBy: previous.addedBy || addedBy
+    }
+  };
+
+  return {
+    members,
+    memberIds: Object.keys(members),
+    updatedAt: now
+  };
+}
+
+// Agrega (o actualiza) un miembro con su rol.
+export async function setTripMember(tripId, userId, member) {
+  const ref = db.collection(COL).doc(tripId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const trip = snap.data();
+    const patch = buildMemberPatch(trip, userId, member);
+
+    tx.update(ref, patch);
+    return { id: snap.id, ...trip, ...patch };
+  });
+}
+
+// Quita a un miembro (nunca al owner: eso lo controla el controlador).
+export async function removeTripMember(tripId, userId) {
+  const ref = db.collection(COL).doc(tripId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  await ref.update({
+    [`members.${userId}`]: FieldValue.delete(),
+    memberIds: FieldValue.arrayRemove(userId),
+    updatedAt: new Date().toISOString()
+  });
+
+  const updated = await ref.get();
+  return { id: updated.id, ...updated.data() };
+}
@@ -0,0 +1,192 @@
+// src/services/tripStatusService.js
+// ---------------------------------
+// Máquina de estados de los trips:
+//
+//   draft <-> planned -> in_progress -> completed
+//   (draft, planned e in_progress también pueden pasar a cancelled, y un
+//   viaje cancelado se puede reabrir como draft)
+//
+// Las transiciones exactas están en TRIP_STATUS_TRANSITIONS (tripModel.js).
+//
+// Todo cambio de estado pasa por changeTripStatus, que:
+//  1. valida la transición contra el estado actual (en una transacción),
+//  2. deja la entrada en trip.statusHistory,
+//  3. ejecuta los hooks registrados para el estado nuevo.
+//
+// Los hooks se registran con onTripStatusChange(status, handler). Un hook
+// que falla se loguea pero no deshace el cambio de estado.
+//
+// Además, runTripStatusScheduler avanza los viajes según sus fechas
+// (planned -> in_progress -> completed). Lo corre el servidor cada cierto
+// tiempo (startTripStatusScheduler) o el script runTripStatusJob.js.
+
+import { canTransitionTripStatus } from '../models/tripModel.js';
+import { updateTripStatus, listTripsByStatus } from './tripService.js';
+import { lockTripItineraries } from './itineraryService.js';
+
+// Hooks por estado de destino ('*' = cualquier cambio).
+const hooks = new Map();
+
+// Registra un hook: handler({ trip, from, to, source }) se ejecuta después
+// de cada cambio a "status". Devuelve una función para quitarlo.
+export function onTripStatusChange(status, handler) {
+  if (!hooks.has(status)) hooks.set(status, []);
+  hooks.get(status).push(handler);
+
+  return () => {
+    hooks.set(status, (hooks.get(status) || []).filter((h) => h !== handler));
+  };
+}
+
+// Ejecuta los hooks del estado nuevo (y los de '*'), uno por uno.
+async function runStatusHooks(event) {
+  const handlers = [...(hooks.get(event.to) || []), ...(hooks.get('*') || [])];
+
+  for (const handler of handlers) {
+    try {
+      await handler(event);
+    } catch (err) {
+      console.error(
+        `[TripStatus] Falló un hook de ${event.from} -> ${event.to} (trip ${event.trip.id}):`,
+        err
+      );
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// changeTripStatus(tripId, to, { by, source, reason, fields })
+// -----------------------------------------------------------------------------
+// Cambia el estado si la transición está permitida.
+// source: 'user' (PATCH del trip) o 'scheduler' (job por fechas).
+// fields: otros campos del PATCH, guardados junto con el estado (los hooks
+// corren después, con el trip ya actualizado).
+// Devuelve:
+//  - { ok: true, trip, from }
+//  - { ok: false, errorCode: 'NOT_FOUND' }
+//  - { ok: false, errorCode: 'INVALID_STATUS_TRANSITION', from }
+//
+export async function changeTripStatus(
+  tripId,
+  to,
+  { by = null, source = 'user', reason = null, fields = null } = {}
+) {
+  const result = await updateTripStatus(tripId, to, {
+    by,
+    source,
+    reason,
+    fields,
+    isAllowed: canTransitionTripStatus
+  });
+
+  if (!result) {
+    return { ok: false, errorCode: 'NOT_FOUND' };
+  }
+
+  if (!result.ok) {
+    return { ok: false, errorCode: 'INVALID_STATUS_TRANSITION', from: result.from };
+  }
+
+  await runStatusHooks({ trip: result.trip, from: result.from, to, source });
+
+  return { ok: true, trip: result.trip, from: result.from };
+}
+
+// -----------------------------------------------------------------------------
+// scheduledTripStatuses(trip, today)
+// -----------------------------------------------------------------------------
+// Estados por los que tiene que pasar un trip según sus fechas, en orden.
+// "today" es "YYYY-MM-DD". Solo avanzan los viajes confirmados: los
+// borradores y los cancelados no se tocan.
+//  - planned con startDate <= hoy           -> ['in_progress']
+//  - planned con endDate < hoy              -> ['in_progress', 'completed']
+//  - in_progress con endDate < hoy          -> ['completed']
+//
+export function scheduledTripStatuses(trip, today) {
+  const start = String(trip.startDate || '').slice(0, 10);
+  const end = String(trip.endDate || '').slice(0, 10);
+  if (!start || !end) return [];
+
+  const steps = [];
+  let status = trip.status;
+
+  if (status === 'planned' && start <= today) {
+    steps.push('in_progress');
+    status = 'in_progress';
+  }
+
+  if (status === 'in_progress' && end < today) {
+    steps.push('completed');
+  }
+
+  return steps;
+}
+
+// -----------------------------------------------------------------------------
+// runTripStatusScheduler({ now })
+// -----------------------------------------------------------------------------
+// Revisa los viajes planned / in_progress y los avanza según sus fechas.
+// Devuelve { checked, changed: [{ tripId, from, to }], failed }.
+//
+export async function runTripStatusScheduler({ now = new Date() } = {}) {
+  const today = now.toISOString().slice(0, 10);
+  const trips = await listTripsByStatus(['planned', 'in_progress']);
+
+  const changed = [];
+  let failed = 0;
+
+  for (const trip of trips) {
+    for (const to of scheduledTripStatuses(trip, today)) {
+      const result = await changeTripStatus(trip.id, to, {
+        source: 'scheduler',
+        reason: 'DATES'
+      });
+
+      if (!result.ok) {
+        // Otro cambio se adelantó (por ejemplo, lo cancelaron a mano).
+        failed += 1;
+        break;
+      }
+
+      changed.push({ tripId: trip.id, from: result.from, to });
+    }
+  }
+
+  return { checked: trips.length, changed, failed };
+}
+
+// -----------------------------------------------------------------------------
+// startTripStatusScheduler({ intervalMinutes })
+// -----------------------------------------------------------------------------
+// Corre el job al arrancar y después cada "intervalMinutes". Devuelve una
+// función para detenerlo. El timer no mantiene vivo el proceso.
+//
+export function startTripStatusScheduler({ intervalMinutes = 60 } = {}) {
+  const run = async () => {
+    try {
+      const result = await runTripStatusScheduler();
+      if (result.changed.length > 0) {
+        console.log(
+          `[TripStatus] ${result.changed.length} cambios de estado (${result.checked} viajes revisados).`
+        );
+      }
+    } catch (err) {
+      console.error('[TripStatus] Error en el job de estados:', err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// -----------------------------------------------------------------------------
+// Hooks por defecto
+// -----------------------------------------------------------------------------
+
+// Al completarse el viaje, sus itinerarios quedan de solo lectura.
+onTripStatusChange('completed', async ({ trip }) => {
+  await lockTripItineraries(trip.id, 'TRIP_COMPLETED');
+});
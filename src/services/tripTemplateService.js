@@ -0,0 +1,84 @@
+// src/services/tripTemplateService.js
+// -----------------------------------
+// Acceso a Firestore para las plantillas de viaje ("tripTemplates").
+//
+// La sanitización del trip y del itinerario (sin fechas ni datos
+// personales) se hace antes, con buildTemplatePlan (utils/tripCloning.js).
+
+import { db } from '../config/firebase.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { foldText, tokenize } from '../utils/text.js';
+
+const COL = 'tripTemplates';
+
+// CREATE
+export async function createTripTemplate(data) {
+  const now = new Date().toISOString();
+  const docRef = db.collection(COL).doc();
+
+  const payload = {
+    title: data.title,
+    description: data.description || null,
+    tags: data.tags || [],
+    authorId: data.authorId,
+    authorName: data.authorName || null,
+    sourceTripId: data.sourceTripId,
+    sourceItineraryId: data.sourceItineraryId,
+    durationDays: data.durationDays,
+    currency: data.currency || null,
+    interests: data.interests || [],
+    legs: data.legs || [],
+    destinationIds: data.destinationIds || [],
+    data: data.data,
+    usageCount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await docRef.set(payload);
+  return { id: docRef.id, ...payload };
+}
+
+// READ by ID
+export async function getTripTemplateById(id) {
+  const snap = await db.collection(COL).doc(id).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+// LIST: plantillas más nuevas primero. Filtros opcionales (en memoria,
+// la colección es chica): destinationId, tag, authorId y q (todas las
+// palabras tienen que aparecer en el título, la descripción o los tags,
+// sin importar acentos ni mayúsculas).
+export async function listTripTemplates({ destinationId, tag, authorId, q, limit = 20 } = {}) {
+  const snap = await db.collection(COL).orderBy('createdAt', 'desc').get();
+  const words = tokenize(q);
+
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((t) => !destinationId || (t.destinationIds || []).includes(destinationId))
+    .filter((t) => !tag || (t.tags || []).some((value) => foldText(value) === foldText(tag)))
+    .filter((t) => !authorId || t.authorId === authorId)
+    .filter((t) => {
+      if (!words.length) return true;
+      const text = tokenize([t.title, t.description, ...(t.tags || [])].join(' '));
+      return words.every((w) => text.includes(w));
+    })
+    .slice(0, limit);
+}
+
+// Suma un uso (cada vez que alguien crea un viaje desde la plantilla).
+export async function registerTripTemplateUse(id) {
+  await db.collection(COL).doc(id).update({
+    usageCount: FieldValue.increment(1)
+  });
+}
+
+// DELETE
+export async function deleteTripTemplate(id) {
+  const ref = db.collection(COL).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  await ref.delete();
+  return true;
+}
@@ -48,8 +48,8 @@ export async function getUserById(id) {
 }
 
 // Crea un nuevo usuario asegurándose de que el email sea único.
-// Recibe un objeto con { email, password, name, role, avatarUrl }.
-export async function createUser({ email, password, name, role, avatarUrl }) {
+// Recibe un objeto con { email, password, name, role, avatarUrl, homeCurrency }.
+export async function createUser({ email, password, name, role, avatarUrl, homeCurrency }) {
   // Verificamos si ya existe un usuario con ese email.
   const existing = await findUserByEmail(email);
   if (existing) {
@@ -75,6 +75,7 @@ export async function createUser({ email, password, name, role, avatarUrl }) {
     name,                            // nombre del usuario
     role: role || 'user',            // rol (por defecto "user")
     avatarUrl: avatarUrl || null,    // URL de avatar (opcional)
+    homeCurrency: homeCurrency || null, // moneda de origen (ISO 4217, opcional)
     createdAt: now,                  // fecha de creación
     updatedAt: now                   // fecha de última actualización
   };
@@ -106,3 +107,22 @@ export async function validateCredentials(email, password) {
   // para que la capa superior pueda generar el token, etc.
   return user;
 }
+
+// Actualiza las preferencias del usuario (por ahora, la moneda de origen).
+// Devuelve el usuario actualizado o null si no existe.
+export async function updateUserPreferences(id, { homeCurrency }) {
+  const ref = db.collection(USERS_COL).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  await ref.set(
+    {
+      homeCurrency: homeCurrency || null,
+      updatedAt: new Date().toISOString()
+    },
+    { merge: true }
+  );
+
+  const updated = await ref.get();
+  return { id: updated.id, ...updated.data() };
+}
@@ -0,0 +1,177 @@
+// src/utils/catalogImport.js
+// --------------------------
+// Lectura de archivos para la importación masiva del catálogo (destinos y
+// actividades). Convierte el contenido del archivo en una lista de filas
+// "crudas", listas para validar con los esquemas de models/catalogImportModel.js.
+//
+// Formatos soportados:
+//  - csv:     primera línea con los nombres de columna (ver utils/csv.js).
+//  - json:    array de objetos, o { items: [...] }.
+//  - geojson: FeatureCollection. Cada Feature es una fila: sus "properties"
+//             son los campos y, si la geometría es un Point, de ahí salen
+//             las coordenadas ([lng, lat]).
+//
+// Como CSV es plano, las columnas se pueden escribir así:
+//  - "lat" y "lng" (o "coords.lat" y "coords.lng") para las coordenadas.
+//  - "priceEstimates.low", "priceEstimates.high"... para objetos anidados.
+//  - "tags" e "images" con los valores separados por "|".
+// Las celdas vacías se toman como campo ausente.
+
+import { parseCsv } from './csv.js';
+
+export const IMPORT_FORMATS = ['csv', 'json', 'geojson'];
+
+// Máximo de filas por importación.
+export const MAX_IMPORT_ROWS = 5000;
+
+// Campos que en CSV vienen como lista separada por "|".
+const LIST_FIELDS = ['tags', 'images'];
+
+// Campos numéricos que en CSV llegan como texto.
+const NUMERIC_FIELDS = [
+  'coords.lat',
+  'coords.lng',
+  'priceEstimates.free',
+  'priceEstimates.low',
+  'priceEstimates.medium',
+  'priceEstimates.high'
+];
+
+// Formato según la extensión del archivo ("destinos.csv" -> "csv").
+// Devuelve null si no se reconoce.
+export function detectImportFormat(filename) {
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ext === 'csv') return 'csv';
+  if (ext === 'geojson') return 'geojson';
+  if (ext === 'json') return 'json';
+  return null;
+}
+
+// Lee un valor anidado con un camino "a.b".
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+// Escribe un valor anidado con un camino "a.b".
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let target = obj;
+  keys.slice(0, -1).forEach((key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+// -----------------------------------------------------------------------------
+// normalizeImportRow(raw)
+// -----------------------------------------------------------------------------
+// Lleva una fila cruda a la forma de los esquemas de creación: quita
+// celdas vacías, arma objetos con las columnas "a.b", mueve lat/lng a
+// coords, separa listas y pasa a número los campos numéricos. Lo que no se
+// puede convertir queda como está y lo rechaza la validación.
+//
+export function normalizeImportRow(raw) {
+  const row = {};
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+
+  for (const [key, value] of Object.entries(source)) {
+    if (value === '' || value === null || value === undefined) continue;
+    setPath(row, key.trim(), typeof value === 'string' ? value.trim() : value);
+  }
+
+  for (const axis of ['lat', 'lng']) {
+    if (row[axis] !== undefined) {
+      setPath(row, `coords.${axis}`, row[axis]);
+      delete row[axis];
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (typeof row[field] === 'string') {
+      row[field] = row[field].split('|').map((v) => v.trim()).filter(Boolean);
+    }
+  }
+
+  for (const path of NUMERIC_FIELDS) {
+    const value = getPath(row, path);
+    if (typeof value === 'string' && value !== '' && Number.isFinite(Number(value))) {
+      setPath(row, path, Number(value));
+    }
+  }
+
+  // Los externalId numéricos (ej: de una planilla) se guardan como texto.
+  for (const field of ['externalId', 'destinationExternalId']) {
+    if (typeof row[field] === 'number') row[field] = String(row[field]);
+  }
+
+  return row;
+}
+
+// Filas de un GeoJSON: properties + coordenadas del Point (si hay).
+function geojsonRows(data) {
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) return null;
+
+  return data.features.map((feature) => {
+    const row = { ...(feature?.properties || {}) };
+    const geometry = feature?.geometry;
+
+    if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const [lng, lat] = geometry.coordinates;
+      row.coords = { lat, lng };
+    }
+
+    return row;
+  });
+}
+
+// -----------------------------------------------------------------------------
+// parseImportFile(content, format)
+// -----------------------------------------------------------------------------
+// "content" es el texto del archivo (o, para json / geojson, el objeto ya
+// parseado). Devuelve { rows: [{ row, data }] } con las filas
+// normalizadas y numeradas desde 1 (sin contar el encabezado del CSV), o
+// { error, message } si el archivo no se puede leer:
+//  - INVALID_IMPORT_FORMAT: formato no soportado.
+//  - INVALID_IMPORT_FILE:   no es un CSV / JSON / GeoJSON válido.
+//  - TOO_MANY_ROWS:         más de MAX_IMPORT_ROWS filas.
+//
+export function parseImportFile(content, format) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: 'INVALID_IMPORT_FORMAT', message: `Formatos válidos: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  let rawRows;
+
+  if (format === 'csv') {
+    rawRows = parseCsv(content);
+  } else {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ''));
+      } catch (err) {
+        return { error: 'INVALID_IMPORT_FILE', message: err.message };
+      }
+    }
+
+    rawRows = format === 'geojson' ? geojsonRows(data) : Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(rawRows)) {
+      return {
+        error: 'INVALID_IMPORT_FILE',
+        message:
+          format === 'geojson'
+            ? 'Se esperaba un FeatureCollection'
+            : 'Se esperaba un array de objetos o { items: [...] }'
+      };
+    }
+  }
+
+  if (rawRows.length > MAX_IMPORT_ROWS) {
+    return { error: 'TOO_MANY_ROWS', message: `Máximo ${MAX_IMPORT_ROWS} filas por importación` };
+  }
+
+  return {
+    rows: rawRows.map((raw, i) => ({ row: i + 1, data: normalizeImportRow(raw) }))
+  };
+}
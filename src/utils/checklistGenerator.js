@@ -0,0 +1,100 @@
+// src/utils/checklistGenerator.js
+// -------------------------------
+// Sugerencias para arrancar las checklists de un viaje: qué llevar en la
+// valija ("packing") y qué dejar resuelto antes de salir ("pre_trip").
+//
+// Las reglas viven en src/data/packingRules.json, así se pueden ajustar sin
+// tocar código. Para cada tipo de checklist hay:
+//  - always:    ítems que van en cualquier viaje.
+//  - perDay:    ítems que dependen de la duración: 1 cada "everyDays" días,
+//               con un máximo de "max" (ej. remeras).
+//  - length:    [{ minDays, items }] ítems extra para viajes largos.
+//  - tags:      { tag: items } según los tags de los destinos ("nieve", "playa").
+//  - interests: { interés: items } según trip.interests.
+//
+// Cada ítem de regla es { label, category, quantity? }. Los tags y los
+// intereses se comparan sin acentos ni mayúsculas (foldText).
+//
+// No usa Firestore: recibe los destinos ya cargados.
+
+import { readFileSync } from 'node:fs';
+import { foldText } from './text.js';
+import { daysBetween } from './tripCloning.js';
+
+// Reglas por defecto, leídas una sola vez al importar el módulo.
+export const CHECKLIST_RULES = JSON.parse(
+  readFileSync(new URL('../data/packingRules.json', import.meta.url), 'utf8')
+);
+
+// Duración del viaje en días (inclusive). Si faltan fechas, 1.
+export function tripLengthDays(trip) {
+  const diff = daysBetween(trip?.startDate, trip?.endDate);
+  return diff !== null && diff >= 0 ? diff + 1 : 1;
+}
+
+// Busca en un mapa { clave: items } las claves que coinciden con "values"
+// (sin acentos). Devuelve [{ key, items }].
+function matchKeyed(map, values) {
+  const wanted = new Set(values.map(foldText).filter(Boolean));
+  return Object.entries(map || {})
+    .filter(([key]) => wanted.has(foldText(key)))
+    .map(([key, items]) => ({ key, items }));
+}
+
+// -----------------------------------------------------------------------------
+// generateChecklistItems({ kind, trip, destinations, rules })
+// -----------------------------------------------------------------------------
+// Devuelve la lista sugerida: [{ label, category, quantity, reason }].
+// "reason" explica de dónde salió el ítem ("Destino: nieve", "Interés:
+// fotografía", "Viaje de 7 días"...). Si dos reglas sugieren el mismo ítem,
+// queda uno solo con la cantidad mayor y el primer motivo.
+//
+export function generateChecklistItems({
+  kind = 'packing',
+  trip,
+  destinations = [],
+  rules = CHECKLIST_RULES
+}) {
+  const set = rules[kind === 'pre_trip' ? 'preTrip' : 'packing'] || {};
+  const days = tripLengthDays(trip);
+  const tags = destinations.flatMap((d) => d?.tags || []);
+  const interests = trip?.interests || [];
+
+  const byLabel = new Map();
+  const add = (item, reason, quantity = item.quantity || 1) => {
+    const key = foldText(item.label);
+    const existing = byLabel.get(key);
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, quantity);
+      return;
+    }
+    byLabel.set(key, {
+      label: item.label,
+      category: item.category || 'other',
+      quantity,
+      reason
+    });
+  };
+
+  (set.always || []).forEach((item) => add(item, 'Básico'));
+
+  for (const item of set.perDay || []) {
+    const quantity = Math.min(Math.ceil(days / (item.everyDays || 1)), item.max || days);
+    add(item, `Viaje de ${days} día${days === 1 ? '' : 's'}`, quantity);
+  }
+
+  for (const group of set.length || []) {
+    if (days < group.minDays) continue;
+    group.items.forEach((item) => add(item, `Viaje de ${group.minDays} días o más`));
+  }
+
+  for (const { key, items } of matchKeyed(set.tags, tags)) {
+    items.forEach((item) => add(item, `Destino: ${key}`));
+  }
+
+  for (const { key, items } of matchKeyed(set.interests, interests)) {
+    items.forEach((item) => add(item, `Interés: ${key}`));
+  }
+
+  return [...byLabel.values()];
+}
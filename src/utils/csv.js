@@ -0,0 +1,73 @@
+// src/utils/csv.js
+// ----------------
+// Lectura de archivos CSV. La usan los importadores (catálogo y
+// cotizaciones), así todos entienden el mismo formato:
+//  - Primera línea con los nombres de columna.
+//  - Separador "," o ";" (se detecta en el encabezado).
+//  - Valores entre comillas dobles si contienen el separador o saltos de
+//    línea; "" dentro de las comillas es una comilla.
+//  - Fin de línea \n o \r\n. Se ignora el BOM inicial.
+
+// -----------------------------------------------------------------------------
+// parseCsv(text)
+// -----------------------------------------------------------------------------
+// Devuelve un array de objetos { columna: valor } (todo como texto, sin
+// recortar), uno por línea de datos. Las líneas vacías se ignoran.
+// Con skipComments, también las que empiezan con "#".
+//
+export function parseCsv(text, { skipComments = false } = {}) {
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  // Separador: el que más aparece en la primera línea.
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  record.push(field);
+  records.push(record);
+
+  const nonEmpty = records.filter(
+    (r) =>
+      r.some((value) => value.trim() !== '') &&
+      !(skipComments && r[0].trimStart().startsWith('#'))
+  );
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map((h) => h.trim());
+  return nonEmpty.slice(1).map((values) =>
+    Object.fromEntries(headers.map((h, i) => [h, values[i] ?? '']).filter(([h]) => h))
+  );
+}
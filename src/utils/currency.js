@@ -0,0 +1,183 @@
+// src/utils/currency.js
+// ---------------------
+// Monedas y conversión con la tabla de cotizaciones offline
+// (colección "exchangeRates", ver exchangeRateService).
+//
+// No usa Firestore: recibe las cotizaciones ya cargadas, así se puede
+// convertir muchos montos (gastos, bloques del itinerario) sin repetir
+// consultas.
+
+// Moneda de los viajes que no la indican. Se configura con la variable de
+// entorno DEFAULT_CURRENCY; si no está, pesos argentinos (la moneda en la
+// que se cargaron los presupuestos antes de que los viajes tuvieran
+// moneda). Para no depender de este valor, el script currency:backfill
+// guarda la moneda en los viajes y gastos que no la tienen.
+export const DEFAULT_CURRENCY = normalizeCurrency(process.env.DEFAULT_CURRENCY) || 'ARS';
+
+// Código ISO 4217 válido ("USD", "ars"...) normalizado a mayúsculas, o
+// null si no lo es.
+export function normalizeCurrency(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z]{3}$/.test(value.trim())) return null;
+  return value.trim().toUpperCase();
+}
+
+// Moneda efectiva de un trip.
+export function tripCurrency(trip) {
+  return normalizeCurrency(trip?.currency) || DEFAULT_CURRENCY;
+}
+
+// Redondeo a 2 decimales para montos convertidos.
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// -----------------------------------------------------------------------------
+// createCurrencyConverter(rates)
+// -----------------------------------------------------------------------------
+// rates: [{ base, quote, rate, effectiveDate }], donde 1 base = rate quote.
+//
+// Devuelve { rateFor, convert }:
+//  - rateFor(from, to, date) -> { rate, effectiveDate } o null
+//  - convert(amount, from, to, date) -> { amount, rate, effectiveDate } o null
+//
+// Para cada par se usa la cotización vigente en "date" (la última con
+// effectiveDate <= date). Si la fecha es anterior a todas las cargadas, se
+// usa la más vieja; la respuesta siempre dice qué fecha se usó. Sin fecha,
+// la más reciente.
+//
+// Si no hay cotización del par (directa o inversa), se prueba un cruce a
+// través de una tercera moneda (ARS -> USD -> EUR).
+//
+export function createCurrencyConverter(rates = []) {
+  // Cotizaciones por par "BASE:QUOTE", ordenadas por fecha.
+  const byPair = new Map();
+  const add = (base, quote, rate, effectiveDate) => {
+    const key = `${base}:${quote}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push({ rate, effectiveDate });
+  };
+
+  for (const r of rates) {
+    const base = normalizeCurrency(r.base);
+    const quote = normalizeCurrency(r.quote);
+    if (!base || !quote || base === quote || !(r.rate > 0)) continue;
+
+    // Guardamos también la inversa, así "1 USD = 1000 ARS" sirve para
+    // convertir en los dos sentidos.
+    add(base, quote, r.rate, r.effectiveDate);
+    add(quote, base, 1 / r.rate, r.effectiveDate);
+  }
+
+  for (const list of byPair.values()) {
+    list.sort((a, b) => String(a.effectiveDate).localeCompare(String(b.effectiveDate)));
+  }
+
+  // Cotización vigente de un par en la fecha pedida.
+  const pick = (from, to, date) => {
+    const list = byPair.get(`${from}:${to}`);
+    if (!list?.length) return null;
+    if (!date) return list[list.length - 1];
+
+    const day = String(date).slice(0, 10);
+    let found = null;
+    for (const entry of list) {
+      if (entry.effectiveDate <= day) found = entry;
+    }
+    return found || list[0];
+  };
+
+  // Monedas con las que "from" tiene alguna cotización (para los cruces).
+  const neighbours = (from) => [...byPair.keys()]
+    .filter((key) => key.startsWith(`${from}:`))
+    .map((key) => key.slice(4));
+
+  function rateFor(fromValue, toValue, date) {
+    const from = normalizeCurrency(fromValue);
+    const to = normalizeCurrency(toValue);
+    if (!from || !to) return null;
+    if (from === to) return { rate: 1, effectiveDate: null };
+
+    const direct = pick(from, to, date);
+    if (direct) return { rate: direct.rate, effectiveDate: direct.effectiveDate };
+
+    for (const via of neighbours(from)) {
+      const first = pick(from, via, date);
+      const second = pick(via, to, date);
+      if (first && second) {
+        return {
+          rate: first.rate * second.rate,
+          // La más vieja de las dos: el cruce es tan "fresco" como su
+          // cotización más antigua.
+          effectiveDate: first.effectiveDate < second.effectiveDate
+            ? first.effectiveDate
+            : second.effectiveDate
+        };
+      }
+    }
+
+    return null;
+  }
+
+  function convert(amount, from, to, date) {
+    if (typeof amount !== 'number') return null;
+    const found = rateFor(from, to, date);
+    if (!found) return null;
+    return { amount: roundMoney(amount * found.rate), ...found };
+  }
+
+  return { rateFor, convert };
+}
+
+// -----------------------------------------------------------------------------
+// resolveTargetCurrency(value, user)
+// -----------------------------------------------------------------------------
+// Interpreta el parámetro ?convertTo= de los endpoints que convierten montos:
+//  - sin valor            -> null (no se pidió conversión)
+//  - "home"               -> la moneda de origen del usuario (user.homeCurrency)
+//  - código ISO ("usd")   -> ese código
+// Si no se puede resolver devuelve { error } con el código de error de la API.
+//
+export function resolveTargetCurrency(value, user) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (String(value).toLowerCase() === 'home') {
+    const home = normalizeCurrency(user?.homeCurrency);
+    return home ? { currency: home } : { error: 'HOME_CURRENCY_NOT_SET' };
+  }
+
+  const currency = normalizeCurrency(value);
+  return currency ? { currency } : { error: 'INVALID_CURRENCY' };
+}
+
+// -----------------------------------------------------------------------------
+// scaleItineraryCosts(data, rate)
+// -----------------------------------------------------------------------------
+// Costos de un itinerario (bloques, días y budgetSummary) multiplicados por
+// una cotización. Devuelve solo los montos, no el itinerario completo:
+//   { budgetSummary, days: [{ day, plannedSpend, periods: [{ estimatedCost }] }] }
+//
+export function scaleItineraryCosts(data, rate) {
+  const scale = (value) => (typeof value === 'number' ? roundMoney(value * rate) : null);
+  const summary = data?.budgetSummary || null;
+
+  return {
+    budgetSummary: summary
+      ? {
+          budget: scale(summary.budget),
+          plannedTotal: scale(summary.plannedTotal),
+          remaining: scale(summary.remaining),
+          withinBudget: summary.withinBudget ?? null,
+          dailyBudget: scale(summary.dailyBudget),
+          perDay: (summary.perDay || []).map((d) => ({
+            day: d.day,
+            date: d.date,
+            planned: scale(d.planned),
+            budget: scale(d.budget)
+          }))
+        }
+      : null,
+    days: (data?.days || []).map((d) => ({
+      day: d.day,
+      plannedSpend: scale(d.plannedSpend),
+      periods: (d.periods || []).map((p) => ({ estimatedCost: scale(p.estimatedCost) }))
+    }))
+  };
+}
@@ -0,0 +1,182 @@
+// src/utils/expenseLedger.js
+// --------------------------
+// Cuentas de los gastos de un viaje: repartos, resúmenes y saldos
+// ("quién le debe a quién").
+//
+// Todo se calcula en centavos (enteros) para no arrastrar errores de
+// redondeo, y se devuelve en unidades con 2 decimales.
+//
+// No usa Firestore: recibe los gastos ya cargados. Las funciones de
+// resumen esperan gastos en UNA sola moneda (el controller los agrupa).
+
+// Unidades <-> centavos.
+const toCents = (value) => Math.round((Number(value) || 0) * 100);
+const fromCents = (cents) => Math.round(cents) / 100;
+
+// -----------------------------------------------------------------------------
+// resolveExpenseSplit(amount, participants)
+// -----------------------------------------------------------------------------
+// Completa los montos del reparto. Si los participantes no traen "amount",
+// se divide en partes iguales; los centavos que sobran se asignan a los
+// primeros para que la suma dé exacto. Devuelve [{ userId, amount }].
+//
+export function resolveExpenseSplit(amount, participants) {
+  const list = participants || [];
+  if (!list.length) return [];
+
+  if (list.every((p) => typeof p.amount === 'number')) {
+    return list.map((p) => ({ userId: p.userId, amount: fromCents(toCents(p.amount)) }));
+  }
+
+  const totalCents = toCents(amount);
+  const base = Math.floor(totalCents / list.length);
+  const remainder = totalCents - base * list.length;
+
+  return list.map((p, idx) => ({
+    userId: p.userId,
+    amount: fromCents(base + (idx < remainder ? 1 : 0))
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// rescaleSplit(splitAmong, amount)
+// -----------------------------------------------------------------------------
+// Lleva un reparto ya resuelto a un nuevo total (por ejemplo, al convertir
+// el gasto a otra moneda), manteniendo las proporciones. Los centavos que
+// sobran del redondeo se asignan a los primeros para que la suma dé exacto.
+//
+export function rescaleSplit(splitAmong, amount) {
+  const list = splitAmong || [];
+  const oldCents = list.reduce((acc, p) => acc + toCents(p.amount), 0);
+  if (!list.length || oldCents <= 0) {
+    return resolveExpenseSplit(amount, list.map((p) => ({ userId: p.userId })));
+  }
+
+  const totalCents = toCents(amount);
+  const cents = list.map((p) => Math.floor((toCents(p.amount) * totalCents) / oldCents));
+  let remainder = totalCents - cents.reduce((acc, c) => acc + c, 0);
+  for (let idx = 0; remainder > 0; idx = (idx + 1) % cents.length, remainder -= 1) {
+    cents[idx] += 1;
+  }
+
+  return list.map((p, idx) => ({ userId: p.userId, amount: fromCents(cents[idx]) }));
+}
+
+// Suma en centavos por clave.
+function sumBy(expenses, keyOf) {
+  const totals = new Map();
+  for (const e of expenses) {
+    const key = keyOf(e);
+    totals.set(key, (totals.get(key) || 0) + toCents(e.amount));
+  }
+  return totals;
+}
+
+// -----------------------------------------------------------------------------
+// summarizeExpenses(expenses, { budget })
+// -----------------------------------------------------------------------------
+// Devuelve:
+//  - total, count
+//  - budget, remaining, usedPercent (si se pasa presupuesto; si no, null)
+//  - byCategory: [{ category, total, count }] (de mayor a menor)
+//  - byDay: [{ date, total, count }] (en orden de fecha)
+//
+export function summarizeExpenses(expenses, { budget = null } = {}) {
+  const totalCents = expenses.reduce((acc, e) => acc + toCents(e.amount), 0);
+  const hasBudget = typeof budget === 'number' && budget >= 0;
+
+  const countBy = (keyOf) => {
+    const counts = new Map();
+    for (const e of expenses) counts.set(keyOf(e), (counts.get(keyOf(e)) || 0) + 1);
+    return counts;
+  };
+
+  const categoryTotals = sumBy(expenses, (e) => e.category || 'other');
+  const categoryCounts = countBy((e) => e.category || 'other');
+  const dayTotals = sumBy(expenses, (e) => e.date);
+  const dayCounts = countBy((e) => e.date);
+
+  return {
+    total: fromCents(totalCents),
+    count: expenses.length,
+    budget: hasBudget ? budget : null,
+    remaining: hasBudget ? fromCents(toCents(budget) - totalCents) : null,
+    usedPercent: hasBudget && budget > 0
+      ? Math.round((totalCents / toCents(budget)) * 1000) / 10
+      : null,
+    byCategory: [...categoryTotals.entries()]
+      .map(([category, cents]) => ({
+        category,
+        total: fromCents(cents),
+        count: categoryCounts.get(category)
+      }))
+      .sort((a, b) => b.total - a.total),
+    byDay: [...dayTotals.entries()]
+      .map(([date, cents]) => ({ date, total: fromCents(cents), count: dayCounts.get(date) }))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+  };
+}
+
+// -----------------------------------------------------------------------------
+// computeBalances(expenses)
+// -----------------------------------------------------------------------------
+// Saldo de cada persona: lo que pagó menos lo que le corresponde.
+// net > 0: le deben; net < 0: debe.
+// Devuelve { balances: [{ userId, paid, share, net }], settlements }, donde
+// settlements es una lista corta de pagos para quedar a mano (a lo sumo
+// una transferencia menos que la cantidad de personas con saldo):
+// [{ from, to, amount }].
+//
+export function computeBalances(expenses) {
+  const paid = new Map();
+  const share = new Map();
+  const add = (map, userId, cents) => map.set(userId, (map.get(userId) || 0) + cents);
+
+  for (const e of expenses) {
+    add(paid, e.paidBy, toCents(e.amount));
+    for (const p of resolveExpenseSplit(e.amount, e.splitAmong)) {
+      add(share, p.userId, toCents(p.amount));
+    }
+  }
+
+  const userIds = [...new Set([...paid.keys(), ...share.keys()])];
+  const balances = userIds
+    .map((userId) => {
+      const paidCents = paid.get(userId) || 0;
+      const shareCents = share.get(userId) || 0;
+      return {
+        userId,
+        paid: fromCents(paidCents),
+        share: fromCents(shareCents),
+        net: fromCents(paidCents - shareCents),
+        netCents: paidCents - shareCents
+      };
+    })
+    .sort((a, b) => b.netCents - a.netCents);
+
+  // Emparejamos a quien más debe con quien más le deben, hasta cancelar.
+  const creditors = balances.filter((b) => b.netCents > 0).map((b) => ({ ...b }));
+  const debtors = balances
+    .filter((b) => b.netCents < 0)
+    .map((b) => ({ ...b, netCents: -b.netCents }))
+    .sort((a, b) => b.netCents - a.netCents);
+  const settlements = [];
+
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const cents = Math.min(debtors[i].netCents, creditors[j].netCents);
+    if (cents > 0) {
+      settlements.push({ from: debtors[i].userId, to: creditors[j].userId, amount: fromCents(cents) });
+    }
+    debtors[i].netCents -= cents;
+    creditors[j].netCents -= cents;
+    if (debtors[i].netCents === 0) i += 1;
+    if (creditors[j].netCents === 0) j += 1;
+  }
+
+  return {
+    balances: balances.map((b) => ({ userId: b.userId, paid: b.paid, share: b.share, net: b.net })),
+    settlements
+  };
+}
@@ -0,0 +1,361 @@
+// src/utils/geo.js
+// ----------------
+// Utilidades geográficas puras (sin Firestore) que usa el motor de reglas
+// de itinerarios para agrupar actividades cercanas y ordenar los recorridos,
+// y los geohash de las búsquedas por cercanía (?near=lat,lng).
+//
+// Todas las funciones trabajan con objetos { lat, lng } en grados decimales,
+// que es el mismo formato del campo "coords" de destinos y actividades.
+
+// Radio medio de la Tierra en kilómetros.
+const EARTH_RADIUS_KM = 6371;
+
+// Convierte grados a radianes.
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// ---------------------------------------------------------------------------
+// hasCoords(item)
+// ---------------------------------------------------------------------------
+// Indica si un objeto (actividad, destino...) tiene coordenadas válidas.
+// ---------------------------------------------------------------------------
+export function hasCoords(item) {
+  return (
+    !!item &&
+    !!item.coords &&
+    typeof item.coords.lat === 'number' &&
+    typeof item.coords.lng === 'number'
+  );
+}
+
+// ---------------------------------------------------------------------------
+// haversineKm(a, b)
+// ---------------------------------------------------------------------------
+// Distancia en línea recta (sobre la esfera terrestre) entre dos puntos,
+// expresada en kilómetros.
+// ---------------------------------------------------------------------------
+export function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// ---------------------------------------------------------------------------
+// routeDistanceKm(points)
+// ---------------------------------------------------------------------------
+// Suma las distancias entre puntos consecutivos de un recorrido.
+// Los puntos sin coordenadas se ignoran (no cortan el recorrido).
+// ---------------------------------------------------------------------------
+export function routeDistanceKm(points) {
+  const valid = points.filter(
+    (p) => p && typeof p.lat === 'number' && typeof p.lng === 'number'
+  );
+
+  let total = 0;
+  for (let i = 1; i < valid.length; i++) {
+    total += haversineKm(valid[i - 1], valid[i]);
+  }
+  return total;
+}
+
+// ---------------------------------------------------------------------------
+// centroid(items)
+// ---------------------------------------------------------------------------
+// Punto medio (aproximado) de una lista de items con coords.
+// Devuelve null si ninguno tiene coordenadas.
+// ---------------------------------------------------------------------------
+export function centroid(items) {
+  const withCoords = items.filter(hasCoords);
+  if (!withCoords.length) return null;
+
+  const sum = withCoords.reduce(
+    (acc, it) => ({
+      lat: acc.lat + it.coords.lat,
+      lng: acc.lng + it.coords.lng
+    }),
+    { lat: 0, lng: 0 }
+  );
+
+  return {
+    lat: sum.lat / withCoords.length,
+    lng: sum.lng / withCoords.length
+  };
+}
+
+// ---------------------------------------------------------------------------
+// clusterByProximity(items, groupSize)
+// ---------------------------------------------------------------------------
+// Reparte los items con coordenadas en grupos de como máximo "groupSize"
+// elementos, intentando que cada grupo quede compacto.
+//
+// Estrategia (greedy, suficiente para decenas de actividades):
+//  1. Para cada item restante calculamos la suma de distancias a sus
+//     "groupSize - 1" vecinos más cercanos.
+//  2. Armamos el grupo alrededor del item con la suma más chica (la zona
+//     más densa), así los puntos aislados no "arrastran" a los demás.
+//  3. Repetimos hasta agotar los items.
+//
+// Los grupos se devuelven ordenados de forma que grupos vecinos queden
+// seguidos (cada grupo arranca cerca de donde terminó el anterior).
+// ---------------------------------------------------------------------------
+export function clusterByProximity(items, groupSize) {
+  const remaining = items.filter(hasCoords);
+  const groups = [];
+  const size = Math.max(1, groupSize);
+
+  while (remaining.length > 0) {
+    let bestGroup = null;
+    let bestSpread = Infinity;
+
+    remaining.forEach((seed) => {
+      const neighbors = remaining
+        .filter((it) => it !== seed)
+        .map((it) => ({ it, d: haversineKm(seed.coords, it.coords) }))
+        .sort((a, b) => a.d - b.d)
+        .slice(0, size - 1);
+
+      const spread = neighbors.reduce((acc, n) => acc + n.d, 0);
+      if (spread < bestSpread) {
+        bestSpread = spread;
+        bestGroup = [seed, ...neighbors.map((n) => n.it)];
+      }
+    });
+
+    bestGroup.forEach((it) => remaining.splice(remaining.indexOf(it), 1));
+    groups.push(bestGroup);
+  }
+
+  // Encadenamos los grupos por cercanía entre sus centros.
+  if (groups.length <= 2) return groups;
+
+  const ordered = [groups.shift()];
+  while (groups.length > 0) {
+    const last = centroid(ordered[ordered.length - 1]);
+    let bestIdx = 0;
+    let bestDist = Infinity;
+    groups.forEach((g, idx) => {
+      const d = haversineKm(last, centroid(g));
+      if (d < bestDist) {
+        bestDist = d;
+        bestIdx = idx;
+      }
+    });
+    ordered.push(groups.splice(bestIdx, 1)[0]);
+  }
+
+  return ordered;
+}
+
+// ---------------------------------------------------------------------------
+// shortestOrder(items)
+// ---------------------------------------------------------------------------
+// Devuelve los items en el orden que minimiza la distancia total del
+// recorrido (camino abierto, sin volver al inicio).
+//
+// Para grupos chicos (como los 3 bloques de un día) probamos todas las
+// permutaciones; para grupos grandes usamos vecino más cercano.
+// Los items sin coordenadas se dejan al final, en su orden original.
+// ---------------------------------------------------------------------------
+export function shortestOrder(items) {
+  const located = items.filter(hasCoords);
+  const unlocated = items.filter((it) => !hasCoords(it));
+
+  if (located.length <= 1) return [...located, ...unlocated];
+
+  const distanceOf = (order) => routeDistanceKm(order.map((it) => it.coords));
+
+  if (located.length <= 6) {
+    let best = located;
+    let bestDist = Infinity;
+    for (const perm of permutations(located)) {
+      const d = distanceOf(perm);
+      if (d < bestDist) {
+        bestDist = d;
+        best = perm;
+      }
+    }
+    return [...best, ...unlocated];
+  }
+
+  // Vecino más cercano desde el primer item.
+  const pending = [...located];
+  const order = [pending.shift()];
+  while (pending.length > 0) {
+    const last = order[order.length - 1];
+    let bestIdx = 0;
+    let bestDist = Infinity;
+    pending.forEach((it, idx) => {
+      const d = haversineKm(last.coords, it.coords);
+      if (d < bestDist) {
+        bestDist = d;
+        bestIdx = idx;
+      }
+    });
+    order.push(pending.splice(bestIdx, 1)[0]);
+  }
+  return [...order, ...unlocated];
+}
+
+// Generador de permutaciones (solo para listas cortas).
+function* permutations(list) {
+  if (list.length <= 1) {
+    yield list;
+    return;
+  }
+  for (let i = 0; i < list.length; i++) {
+    const rest = [...list.slice(0, i), ...list.slice(i + 1)];
+    for (const perm of permutations(rest)) {
+      yield [list[i], ...perm];
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GEOHASH
+// ---------------------------------------------------------------------------
+// Destinos y actividades guardan un campo "geohash" (calculado a partir de
+// coords) para poder pedirle a Firestore "lo que está cerca de acá" con
+// consultas por rango: los puntos cercanos comparten el prefijo del hash.
+//
+// Para buscar alrededor de un punto se toma la celda del centro y sus 8
+// vecinas, con una precisión cuyo tamaño de celda sea al menos el radio;
+// así el círculo queda cubierto. Los resultados de esas celdas se filtran
+// después por distancia real (haversineKm).
+// ---------------------------------------------------------------------------
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precisión que se guarda en los documentos (~5 m).
+export const GEOHASH_PRECISION = 9;
+
+// Kilómetros por grado de latitud.
+const KM_PER_DEGREE = 111.32;
+
+// Radio por defecto y máximo de ?near= (en km).
+export const DEFAULT_NEAR_RADIUS_KM = 5;
+export const MAX_NEAR_RADIUS_KM = 500;
+
+// ---------------------------------------------------------------------------
+// encodeGeohash(coords, precision)
+// ---------------------------------------------------------------------------
+// Geohash de un punto { lat, lng }, o null si no tiene coordenadas.
+// ---------------------------------------------------------------------------
+export function encodeGeohash(coords, precision = GEOHASH_PRECISION) {
+  if (!coords || typeof coords.lat !== 'number' || typeof coords.lng !== 'number') {
+    return null;
+  }
+
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true; // los bits pares son de longitud
+
+  while (hash.length < precision) {
+    const range = evenBit ? lng : lat;
+    const coord = evenBit ? coords.lng : coords.lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    bits += 1;
+
+    if (bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Tamaño en grados de una celda de geohash con "precision" caracteres.
+function geohashCellDegrees(precision) {
+  const totalBits = precision * 5;
+  const lngBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return { lat: 180 / 2 ** latBits, lng: 360 / 2 ** lngBits };
+}
+
+// ---------------------------------------------------------------------------
+// geohashQueryRanges(center, radiusKm)
+// ---------------------------------------------------------------------------
+// Rangos [desde, hasta] de geohash que cubren el círculo de "radiusKm"
+// alrededor de center. Cada rango se consulta con
+//   where('geohash', '>=', desde).where('geohash', '<=', hasta)
+// ---------------------------------------------------------------------------
+export function geohashQueryRanges(center, radiusKm) {
+  // La precisión más fina cuya celda mide al menos el radio en ambos ejes.
+  const cosLat = Math.max(Math.cos(toRadians(center.lat)), 0.01);
+  let precision = 1;
+  for (let p = GEOHASH_PRECISION; p >= 1; p--) {
+    const cell = geohashCellDegrees(p);
+    if (cell.lat * KM_PER_DEGREE >= radiusKm && cell.lng * KM_PER_DEGREE * cosLat >= radiusKm) {
+      precision = p;
+      break;
+    }
+  }
+
+  const cell = geohashCellDegrees(precision);
+  const hashes = new Set();
+
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const lat = Math.max(-90, Math.min(90, center.lat + dLat * cell.lat));
+      let lng = center.lng + dLng * cell.lng;
+      if (lng < -180) lng += 360;
+      if (lng >= 180) lng -= 360;
+      hashes.add(encodeGeohash({ lat, lng }, precision));
+    }
+  }
+
+  return [...hashes].sort().map((hash) => [hash, `${hash}~`]);
+}
+
+// ---------------------------------------------------------------------------
+// parseNearQuery(near, radiusKm)
+// ---------------------------------------------------------------------------
+// Interpreta los parámetros ?near=lat,lng&radiusKm= de los listados.
+// Devuelve null si no se pidió, { error } si no son válidos, o
+// { center: { lat, lng }, radiusKm }. Por defecto 5 km; máximo 500 km.
+// ---------------------------------------------------------------------------
+export function parseNearQuery(near, radiusKm) {
+  if (near === undefined || near === null || near === '') return null;
+
+  const parts = String(near).split(',').map((p) => Number(p.trim()));
+  const [lat, lng] = parts;
+  if (
+    parts.length !== 2 ||
+    !Number.isFinite(lat) || lat < -90 || lat > 90 ||
+    !Number.isFinite(lng) || lng < -180 || lng > 180
+  ) {
+    return { error: 'INVALID_NEAR' };
+  }
+
+  let radius = DEFAULT_NEAR_RADIUS_KM;
+  if (radiusKm !== undefined && radiusKm !== '') {
+    radius = Number(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEAR_RADIUS_KM) {
+      return { error: 'INVALID_RADIUS' };
+    }
+  }
+
+  return { center: { lat, lng }, radiusKm: radius };
+}
@@ -0,0 +1,195 @@
+// src/utils/geoExport.js
+// ----------------------
+// Exportación de los recorridos de un itinerario como datos geográficos,
+// para abrirlos en apps de mapas offline (OsmAnd, Maps.me, Organic Maps...).
+//
+// Formatos soportados:
+//  - gpx:     un <rte> por día, con un <rtept> por bloque.
+//  - kml:     una <Folder> por día, con un Placemark por bloque y otro con
+//             la línea del recorrido.
+//  - geojson: FeatureCollection con un Point por bloque y un LineString
+//             por día.
+//
+// Cada día es una ruta ordenada por sus bloques (en el orden del
+// itinerario) y cada punto se llama como el título del bloque. Solo entran
+// los bloques cuya actividad vinculada tiene coordenadas; los días sin
+// ningún punto se omiten.
+
+import { hasCoords } from './geo.js';
+
+export const GEO_EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// Escapa texto para XML (GPX y KML).
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Nombre de la ruta de un día: "Día 2 - 2025-07-16".
+function dayName(day) {
+  return [`Día ${day.day}`, day.date ? String(day.date).slice(0, 10) : null]
+    .filter(Boolean)
+    .join(' - ');
+}
+
+// -----------------------------------------------------------------------------
+// collectDayRoutes(itinerary, activities)
+// -----------------------------------------------------------------------------
+// Pasa el itinerario a una lista de rutas por día:
+//   [{ day, name, points: [{ name, description, lat, lng, timeOfDay, activityId }] }]
+//
+export function collectDayRoutes(itinerary, activities = []) {
+  const activitiesById = new Map(activities.filter(Boolean).map((a) => [a.id, a]));
+
+  return (itinerary?.data?.days || [])
+    .map((day) => ({
+      day: day.day,
+      name: dayName(day),
+      points: (day.periods || [])
+        .map((period) => ({
+          period,
+          activity: period.activityId ? activitiesById.get(period.activityId) : null
+        }))
+        .filter(({ activity }) => hasCoords(activity))
+        .map(({ period, activity }) => ({
+          name: period.title || activity.name,
+          description: period.description || '',
+          lat: activity.coords.lat,
+          lng: activity.coords.lng,
+          timeOfDay: period.timeOfDay,
+          activityId: activity.id
+        }))
+    }))
+    .filter((route) => route.points.length > 0);
+}
+
+// GPX 1.1: una ruta (<rte>) por día.
+function buildGpx(routes, title) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="NomadIQ" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(title)}</name>`,
+    '  </metadata>'
+  ];
+
+  for (const route of routes) {
+    lines.push('  <rte>', `    <name>${escapeXml(route.name)}</name>`, `    <number>${route.day}</number>`);
+    for (const p of route.points) {
+      lines.push(
+        `    <rtept lat="${p.lat}" lon="${p.lng}">`,
+        `      <name>${escapeXml(p.name)}</name>`,
+        ...(p.description ? [`      <desc>${escapeXml(p.description)}</desc>`] : []),
+        '    </rtept>'
+      );
+    }
+    lines.push('  </rte>');
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n') + '\n';
+}
+
+// KML 2.2: una carpeta por día con sus puntos y la línea del recorrido.
+// Ojo: KML escribe las coordenadas como "lng,lat".
+function buildKml(routes, title) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`
+  ];
+
+  for (const route of routes) {
+    lines.push('    <Folder>', `      <name>${escapeXml(route.name)}</name>`);
+    for (const p of route.points) {
+      lines.push(
+        '      <Placemark>',
+        `        <name>${escapeXml(p.name)}</name>`,
+        ...(p.description ? [`        <description>${escapeXml(p.description)}</description>`] : []),
+        `        <Point><coordinates>${p.lng},${p.lat}</coordinates></Point>`,
+        '      </Placemark>'
+      );
+    }
+    if (route.points.length >= 2) {
+      lines.push(
+        '      <Placemark>',
+        `        <name>${escapeXml(`Recorrido ${route.name}`)}</name>`,
+        '        <LineString>',
+        '          <tessellate>1</tessellate>',
+        `          <coordinates>${route.points.map((p) => `${p.lng},${p.lat}`).join(' ')}</coordinates>`,
+        '        </LineString>',
+        '      </Placemark>'
+      );
+    }
+    lines.push('    </Folder>');
+  }
+
+  lines.push('  </Document>', '</kml>');
+  return lines.join('\n') + '\n';
+}
+
+// GeoJSON (RFC 7946): puntos por bloque y un LineString por día.
+function buildGeoJson(routes, title) {
+  const features = [];
+
+  for (const route of routes) {
+    route.points.forEach((p, order) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [p.lng, p.lat] },
+        properties: {
+          name: p.name,
+          description: p.description || null,
+          day: route.day,
+          order,
+          timeOfDay: p.timeOfDay,
+          activityId: p.activityId
+        }
+      });
+    });
+
+    if (route.points.length >= 2) {
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: route.points.map((p) => [p.lng, p.lat])
+        },
+        properties: { name: route.name, day: route.day }
+      });
+    }
+  }
+
+  return JSON.stringify({ type: 'FeatureCollection', name: title, features }, null, 2);
+}
+
+// -----------------------------------------------------------------------------
+// buildItineraryGeoExport({ itinerary, trip, activities, format })
+// -----------------------------------------------------------------------------
+// Devuelve el contenido del archivo en el formato pedido (gpx, kml o
+// geojson). Lanza un Error si el formato no está soportado.
+//
+export function buildItineraryGeoExport({ itinerary, trip, activities = [], format }) {
+  const routes = collectDayRoutes(itinerary, activities);
+  const title = trip?.title || 'Itinerario NomadIQ';
+
+  switch (format) {
+    case 'gpx':
+      return buildGpx(routes, title);
+    case 'kml':
+      return buildKml(routes, title);
+    case 'geojson':
+      return buildGeoJson(routes, title);
+    default:
+      throw new Error(`Formato de exportación no soportado: ${format}`);
+  }
+}
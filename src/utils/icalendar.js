@@ -0,0 +1,233 @@
+// src/utils/icalendar.js
+// ----------------------
+// Generación de calendarios iCalendar (RFC 5545) a partir de un itinerario,
+// para importarlos en Google Calendar, Outlook, Apple Calendar, etc.
+//
+// Cada bloque (period) de cada día se convierte en un VEVENT:
+//  - DTSTART/DTEND: fecha del día + ventana horaria de su timeOfDay
+//    (configurable; por defecto las de TIME_OF_DAY_WINDOWS).
+//  - SUMMARY/DESCRIPTION: título y descripción del bloque.
+//  - GEO/LOCATION: coordenadas y nombre de la actividad vinculada.
+//  - UID estable (itinerario + día + posición del bloque): al volver a
+//    importar, el calendario actualiza los eventos en lugar de duplicarlos.
+//    SEQUENCE sube con cada versión del itinerario para que gane la última.
+//
+// Las horas son "flotantes" (hora local del lugar, sin zona) salvo que se
+// indique una zona horaria IANA: en ese caso se convierten a UTC ("...Z").
+// Así no hace falta un componente VTIMEZONE (que RFC 5545 exige para usar
+// TZID y que Outlook y otros clientes estrictos no perdonan).
+
+import { TIME_OF_DAY_WINDOWS } from './openingHours.js';
+
+// Identificador del producto que genera el calendario.
+const PRODID = '-//NomadIQ//Itinerarios//ES';
+
+// Dominio para los UID de los eventos.
+const UID_DOMAIN = 'nomadiq';
+
+// Escapa texto según RFC 5545 (barras, comas, punto y coma, saltos de línea).
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+// Corta líneas de más de 75 octetos (las continuaciones empiezan con un
+// espacio), sin partir caracteres UTF-8 de varios bytes.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // La primera línea admite 75 octetos; las siguientes 74 (+ el espacio).
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// "2025-07-15" + "09:00" -> "20250715T090000"
+function toLocalDateTime(date, time) {
+  return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+// Date -> "20250715T120000Z"
+function toUtcStamp(value) {
+  const d = value ? new Date(value) : new Date();
+  const safe = isNaN(d.getTime()) ? new Date() : d;
+  return safe.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Diferencia en ms entre la hora local de "timeZone" y UTC en un instante.
+function zoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+      .formatToParts(instant)
+      .map((p) => [p.type, p.value])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - instant.getTime();
+}
+
+// "2025-07-15" + "09:00" en "America/Argentina/Buenos_Aires" ->
+// "20250715T120000Z". El offset se recalcula en el instante resultante
+// para respetar los cambios de horario de verano.
+function toZonedUtcStamp(date, time, timeZone) {
+  const wallClock = Date.UTC(
+    Number(date.slice(0, 4)),
+    Number(date.slice(5, 7)) - 1,
+    Number(date.slice(8, 10)),
+    Number(time.slice(0, 2)),
+    Number(time.slice(3, 5))
+  );
+
+  let utc = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  utc = wallClock - zoneOffsetMs(new Date(utc), timeZone);
+  return toUtcStamp(utc);
+}
+
+// Suma días a una fecha "YYYY-MM-DD".
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Fecha de un día del itinerario: la suya o la del inicio del viaje + offset.
+function resolveDayDate(day, trip) {
+  if (typeof day.date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(day.date)) {
+    return day.date.slice(0, 10);
+  }
+  const start = typeof trip?.startDate === 'string' ? trip.startDate.slice(0, 10) : '';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(start)) return null;
+  return addDays(start, (day.day || 1) - 1);
+}
+
+// -----------------------------------------------------------------------------
+// parseTimeWindows(overrides)
+// -----------------------------------------------------------------------------
+// Combina las ventanas por defecto con overrides del tipo
+// { morning: '08:00-12:00' }. Los valores inválidos se ignoran.
+//
+export function parseTimeWindows(overrides = {}) {
+  const windows = { ...TIME_OF_DAY_WINDOWS };
+
+  for (const key of Object.keys(TIME_OF_DAY_WINDOWS)) {
+    const value = overrides[key];
+    if (typeof value !== 'string') continue;
+    const match = value.match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/);
+    if (!match) continue;
+    const start = `${match[1]}:${match[2]}`;
+    const end = `${match[3]}:${match[4]}`;
+    if (end > start) windows[key] = { start, end };
+  }
+
+  return windows;
+}
+
+// -----------------------------------------------------------------------------
+// buildItineraryCalendar({ itinerary, trip, activities, timeWindows, timezone })
+// -----------------------------------------------------------------------------
+// Devuelve el texto .ics completo (líneas separadas por CRLF).
+//
+export function buildItineraryCalendar({
+  itinerary,
+  trip,
+  activities = [],
+  timeWindows = TIME_OF_DAY_WINDOWS,
+  timezone = null
+}) {
+  const activitiesById = new Map(activities.filter(Boolean).map((a) => [a.id, a]));
+  const calendarName = trip?.title || 'Itinerario NomadIQ';
+  const stamp = toUtcStamp(itinerary.updatedAt);
+  const sequence = itinerary.versionCount || 0;
+
+  // DTSTART/DTEND: en UTC si hay zona horaria, flotantes si no.
+  const dateTimeLine = (name, date, time) =>
+    timezone
+      ? `${name}:${toZonedUtcStamp(date, time, timezone)}`
+      : `${name}:${toLocalDateTime(date, time)}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `NAME:${escapeText(calendarName)}`,
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...(timezone ? [`X-WR-TIMEZONE:${timezone}`] : [])
+  ];
+
+  for (const day of itinerary.data?.days || []) {
+    const date = resolveDayDate(day, trip);
+    if (!date) continue;
+
+    (day.periods || []).forEach((period, index) => {
+      const window = timeWindows[period.timeOfDay] || timeWindows.full_day;
+      const activity = period.activityId ? activitiesById.get(period.activityId) : null;
+
+      const description = [period.description, period.notes]
+        .filter(Boolean)
+        .join('\n\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${itinerary.id}-d${day.day}-p${index}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `SEQUENCE:${sequence}`,
+        dateTimeLine('DTSTART', date, window.start),
+        dateTimeLine('DTEND', date, window.end),
+        `SUMMARY:${escapeText(period.title)}`
+      );
+
+      if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+      }
+
+      if (activity) {
+        lines.push(`LOCATION:${escapeText(activity.name)}`);
+        if (activity.coords && typeof activity.coords.lat === 'number' && typeof activity.coords.lng === 'number') {
+          lines.push(`GEO:${activity.coords.lat};${activity.coords.lng}`);
+        }
+      }
+
+      if (day.type === 'travel') {
+        lines.push('CATEGORIES:Traslado');
+      } else if (activity?.category) {
+        lines.push(`CATEGORIES:${escapeText(activity.category)}`);
+      }
+
+      lines.push('END:VEVENT');
+    });
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,124 @@
+// src/utils/itineraryDiff.js
+// --------------------------
+// Diferencias estructuradas entre dos versiones de "data" de un itinerario.
+//
+// Compara día por día (por número de día) y, dentro de cada día, bloque por
+// bloque (por posición). El resultado sirve para mostrar en la UI qué cambió
+// entre dos versiones sin tener que comparar los JSON completos:
+//
+// {
+//   summary: { daysAdded, daysRemoved, daysChanged, periodsAdded, periodsRemoved, periodsChanged },
+//   days: [
+//     {
+//       day, status: 'added' | 'removed' | 'changed' | 'unchanged',
+//       changes: [ { field, before, after } ],          // campos del día
+//       periods: [
+//         { index, status, timeOfDay, changes: [ { field, before, after } ], before?, after? }
+//       ]
+//     }
+//   ]
+// }
+
+// Campos del día que comparamos (los bloques se comparan aparte).
+const DAY_FIELDS = ['date', 'type', 'destinationId', 'plannedSpend', 'distanceKm'];
+
+// Campos de cada bloque que comparamos.
+const PERIOD_FIELDS = [
+  'timeOfDay',
+  'title',
+  'description',
+  'activityId',
+  'notes',
+  'estimatedCost',
+  'locked'
+];
+
+// Lista de cambios de campo entre dos objetos.
+function fieldChanges(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const a = before?.[field];
+    const b = after?.[field];
+    if (a !== b) {
+      changes.push({ field, before: a ?? null, after: b ?? null });
+    }
+  }
+  return changes;
+}
+
+// Diferencias entre los bloques de un mismo día.
+function diffPeriods(beforePeriods = [], afterPeriods = []) {
+  const periods = [];
+  const length = Math.max(beforePeriods.length, afterPeriods.length);
+
+  for (let index = 0; index < length; index++) {
+    const before = beforePeriods[index];
+    const after = afterPeriods[index];
+
+    if (!before) {
+      periods.push({ index, status: 'added', timeOfDay: after.timeOfDay, changes: [], after });
+    } else if (!after) {
+      periods.push({ index, status: 'removed', timeOfDay: before.timeOfDay, changes: [], before });
+    } else {
+      const changes = fieldChanges(before, after, PERIOD_FIELDS);
+      periods.push({
+        index,
+        status: changes.length > 0 ? 'changed' : 'unchanged',
+        timeOfDay: after.timeOfDay,
+        changes
+      });
+    }
+  }
+
+  return periods;
+}
+
+// -----------------------------------------------------------------------------
+// diffItineraryData(beforeData, afterData)
+// -----------------------------------------------------------------------------
+export function diffItineraryData(beforeData, afterData) {
+  const beforeDays = new Map((beforeData?.days || []).map((d) => [d.day, d]));
+  const afterDays = new Map((afterData?.days || []).map((d) => [d.day, d]));
+
+  const dayNumbers = [...new Set([...beforeDays.keys(), ...afterDays.keys()])]
+    .sort((a, b) => a - b);
+
+  const summary = {
+    daysAdded: 0,
+    daysRemoved: 0,
+    daysChanged: 0,
+    periodsAdded: 0,
+    periodsRemoved: 0,
+    periodsChanged: 0
+  };
+
+  const days = dayNumbers.map((day) => {
+    const before = beforeDays.get(day);
+    const after = afterDays.get(day);
+
+    const periods = diffPeriods(before?.periods, after?.periods);
+    const changes = before && after ? fieldChanges(before, after, DAY_FIELDS) : [];
+
+    let status = 'unchanged';
+    if (!before) status = 'added';
+    else if (!after) status = 'removed';
+    else if (changes.length > 0 || periods.some((p) => p.status !== 'unchanged')) {
+      status = 'changed';
+    }
+
+    if (status === 'added') summary.daysAdded += 1;
+    if (status === 'removed') summary.daysRemoved += 1;
+    if (status === 'changed') {
+      summary.daysChanged += 1;
+      for (const p of periods) {
+        if (p.status === 'added') summary.periodsAdded += 1;
+        if (p.status === 'removed') summary.periodsRemoved += 1;
+        if (p.status === 'changed') summary.periodsChanged += 1;
+      }
+    }
+
+    return { day, status, changes, periods };
+  });
+
+  return { summary, days };
+}
@@ -0,0 +1,201 @@
+// src/utils/itineraryPrompts.js
+// -----------------------------
+// Plantillas de prompt para enriquecer itinerarios con un LLM y lectura
+// de la respuesta.
+//
+// El modelo NO arma el itinerario: recibe la estructura generada por el
+// motor de reglas y solo reescribe textos (título, descripción, notas) de
+// los bloques no bloqueados. Todo lo demás (actividades, horarios, costos)
+// se conserva del original al leer la respuesta.
+//
+// Formato de respuesta que pedimos (JSON):
+//   {
+//     "days": [ { "day": 1, "periods": [ { "index": 0, "title": "...", "description": "...", "notes": "..." } ] } ]
+//   }
+
+import { z } from 'zod';
+import { itineraryDataSchema } from '../models/itineraryModel.js';
+
+// Marca que separa las instrucciones del JSON del itinerario en el prompt.
+// El servidor mock la usa para encontrar el itinerario.
+export const PROMPT_PAYLOAD_MARKER = 'ITINERARIO_JSON:';
+
+// Tonos aceptados por enrich-with-ai y cómo se los describimos al modelo.
+const TONE_GUIDES = {
+  neutral: 'claro e informativo, sin exagerar',
+  relajado: 'cálido y tranquilo, invitando a disfrutar sin apuro',
+  aventurero: 'enérgico y entusiasta, destacando la aventura'
+};
+
+// Plantillas con variables {{nombre}}.
+const SYSTEM_TEMPLATE = [
+  'Sos un asistente de viajes de NomadIQ. Reescribís los textos de un itinerario',
+  'ya armado para que suenen naturales y útiles, en el idioma {{locale}} y con un',
+  'tono {{toneGuide}}.',
+  'Reglas:',
+  '- No agregues, quites ni reordenes días o bloques.',
+  '- No cambies actividades, horarios ni costos: solo title, description y notes.',
+  '- No modifiques los bloques con "locked": true (omitilos en la respuesta).',
+  '- Las descripciones tienen como máximo 600 caracteres.',
+  '- Respondé SOLO con JSON válido con la forma:',
+  '  {"days": [{"day": <n>, "periods": [{"index": <i>, "title": "...", "description": "...", "notes": "..."}]}]}'
+].join('\n');
+
+const USER_TEMPLATE = [
+  'Viaje: "{{tripTitle}}" ({{startDate}} a {{endDate}}).',
+  'Viajero/a: {{travelerName}}. Intereses: {{interests}}.',
+  'Presupuesto total: {{budget}}.',
+  '',
+  PROMPT_PAYLOAD_MARKER,
+  '{{itineraryJson}}'
+].join('\n');
+
+// Reemplaza {{variable}} por su valor (vacío si no existe).
+function fillTemplate(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, key) =>
+    vars[key] === undefined || vars[key] === null ? '' : String(vars[key])
+  );
+}
+
+// Versión compacta del itinerario para el prompt (solo lo necesario).
+function compactItinerary(data) {
+  return {
+    days: (data?.days || []).map((d) => ({
+      day: d.day,
+      date: d.date,
+      type: d.type,
+      periods: (d.periods || []).map((p, index) => ({
+        index,
+        timeOfDay: p.timeOfDay,
+        title: p.title,
+        description: p.description,
+        ...(p.locked ? { locked: true } : {})
+      }))
+    }))
+  };
+}
+
+// -----------------------------------------------------------------------------
+// buildEnrichmentMessages({ itinerary, trip, user, options })
+// -----------------------------------------------------------------------------
+// Devuelve los mensajes de chat (system + user) para el proveedor.
+//
+export function buildEnrichmentMessages({ itinerary, trip, user, options = {} }) {
+  const tone = options.tone || 'relajado';
+  const interests = Array.isArray(trip?.interests) && trip.interests.length
+    ? trip.interests.join(', ')
+    : 'sin intereses definidos';
+
+  const system = fillTemplate(SYSTEM_TEMPLATE, {
+    locale: options.locale || 'es',
+    toneGuide: TONE_GUIDES[tone] || TONE_GUIDES.relajado
+  });
+
+  const userContent = fillTemplate(USER_TEMPLATE, {
+    tripTitle: trip?.title || 'Viaje',
+    startDate: trip?.startDate || '?',
+    endDate: trip?.endDate || '?',
+    travelerName: user?.name || 'la persona viajera',
+    interests,
+    budget: typeof trip?.budget === 'number' ? trip.budget : 'sin definir',
+    itineraryJson: JSON.stringify(compactItinerary(itinerary?.data))
+  });
+
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: userContent }
+  ];
+}
+
+// Extrae el itinerario compacto de un prompt armado con buildEnrichmentMessages.
+// Devuelve null si no lo encuentra.
+export function extractPromptPayload(text) {
+  const idx = typeof text === 'string' ? text.indexOf(PROMPT_PAYLOAD_MARKER) : -1;
+  if (idx === -1) return null;
+  try {
+    return JSON.parse(text.slice(idx + PROMPT_PAYLOAD_MARKER.length).trim());
+  } catch {
+    return null;
+  }
+}
+
+// Forma esperada de la respuesta del modelo.
+const llmResponseSchema = z.object({
+  days: z.array(
+    z.object({
+      day: z.number().int().min(1),
+      periods: z.array(
+        z.object({
+          index: z.number().int().min(0),
+          title: z.string().min(3).max(200).optional(),
+          description: z.string().min(3).max(2000).optional(),
+          notes: z.string().min(1).max(1000).optional()
+        })
+      )
+    })
+  )
+});
+
+// Error de lectura de la respuesta: se marca como reintentable porque
+// otra llamada al modelo puede devolver un JSON correcto.
+function parseError(message) {
+  const err = new Error(message);
+  err.name = 'LlmParseError';
+  err.retryable = true;
+  return err;
+}
+
+// -----------------------------------------------------------------------------
+// parseEnrichmentResponse(text, originalData)
+// -----------------------------------------------------------------------------
+// Lee la respuesta del modelo y la combina con el itinerario original:
+// solo se toman title/description/notes de los bloques no bloqueados.
+// El resultado se valida con itineraryDataSchema. Devuelve { data }.
+//
+export function parseEnrichmentResponse(text, originalData) {
+  // Algunos modelos envuelven el JSON en ```json ... ```.
+  const cleaned = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  let raw;
+  try {
+    raw = JSON.parse(cleaned);
+  } catch {
+    throw parseError('La respuesta del modelo no es JSON válido');
+  }
+
+  const parsed = llmResponseSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw parseError('La respuesta del modelo no tiene el formato esperado');
+  }
+
+  const rewrites = new Map();
+  for (const d of parsed.data.days) {
+    for (const p of d.periods) {
+      rewrites.set(`${d.day}:${p.index}`, p);
+    }
+  }
+
+  const days = (originalData?.days || []).map((d) => ({
+    ...d,
+    periods: (d.periods || []).map((period, index) => {
+      const rewrite = rewrites.get(`${d.day}:${index}`);
+      if (period.locked || !rewrite) return period;
+      return {
+        ...period,
+        ...(rewrite.title ? { title: rewrite.title } : {}),
+        ...(rewrite.description ? { description: rewrite.description } : {}),
+        ...(rewrite.notes ? { notes: rewrite.notes } : {})
+      };
+    })
+  }));
+
+  const data = itineraryDataSchema.safeParse({ ...originalData, days });
+  if (!data.success) {
+    throw parseError('El itinerario enriquecido no pasa la validación');
+  }
+
+  return { data: data.data };
+}
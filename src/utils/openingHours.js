@@ -0,0 +1,443 @@
+// src/utils/openingHours.js
+// -------------------------
+// Utilidades para trabajar con los horarios de apertura de las actividades.
+//
+// Formato estructurado (el que valida activityModel.js):
+//
+// {
+//   weekly: [ { days: ['mon', 'tue'], open: '09:00', close: '18:00' }, ... ],
+//   closedDays: ['mon'],
+//   exceptions: [
+//     { label: 'Temporada baja', from: '05-01', to: '09-30', closed: true },
+//     { from: '12-24', to: '12-24', weekly: [ { days: [...], open, close } ] }
+//   ],
+//   text: 'Texto original (opcional)'
+// }
+//
+// Reglas de interpretación:
+//  - "weekly" vacío significa "horario desconocido": se considera abierto.
+//  - "closedDays" siempre gana sobre "weekly". Con los siete días en
+//    "closedDays" la actividad está cerrada siempre.
+//  - Una excepción (rango MM-DD, puede cruzar fin de año) puede cerrar la
+//    actividad o reemplazar su horario semanal durante ese período.
+//  - Si "close" es menor o igual que "open", el rango termina al día siguiente
+//    (por ejemplo, un bar de 20:00 a 02:00).
+//
+// También incluimos un parser para los textos libres que ya existen en
+// Firestore ("19:00 - 23:30", "Lun a Vie 9 a 18", "Cerrado los lunes"...)
+// y para la sintaxis de OpenStreetMap ("Mo-Fr 09:00-13:00; Sa off", "24/7").
+
+// Normalización de texto (sin acentos, minúsculas) compartida.
+import { foldText } from './text.js';
+
+// Días de la semana en el mismo orden que Date.getUTCDay() (0 = domingo).
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Ventanas horarias que representa cada bloque del itinerario.
+// Son las que usa el motor de reglas para saber si una actividad
+// puede ubicarse en "morning", "afternoon", "evening" o "full_day".
+export const TIME_OF_DAY_WINDOWS = {
+  morning: { start: '09:00', end: '13:00' },
+  afternoon: { start: '13:00', end: '19:00' },
+  evening: { start: '19:00', end: '23:00' },
+  full_day: { start: '09:00', end: '19:00' }
+};
+
+// Minutos mínimos de coincidencia entre el horario de apertura y el bloque
+// para considerar que la actividad "está abierta" en ese bloque.
+const MIN_OVERLAP_MINUTES = 60;
+
+// Tokens de días en español (sin acentos), en inglés abreviado y en los
+// códigos de dos letras de OpenStreetMap.
+const DAY_TOKENS = {
+  lun: 'mon',
+  mar: 'tue',
+  mie: 'wed',
+  jue: 'thu',
+  vie: 'fri',
+  sab: 'sat',
+  dom: 'sun',
+  mon: 'mon',
+  tue: 'tue',
+  wed: 'wed',
+  thu: 'thu',
+  fri: 'fri',
+  sat: 'sat',
+  sun: 'sun',
+  mo: 'mon',
+  tu: 'tue',
+  we: 'wed',
+  th: 'thu',
+  fr: 'fri',
+  sa: 'sat',
+  su: 'sun'
+};
+
+// Un día en el texto: nombre o abreviatura de tres letras ("lunes", "lun.",
+// "monday") o código de dos letras de OSM. Los de dos letras solo cuentan
+// seguidos de un rango, una coma, una hora u "off" ("Mo-Fr", "Sa,Su",
+// "Su 10:00", "Su off"), para no confundirlos con palabras como "su" o "tu".
+const DAY_TOKEN_RE =
+  '((?:lun|mar|mie|jue|vie|sab|dom|mon|tue|wed|thu|fri|sat|sun)[a-z]*\\.?' +
+  '|(?:mo|tu|we|th|fr|sa|su)\\b(?=\\s*(?:-|–|,|\\d|$)|\\s+(?:off|closed)\\b))';
+
+// Código de día de un token encontrado con DAY_TOKEN_RE.
+function dayFromToken(token) {
+  const word = token.replace('.', '');
+  return DAY_TOKENS[word.slice(0, 3)] || DAY_TOKENS[word];
+}
+
+// Fragmento que solo dice "cerrado" (sin días ni meses): cerrado siempre.
+const ALWAYS_CLOSED_RE =
+  /^(?:cerrad[oa]s?|closed|off)(?:\s+(?:temporalmente|permanentemente))?\.?$/;
+
+// Meses en español, para detectar excepciones estacionales en el texto.
+const MONTHS = [
+  'enero',
+  'febrero',
+  'marzo',
+  'abril',
+  'mayo',
+  'junio',
+  'julio',
+  'agosto',
+  'septiembre',
+  'octubre',
+  'noviembre',
+  'diciembre'
+];
+
+// Cantidad de días de cada mes (usamos 29 para febrero: es un rango MM-DD).
+const MONTH_LENGTHS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Franjas aproximadas para textos del tipo "por la mañana y la tarde".
+const KEYWORD_RANGES = {
+  manana: { open: '09:00', close: '13:00' },
+  tarde: { open: '13:00', close: '19:00' },
+  noche: { open: '19:00', close: '23:59' }
+};
+
+// ---------------------------------------------------------------------------
+// Helpers de horas
+// ---------------------------------------------------------------------------
+
+// "09:30" -> 570 (minutos desde las 00:00).
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// 9, 30 -> "09:30".
+function formatTime(hours, minutes = 0) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Minutos de coincidencia entre un rango de apertura y una ventana horaria.
+function overlapMinutes(range, window) {
+  const open = toMinutes(range.open);
+  let close = toMinutes(range.close);
+  if (close <= open) close += 24 * 60;
+
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  return Math.max(0, Math.min(close, end) - Math.max(open, start));
+}
+
+// Expande un rango de días circular: ('fri', 'mon') -> fri, sat, sun, mon.
+function expandDayRange(from, to) {
+  const order = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+  const result = [];
+  let idx = order.indexOf(from);
+  for (let i = 0; i < 7; i++) {
+    result.push(order[idx]);
+    if (order[idx] === to) break;
+    idx = (idx + 1) % 7;
+  }
+  return result;
+}
+
+// Extrae los días mencionados en un fragmento de texto (ya sin acentos).
+// Devuelve null si el fragmento no menciona días.
+function parseDays(fragment) {
+  if (/todos los dias|diario|every ?day/.test(fragment)) {
+    return ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+  }
+
+  const days = new Set();
+
+  if (/fines? de semana|weekend/.test(fragment)) {
+    days.add('sat');
+    days.add('sun');
+  }
+
+  const rangeRe = new RegExp(
+    `\\b${DAY_TOKEN_RE}\\s*(?:a|al|-|–|to)\\s*${DAY_TOKEN_RE}`,
+    'g'
+  );
+
+  let rest = fragment;
+  let match;
+  while ((match = rangeRe.exec(fragment)) !== null) {
+    expandDayRange(dayFromToken(match[1]), dayFromToken(match[2])).forEach((d) =>
+      days.add(d)
+    );
+    rest = rest.replace(match[0], ' ');
+  }
+
+  const singleRe = new RegExp(`\\b${DAY_TOKEN_RE}`, 'g');
+  while ((match = singleRe.exec(rest)) !== null) {
+    days.add(dayFromToken(match[1]));
+  }
+
+  return days.size > 0 ? [...days] : null;
+}
+
+// Extrae rangos horarios "9-18", "09:00 a 13:30", "de 10 hs a 20 hs".
+function parseTimeRanges(fragment) {
+  const ranges = [];
+  const re =
+    /(\d{1,2})(?:[:.h](\d{2}))?\s*(?:hs?\.?|horas)?\s*(?:-|–|a|al|hasta|to)\s*(\d{1,2})(?:[:.h](\d{2}))?/g;
+
+  let match;
+  while ((match = re.exec(fragment)) !== null) {
+    const h1 = Number(match[1]);
+    const m1 = Number(match[2] || 0);
+    const h2 = Number(match[3]);
+    const m2 = Number(match[4] || 0);
+
+    if (h1 > 24 || h2 > 24 || m1 > 59 || m2 > 59) continue;
+
+    ranges.push({
+      open: formatTime(h1 === 24 ? 0 : h1, m1),
+      close: formatTime(h2, m2)
+    });
+  }
+
+  return ranges;
+}
+
+// Extrae una excepción estacional tipo "cerrado en enero" o
+// "cerrado de mayo a septiembre". Devuelve null si no hay meses.
+function parseSeasonalException(fragment) {
+  const monthRe = MONTHS.join('|');
+  const re = new RegExp(`(${monthRe})(?:\\s*(?:a|al|-|hasta)\\s*(${monthRe}))?`);
+  const match = re.exec(fragment);
+  if (!match) return null;
+
+  const fromMonth = MONTHS.indexOf(match[1]);
+  const toMonth = match[2] ? MONTHS.indexOf(match[2]) : fromMonth;
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return {
+    from: `${pad(fromMonth + 1)}-01`,
+    to: `${pad(toMonth + 1)}-${pad(MONTH_LENGTHS[toMonth])}`,
+    monthsText: match[0]
+  };
+}
+
+// ---------------------------------------------------------------------------
+// parseOpeningHoursText(text)
+// ---------------------------------------------------------------------------
+// Convierte un texto libre en el formato estructurado. Lo que no se puede
+// interpretar se ignora: en el peor caso el resultado tiene "weekly" vacío
+// (horario desconocido) y conserva el texto original en "text".
+// ---------------------------------------------------------------------------
+export function parseOpeningHoursText(text) {
+  const original = String(text || '').trim();
+  const result = {
+    weekly: [],
+    closedDays: [],
+    exceptions: [],
+    ...(original ? { text: original.slice(0, 200) } : {})
+  };
+
+  if (!original) return result;
+
+  const folded = foldText(original);
+  const allDays = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+  // Casos de "siempre abierto" (incluido el "24/7" de OSM).
+  if (/24\s*(h|hs|horas)\b|24\s*\/\s*7|abierto siempre|siempre abierto/.test(folded)) {
+    result.weekly.push({ days: allDays, open: '00:00', close: '24:00' });
+  }
+
+  // Dividimos en fragmentos independientes ("Lun a Vie 9-18; Sáb 10-14").
+  // La coma de una lista de días de OSM ("Sa,Su") no separa fragmentos.
+  const fragments = folded
+    .split(/[;|\n]|\.\s|(?<!\b(?:mo|tu|we|th|fr|sa|su)),\s*(?=[a-z])/)
+    .map((f) => f.trim())
+    .filter(Boolean);
+
+  for (const fragment of fragments) {
+    // Fragmentos de cierre: "cerrado los lunes", "cerrado en enero",
+    // "Sa,Su off". Un "cerrado" solo, sin días ni meses, cierra todos los días.
+    if (/cerrad[oa]s?|\b(?:off|closed)\b/.test(fragment)) {
+      if (ALWAYS_CLOSED_RE.test(fragment)) {
+        result.closedDays = [...allDays];
+        continue;
+      }
+
+      const seasonal = parseSeasonalException(fragment);
+      if (seasonal) {
+        result.exceptions.push({
+          label: `Cerrado ${seasonal.monthsText}`,
+          from: seasonal.from,
+          to: seasonal.to,
+          closed: true
+        });
+        continue;
+      }
+
+      const closed = parseDays(fragment);
+      if (closed) {
+        closed.forEach((d) => {
+          if (!result.closedDays.includes(d)) result.closedDays.push(d);
+        });
+      }
+      continue;
+    }
+
+    const days = parseDays(fragment) || allDays;
+    const ranges = parseTimeRanges(fragment);
+
+    if (ranges.length > 0) {
+      ranges.forEach((r) => result.weekly.push({ days, ...r }));
+      continue;
+    }
+
+    // Sin horas explícitas: buscamos palabras clave.
+    if (/durante el dia|todo el dia/.test(fragment)) {
+      result.weekly.push({ days, open: '08:00', close: '20:00' });
+      continue;
+    }
+
+    Object.entries(KEYWORD_RANGES).forEach(([keyword, range]) => {
+      if (new RegExp(`\\b${keyword}s?\\b`).test(fragment)) {
+        result.weekly.push({ days, ...range });
+      }
+    });
+  }
+
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// normalizeOpeningHours(value)
+// ---------------------------------------------------------------------------
+// Acepta lo que haya guardado en Firestore (texto libre heredado, objeto
+// estructurado o nada) y devuelve siempre el formato estructurado o null.
+// ---------------------------------------------------------------------------
+export function normalizeOpeningHours(value) {
+  if (!value) return null;
+
+  if (typeof value === 'string') {
+    return parseOpeningHoursText(value);
+  }
+
+  if (typeof value === 'object') {
+    return {
+      weekly: Array.isArray(value.weekly) ? value.weekly : [],
+      closedDays: Array.isArray(value.closedDays) ? value.closedDays : [],
+      exceptions: Array.isArray(value.exceptions) ? value.exceptions : [],
+      ...(value.text ? { text: value.text } : {})
+    };
+  }
+
+  return null;
+}
+
+// Abreviaturas en español para mostrar los días.
+const DAY_LABELS = {
+  mon: 'Lun',
+  tue: 'Mar',
+  wed: 'Mié',
+  thu: 'Jue',
+  fri: 'Vie',
+  sat: 'Sáb',
+  sun: 'Dom'
+};
+
+// ---------------------------------------------------------------------------
+// describeOpeningHours(value)
+// ---------------------------------------------------------------------------
+// Texto legible de un horario (para PDFs, exportaciones, etc.).
+// Si el horario trae el texto original, se usa ese; si no, se arma uno:
+//   "Lun, Mar, Mié: 09:00-18:00. Cerrado: Dom."
+// Devuelve null si no hay horario.
+// ---------------------------------------------------------------------------
+export function describeOpeningHours(value) {
+  const hours = normalizeOpeningHours(value);
+  if (!hours) return null;
+  if (hours.text) return hours.text;
+
+  const parts = hours.weekly.map(
+    (range) =>
+      `${range.days.map((d) => DAY_LABELS[d] || d).join(', ')}: ${range.open}-${range.close}`
+  );
+
+  if (hours.closedDays.length) {
+    parts.push(`Cerrado: ${hours.closedDays.map((d) => DAY_LABELS[d] || d).join(', ')}`);
+  }
+
+  for (const ex of hours.exceptions) {
+    const label = ex.label ? `${ex.label} ` : '';
+    parts.push(`${label}(${ex.from} a ${ex.to})${ex.closed ? ': cerrado' : ': horario especial'}`);
+  }
+
+  return parts.length ? `${parts.join('. ')}.` : null;
+}
+
+// Indica si una fecha "MM-DD" cae dentro de una excepción (puede cruzar año).
+function isInException(monthDay, exception) {
+  if (exception.from <= exception.to) {
+    return monthDay >= exception.from && monthDay <= exception.to;
+  }
+  return monthDay >= exception.from || monthDay <= exception.to;
+}
+
+// ---------------------------------------------------------------------------
+// isOpenDuring(openingHours, { date, timeOfDay })
+// ---------------------------------------------------------------------------
+// Indica si la actividad está abierta durante el bloque "timeOfDay" del día
+// "date" ("YYYY-MM-DD"). Si no hay fecha, solo se mira la franja horaria
+// contra todos los rangos semanales.
+// ---------------------------------------------------------------------------
+export function isOpenDuring(openingHours, { date, timeOfDay }) {
+  const hours = normalizeOpeningHours(openingHours);
+  if (!hours) return true;
+
+  // Cerrado todos los días: no depende de la fecha.
+  if (WEEKDAYS.every((d) => hours.closedDays.includes(d))) return false;
+
+  const window = TIME_OF_DAY_WINDOWS[timeOfDay] || TIME_OF_DAY_WINDOWS.full_day;
+  const windowLength = toMinutes(window.end) - toMinutes(window.start);
+  const required = Math.min(MIN_OVERLAP_MINUTES, windowLength);
+
+  let weekly = hours.weekly;
+  let weekday = null;
+
+  const parsedDate = date ? new Date(`${String(date).slice(0, 10)}T00:00:00Z`) : null;
+
+  if (parsedDate && !isNaN(parsedDate.getTime())) {
+    weekday = WEEKDAYS[parsedDate.getUTCDay()];
+    const monthDay = String(date).slice(5, 10);
+
+    const exception = hours.exceptions.find((ex) => isInException(monthDay, ex));
+    if (exception) {
+      if (exception.closed) return false;
+      if (Array.isArray(exception.weekly)) weekly = exception.weekly;
+    }
+
+    if (hours.closedDays.includes(weekday)) return false;
+  }
+
+  // Horario desconocido: asumimos abierto.
+  if (!weekly.length) return true;
+
+  return weekly.some(
+    (range) =>
+      (!weekday || range.days.includes(weekday)) &&
+      overlapMinutes(range, window) >= required
+  );
+}
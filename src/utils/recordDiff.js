@@ -0,0 +1,43 @@
+// src/utils/recordDiff.js
+// -----------------------
+// Diferencias campo a campo entre un registro guardado y los cambios
+// propuestos (propuestas de moderación del catálogo).
+//
+// Solo se comparan los campos que trae "proposed": en una edición, lo que no
+// se propone cambiar queda como está. Los valores anidados (coords, tags,
+// horarios...) se comparan por contenido, sin importar el orden de las
+// claves.
+
+// JSON con las claves ordenadas, para comparar objetos por contenido.
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// ¿Dos valores son iguales por contenido?
+export function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+// -----------------------------------------------------------------------------
+// diffRecord(current, proposed)
+// -----------------------------------------------------------------------------
+// Devuelve [{ field, before, after }] con los campos de "proposed" que
+// cambian respecto de "current" (null si es un alta: todo es nuevo).
+//
+export function diffRecord(current, proposed) {
+  return Object.keys(proposed || {})
+    .sort()
+    .filter((field) => !sameValue(current?.[field], proposed[field]))
+    .map((field) => ({
+      field,
+      before: current?.[field] ?? null,
+      after: proposed[field] ?? null
+    }));
+}
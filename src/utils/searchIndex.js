@@ -0,0 +1,177 @@
+// src/utils/searchIndex.js
+// ------------------------
+// Índice invertido en memoria para búsquedas de texto con tolerancia a
+// errores. No usa Firestore: quien lo usa le va agregando documentos (ver
+// services/searchService.js).
+//
+// Cada documento se indexa con una lista de campos { text, weight }: el
+// texto se normaliza con tokenize (sin acentos ni mayúsculas), así
+// "Mexico" encuentra "México". Para cada palabra buscada se aceptan:
+//  - coincidencia exacta                        (factor 1)
+//  - prefijo, para buscar mientras se escribe   (factor 0.8: "barc" -> "barcelona")
+//  - errores de tipeo, por distancia de edición (factor 0.6 con 1 error,
+//    0.4 con 2: "bariloce" -> "bariloche")
+//
+// El puntaje de un documento es la suma, por palabra buscada, de la mejor
+// coincidencia (factor x peso del campo). Todas las palabras tienen que
+// coincidir con algo; las palabras vacías ("de", "la") se ignoran.
+
+import { tokenize } from './text.js';
+
+// Palabras que no aportan a la búsqueda.
+const STOP_WORDS = new Set(['de', 'del', 'la', 'las', 'el', 'los', 'y', 'en', 'a', 'con', 'por']);
+
+// Largo mínimo para buscar por prefijo y por errores de tipeo.
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// Cantidad de errores tolerados según el largo de la palabra.
+function maxTypos(length) {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+// Palabras indexables de un texto (sin repetidas ni palabras vacías).
+export function searchTerms(text) {
+  return [...new Set(tokenize(text))].filter((t) => !STOP_WORDS.has(t));
+}
+
+// Distancia de edición (inserción, borrado, reemplazo y transposición de
+// dos letras vecinas) entre a y b. Si supera "max" corta antes y devuelve
+// max + 1.
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// Factor de coincidencia entre una palabra buscada y una indexada (0 si no
+// coinciden).
+function matchFactor(queryTerm, term) {
+  if (term === queryTerm) return 1;
+  if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) return 0.8;
+
+  const max = maxTypos(queryTerm.length);
+  if (max === 0) return 0;
+
+  const distance = editDistance(queryTerm, term, max);
+  if (distance > max) return 0;
+  return distance === 1 ? 0.6 : 0.4;
+}
+
+// -----------------------------------------------------------------------------
+// createSearchIndex()
+// -----------------------------------------------------------------------------
+// Devuelve { add, remove, get, values, search, size }:
+//  - add(key, fields, payload): indexa (o reemplaza) un documento. "fields"
+//    es [{ text, weight }]; "payload" es lo que se devuelve al buscar.
+//  - remove(key): lo saca del índice.
+//  - search(query, { filter, limit }): [{ key, score, payload }] ordenados
+//    por puntaje. "filter(payload)" descarta documentos antes de cortar en "limit".
+//
+export function createSearchIndex() {
+  // término -> Map(key -> peso del mejor campo donde aparece)
+  const postings = new Map();
+  // key -> términos del documento (para poder sacarlo)
+  const docTerms = new Map();
+  // key -> payload
+  const payloads = new Map();
+
+  function remove(key) {
+    for (const term of docTerms.get(key) || []) {
+      const docs = postings.get(term);
+      docs.delete(key);
+      if (docs.size === 0) postings.delete(term);
+    }
+    docTerms.delete(key);
+    payloads.delete(key);
+  }
+
+  function add(key, fields, payload) {
+    remove(key);
+
+    const weights = new Map();
+    for (const { text, weight = 1 } of fields) {
+      const values = Array.isArray(text) ? text : [text];
+      for (const term of values.flatMap(searchTerms)) {
+        weights.set(term, Math.max(weights.get(term) || 0, weight));
+      }
+    }
+
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(key, weight);
+    }
+
+    docTerms.set(key, new Set(weights.keys()));
+    payloads.set(key, payload);
+  }
+
+  function search(query, { filter, limit = 20 } = {}) {
+    const queryTerms = searchTerms(query);
+    if (queryTerms.length === 0) return [];
+
+    // key -> puntaje acumulado; solo sobreviven los que coinciden con
+    // todas las palabras.
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const best = new Map();
+
+      for (const [term, docs] of postings) {
+        const factor = matchFactor(queryTerm, term);
+        if (factor === 0) continue;
+
+        for (const [key, weight] of docs) {
+          if (scores && !scores.has(key)) continue;
+          const value = factor * weight;
+          if (value > (best.get(key) || 0)) best.set(key, value);
+        }
+      }
+
+      scores = new Map(
+        [...best].map(([key, value]) => [key, value + (scores ? scores.get(key) : 0)])
+      );
+      if (scores.size === 0) return [];
+    }
+
+    return [...scores]
+      .map(([key, score]) => ({ key, score: Math.round(score * 100) / 100, payload: payloads.get(key) }))
+      .filter((r) => !filter || filter(r.payload))
+      .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key))
+      .slice(0, limit);
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    get: (key) => payloads.get(key),
+    values: () => payloads.values(),
+    size: () => payloads.size
+  };
+}
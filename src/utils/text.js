@@ -0,0 +1,29 @@
+// src/utils/text.js
+// -----------------
+// Helpers de texto compartidos entre servicios (comparaciones de intereses,
+// parsers de horarios, búsquedas, etc.).
+
+// ---------------------------------------------------------------------------
+// foldText(text)
+// ---------------------------------------------------------------------------
+// Quita acentos y pasa a minúsculas para comparar textos de forma simple:
+//   "México" -> "mexico", "Gastronomía" -> "gastronomia".
+// ---------------------------------------------------------------------------
+export function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// tokenize(text)
+// ---------------------------------------------------------------------------
+// Divide un texto (ya normalizado o no) en palabras alfanuméricas.
+// ---------------------------------------------------------------------------
+export function tokenize(text) {
+  return foldText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
@@ -0,0 +1,159 @@
+// src/utils/tripCloning.js
+// ------------------------
+// Helpers para copiar viajes: clonar un trip corriendo todas sus fechas y
+// armar / instanciar plantillas reutilizables.
+//
+// No usa Firestore: recibe el trip y el itinerario ya cargados.
+//
+// Las fechas se tratan por su parte "YYYY-MM-DD" (en UTC), así correr un
+// viaje N días no depende de la zona horaria del servidor. Si la fecha
+// tenía hora ("2025-07-15T10:00:00Z"), la hora se conserva.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD..." -> milisegundos UTC del día, o null si no es una fecha.
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Días entre dos fechas (to - from), o null si alguna no es válida.
+export function daysBetween(from, to) {
+  const a = parseDay(from);
+  const b = parseDay(to);
+  if (a === null || b === null) return null;
+  return Math.round((b - a) / DAY_MS);
+}
+
+// Corre una fecha "days" días, respetando su formato. Si no es una fecha
+// válida, la devuelve tal cual.
+export function shiftDate(value, days) {
+  const base = parseDay(value);
+  if (base === null) return value;
+  return new Date(base + days * DAY_MS).toISOString().slice(0, 10) + String(value).slice(10);
+}
+
+// -----------------------------------------------------------------------------
+// CLONAR
+// -----------------------------------------------------------------------------
+
+// Fechas y tramos de un trip corridos para que empiece en "startDate".
+// Devuelve { offsetDays, startDate, endDate, legs }.
+export function shiftTripDates(trip, startDate) {
+  const offsetDays = daysBetween(trip.startDate, startDate) ?? 0;
+
+  return {
+    offsetDays,
+    startDate: shiftDate(trip.startDate, offsetDays),
+    endDate: shiftDate(trip.endDate, offsetDays),
+    legs: (trip.legs || []).map((leg) => ({
+      ...leg,
+      startDate: shiftDate(leg.startDate, offsetDays),
+      endDate: shiftDate(leg.endDate, offsetDays)
+    }))
+  };
+}
+
+// Copia de "data" de un itinerario con las fechas de los días (y del
+// budgetSummary) corridas "offsetDays" días.
+export function shiftItineraryDates(data, offsetDays) {
+  if (!data) return data;
+
+  return {
+    ...data,
+    days: (data.days || []).map((d) => ({
+      ...d,
+      ...(d.date ? { date: shiftDate(d.date, offsetDays) } : {})
+    })),
+    ...(data.budgetSummary
+      ? {
+          budgetSummary: {
+            ...data.budgetSummary,
+            perDay: (data.budgetSummary.perDay || []).map((p) => ({
+              ...p,
+              ...(p.date ? { date: shiftDate(p.date, offsetDays) } : {})
+            }))
+          }
+        }
+      : {})
+  };
+}
+
+// -----------------------------------------------------------------------------
+// PLANTILLAS
+// -----------------------------------------------------------------------------
+//
+// Una plantilla guarda el plan sin fechas ni datos personales:
+//  - durationDays: duración del viaje.
+//  - legs: [{ destinationId, startDay, endDay }], días relativos al inicio
+//    (0 = primer día), sin notas.
+//  - data: el itinerario con la misma estructura (itineraryDataSchema), pero
+//    sin fechas, sin notas personales, sin bloques fijados y sin
+//    budgetSummary (depende del presupuesto de quien la use).
+//
+
+// Arma los campos de la plantilla a partir de un trip y su itinerario.
+export function buildTemplatePlan(trip, itinerary) {
+  const start = trip.startDate;
+  const duration = daysBetween(start, trip.endDate);
+
+  const legs = (trip.legs || []).map((leg) => ({
+    destinationId: leg.destinationId,
+    startDay: daysBetween(start, leg.startDate) ?? 0,
+    endDay: daysBetween(start, leg.endDate) ?? 0
+  }));
+
+  const days = (itinerary?.data?.days || []).map((d) => {
+    const day = { ...d };
+    delete day.date;
+
+    day.periods = (d.periods || []).map((p) => {
+      const period = { ...p };
+      delete period.notes;
+      delete period.locked;
+      return period;
+    });
+
+    return day;
+  });
+
+  return {
+    durationDays: duration !== null && duration >= 0 ? duration + 1 : days.length,
+    legs,
+    destinationIds: [...new Set(legs.map((l) => l.destinationId))],
+    data: {
+      days,
+      ...(typeof itinerary?.data?.totalDistanceKm === 'number'
+        ? { totalDistanceKm: itinerary.data.totalDistanceKm }
+        : {})
+    }
+  };
+}
+
+// Fechas y tramos de un trip nuevo creado desde una plantilla.
+// Devuelve { startDate, endDate, legs }.
+export function templateTripDates(template, startDate) {
+  return {
+    startDate,
+    endDate: shiftDate(startDate, Math.max((template.durationDays || 1) - 1, 0)),
+    legs: (template.legs || []).map((leg) => ({
+      destinationId: leg.destinationId,
+      startDate: shiftDate(startDate, leg.startDay),
+      endDate: shiftDate(startDate, leg.endDay)
+    }))
+  };
+}
+
+// "data" del itinerario de una plantilla con fechas a partir de startDate
+// (el día N cae en startDate + N - 1).
+export function templateItineraryData(template, startDate) {
+  return {
+    ...template.data,
+    days: (template.data?.days || []).map((d) => ({
+      ...d,
+      date: shiftDate(startDate, d.day - 1)
+    }))
+  };
+}